@@ -0,0 +1,59 @@
+/**
+ * Helpers for reading settings from environment variables
+ * Each falls back to a default (or skips the entry) when a value is
+ * missing or invalid, so a typo never stops the server from starting.
+ */
+
+const { parseCron } = require('../utils/cron');
+
+/**
+ * Read a positive integer
+ * @param {string} name - Variable name
+ * @param {number} fallback - Default when unset or not a positive integer
+ * @returns {number} Value
+ */
+function intFromEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Read comma-separated "key=number" pairs ("LinkedIn=21,Referral=45")
+ * @param {string} name - Variable name
+ * @param {Function} parse - Turns the text after "=" into a number (parseInt, parseFloat)
+ * @returns {Object} Numbers by key; entries without a positive number are skipped
+ */
+function pairsFromEnv(name, parse) {
+  return Object.fromEntries(
+    (process.env[name] || '').split(',')
+      .map(entry => entry.split('=').map(part => part.trim()))
+      .map(([key, value]) => [key, parse(value)])
+      .filter(([key, value]) => key && value > 0)
+  );
+}
+
+/**
+ * Read a five-field cron expression (see utils/cron.js)
+ * An invalid expression is reported with a warning and replaced by the default.
+ * @param {string} name - Variable name
+ * @param {string} fallback - Default expression when unset or invalid
+ * @returns {string} Cron expression
+ */
+function cronFromEnv(name, fallback) {
+  const value = process.env[name];
+  if (!value) return fallback;
+
+  try {
+    parseCron(value);
+    return value;
+  } catch (error) {
+    console.warn(`⚠️ Ignoring ${name}: ${error.message}; using "${fallback}"`);
+    return fallback;
+  }
+}
+
+module.exports = {
+  intFromEnv,
+  pairsFromEnv,
+  cronFromEnv
+};
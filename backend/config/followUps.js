@@ -0,0 +1,16 @@
+/**
+ * Follow-up reminder settings (services/followUpService.js)
+ * An application gets a reminder once it has been in one of the
+ * thresholdDays statuses that many days since its last status change.
+ * Snoozing without a date postpones a reminder by snoozeDays.
+ */
+
+const { intFromEnv } = require('./env');
+
+module.exports = {
+  thresholdDays: {
+    Applied: intFromEnv('FOLLOW_UP_APPLIED_DAYS', 14),
+    Interview: intFromEnv('FOLLOW_UP_INTERVIEW_DAYS', 7)
+  },
+  snoozeDays: intFromEnv('FOLLOW_UP_SNOOZE_DAYS', 3)
+};
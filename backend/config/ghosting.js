@@ -0,0 +1,13 @@
+/**
+ * Ghost check settings (services/ghostService.js)
+ * An application that can move to Ghosted is marked Ghosted once it has
+ * gone defaultDays without a status change, or the number of days set for
+ * its source in GHOST_AFTER_DAYS_BY_SOURCE ("LinkedIn=21,Referral=45").
+ */
+
+const { intFromEnv, pairsFromEnv } = require('./env');
+
+module.exports = {
+  defaultDays: intFromEnv('GHOST_AFTER_DAYS', 30),
+  daysBySource: pairsFromEnv('GHOST_AFTER_DAYS_BY_SOURCE', days => parseInt(days, 10))
+};
@@ -0,0 +1,19 @@
+/**
+ * Resume version comparison settings (services/insightService.js)
+ * A version needs minSampleSize applications before it can be recommended,
+ * and must beat every other such version with a p-value below
+ * significanceLevel.
+ */
+
+const { intFromEnv } = require('./env');
+
+// Read a probability strictly between 0 and 1, falling back to a default
+function probabilityFromEnv(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return value > 0 && value < 1 ? value : fallback;
+}
+
+module.exports = {
+  minSampleSize: intFromEnv('RESUME_MIN_SAMPLE_SIZE', 10),
+  significanceLevel: probabilityFromEnv('RESUME_SIGNIFICANCE_LEVEL', 0.05)
+};
@@ -0,0 +1,13 @@
+/**
+ * Interview settings (services/interviewService.js)
+ * Reminders go out once an interview starts within reminderHours.
+ * Interviews without an end time last defaultDurationMinutes in the
+ * calendar feed.
+ */
+
+const { intFromEnv } = require('./env');
+
+module.exports = {
+  reminderHours: intFromEnv('INTERVIEW_REMINDER_HOURS', 24),
+  defaultDurationMinutes: intFromEnv('INTERVIEW_DEFAULT_MINUTES', 60)
+};
@@ -0,0 +1,24 @@
+/**
+ * Offer comparison settings (services/offerService.js)
+ * Offers are compared in baseCurrency. exchangeRates gives the value of one
+ * unit of each other currency in baseCurrency, read from
+ * OFFER_EXCHANGE_RATES ("EUR=1.08,GBP=1.27"); offers in currencies without
+ * a rate are listed but not ranked. Pending offers get one email warning
+ * once their decision deadline is deadlineWarningDays away.
+ */
+
+const { intFromEnv, pairsFromEnv } = require('./env');
+
+// Currency codes are matched upper case, e.g. "eur=1.08" -> { EUR: 1.08 }
+function ratesFromEnv(name) {
+  return Object.fromEntries(
+    Object.entries(pairsFromEnv(name, parseFloat))
+      .map(([currency, rate]) => [currency.toUpperCase(), rate])
+  );
+}
+
+module.exports = {
+  baseCurrency: (process.env.OFFER_BASE_CURRENCY || 'USD').toUpperCase(),
+  exchangeRates: ratesFromEnv('OFFER_EXCHANGE_RATES'),
+  deadlineWarningDays: intFromEnv('OFFER_DEADLINE_WARNING_DAYS', 3)
+};
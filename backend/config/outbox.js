@@ -0,0 +1,15 @@
+/**
+ * Event outbox dispatcher settings (services/outboxService.js)
+ * A failed event is retried after baseDelayMs, then twice as long each
+ * time up to maxDelayMs, and dead-lettered after maxAttempts failures.
+ */
+
+const { intFromEnv } = require('./env');
+
+module.exports = {
+  maxAttempts: intFromEnv('OUTBOX_MAX_ATTEMPTS', 5),
+  baseDelayMs: intFromEnv('OUTBOX_RETRY_BASE_MS', 1000),
+  maxDelayMs: intFromEnv('OUTBOX_RETRY_MAX_MS', 5 * 60 * 1000),
+  pollIntervalMs: intFromEnv('OUTBOX_POLL_INTERVAL_MS', 5000),
+  batchSize: intFromEnv('OUTBOX_BATCH_SIZE', 50)
+};
@@ -0,0 +1,45 @@
+/**
+ * Scheduled workflow jobs for the built-in scheduler (services/schedulerService.js)
+ * Each job emits its event on the Motia event bus on a cron schedule
+ * (server local time). Set SCHEDULER_ENABLED=false to disable all jobs.
+ */
+
+const { cronFromEnv } = require('./env');
+
+// Parse a comma-separated environment variable into a list
+function splitList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+module.exports = [
+  {
+    name: 'weeklySummary',
+    event: 'weeklySummary',
+    cron: cronFromEnv('WEEKLY_SUMMARY_CRON', '0 9 * * 1'), // Mondays at 09:00
+    payload: () => ({ recipients: splitList(process.env.WEEKLY_SUMMARY_RECIPIENTS) })
+  },
+  {
+    name: 'followUpCheck',
+    event: 'followUpCheck',
+    cron: cronFromEnv('FOLLOW_UP_CRON', '0 8 * * *'), // Daily at 08:00
+    payload: () => ({ recipients: splitList(process.env.FOLLOW_UP_RECIPIENTS) })
+  },
+  {
+    name: 'ghostCheck',
+    event: 'ghostCheck',
+    cron: cronFromEnv('GHOST_CHECK_CRON', '0 7 * * *'), // Daily at 07:00
+    payload: () => ({})
+  },
+  {
+    name: 'interviewReminders',
+    event: 'interviewReminders',
+    cron: cronFromEnv('INTERVIEW_REMINDER_CRON', '*/15 * * * *'), // Every 15 minutes
+    payload: () => ({ recipients: splitList(process.env.INTERVIEW_REMINDER_RECIPIENTS) })
+  },
+  {
+    name: 'offerDeadlines',
+    event: 'offerDeadlines',
+    cron: cronFromEnv('OFFER_DEADLINE_CRON', '0 9 * * *'), // Daily at 09:00
+    payload: () => ({ recipients: splitList(process.env.OFFER_DEADLINE_RECIPIENTS) })
+  }
+];
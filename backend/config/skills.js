@@ -0,0 +1,83 @@
+/**
+ * Skill dictionary for resume matching (services/matchService.js)
+ * Each skill is found in a text by any of its aliases (case-insensitive,
+ * whole words), so "JS" in a resume matches "JavaScript" in a posting.
+ * Aliases that are also everyday words (Go, R, REST) are left out or only
+ * matched in a longer form.
+ */
+module.exports = [
+  // Languages
+  { name: 'JavaScript', aliases: ['javascript', 'js', 'ecmascript', 'es6'] },
+  { name: 'TypeScript', aliases: ['typescript', 'ts'] },
+  { name: 'Python', aliases: ['python'] },
+  { name: 'Java', aliases: ['java'] },
+  { name: 'Kotlin', aliases: ['kotlin'] },
+  { name: 'Scala', aliases: ['scala'] },
+  { name: 'Go', aliases: ['golang'] },
+  { name: 'Rust', aliases: ['rust'] },
+  { name: 'C++', aliases: ['c++', 'cpp'] },
+  { name: 'C#', aliases: ['c#', 'csharp'] },
+  { name: 'Ruby', aliases: ['ruby'] },
+  { name: 'PHP', aliases: ['php'] },
+  { name: 'Swift', aliases: ['swift'] },
+  { name: 'SQL', aliases: ['sql'] },
+  { name: 'Bash', aliases: ['bash', 'shell scripting'] },
+
+  // Frontend
+  { name: 'React', aliases: ['react', 'react.js', 'reactjs'] },
+  { name: 'Next.js', aliases: ['next.js', 'nextjs'] },
+  { name: 'Vue', aliases: ['vue', 'vue.js', 'vuejs'] },
+  { name: 'Angular', aliases: ['angular', 'angularjs'] },
+  { name: 'HTML', aliases: ['html', 'html5'] },
+  { name: 'CSS', aliases: ['css', 'css3', 'sass', 'scss'] },
+  { name: 'Redux', aliases: ['redux'] },
+  { name: 'GraphQL', aliases: ['graphql'] },
+
+  // Backend
+  { name: 'Node.js', aliases: ['node.js', 'nodejs', 'node'] },
+  { name: 'Express', aliases: ['express', 'express.js', 'expressjs'] },
+  { name: 'Django', aliases: ['django'] },
+  { name: 'Flask', aliases: ['flask'] },
+  { name: 'FastAPI', aliases: ['fastapi'] },
+  { name: 'Spring', aliases: ['spring', 'spring boot'] },
+  { name: 'Rails', aliases: ['rails', 'ruby on rails'] },
+  { name: '.NET', aliases: ['.net', 'dotnet', 'asp.net'] },
+  { name: 'REST APIs', aliases: ['rest api', 'rest apis', 'restful'] },
+  { name: 'gRPC', aliases: ['grpc'] },
+  { name: 'Microservices', aliases: ['microservices', 'microservice'] },
+
+  // Data
+  { name: 'PostgreSQL', aliases: ['postgresql', 'postgres'] },
+  { name: 'MySQL', aliases: ['mysql'] },
+  { name: 'SQLite', aliases: ['sqlite'] },
+  { name: 'MongoDB', aliases: ['mongodb', 'mongo'] },
+  { name: 'Redis', aliases: ['redis'] },
+  { name: 'Elasticsearch', aliases: ['elasticsearch', 'opensearch'] },
+  { name: 'Kafka', aliases: ['kafka'] },
+  { name: 'RabbitMQ', aliases: ['rabbitmq'] },
+  { name: 'Spark', aliases: ['spark', 'pyspark'] },
+  { name: 'Pandas', aliases: ['pandas'] },
+  { name: 'Machine Learning', aliases: ['machine learning', 'ml'] },
+  { name: 'Deep Learning', aliases: ['deep learning'] },
+  { name: 'TensorFlow', aliases: ['tensorflow'] },
+  { name: 'PyTorch', aliases: ['pytorch'] },
+  { name: 'NLP', aliases: ['nlp', 'natural language processing'] },
+  { name: 'Data Analysis', aliases: ['data analysis', 'data analytics'] },
+
+  // Infrastructure
+  { name: 'AWS', aliases: ['aws', 'amazon web services'] },
+  { name: 'GCP', aliases: ['gcp', 'google cloud'] },
+  { name: 'Azure', aliases: ['azure'] },
+  { name: 'Docker', aliases: ['docker', 'containers'] },
+  { name: 'Kubernetes', aliases: ['kubernetes', 'k8s'] },
+  { name: 'Terraform', aliases: ['terraform'] },
+  { name: 'CI/CD', aliases: ['ci/cd', 'continuous integration', 'continuous delivery', 'continuous deployment'] },
+  { name: 'Linux', aliases: ['linux', 'unix'] },
+  { name: 'Git', aliases: ['git', 'github', 'gitlab'] },
+
+  // Practices
+  { name: 'Testing', aliases: ['unit testing', 'automated testing', 'tdd', 'jest', 'pytest'] },
+  { name: 'Agile', aliases: ['agile', 'scrum', 'kanban'] },
+  { name: 'System Design', aliases: ['system design', 'distributed systems'] },
+  { name: 'Security', aliases: ['security', 'oauth', 'authentication'] }
+];
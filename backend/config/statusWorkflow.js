@@ -0,0 +1,161 @@
+/**
+ * Application status workflow (state machine)
+ *
+ * Lists the known states, which transitions are allowed between them and
+ * which states are terminal. The default definition can be replaced by
+ * pointing STATUS_WORKFLOW_CONFIG at a JSON file with the same shape.
+ */
+
+const fs = require('fs');
+const { InvalidTransitionError } = require('../utils/errors');
+
+const defaultDefinition = {
+  initial: 'Applied',
+  states: ['Applied', 'Interview', 'Offer', 'Rejected', 'Withdrawn', 'Ghosted'],
+  transitions: {
+    Applied: ['Interview', 'Offer', 'Rejected', 'Withdrawn', 'Ghosted'],
+    Interview: ['Offer', 'Rejected', 'Withdrawn', 'Ghosted'],
+    Offer: ['Rejected', 'Withdrawn'],
+    Rejected: [],
+    Withdrawn: [],
+    // Set by the ghost check when nothing happens for too long; undo with
+    // POST /api/applications/:id/unghost
+    Ghosted: []
+  },
+  terminal: ['Rejected', 'Withdrawn', 'Ghosted']
+};
+
+/**
+ * Check that a workflow definition is internally consistent
+ * @param {Object} definition - Workflow definition
+ * @returns {Object} The same definition
+ */
+function checkDefinition(definition) {
+  const { initial, states, transitions, terminal } = definition;
+
+  if (!Array.isArray(states) || states.length === 0) {
+    throw new Error('Status workflow must list at least one state');
+  }
+  if (!states.includes(initial)) {
+    throw new Error(`Initial status "${initial}" is not a known state`);
+  }
+
+  for (const [from, targets] of Object.entries(transitions)) {
+    if (!states.includes(from)) {
+      throw new Error(`Transition source "${from}" is not a known state`);
+    }
+    targets.forEach(to => {
+      if (!states.includes(to)) {
+        throw new Error(`Transition target "${to}" (from "${from}") is not a known state`);
+      }
+    });
+  }
+
+  terminal.forEach(state => {
+    if ((transitions[state] || []).length > 0) {
+      throw new Error(`Terminal status "${state}" cannot have outgoing transitions`);
+    }
+  });
+
+  return definition;
+}
+
+/**
+ * Load the workflow definition, from STATUS_WORKFLOW_CONFIG if set
+ * @returns {Object} Workflow definition
+ */
+function loadDefinition() {
+  const configPath = process.env.STATUS_WORKFLOW_CONFIG;
+  if (!configPath) {
+    return checkDefinition(defaultDefinition);
+  }
+
+  const definition = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  return checkDefinition({
+    terminal: [],
+    ...definition,
+    transitions: definition.transitions || {}
+  });
+}
+
+const definition = loadDefinition();
+
+/**
+ * Get the active workflow definition
+ * @returns {Object} { initial, states, transitions, terminal }
+ */
+function getStatusWorkflow() {
+  return definition;
+}
+
+/**
+ * Check whether a status is a known state
+ * @param {string} status - Status name
+ * @returns {boolean} True if known
+ */
+function isValidStatus(status) {
+  return definition.states.includes(status);
+}
+
+/**
+ * Check whether a status is terminal
+ * @param {string} status - Status name
+ * @returns {boolean} True if terminal
+ */
+function isTerminalStatus(status) {
+  return definition.terminal.includes(status);
+}
+
+/**
+ * Get the statuses an application can move to from its current status
+ * @param {string} fromStatus - Current status
+ * @returns {string[]} Allowed next statuses
+ */
+function getAllowedTransitions(fromStatus) {
+  return definition.transitions[fromStatus] || [];
+}
+
+/**
+ * Check whether a transition is allowed; staying in the same status always is
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Requested status
+ * @returns {boolean} True if allowed
+ */
+function canTransition(fromStatus, toStatus) {
+  return fromStatus === toStatus || getAllowedTransitions(fromStatus).includes(toStatus);
+}
+
+/**
+ * Throw unless a transition is allowed or explicitly forced
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Requested status
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Skip the transition check
+ */
+function assertTransition(fromStatus, toStatus, options = {}) {
+  if (!isValidStatus(toStatus)) {
+    throw new InvalidTransitionError(`Unknown status "${toStatus}"`, fromStatus, toStatus);
+  }
+  if (options.force || canTransition(fromStatus, toStatus)) {
+    return;
+  }
+
+  const allowed = getAllowedTransitions(fromStatus);
+  const reason = isTerminalStatus(fromStatus)
+    ? `"${fromStatus}" is a terminal status`
+    : `allowed next statuses: ${allowed.join(', ') || 'none'}`;
+  throw new InvalidTransitionError(
+    `Cannot change status from "${fromStatus}" to "${toStatus}" (${reason})`,
+    fromStatus,
+    toStatus
+  );
+}
+
+module.exports = {
+  getStatusWorkflow,
+  isValidStatus,
+  isTerminalStatus,
+  getAllowedTransitions,
+  canTransition,
+  assertTransition
+};
@@ -1,30 +1,41 @@
+/**
+ * Application repository
+ * Owns the single shared SQLite connection used by routes, workflows and
+ * insight services. Call initializeDatabase(path) to point the whole
+ * backend at another file or at ':memory:' (e.g. in tests).
+ */
+
 const Database = require('better-sqlite3');
 const path = require('path');
+const { runMigrations } = require('./migrate');
+const { assertTransition } = require('../config/statusWorkflow');
+const { BadRequestError, InvalidTransitionError } = require('../utils/errors');
 
-// Database path
-const dbPath = path.join(__dirname, 'applications.db');
+// Default database path, overridable with the DB_PATH environment variable
+const defaultDbPath = process.env.DB_PATH || path.join(__dirname, 'applications.db');
 let db;
+let currentDbPath;
 
 // Initialize database connection
-function initializeDatabase() {
+function initializeDatabase(dbPath) {
   try {
+    // Reuse the open connection unless a different database was requested
+    if (db && (!dbPath || dbPath === currentDbPath)) {
+      return db;
+    }
+    if (db) {
+      closeDatabase();
+    }
+
     // Create database connection
-    db = new Database(dbPath);
-
-    // Create applications table if it doesn't exist
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS applications (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        company TEXT NOT NULL,
-        role TEXT NOT NULL,
-        status TEXT DEFAULT 'Applied',
-        source TEXT,
-        resume_version TEXT,
-        applied_at TEXT DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+    currentDbPath = dbPath || defaultDbPath;
+    db = new Database(currentDbPath);
+    db.pragma('foreign_keys = ON');
 
-    console.log('Database initialized and applications table created');
+    // Bring the schema up to date
+    runMigrations(db);
+
+    console.log(`Database initialized and migrations applied (${currentDbPath})`);
     return db;
   } catch (error) {
     console.error('Error initializing database:', error);
@@ -32,6 +43,12 @@ function initializeDatabase() {
   }
 }
 
+// Get the shared database handle, opening it on first use
+function getDatabase() {
+  if (!db) initializeDatabase();
+  return db;
+}
+
 // Get all applications from database
 function getAllApplications() {
   try {
@@ -47,6 +64,138 @@ function getAllApplications() {
   }
 }
 
+// Columns the application list can be sorted by
+const SORTABLE_COLUMNS = ['applied_at', 'company', 'role', 'status', 'source', 'resume_version', 'id'];
+
+// Turn free text into an FTS5 query: every word must match, as a prefix
+function toFtsQuery(text) {
+  const terms = text.match(/[\p{L}\p{N}]+/gu) || [];
+  return terms.map(term => `"${term}"*`).join(' ');
+}
+
+// Cursors are opaque base64url JSON of the last row's sort value and id
+function encodeCursor(row, sort) {
+  return Buffer.from(JSON.stringify({ v: row[sort] ?? '', id: row.id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Number.isInteger(decoded.id) || decoded.v === undefined) {
+      throw new Error('Malformed cursor');
+    }
+    return decoded;
+  } catch (error) {
+    throw new BadRequestError('Invalid pagination cursor', { cursor: 'is not a valid cursor' });
+  }
+}
+
+// Build WHERE clauses shared by the list and its counts
+function buildApplicationFilters(filters, { includeStatus = true } = {}) {
+  const clauses = [];
+  const params = [];
+
+  const addInFilter = (column, values) => {
+    if (values && values.length > 0) {
+      clauses.push(`${column} IN (${values.map(() => '?').join(', ')})`);
+      params.push(...values);
+    }
+  };
+
+  if (includeStatus) addInFilter('status', filters.status);
+  addInFilter('source', filters.source);
+  addInFilter('resume_version', filters.resume_version);
+
+  if (filters.from) {
+    clauses.push('applied_at >= ?');
+    params.push(filters.from);
+  }
+  if (filters.to) {
+    clauses.push('applied_at <= ?');
+    params.push(filters.to);
+  }
+
+  const ftsQuery = filters.q ? toFtsQuery(filters.q) : '';
+  if (ftsQuery) {
+    clauses.push('id IN (SELECT rowid FROM applications_fts WHERE applications_fts MATCH ?)');
+    params.push(ftsQuery);
+  }
+
+  return {
+    where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '',
+    params
+  };
+}
+
+// Query applications with filters, full-text search, sorting and pagination
+// filters: { status[], source[], resume_version[], from, to, q }
+// options: { sort, order, limit, offset, cursor } - a cursor takes precedence over offset
+function queryApplications(filters = {}, options = {}) {
+  try {
+    if (!db) initializeDatabase();
+
+    const sort = SORTABLE_COLUMNS.includes(options.sort) ? options.sort : 'applied_at';
+    const order = options.order === 'asc' ? 'ASC' : 'DESC';
+    // limit: null returns every matching row in one page
+    const limit = options.limit === null ? null : options.limit || 50;
+    const comparator = order === 'ASC' ? '>' : '<';
+    // COALESCE keeps NULL values (e.g. missing source) comparable for cursors
+    const sortExpression = `COALESCE(${sort}, '')`;
+
+    const { where, params } = buildApplicationFilters(filters);
+    const total = db.prepare(`SELECT COUNT(*) AS total FROM applications ${where}`).get(...params).total;
+
+    let pageWhere = where;
+    const pageParams = [...params];
+    let offset = options.offset || 0;
+
+    if (options.cursor) {
+      const cursor = decodeCursor(options.cursor);
+      const keyset = `(${sortExpression} ${comparator} ? OR (${sortExpression} = ? AND id ${comparator} ?))`;
+      pageWhere = where ? `${where} AND ${keyset}` : `WHERE ${keyset}`;
+      pageParams.push(cursor.v, cursor.v, cursor.id);
+      offset = 0;
+    }
+
+    // Fetch one extra row to know whether another page exists
+    const rows = db.prepare(`
+      SELECT * FROM applications
+      ${pageWhere}
+      ORDER BY ${sortExpression} ${order}, id ${order}
+      LIMIT ? OFFSET ?
+    `).all(...pageParams, limit === null ? -1 : limit + 1, offset);
+
+    const hasMore = limit !== null && rows.length > limit;
+    const data = hasMore ? rows.slice(0, limit) : rows;
+
+    // Status counts ignore the status filter so they can drive filter tabs
+    const counts = buildApplicationFilters(filters, { includeStatus: false });
+    const statusCounts = {};
+    db.prepare(`
+      SELECT status, COUNT(*) AS count FROM applications ${counts.where} GROUP BY status
+    `).all(...counts.params).forEach(row => {
+      statusCounts[row.status] = row.count;
+    });
+
+    return {
+      data,
+      pagination: {
+        total,
+        limit,
+        offset: options.cursor ? null : offset,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(data[data.length - 1], sort) : null
+      },
+      statusCounts
+    };
+  } catch (error) {
+    if (!(error instanceof BadRequestError)) {
+      console.error('Error querying applications:', error);
+    }
+    throw error;
+  }
+}
+
 // Get single application by ID
 function getApplicationById(id) {
   try {
@@ -62,6 +211,63 @@ function getApplicationById(id) {
   }
 }
 
+// Find an application with the same company, role and applied_at (case-insensitive)
+function findDuplicateApplication(company, role, appliedAt) {
+  try {
+    if (!db) initializeDatabase();
+
+    const stmt = db.prepare(`
+      SELECT * FROM applications
+      WHERE company = ? COLLATE NOCASE
+        AND role = ? COLLATE NOCASE
+        AND applied_at = ?
+      LIMIT 1
+    `);
+    return stmt.get(company, role, appliedAt);
+  } catch (error) {
+    console.error('Error checking for duplicate application:', error);
+    throw error;
+  }
+}
+
+// Run a function inside a transaction on the shared connection
+function runInTransaction(fn) {
+  if (!db) initializeDatabase();
+  return db.transaction(fn)();
+}
+
+// Record a status transition in status_history
+// changedBy is 'user' for API changes and 'system' for workflow changes
+function recordStatusChange(applicationId, oldStatus, newStatus, changedAt, changedBy = 'user') {
+  const stmt = db.prepare(`
+    INSERT INTO status_history
+      (application_id, old_status, new_status, changed_at, changed_by)
+    VALUES
+      (?, ?, ?, ?, ?)
+  `);
+
+  stmt.run(applicationId, oldStatus, newStatus, changedAt || new Date().toISOString(), changedBy);
+}
+
+// Get ordered status transitions for an application
+function getStatusHistory(applicationId) {
+  try {
+    if (!db) initializeDatabase();
+
+    // Oldest transition first; id breaks ties for identical timestamps
+    const stmt = db.prepare(`
+      SELECT id, application_id, old_status, new_status, changed_at, changed_by
+      FROM status_history
+      WHERE application_id = ?
+      ORDER BY changed_at ASC, id ASC
+    `);
+    return stmt.all(applicationId);
+  } catch (error) {
+    console.error('Error fetching status history:', error);
+    throw error;
+  }
+}
+
 // Create new application
 function createApplication(applicationData) {
   try {
@@ -70,22 +276,37 @@ function createApplication(applicationData) {
     // Insert new application
     const stmt = db.prepare(`
       INSERT INTO applications
-        (company, role, status, source, resume_version, applied_at)
+        (company, role, status, source, resume_version, applied_at, notes, job_url, job_description)
       VALUES
-        (?, ?, ?, ?, ?, ?)
+        (?, ?, ?, ?, COALESCE(?, (
+          -- Without a version, use the newest resume that is not archived
+          SELECT version FROM resumes WHERE archived_at IS NULL ORDER BY created_at DESC, id DESC LIMIT 1
+        )), ?, ?, ?, ?)
     `);
 
-    const result = stmt.run(
-      applicationData.company,
-      applicationData.role || applicationData.position, // Support both role and position
-      applicationData.status || 'Applied',
-      applicationData.source || 'Direct',
-      applicationData.resume_version || '1.0',
-      applicationData.applied_at || new Date().toISOString()
-    );
+    const status = applicationData.status || 'Applied';
+    const appliedAt = applicationData.applied_at || new Date().toISOString();
+
+    // Insert the application and its initial history entry atomically
+    const insert = db.transaction(() => {
+      const result = stmt.run(
+        applicationData.company,
+        applicationData.role || applicationData.position, // Support both role and position
+        status,
+        applicationData.source || 'Direct',
+        applicationData.resume_version || null,
+        appliedAt,
+        applicationData.notes || null,
+        applicationData.job_url || null,
+        applicationData.job_description || null
+      );
+
+      recordStatusChange(result.lastInsertRowid, null, status, appliedAt);
+      return result.lastInsertRowid;
+    });
 
     // Return the newly created application with its ID
-    return getApplicationById(result.lastInsertRowid);
+    return getApplicationById(insert());
   } catch (error) {
     console.error('Error creating application:', error);
     throw error;
@@ -93,7 +314,9 @@ function createApplication(applicationData) {
 }
 
 // Update application status
-function updateApplicationStatus(id, newStatus) {
+// Throws InvalidTransitionError unless the status workflow allows the change
+// or options.force is set; options.changedBy is recorded in the history
+function updateApplicationStatus(id, newStatus, options = {}) {
   try {
     if (!db) initializeDatabase();
 
@@ -104,22 +327,39 @@ function updateApplicationStatus(id, newStatus) {
       WHERE id = ?
     `);
 
-    const result = stmt.run(newStatus, id);
+    const update = db.transaction(() => {
+      const existing = getApplicationById(id);
+      if (!existing) {
+        return false;
+      }
+
+      assertTransition(existing.status, newStatus, options);
+      stmt.run(newStatus, id);
 
-    if (result.changes === 0) {
+      if (existing.status !== newStatus) {
+        recordStatusChange(id, existing.status, newStatus, null, options.changedBy);
+      }
+      return true;
+    });
+
+    if (!update()) {
       return null; // No application found with that ID
     }
 
     // Return the updated application
     return getApplicationById(id);
   } catch (error) {
-    console.error('Error updating application status:', error);
+    // Refused transitions are answered with a 409, not logged as failures
+    if (!(error instanceof InvalidTransitionError)) {
+      console.error('Error updating application status:', error);
+    }
     throw error;
   }
 }
 
 // Update entire application
-function updateApplication(id, applicationData) {
+// Status changes follow the same workflow rules as updateApplicationStatus
+function updateApplication(id, applicationData, options = {}) {
   try {
     if (!db) initializeDatabase();
 
@@ -132,28 +372,52 @@ function updateApplication(id, applicationData) {
         status = ?,
         source = ?,
         resume_version = ?,
-        applied_at = ?
+        applied_at = ?,
+        notes = ?,
+        job_url = ?,
+        job_description = ?
       WHERE id = ?
     `);
 
-    const result = stmt.run(
-      applicationData.company,
-      applicationData.role || applicationData.position,
-      applicationData.status,
-      applicationData.source,
-      applicationData.resume_version,
-      applicationData.applied_at,
-      id
-    );
+    const update = db.transaction(() => {
+      const existing = getApplicationById(id);
+      if (!existing) {
+        return false;
+      }
+
+      assertTransition(existing.status, applicationData.status, options);
+
+      // Free-text fields left undefined keep their value; null clears them
+      const keep = field => (applicationData[field] !== undefined ? applicationData[field] : existing[field]);
+      stmt.run(
+        applicationData.company,
+        applicationData.role || applicationData.position,
+        applicationData.status,
+        applicationData.source,
+        applicationData.resume_version,
+        applicationData.applied_at,
+        keep('notes'),
+        keep('job_url'),
+        keep('job_description'),
+        id
+      );
 
-    if (result.changes === 0) {
+      if (existing.status !== applicationData.status) {
+        recordStatusChange(id, existing.status, applicationData.status);
+      }
+      return true;
+    });
+
+    if (!update()) {
       return null; // No application found with that ID
     }
 
     // Return the updated application
     return getApplicationById(id);
   } catch (error) {
-    console.error('Error updating application:', error);
+    if (!(error instanceof InvalidTransitionError)) {
+      console.error('Error updating application:', error);
+    }
     throw error;
   }
 }
@@ -174,21 +438,1576 @@ function deleteApplication(id) {
   }
 }
 
+// Get the contacts of an application
+function getContacts(applicationId) {
+  try {
+    if (!db) initializeDatabase();
+
+    const stmt = db.prepare('SELECT * FROM contacts WHERE application_id = ? ORDER BY created_at, id');
+    return stmt.all(applicationId);
+  } catch (error) {
+    console.error('Error fetching contacts:', error);
+    throw error;
+  }
+}
+
+// Get one contact, scoped to its application
+function getContactById(applicationId, contactId) {
+  try {
+    if (!db) initializeDatabase();
+
+    const stmt = db.prepare('SELECT * FROM contacts WHERE id = ? AND application_id = ?');
+    return stmt.get(contactId, applicationId);
+  } catch (error) {
+    console.error('Error fetching contact:', error);
+    throw error;
+  }
+}
+
+// Add a contact to an application
+function createContact(applicationId, contactData) {
+  try {
+    if (!db) initializeDatabase();
+
+    const stmt = db.prepare(`
+      INSERT INTO contacts (application_id, name, title, email, phone, linkedin_url, notes, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const result = stmt.run(
+      applicationId,
+      contactData.name,
+      contactData.title || null,
+      contactData.email || null,
+      contactData.phone || null,
+      contactData.linkedin_url || null,
+      contactData.notes || null,
+      new Date().toISOString()
+    );
+    return getContactById(applicationId, result.lastInsertRowid);
+  } catch (error) {
+    console.error('Error creating contact:', error);
+    throw error;
+  }
+}
+
+// Update a contact; undefined fields keep their value, null clears them
+function updateContact(applicationId, contactId, contactData) {
+  try {
+    if (!db) initializeDatabase();
+
+    const existing = getContactById(applicationId, contactId);
+    if (!existing) {
+      return null;
+    }
+
+    const merged = { ...existing };
+    ['name', 'title', 'email', 'phone', 'linkedin_url', 'notes'].forEach(field => {
+      if (contactData[field] !== undefined) merged[field] = contactData[field];
+    });
+
+    db.prepare(`
+      UPDATE contacts
+      SET name = ?, title = ?, email = ?, phone = ?, linkedin_url = ?, notes = ?
+      WHERE id = ? AND application_id = ?
+    `).run(merged.name, merged.title, merged.email, merged.phone, merged.linkedin_url, merged.notes, contactId, applicationId);
+
+    return getContactById(applicationId, contactId);
+  } catch (error) {
+    console.error('Error updating contact:', error);
+    throw error;
+  }
+}
+
+// Delete a contact
+function deleteContact(applicationId, contactId) {
+  try {
+    if (!db) initializeDatabase();
+
+    const stmt = db.prepare('DELETE FROM contacts WHERE id = ? AND application_id = ?');
+    return stmt.run(contactId, applicationId).changes > 0;
+  } catch (error) {
+    console.error('Error deleting contact:', error);
+    throw error;
+  }
+}
+
+// Interview columns joined with the application's company and role
+const INTERVIEW_COLUMNS = `
+  i.id, i.application_id, a.company, a.role, i.round_name, i.type, i.starts_at, i.ends_at,
+  i.location, i.meeting_url, i.interviewers, i.outcome, i.notes, i.reminded_at,
+  i.created_at, i.updated_at
+`;
+
+// Fields an interview update can change
+const INTERVIEW_FIELDS = ['round_name', 'type', 'starts_at', 'ends_at', 'location', 'meeting_url', 'interviewers', 'outcome', 'notes'];
+
+function parseInterviewRow(row) {
+  return row && { ...row, interviewers: JSON.parse(row.interviewers) };
+}
+
+// Get interviews, earliest first; all of them, or one application's
+function getInterviews(applicationId) {
+  try {
+    if (!db) initializeDatabase();
+
+    const where = applicationId === undefined ? '' : 'WHERE i.application_id = ?';
+    const stmt = db.prepare(`
+      SELECT ${INTERVIEW_COLUMNS}
+      FROM interviews i
+      JOIN applications a ON a.id = i.application_id
+      ${where}
+      ORDER BY i.starts_at, i.id
+    `);
+    return stmt.all(...(applicationId === undefined ? [] : [applicationId])).map(parseInterviewRow);
+  } catch (error) {
+    console.error('Error fetching interviews:', error);
+    throw error;
+  }
+}
+
+// Get one interview, scoped to its application
+function getInterviewById(applicationId, interviewId) {
+  try {
+    if (!db) initializeDatabase();
+
+    const stmt = db.prepare(`
+      SELECT ${INTERVIEW_COLUMNS}
+      FROM interviews i
+      JOIN applications a ON a.id = i.application_id
+      WHERE i.id = ? AND i.application_id = ?
+    `);
+    return parseInterviewRow(stmt.get(interviewId, applicationId));
+  } catch (error) {
+    console.error('Error fetching interview:', error);
+    throw error;
+  }
+}
+
+// Add an interview to an application
+function createInterview(applicationId, interviewData) {
+  try {
+    if (!db) initializeDatabase();
+
+    const now = new Date().toISOString();
+    const stmt = db.prepare(`
+      INSERT INTO interviews
+        (application_id, round_name, type, starts_at, ends_at, location, meeting_url, interviewers, outcome, notes, created_at, updated_at)
+      VALUES
+        (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const result = stmt.run(
+      applicationId,
+      interviewData.round_name,
+      interviewData.type || 'video',
+      interviewData.starts_at,
+      interviewData.ends_at || null,
+      interviewData.location || null,
+      interviewData.meeting_url || null,
+      JSON.stringify(interviewData.interviewers || []),
+      interviewData.outcome || 'pending',
+      interviewData.notes || null,
+      now,
+      now
+    );
+    return getInterviewById(applicationId, result.lastInsertRowid);
+  } catch (error) {
+    console.error('Error creating interview:', error);
+    throw error;
+  }
+}
+
+// Update an interview; undefined fields keep their value, null clears them.
+// Moving the start time clears reminded_at (and any claim on it) so the new
+// time gets a reminder.
+function updateInterview(applicationId, interviewId, interviewData) {
+  try {
+    if (!db) initializeDatabase();
+
+    const existing = getInterviewById(applicationId, interviewId);
+    if (!existing) {
+      return null;
+    }
+
+    const merged = { ...existing };
+    INTERVIEW_FIELDS.forEach(field => {
+      if (interviewData[field] !== undefined) merged[field] = interviewData[field];
+    });
+    const rescheduled = merged.starts_at !== existing.starts_at;
+
+    db.prepare(`
+      UPDATE interviews
+      SET round_name = ?, type = ?, starts_at = ?, ends_at = ?, location = ?, meeting_url = ?,
+          interviewers = ?, outcome = ?, notes = ?, reminded_at = ?, updated_at = ?,
+          reminder_claimed_until = CASE WHEN ? THEN NULL ELSE reminder_claimed_until END
+      WHERE id = ? AND application_id = ?
+    `).run(
+      merged.round_name, merged.type, merged.starts_at, merged.ends_at, merged.location, merged.meeting_url,
+      JSON.stringify(merged.interviewers || []), merged.outcome, merged.notes,
+      rescheduled ? null : existing.reminded_at, new Date().toISOString(), rescheduled ? 1 : 0,
+      interviewId, applicationId
+    );
+
+    return getInterviewById(applicationId, interviewId);
+  } catch (error) {
+    console.error('Error updating interview:', error);
+    throw error;
+  }
+}
+
+// Delete an interview
+function deleteInterview(applicationId, interviewId) {
+  try {
+    if (!db) initializeDatabase();
+
+    const stmt = db.prepare('DELETE FROM interviews WHERE id = ? AND application_id = ?');
+    return stmt.run(interviewId, applicationId).changes > 0;
+  } catch (error) {
+    console.error('Error deleting interview:', error);
+    throw error;
+  }
+}
+
+// Get pending interviews starting in [from, to) that have not been reminded of yet
+function getInterviewsToRemind(from, to) {
+  try {
+    if (!db) initializeDatabase();
+
+    const stmt = db.prepare(`
+      SELECT ${INTERVIEW_COLUMNS}
+      FROM interviews i
+      JOIN applications a ON a.id = i.application_id
+      WHERE i.outcome = 'pending'
+        AND i.reminded_at IS NULL
+        AND (i.reminder_claimed_until IS NULL OR i.reminder_claimed_until <= ?)
+        AND i.starts_at >= ? AND i.starts_at < ?
+      ORDER BY i.starts_at, i.id
+    `);
+    return stmt.all(from, from, to).map(parseInterviewRow);
+  } catch (error) {
+    console.error('Error fetching interviews to remind:', error);
+    throw error;
+  }
+}
+
+// Claim interviews whose reminder is being sent, until claimedUntil
+function claimInterviewReminders(ids, claimedUntil) {
+  try {
+    if (!db) initializeDatabase();
+
+    const stmt = db.prepare('UPDATE interviews SET reminder_claimed_until = ? WHERE id = ?');
+    ids.forEach(id => stmt.run(claimedUntil, id));
+  } catch (error) {
+    console.error('Error claiming interview reminders:', error);
+    throw error;
+  }
+}
+
+// Release claimed interviews so the next check reminds them again
+function releaseInterviewReminders(ids) {
+  try {
+    if (!db) initializeDatabase();
+
+    const stmt = db.prepare('UPDATE interviews SET reminder_claimed_until = NULL WHERE id = ?');
+    ids.forEach(id => stmt.run(id));
+  } catch (error) {
+    console.error('Error releasing interview reminders:', error);
+    throw error;
+  }
+}
+
+// Mark claimed interviews as reminded; interviews rescheduled since the
+// claim lost it and keep waiting for a reminder at their new time
+function markInterviewsReminded(ids, remindedAt = new Date().toISOString()) {
+  try {
+    if (!db) initializeDatabase();
+
+    const stmt = db.prepare(`
+      UPDATE interviews SET reminded_at = ?, reminder_claimed_until = NULL
+      WHERE id = ? AND reminder_claimed_until IS NOT NULL
+    `);
+    ids.forEach(id => stmt.run(remindedAt, id));
+  } catch (error) {
+    console.error('Error marking interviews reminded:', error);
+    throw error;
+  }
+}
+
+// Offer columns joined with the application's company, role and status
+const OFFER_COLUMNS = `
+  o.id, o.application_id, a.company, a.role, a.status, o.base_salary, o.bonus, o.equity_value,
+  o.vesting_years, o.currency, o.benefits_notes, o.start_date, o.decision_deadline, o.decision,
+  o.deadline_warned_at, o.created_at, o.updated_at
+`;
+
+// Fields an offer update can change
+const OFFER_FIELDS = [
+  'base_salary', 'bonus', 'equity_value', 'vesting_years', 'currency',
+  'benefits_notes', 'start_date', 'decision_deadline', 'decision'
+];
+
+// Get offers, oldest first; all of them, or one application's
+function getOffers(applicationId) {
+  try {
+    if (!db) initializeDatabase();
+
+    const where = applicationId === undefined ? '' : 'WHERE o.application_id = ?';
+    const stmt = db.prepare(`
+      SELECT ${OFFER_COLUMNS}
+      FROM offers o
+      JOIN applications a ON a.id = o.application_id
+      ${where}
+      ORDER BY o.created_at, o.id
+    `);
+    return stmt.all(...(applicationId === undefined ? [] : [applicationId]));
+  } catch (error) {
+    console.error('Error fetching offers:', error);
+    throw error;
+  }
+}
+
+// Get one offer, scoped to its application
+function getOfferById(applicationId, offerId) {
+  try {
+    if (!db) initializeDatabase();
+
+    const stmt = db.prepare(`
+      SELECT ${OFFER_COLUMNS}
+      FROM offers o
+      JOIN applications a ON a.id = o.application_id
+      WHERE o.id = ? AND o.application_id = ?
+    `);
+    return stmt.get(offerId, applicationId);
+  } catch (error) {
+    console.error('Error fetching offer:', error);
+    throw error;
+  }
+}
+
+// Record an offer for an application
+function createOffer(applicationId, offerData) {
+  try {
+    if (!db) initializeDatabase();
+
+    const now = new Date().toISOString();
+    const stmt = db.prepare(`
+      INSERT INTO offers
+        (application_id, base_salary, bonus, equity_value, vesting_years, currency,
+         benefits_notes, start_date, decision_deadline, decision, created_at, updated_at)
+      VALUES
+        (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const result = stmt.run(
+      applicationId,
+      offerData.base_salary,
+      offerData.bonus || 0,
+      offerData.equity_value || 0,
+      offerData.vesting_years || 4,
+      offerData.currency || 'USD',
+      offerData.benefits_notes || null,
+      offerData.start_date || null,
+      offerData.decision_deadline || null,
+      offerData.decision || 'pending',
+      now,
+      now
+    );
+    return getOfferById(applicationId, result.lastInsertRowid);
+  } catch (error) {
+    console.error('Error creating offer:', error);
+    throw error;
+  }
+}
+
+// Update an offer; undefined fields keep their value, null clears them.
+// Moving the deadline clears deadline_warned_at (and any claim on it) so the
+// new one gets a warning.
+function updateOffer(applicationId, offerId, offerData) {
+  try {
+    if (!db) initializeDatabase();
+
+    const existing = getOfferById(applicationId, offerId);
+    if (!existing) {
+      return null;
+    }
+
+    const merged = { ...existing };
+    OFFER_FIELDS.forEach(field => {
+      if (offerData[field] !== undefined) merged[field] = offerData[field];
+    });
+    const deadlineMoved = merged.decision_deadline !== existing.decision_deadline;
+
+    db.prepare(`
+      UPDATE offers
+      SET base_salary = ?, bonus = ?, equity_value = ?, vesting_years = ?, currency = ?,
+          benefits_notes = ?, start_date = ?, decision_deadline = ?, decision = ?,
+          deadline_warned_at = ?, updated_at = ?,
+          deadline_claimed_until = CASE WHEN ? THEN NULL ELSE deadline_claimed_until END
+      WHERE id = ? AND application_id = ?
+    `).run(
+      merged.base_salary, merged.bonus || 0, merged.equity_value || 0, merged.vesting_years || 4, merged.currency,
+      merged.benefits_notes, merged.start_date, merged.decision_deadline, merged.decision,
+      deadlineMoved ? null : existing.deadline_warned_at, new Date().toISOString(), deadlineMoved ? 1 : 0,
+      offerId, applicationId
+    );
+
+    return getOfferById(applicationId, offerId);
+  } catch (error) {
+    console.error('Error updating offer:', error);
+    throw error;
+  }
+}
+
+// Delete an offer
+function deleteOffer(applicationId, offerId) {
+  try {
+    if (!db) initializeDatabase();
+
+    const stmt = db.prepare('DELETE FROM offers WHERE id = ? AND application_id = ?');
+    return stmt.run(offerId, applicationId).changes > 0;
+  } catch (error) {
+    console.error('Error deleting offer:', error);
+    throw error;
+  }
+}
+
+// Get pending offers whose deadline falls in [from, to) and that have not been warned about yet
+function getOffersWithDeadlineBetween(from, to) {
+  try {
+    if (!db) initializeDatabase();
+
+    const stmt = db.prepare(`
+      SELECT ${OFFER_COLUMNS}
+      FROM offers o
+      JOIN applications a ON a.id = o.application_id
+      WHERE o.decision = 'pending'
+        AND o.deadline_warned_at IS NULL
+        AND (o.deadline_claimed_until IS NULL OR o.deadline_claimed_until <= ?)
+        AND o.decision_deadline >= ? AND o.decision_deadline < ?
+      ORDER BY o.decision_deadline, o.id
+    `);
+    return stmt.all(from, from, to);
+  } catch (error) {
+    console.error('Error fetching offers by deadline:', error);
+    throw error;
+  }
+}
+
+// Claim offers whose deadline warning is being sent, until claimedUntil
+function claimOfferDeadlines(ids, claimedUntil) {
+  try {
+    if (!db) initializeDatabase();
+
+    const stmt = db.prepare('UPDATE offers SET deadline_claimed_until = ? WHERE id = ?');
+    ids.forEach(id => stmt.run(claimedUntil, id));
+  } catch (error) {
+    console.error('Error claiming offer deadlines:', error);
+    throw error;
+  }
+}
+
+// Release claimed offers so the next check warns about them again
+function releaseOfferDeadlines(ids) {
+  try {
+    if (!db) initializeDatabase();
+
+    const stmt = db.prepare('UPDATE offers SET deadline_claimed_until = NULL WHERE id = ?');
+    ids.forEach(id => stmt.run(id));
+  } catch (error) {
+    console.error('Error releasing offer deadlines:', error);
+    throw error;
+  }
+}
+
+// Mark claimed offers as warned about their deadline; offers whose deadline
+// moved since the claim lost it and are warned about the new date instead
+function markOfferDeadlinesWarned(ids, warnedAt = new Date().toISOString()) {
+  try {
+    if (!db) initializeDatabase();
+
+    const stmt = db.prepare(`
+      UPDATE offers SET deadline_warned_at = ?, deadline_claimed_until = NULL
+      WHERE id = ? AND deadline_claimed_until IS NOT NULL
+    `);
+    ids.forEach(id => stmt.run(warnedAt, id));
+  } catch (error) {
+    console.error('Error marking offer deadlines warned:', error);
+    throw error;
+  }
+}
+
+// Resume metadata columns; the PDF itself is only read by getResumeFile
+const RESUME_COLUMNS = `
+  r.id, r.version, r.label, r.notes, r.filename, r.content_type, r.size_bytes,
+  r.file IS NOT NULL AS has_file, r.created_at, r.archived_at,
+  (SELECT COUNT(*) FROM applications a WHERE a.resume_version = r.version) AS application_count
+`;
+
+// Turn SQLite's 0/1 into a boolean for API responses
+function parseResumeRow(row) {
+  return row && { ...row, has_file: Boolean(row.has_file) };
+}
+
+// List resume versions, newest first; archived ones only when asked for
+function getResumes({ includeArchived = false } = {}) {
+  try {
+    if (!db) initializeDatabase();
+
+    const stmt = db.prepare(`
+      SELECT ${RESUME_COLUMNS}
+      FROM resumes r
+      ${includeArchived ? '' : 'WHERE r.archived_at IS NULL'}
+      ORDER BY r.created_at DESC, r.id DESC
+    `);
+    return stmt.all().map(parseResumeRow);
+  } catch (error) {
+    console.error('Error fetching resumes:', error);
+    throw error;
+  }
+}
+
+// Get resume metadata by ID
+function getResumeById(id) {
+  try {
+    if (!db) initializeDatabase();
+
+    const stmt = db.prepare(`SELECT ${RESUME_COLUMNS} FROM resumes r WHERE r.id = ?`);
+    return parseResumeRow(stmt.get(id));
+  } catch (error) {
+    console.error('Error fetching resume:', error);
+    throw error;
+  }
+}
+
+// Get resume metadata by version string
+function getResumeByVersion(version) {
+  try {
+    if (!db) initializeDatabase();
+
+    const stmt = db.prepare(`SELECT ${RESUME_COLUMNS} FROM resumes r WHERE r.version = ?`);
+    return parseResumeRow(stmt.get(version));
+  } catch (error) {
+    console.error('Error fetching resume by version:', error);
+    throw error;
+  }
+}
+
+// Get the stored PDF of a resume: { filename, content_type, file }
+function getResumeFile(id) {
+  try {
+    if (!db) initializeDatabase();
+
+    const stmt = db.prepare('SELECT filename, content_type, file FROM resumes WHERE id = ? AND file IS NOT NULL');
+    return stmt.get(id);
+  } catch (error) {
+    console.error('Error fetching resume file:', error);
+    throw error;
+  }
+}
+
+// Add a resume version, with or without its file
+function createResume(resumeData) {
+  try {
+    if (!db) initializeDatabase();
+
+    const stmt = db.prepare(`
+      INSERT INTO resumes (version, label, notes, filename, content_type, size_bytes, file, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const result = stmt.run(
+      resumeData.version,
+      resumeData.label || null,
+      resumeData.notes || null,
+      resumeData.filename || null,
+      resumeData.content_type || null,
+      resumeData.file ? resumeData.file.length : null,
+      resumeData.file || null,
+      new Date().toISOString()
+    );
+    return getResumeById(result.lastInsertRowid);
+  } catch (error) {
+    console.error('Error creating resume:', error);
+    throw error;
+  }
+}
+
+// Store the file of a resume version that was created without one
+function attachResumeFile(id, { filename, content_type, file }) {
+  try {
+    if (!db) initializeDatabase();
+
+    db.prepare(`
+      UPDATE resumes
+      SET filename = ?, content_type = ?, size_bytes = ?, file = ?
+      WHERE id = ?
+    `).run(filename, content_type, file.length, file, id);
+    return getResumeById(id);
+  } catch (error) {
+    console.error('Error attaching resume file:', error);
+    throw error;
+  }
+}
+
+// Update resume label/notes; undefined fields keep their value, null clears them
+function updateResume(id, resumeData) {
+  try {
+    if (!db) initializeDatabase();
+
+    const existing = getResumeById(id);
+    if (!existing) {
+      return null;
+    }
+
+    const merged = { ...existing };
+    ['label', 'notes'].forEach(field => {
+      if (resumeData[field] !== undefined) merged[field] = resumeData[field];
+    });
+
+    db.prepare('UPDATE resumes SET label = ?, notes = ? WHERE id = ?').run(merged.label, merged.notes, id);
+    return getResumeById(id);
+  } catch (error) {
+    console.error('Error updating resume:', error);
+    throw error;
+  }
+}
+
+// Archive or restore a resume version
+function setResumeArchived(id, archived) {
+  try {
+    if (!db) initializeDatabase();
+
+    db.prepare('UPDATE resumes SET archived_at = ? WHERE id = ?')
+      .run(archived ? new Date().toISOString() : null, id);
+    return getResumeById(id);
+  } catch (error) {
+    console.error('Error archiving resume:', error);
+    throw error;
+  }
+}
+
+// Reminder columns with the application they are about
+const FOLLOW_UP_COLUMNS = `
+  r.id, r.application_id, a.company, a.role, r.status, r.stale_since, r.created_at,
+  r.snoozed_until, r.dismissed_at, r.resolved_at, r.notified_at
+`;
+
+// WHERE clause per reminder state; each takes the current time as its parameters
+const FOLLOW_UP_STATES = {
+  due: { where: 'r.dismissed_at IS NULL AND r.resolved_at IS NULL AND (r.snoozed_until IS NULL OR r.snoozed_until <= ?)', nowParams: 1 },
+  snoozed: { where: 'r.dismissed_at IS NULL AND r.resolved_at IS NULL AND r.snoozed_until > ?', nowParams: 1 },
+  open: { where: 'r.dismissed_at IS NULL AND r.resolved_at IS NULL', nowParams: 0 },
+  dismissed: { where: 'r.dismissed_at IS NOT NULL', nowParams: 0 },
+  resolved: { where: 'r.resolved_at IS NOT NULL', nowParams: 0 },
+  all: { where: '1 = 1', nowParams: 0 }
+};
+
+// Get applications waiting in a status longer than its threshold
+// cutoffs: { status: ISO date the wait must have started by }; the wait
+// starts at the last status change
+function getStaleApplications(cutoffs) {
+  try {
+    if (!db) initializeDatabase();
+
+    const statuses = Object.keys(cutoffs);
+    if (statuses.length === 0) return [];
+
+    const stmt = db.prepare(`
+      SELECT * FROM (
+        SELECT
+          a.id,
+          a.company,
+          a.role,
+          a.status,
+          COALESCE(
+            (SELECT MAX(h.changed_at) FROM status_history h WHERE h.application_id = a.id),
+            a.applied_at
+          ) AS stale_since
+        FROM applications a
+        WHERE a.status IN (${statuses.map(() => '?').join(', ')})
+      )
+      WHERE ${statuses.map(() => '(status = ? AND stale_since <= ?)').join(' OR ')}
+      ORDER BY stale_since
+    `);
+    return stmt.all(...statuses, ...statuses.flatMap(status => [status, cutoffs[status]]));
+  } catch (error) {
+    console.error('Error fetching stale applications:', error);
+    throw error;
+  }
+}
+
+// Record a reminder for one wait; returns true if it is new
+function createFollowUpReminder({ application_id, status, stale_since }) {
+  try {
+    if (!db) initializeDatabase();
+
+    const result = db.prepare(`
+      INSERT OR IGNORE INTO follow_up_reminders (application_id, status, stale_since, created_at)
+      VALUES (?, ?, ?, ?)
+    `).run(application_id, status, stale_since, new Date().toISOString());
+    return result.changes > 0;
+  } catch (error) {
+    console.error('Error creating follow-up reminder:', error);
+    throw error;
+  }
+}
+
+// List reminders in a state (due, snoozed, open, dismissed, resolved or all), oldest wait first
+function getFollowUpReminders(state = 'due', now = new Date().toISOString()) {
+  try {
+    if (!db) initializeDatabase();
+
+    const { where, nowParams } = FOLLOW_UP_STATES[state] || FOLLOW_UP_STATES.due;
+    const stmt = db.prepare(`
+      SELECT ${FOLLOW_UP_COLUMNS}
+      FROM follow_up_reminders r
+      JOIN applications a ON a.id = r.application_id
+      WHERE ${where}
+      ORDER BY r.stale_since, r.id
+    `);
+    return stmt.all(...Array(nowParams).fill(now));
+  } catch (error) {
+    console.error('Error fetching follow-up reminders:', error);
+    throw error;
+  }
+}
+
+// Get one reminder by ID
+function getFollowUpReminderById(id) {
+  try {
+    if (!db) initializeDatabase();
+
+    const stmt = db.prepare(`
+      SELECT ${FOLLOW_UP_COLUMNS}
+      FROM follow_up_reminders r
+      JOIN applications a ON a.id = r.application_id
+      WHERE r.id = ?
+    `);
+    return stmt.get(id);
+  } catch (error) {
+    console.error('Error fetching follow-up reminder:', error);
+    throw error;
+  }
+}
+
+// Get due reminders not yet sent in a digest (or whose snooze ended since)
+// Reminders claimed by a digest still being sent are left out
+function getFollowUpsToNotify(now = new Date().toISOString()) {
+  try {
+    if (!db) initializeDatabase();
+
+    const stmt = db.prepare(`
+      SELECT ${FOLLOW_UP_COLUMNS}
+      FROM follow_up_reminders r
+      JOIN applications a ON a.id = r.application_id
+      WHERE ${FOLLOW_UP_STATES.due.where}
+        AND (r.notified_at IS NULL OR r.notified_at < r.snoozed_until)
+        AND (r.notify_claimed_until IS NULL OR r.notify_claimed_until <= ?)
+      ORDER BY r.stale_since, r.id
+    `);
+    return stmt.all(now, now);
+  } catch (error) {
+    console.error('Error fetching follow-up reminders to notify:', error);
+    throw error;
+  }
+}
+
+// Claim reminders for a digest being sent, until claimedUntil
+function claimFollowUpsToNotify(ids, claimedUntil) {
+  try {
+    if (!db) initializeDatabase();
+
+    const stmt = db.prepare('UPDATE follow_up_reminders SET notify_claimed_until = ? WHERE id = ?');
+    ids.forEach(id => stmt.run(claimedUntil, id));
+  } catch (error) {
+    console.error('Error claiming follow-up reminders:', error);
+    throw error;
+  }
+}
+
+// Release claimed reminders so the next check sends them again
+function releaseFollowUpsToNotify(ids) {
+  try {
+    if (!db) initializeDatabase();
+
+    const stmt = db.prepare('UPDATE follow_up_reminders SET notify_claimed_until = NULL WHERE id = ?');
+    ids.forEach(id => stmt.run(id));
+  } catch (error) {
+    console.error('Error releasing follow-up reminders:', error);
+    throw error;
+  }
+}
+
+// Mark reminders as included in a sent digest
+function markFollowUpsNotified(ids, notifiedAt = new Date().toISOString()) {
+  try {
+    if (!db) initializeDatabase();
+
+    const stmt = db.prepare('UPDATE follow_up_reminders SET notified_at = ?, notify_claimed_until = NULL WHERE id = ?');
+    ids.forEach(id => stmt.run(notifiedAt, id));
+  } catch (error) {
+    console.error('Error marking follow-up reminders notified:', error);
+    throw error;
+  }
+}
+
+// Snooze a reminder until a date
+function snoozeFollowUpReminder(id, until) {
+  try {
+    if (!db) initializeDatabase();
+
+    db.prepare('UPDATE follow_up_reminders SET snoozed_until = ? WHERE id = ?').run(until, id);
+    return getFollowUpReminderById(id);
+  } catch (error) {
+    console.error('Error snoozing follow-up reminder:', error);
+    throw error;
+  }
+}
+
+// Dismiss a reminder; the application gets no new one until its status changes
+function dismissFollowUpReminder(id) {
+  try {
+    if (!db) initializeDatabase();
+
+    db.prepare('UPDATE follow_up_reminders SET dismissed_at = ? WHERE id = ? AND dismissed_at IS NULL')
+      .run(new Date().toISOString(), id);
+    return getFollowUpReminderById(id);
+  } catch (error) {
+    console.error('Error dismissing follow-up reminder:', error);
+    throw error;
+  }
+}
+
+// Resolve an application's open reminders (its status changed); returns how many
+function resolveFollowUpReminders(applicationId) {
+  try {
+    if (!db) initializeDatabase();
+
+    const result = db.prepare(`
+      UPDATE follow_up_reminders SET resolved_at = ?
+      WHERE application_id = ? AND dismissed_at IS NULL AND resolved_at IS NULL
+    `).run(new Date().toISOString(), applicationId);
+    return result.changes;
+  } catch (error) {
+    console.error('Error resolving follow-up reminders:', error);
+    throw error;
+  }
+}
+
+// Get applications in the given statuses with the time of their last status
+// change (applied_at if none was recorded) and their next pending interview
+// after now, if any; longest unchanged first
+function getApplicationsLastChanged(statuses, now = new Date().toISOString()) {
+  try {
+    if (!db) initializeDatabase();
+
+    if (statuses.length === 0) return [];
+
+    const stmt = db.prepare(`
+      SELECT
+        a.id,
+        a.company,
+        a.role,
+        a.status,
+        a.source,
+        COALESCE(
+          (SELECT MAX(h.changed_at) FROM status_history h WHERE h.application_id = a.id),
+          a.applied_at
+        ) AS last_changed_at,
+        (
+          SELECT MIN(i.starts_at) FROM interviews i
+          WHERE i.application_id = a.id AND i.outcome = 'pending' AND i.starts_at > ?
+        ) AS next_interview_at
+      FROM applications a
+      WHERE a.status IN (${statuses.map(() => '?').join(', ')})
+      ORDER BY last_changed_at
+    `);
+    return stmt.all(now, ...statuses);
+  } catch (error) {
+    console.error('Error fetching applications by last status change:', error);
+    throw error;
+  }
+}
+
+// Build WHERE clauses limiting a date column to a [from, to) window of ISO strings
+function windowClauses(column, window = {}) {
+  const clauses = [];
+  const params = [];
+  if (window.from) {
+    clauses.push(`${column} >= ?`);
+    params.push(window.from);
+  }
+  if (window.to) {
+    clauses.push(`${column} < ?`);
+    params.push(window.to);
+  }
+  return { clauses, params };
+}
+
+// Count applications per status, grouped by source or resume_version
+// Optional window ({ from, to }) limits applications by applied_at
+function countApplicationsByStatus(groupColumn, window = {}) {
+  try {
+    if (!db) initializeDatabase();
+
+    // Column names cannot be bound as parameters, so only allow known ones
+    if (!['source', 'resume_version'].includes(groupColumn)) {
+      throw new Error(`Cannot group applications by ${groupColumn}`);
+    }
+
+    const { clauses, params } = windowClauses('applied_at', window);
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    const stmt = db.prepare(`
+      SELECT
+        ${groupColumn} AS group_key,
+        status,
+        COUNT(*) as count
+      FROM applications
+      ${where}
+      GROUP BY ${groupColumn}, status
+      ORDER BY ${groupColumn}, status
+    `);
+    return stmt.all(...params);
+  } catch (error) {
+    console.error('Error counting applications by status:', error);
+    throw error;
+  }
+}
+
+// Count applications that ever reached each group of statuses, either as their
+// current status or through a recorded transition; returns one count per group
+function countApplicationsReaching(statusGroups, window = {}) {
+  try {
+    if (!db) initializeDatabase();
+
+    const columns = statusGroups.map((statuses, index) => {
+      const placeholders = statuses.map(() => '?').join(', ');
+      return `SUM(CASE WHEN a.status IN (${placeholders}) OR EXISTS (
+          SELECT 1 FROM status_history h
+          WHERE h.application_id = a.id AND h.new_status IN (${placeholders})
+        ) THEN 1 ELSE 0 END) AS reached_${index}`;
+    });
+    const { clauses, params } = windowClauses('a.applied_at', window);
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    const stmt = db.prepare(`SELECT ${columns.join(', ')} FROM applications a ${where}`);
+    const row = stmt.get(...statusGroups.flatMap(statuses => [...statuses, ...statuses]), ...params);
+
+    return statusGroups.map((_, index) => row[`reached_${index}`] || 0);
+  } catch (error) {
+    console.error('Error counting applications reaching statuses:', error);
+    throw error;
+  }
+}
+
+// Get the first recorded transition into each of the given statuses, per application
+// Optional window ({ from, to }) limits applications by applied_at
+function getFirstTransitions(statuses, window = {}) {
+  try {
+    if (!db) initializeDatabase();
+
+    // Creation entries (old_status IS NULL) are not responses and are skipped
+    const placeholders = statuses.map(() => '?').join(', ');
+    const { clauses, params } = windowClauses('a.applied_at', window);
+    const stmt = db.prepare(`
+      SELECT
+        a.id,
+        a.company,
+        a.role,
+        a.applied_at,
+        h.new_status AS status,
+        MIN(h.changed_at) AS responded_at,
+        (julianday(MIN(h.changed_at)) - julianday(a.applied_at)) AS days_to_response
+      FROM status_history h
+      JOIN applications a ON a.id = h.application_id
+      WHERE h.old_status IS NOT NULL
+        AND h.new_status IN (${placeholders})
+        ${clauses.map(clause => `AND ${clause}`).join(' ')}
+      GROUP BY a.id, h.new_status
+      ORDER BY a.applied_at
+    `);
+    return stmt.all(...statuses, ...params);
+  } catch (error) {
+    console.error('Error fetching first transitions:', error);
+    throw error;
+  }
+}
+
+// Get every status transition together with its application's applied_at
+// Optional window ({ from, to }) limits applications by applied_at
+function getAllStatusHistory(window = {}) {
+  try {
+    if (!db) initializeDatabase();
+
+    const { clauses, params } = windowClauses('a.applied_at', window);
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    const stmt = db.prepare(`
+      SELECT
+        h.application_id,
+        h.old_status,
+        h.new_status,
+        h.changed_at,
+        a.applied_at
+      FROM status_history h
+      JOIN applications a ON a.id = h.application_id
+      ${where}
+      ORDER BY h.application_id, h.changed_at, h.id
+    `);
+    return stmt.all(...params);
+  } catch (error) {
+    console.error('Error fetching status history:', error);
+    throw error;
+  }
+}
+
+// Get applied dates and current statuses, oldest first, for trend series
+function getApplicationDates(window = {}) {
+  try {
+    if (!db) initializeDatabase();
+
+    const { clauses, params } = windowClauses('applied_at', window);
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    const stmt = db.prepare(`
+      SELECT id, applied_at, status
+      FROM applications
+      ${where}
+      ORDER BY applied_at
+    `);
+    return stmt.all(...params);
+  } catch (error) {
+    console.error('Error fetching application dates:', error);
+    throw error;
+  }
+}
+
+// Get the first transition into each of the given statuses, per application,
+// limited to transitions that happened inside the window ({ from, to })
+function getTransitionsBetween(statuses, window = {}) {
+  try {
+    if (!db) initializeDatabase();
+
+    const placeholders = statuses.map(() => '?').join(', ');
+    const { clauses, params } = windowClauses('MIN(h.changed_at)', window);
+    const having = clauses.length > 0 ? `HAVING ${clauses.join(' AND ')}` : '';
+    const stmt = db.prepare(`
+      SELECT
+        h.application_id,
+        h.new_status AS status,
+        MIN(h.changed_at) AS changed_at
+      FROM status_history h
+      WHERE h.old_status IS NOT NULL
+        AND h.new_status IN (${placeholders})
+      GROUP BY h.application_id, h.new_status
+      ${having}
+      ORDER BY changed_at
+    `);
+    return stmt.all(...statuses, ...params);
+  } catch (error) {
+    console.error('Error fetching transitions:', error);
+    throw error;
+  }
+}
+
+// Get every non-empty job description, the corpus for match score term weights
+function getJobDescriptions() {
+  try {
+    if (!db) initializeDatabase();
+
+    const stmt = db.prepare(`
+      SELECT id, job_description
+      FROM applications
+      WHERE job_description IS NOT NULL AND job_description <> ''
+    `);
+    return stmt.all();
+  } catch (error) {
+    console.error('Error fetching job descriptions:', error);
+    throw error;
+  }
+}
+
+// Get applications that can be scored against their resume (job description
+// and resume version set), with whether each reached Interview or Offer
+// Optional window ({ from, to }) limits applications by applied_at
+function getMatchCandidates(window = {}) {
+  try {
+    if (!db) initializeDatabase();
+
+    const { clauses, params } = windowClauses('a.applied_at', window);
+    const stmt = db.prepare(`
+      SELECT
+        a.id,
+        a.status,
+        a.resume_version,
+        a.job_description,
+        CASE WHEN a.status IN ('Interview', 'Offer') OR EXISTS (
+          SELECT 1 FROM status_history h
+          WHERE h.application_id = a.id AND h.new_status IN ('Interview', 'Offer')
+        ) THEN 1 ELSE 0 END AS reached_interview
+      FROM applications a
+      WHERE a.job_description IS NOT NULL AND a.job_description <> ''
+        AND a.resume_version IS NOT NULL
+        ${clauses.map(clause => `AND ${clause}`).join(' ')}
+      ORDER BY a.applied_at
+    `);
+    return stmt.all(...params).map(row => ({ ...row, reached_interview: Boolean(row.reached_interview) }));
+  } catch (error) {
+    console.error('Error fetching match candidates:', error);
+    throw error;
+  }
+}
+
+// Record the start of a workflow run; returns the run id
+function startWorkflowRun(workflow, trigger, scheduledFor) {
+  try {
+    if (!db) initializeDatabase();
+
+    const stmt = db.prepare(`
+      INSERT INTO workflow_runs (workflow, trigger, scheduled_for, started_at, status)
+      VALUES (?, ?, ?, ?, 'running')
+    `);
+    return stmt.run(workflow, trigger, scheduledFor || null, new Date().toISOString()).lastInsertRowid;
+  } catch (error) {
+    console.error('Error recording workflow run:', error);
+    throw error;
+  }
+}
+
+// Mark a workflow run as succeeded or failed
+function finishWorkflowRun(id, status, result, errorMessage) {
+  try {
+    if (!db) initializeDatabase();
+
+    const stmt = db.prepare(`
+      UPDATE workflow_runs
+      SET status = ?, finished_at = ?, result = ?, error = ?
+      WHERE id = ?
+    `);
+    stmt.run(status, new Date().toISOString(), result ? JSON.stringify(result) : null, errorMessage || null, id);
+  } catch (error) {
+    console.error('Error finishing workflow run:', error);
+    throw error;
+  }
+}
+
+// Get recent runs of a workflow, newest first
+function getWorkflowRuns(workflow, limit = 20) {
+  try {
+    if (!db) initializeDatabase();
+
+    const stmt = db.prepare(`
+      SELECT * FROM workflow_runs
+      WHERE workflow = ?
+      ORDER BY started_at DESC, id DESC
+      LIMIT ?
+    `);
+    return stmt.all(workflow, limit).map(run => ({
+      ...run,
+      result: run.result ? JSON.parse(run.result) : null
+    }));
+  } catch (error) {
+    console.error('Error fetching workflow runs:', error);
+    throw error;
+  }
+}
+
+// Record when the scheduler first saw a job; returns that time for known jobs
+function registerScheduledJob(name, registeredAt = new Date().toISOString()) {
+  try {
+    if (!db) initializeDatabase();
+
+    db.prepare('INSERT OR IGNORE INTO scheduled_jobs (name, registered_at) VALUES (?, ?)').run(name, registeredAt);
+    return db.prepare('SELECT registered_at FROM scheduled_jobs WHERE name = ?').get(name).registered_at;
+  } catch (error) {
+    console.error('Error registering scheduled job:', error);
+    throw error;
+  }
+}
+
+// Get the most recent run that covered a scheduled slot
+function getLastScheduledRun(workflow) {
+  try {
+    if (!db) initializeDatabase();
+
+    const stmt = db.prepare(`
+      SELECT * FROM workflow_runs
+      WHERE workflow = ? AND scheduled_for IS NOT NULL
+      ORDER BY scheduled_for DESC
+      LIMIT 1
+    `);
+    return stmt.get(workflow);
+  } catch (error) {
+    console.error('Error fetching last scheduled run:', error);
+    throw error;
+  }
+}
+
+// Parse the JSON payload column of outbox and dead-letter rows
+function parseEventRow(row) {
+  return row ? { ...row, payload: JSON.parse(row.payload) } : row;
+}
+
+// Add an event to the outbox; call inside runInTransaction with the data change it describes
+function enqueueEvent(eventName, payload, correlationId) {
+  try {
+    if (!db) initializeDatabase();
+
+    const now = new Date().toISOString();
+    const stmt = db.prepare(`
+      INSERT INTO event_outbox (event_name, payload, status, attempts, next_attempt_at, created_at, correlation_id)
+      VALUES (?, ?, 'pending', 0, ?, ?, ?)
+    `);
+    return stmt.run(eventName, JSON.stringify(payload ?? null), now, now, correlationId || null).lastInsertRowid;
+  } catch (error) {
+    console.error('Error enqueuing event:', error);
+    throw error;
+  }
+}
+
+// Get pending outbox events whose next attempt is due, oldest first
+function getDueEvents(limit = 50, now = new Date()) {
+  try {
+    if (!db) initializeDatabase();
+
+    const stmt = db.prepare(`
+      SELECT * FROM event_outbox
+      WHERE status = 'pending' AND next_attempt_at <= ?
+      ORDER BY id
+      LIMIT ?
+    `);
+    return stmt.all(now.toISOString(), limit).map(row => ({
+      ...parseEventRow(row),
+      completed_handlers: JSON.parse(row.completed_handlers)
+    }));
+  } catch (error) {
+    console.error('Error fetching due events:', error);
+    throw error;
+  }
+}
+
+// Get the earliest next attempt time of any pending event
+function getNextEventAttemptAt() {
+  try {
+    if (!db) initializeDatabase();
+
+    const row = db.prepare(`
+      SELECT MIN(next_attempt_at) AS next_attempt_at FROM event_outbox WHERE status = 'pending'
+    `).get();
+    return row.next_attempt_at;
+  } catch (error) {
+    console.error('Error fetching next event attempt:', error);
+    throw error;
+  }
+}
+
+// Mark an outbox event as delivered
+function markEventDelivered(id) {
+  try {
+    if (!db) initializeDatabase();
+
+    const stmt = db.prepare(`
+      UPDATE event_outbox
+      SET status = 'delivered', attempts = attempts + 1, last_error = NULL, delivered_at = ?
+      WHERE id = ?
+    `);
+    stmt.run(new Date().toISOString(), id);
+  } catch (error) {
+    console.error('Error marking event delivered:', error);
+    throw error;
+  }
+}
+
+// Record a failed delivery and schedule the next attempt
+// completedHandlers lists the handlers that have received the event so far
+function markEventFailed(id, errorMessage, nextAttemptAt, completedHandlers = []) {
+  try {
+    if (!db) initializeDatabase();
+
+    const stmt = db.prepare(`
+      UPDATE event_outbox
+      SET attempts = attempts + 1, last_error = ?, next_attempt_at = ?, completed_handlers = ?
+      WHERE id = ?
+    `);
+    stmt.run(errorMessage || null, nextAttemptAt.toISOString(), JSON.stringify(completedHandlers), id);
+  } catch (error) {
+    console.error('Error marking event failed:', error);
+    throw error;
+  }
+}
+
+// Record the final failed attempt and copy the event to dead_letters
+function moveEventToDeadLetter(id, errorMessage, completedHandlers = []) {
+  try {
+    if (!db) initializeDatabase();
+
+    const move = db.transaction(() => {
+      db.prepare(`
+        UPDATE event_outbox
+        SET status = 'dead', attempts = attempts + 1, last_error = ?, completed_handlers = ?
+        WHERE id = ?
+      `).run(errorMessage || null, JSON.stringify(completedHandlers), id);
+
+      const result = db.prepare(`
+        INSERT INTO dead_letters (event_id, event_name, payload, attempts, last_error, created_at, failed_at)
+        SELECT id, event_name, payload, attempts, last_error, created_at, ?
+        FROM event_outbox WHERE id = ?
+      `).run(new Date().toISOString(), id);
+      return result.lastInsertRowid;
+    });
+
+    return move();
+  } catch (error) {
+    console.error('Error dead-lettering event:', error);
+    throw error;
+  }
+}
+
+// Count outbox events by status
+function countEventsByStatus() {
+  try {
+    if (!db) initializeDatabase();
+
+    const rows = db.prepare('SELECT status, COUNT(*) AS count FROM event_outbox GROUP BY status').all();
+    return Object.fromEntries(rows.map(row => [row.status, row.count]));
+  } catch (error) {
+    console.error('Error counting outbox events:', error);
+    throw error;
+  }
+}
+
+// Get dead-lettered events, most recent failure first
+function getDeadLetters(limit = 50) {
+  try {
+    if (!db) initializeDatabase();
+
+    const stmt = db.prepare('SELECT * FROM dead_letters ORDER BY failed_at DESC, id DESC LIMIT ?');
+    return stmt.all(limit).map(parseEventRow);
+  } catch (error) {
+    console.error('Error fetching dead letters:', error);
+    throw error;
+  }
+}
+
+// Get a dead-lettered event by ID
+function getDeadLetterById(id) {
+  try {
+    if (!db) initializeDatabase();
+
+    return parseEventRow(db.prepare('SELECT * FROM dead_letters WHERE id = ?').get(id));
+  } catch (error) {
+    console.error('Error fetching dead letter:', error);
+    throw error;
+  }
+}
+
+// Put a dead-lettered event back in the outbox with a fresh attempt count
+// Handlers that already received it are still skipped
+function retryDeadLetter(id) {
+  try {
+    if (!db) initializeDatabase();
+
+    const retry = db.transaction(() => {
+      const deadLetter = db.prepare('SELECT * FROM dead_letters WHERE id = ?').get(id);
+      if (!deadLetter) return null;
+
+      db.prepare(`
+        UPDATE event_outbox
+        SET status = 'pending', attempts = 0, last_error = NULL, next_attempt_at = ?
+        WHERE id = ?
+      `).run(new Date().toISOString(), deadLetter.event_id);
+      db.prepare('DELETE FROM dead_letters WHERE id = ?').run(id);
+      return deadLetter.event_id;
+    });
+
+    return retry();
+  } catch (error) {
+    console.error('Error retrying dead letter:', error);
+    throw error;
+  }
+}
+
+// Drop a dead-lettered event; its outbox row is kept as 'discarded'
+function discardDeadLetter(id) {
+  try {
+    if (!db) initializeDatabase();
+
+    const discard = db.transaction(() => {
+      const deadLetter = db.prepare('SELECT * FROM dead_letters WHERE id = ?').get(id);
+      if (!deadLetter) return false;
+
+      db.prepare("UPDATE event_outbox SET status = 'discarded' WHERE id = ?").run(deadLetter.event_id);
+      db.prepare('DELETE FROM dead_letters WHERE id = ?').run(id);
+      return true;
+    });
+
+    return discard();
+  } catch (error) {
+    console.error('Error discarding dead letter:', error);
+    throw error;
+  }
+}
+
+// Append an emitted event to the event log and return its ID
+// Redelivering an outbox event returns the entry logged on its first attempt
+function appendEventLog({ eventName, payload, correlationId, outboxEventId }) {
+  try {
+    if (!db) initializeDatabase();
+
+    if (outboxEventId) {
+      const existing = db.prepare('SELECT id FROM event_log WHERE outbox_event_id = ?').get(outboxEventId);
+      if (existing) return existing.id;
+    }
+
+    const stmt = db.prepare(`
+      INSERT INTO event_log (event_name, payload, correlation_id, emitted_at, outbox_event_id)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    return stmt.run(
+      eventName,
+      JSON.stringify(payload ?? null),
+      correlationId,
+      new Date().toISOString(),
+      outboxEventId || null
+    ).lastInsertRowid;
+  } catch (error) {
+    console.error('Error appending to event log:', error);
+    throw error;
+  }
+}
+
+// Query the event log in emission order
+// filters: { names, from, to, correlationId, fromId, toId, afterId }
+function queryEventLog(filters = {}, limit = 100) {
+  try {
+    if (!db) initializeDatabase();
+
+    const clauses = [];
+    const params = [];
+
+    if (filters.names && filters.names.length > 0) {
+      clauses.push(`event_name IN (${filters.names.map(() => '?').join(', ')})`);
+      params.push(...filters.names);
+    }
+    if (filters.from) {
+      clauses.push('emitted_at >= ?');
+      params.push(filters.from);
+    }
+    if (filters.to) {
+      clauses.push('emitted_at <= ?');
+      params.push(filters.to);
+    }
+    if (filters.correlationId) {
+      clauses.push('correlation_id = ?');
+      params.push(filters.correlationId);
+    }
+    if (filters.fromId) {
+      clauses.push('id >= ?');
+      params.push(filters.fromId);
+    }
+    if (filters.toId) {
+      clauses.push('id <= ?');
+      params.push(filters.toId);
+    }
+    if (filters.afterId) {
+      clauses.push('id > ?');
+      params.push(filters.afterId);
+    }
+
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    const stmt = db.prepare(`SELECT * FROM event_log ${where} ORDER BY id LIMIT ?`);
+    return stmt.all(...params, limit).map(parseEventRow);
+  } catch (error) {
+    console.error('Error querying event log:', error);
+    throw error;
+  }
+}
+
 // Close database connection
 function closeDatabase() {
   if (db) {
     db.close();
+    db = null;
+    currentDbPath = null;
     console.log('Database connection closed');
   }
 }
 
 module.exports = {
   initializeDatabase,
+  getDatabase,
   getAllApplications,
+  queryApplications,
   getApplicationById,
+  findDuplicateApplication,
+  runInTransaction,
   createApplication,
   updateApplication,
   updateApplicationStatus,
   deleteApplication,
+  getContacts,
+  getContactById,
+  createContact,
+  updateContact,
+  deleteContact,
+  getInterviews,
+  getInterviewById,
+  createInterview,
+  updateInterview,
+  deleteInterview,
+  getInterviewsToRemind,
+  claimInterviewReminders,
+  releaseInterviewReminders,
+  markInterviewsReminded,
+  getOffers,
+  getOfferById,
+  createOffer,
+  updateOffer,
+  deleteOffer,
+  getOffersWithDeadlineBetween,
+  claimOfferDeadlines,
+  releaseOfferDeadlines,
+  markOfferDeadlinesWarned,
+  getStatusHistory,
+  getAllStatusHistory,
+  countApplicationsReaching,
+  getFirstTransitions,
+  getResumes,
+  getResumeById,
+  getResumeByVersion,
+  getResumeFile,
+  createResume,
+  attachResumeFile,
+  updateResume,
+  setResumeArchived,
+  getStaleApplications,
+  createFollowUpReminder,
+  getFollowUpReminders,
+  getFollowUpReminderById,
+  getFollowUpsToNotify,
+  claimFollowUpsToNotify,
+  releaseFollowUpsToNotify,
+  markFollowUpsNotified,
+  snoozeFollowUpReminder,
+  dismissFollowUpReminder,
+  resolveFollowUpReminders,
+  getApplicationsLastChanged,
+  getApplicationDates,
+  getTransitionsBetween,
+  getJobDescriptions,
+  getMatchCandidates,
+  countApplicationsByStatus,
+  startWorkflowRun,
+  finishWorkflowRun,
+  getWorkflowRuns,
+  registerScheduledJob,
+  getLastScheduledRun,
+  enqueueEvent,
+  getDueEvents,
+  getNextEventAttemptAt,
+  markEventDelivered,
+  markEventFailed,
+  moveEventToDeadLetter,
+  countEventsByStatus,
+  getDeadLetters,
+  getDeadLetterById,
+  retryDeadLetter,
+  discardDeadLetter,
+  appendEventLog,
+  queryEventLog,
   closeDatabase
 };
\ No newline at end of file
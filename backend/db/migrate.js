@@ -0,0 +1,244 @@
+/**
+ * Versioned schema migrations for the SQLite database
+ *
+ * Migration files live in db/migrations and are named NNN_description.js.
+ * Each one exports { description, up(db) } and is applied at most once,
+ * in version order, inside its own transaction. Applied versions are
+ * recorded in the schema_migrations table.
+ *
+ * Migrations that rebuild a table export disableForeignKeys: true. Foreign
+ * key enforcement cannot change inside a transaction, so it is switched off
+ * around the migration and the result is checked with foreign_key_check
+ * before the transaction commits.
+ *
+ * CLI usage (from the backend directory):
+ *   node db/migrate.js status            Show applied and pending migrations
+ *   node db/migrate.js up                Apply pending migrations
+ *   node db/migrate.js up --dry-run      Run pending migrations and roll them back
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const migrationsDir = path.join(__dirname, 'migrations');
+const migrationFilePattern = /^(\d+)_([\w-]+)\.js$/;
+
+// Thrown inside a dry-run transaction to force a rollback
+class DryRunRollback extends Error {}
+
+/**
+ * Load migration definitions from disk, ordered by version
+ * @param {string} [dir] - Directory containing migration files
+ * @returns {Array<Object>} Migrations with version, name and up()
+ */
+function loadMigrations(dir = migrationsDir) {
+  const migrations = fs.readdirSync(dir)
+    .map(file => ({ file, match: file.match(migrationFilePattern) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const definition = require(path.join(dir, file));
+      if (typeof definition.up !== 'function') {
+        throw new Error(`Migration ${file} does not export an up(db) function`);
+      }
+
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        description: definition.description || match[2],
+        disableForeignKeys: Boolean(definition.disableForeignKeys),
+        up: definition.up
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  // Two files with the same number would make the order ambiguous
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version: ${migration.version}`);
+    }
+  });
+
+  return migrations;
+}
+
+/**
+ * Create the schema_migrations bookkeeping table if needed
+ * @param {Object} db - better-sqlite3 database
+ */
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+}
+
+/**
+ * Get migrations already applied to the database
+ * @param {Object} db - better-sqlite3 database
+ * @returns {Array<Object>} Rows from schema_migrations
+ */
+function getAppliedMigrations(db) {
+  ensureMigrationsTable(db);
+  return db.prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version').all();
+}
+
+/**
+ * Get migrations that have not been applied yet
+ * @param {Object} db - better-sqlite3 database
+ * @param {Array<Object>} [migrations] - Known migrations
+ * @returns {Array<Object>} Pending migrations in version order
+ */
+function getPendingMigrations(db, migrations = loadMigrations()) {
+  const applied = new Set(getAppliedMigrations(db).map(row => row.version));
+  return migrations.filter(migration => !applied.has(migration.version));
+}
+
+/**
+ * Run a function with foreign key enforcement off, restoring it afterwards
+ * Has no effect inside an open transaction, so callers switch it off first
+ * @param {Object} db - better-sqlite3 database
+ * @param {Function} fn - Work to run
+ * @returns {*} Result of fn
+ */
+function withForeignKeysOff(db, fn) {
+  const enabled = db.pragma('foreign_keys', { simple: true }) === 1;
+  if (enabled) db.pragma('foreign_keys = OFF');
+  try {
+    return fn();
+  } finally {
+    if (enabled) db.pragma('foreign_keys = ON');
+  }
+}
+
+/**
+ * Fail if a migration left rows pointing at missing parents
+ * @param {Object} db - better-sqlite3 database
+ * @param {string} label - Migration label for the error message
+ */
+function assertForeignKeys(db, label) {
+  const violations = db.pragma('foreign_key_check');
+  if (violations.length > 0) {
+    const tables = [...new Set(violations.map(violation => violation.table))].join(', ');
+    throw new Error(`Migration ${label} left ${violations.length} foreign key violation(s) in ${tables}`);
+  }
+}
+
+/**
+ * Apply pending migrations in order
+ * @param {Object} db - better-sqlite3 database
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Run each migration and roll it back
+ * @param {Array<Object>} [options.migrations] - Known migrations
+ * @returns {Object} Versions applied (or checked, in dry-run mode)
+ */
+function runMigrations(db, options = {}) {
+  const { dryRun = false, migrations = loadMigrations() } = options;
+  const pending = getPendingMigrations(db, migrations);
+  const record = db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+
+  const applyPending = () => {
+    for (const migration of pending) {
+      const label = `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+      const apply = db.transaction(() => {
+        migration.up(db);
+        if (migration.disableForeignKeys) assertForeignKeys(db, label);
+        record.run(migration.version, migration.name, new Date().toISOString());
+      });
+
+      try {
+        if (migration.disableForeignKeys) {
+          withForeignKeysOff(db, apply);
+        } else {
+          apply();
+        }
+        console.log(`🗄️  ${dryRun ? 'Dry run: checked' : 'Applied'} migration ${label}`);
+      } catch (error) {
+        console.error(`Error applying migration ${label}:`, error);
+        throw error;
+      }
+    }
+  };
+
+  if (dryRun) {
+    // Later migrations may depend on earlier ones, so run them all in one
+    // outer transaction and roll everything back at the end
+    const rollBackAll = db.transaction(() => {
+      applyPending();
+      throw new DryRunRollback();
+    });
+
+    try {
+      if (pending.some(migration => migration.disableForeignKeys)) {
+        withForeignKeysOff(db, rollBackAll);
+      } else {
+        rollBackAll();
+      }
+    } catch (error) {
+      if (!(error instanceof DryRunRollback)) throw error;
+      console.log(`🧪 Dry run complete: ${pending.length} migration(s) rolled back`);
+    }
+  } else {
+    applyPending();
+  }
+
+  return {
+    dryRun,
+    applied: pending.map(migration => migration.version)
+  };
+}
+
+/**
+ * Print applied and pending migrations
+ * @param {Object} db - better-sqlite3 database
+ */
+function printStatus(db) {
+  const migrations = loadMigrations();
+  const applied = new Map(getAppliedMigrations(db).map(row => [row.version, row]));
+
+  console.log('Schema migrations:');
+  migrations.forEach(migration => {
+    const row = applied.get(migration.version);
+    const state = row ? `applied ${row.applied_at}` : 'pending';
+    console.log(`  ${String(migration.version).padStart(3, '0')}_${migration.name}  ${state}  ${migration.description}`);
+  });
+
+  const pendingCount = migrations.filter(migration => !applied.has(migration.version)).length;
+  console.log(`${pendingCount} pending migration(s)`);
+}
+
+// Command line entry point
+if (require.main === module) {
+  const Database = require('better-sqlite3');
+  const [command = 'status', ...flags] = process.argv.slice(2);
+  const db = new Database(process.env.DB_PATH || path.join(__dirname, 'applications.db'));
+  db.pragma('foreign_keys = ON');
+
+  try {
+    if (command === 'status') {
+      printStatus(db);
+    } else if (command === 'up') {
+      const result = runMigrations(db, { dryRun: flags.includes('--dry-run') });
+      if (result.applied.length === 0) {
+        console.log('Database schema is up to date');
+      }
+    } else {
+      console.error(`Unknown command: ${command}. Use "status" or "up [--dry-run]".`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(`Migration command failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    db.close();
+  }
+}
+
+module.exports = {
+  loadMigrations,
+  getAppliedMigrations,
+  getPendingMigrations,
+  runMigrations
+};
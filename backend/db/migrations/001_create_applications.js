@@ -0,0 +1,21 @@
+/**
+ * Migration 001: applications table
+ * Uses IF NOT EXISTS so databases created before migrations existed are adopted as-is
+ */
+module.exports = {
+  description: 'Create applications table',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS applications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        company TEXT NOT NULL,
+        role TEXT NOT NULL,
+        status TEXT DEFAULT 'Applied',
+        source TEXT,
+        resume_version TEXT,
+        applied_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+};
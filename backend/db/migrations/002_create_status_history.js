@@ -0,0 +1,21 @@
+/**
+ * Migration 002: status_history table
+ * Keeps every status transition of an application
+ */
+module.exports = {
+  description: 'Create status_history table',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS status_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        application_id INTEGER NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+        old_status TEXT,
+        new_status TEXT NOT NULL,
+        changed_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_status_history_application
+        ON status_history (application_id, changed_at);
+    `);
+  }
+};
@@ -0,0 +1,46 @@
+/**
+ * Migration 003: notes column and FTS5 search index
+ * applications_fts is an external-content index over company, role and notes,
+ * kept in sync with triggers
+ */
+module.exports = {
+  description: 'Add notes column, list indexes and FTS5 search index',
+
+  up(db) {
+    db.exec(`
+      ALTER TABLE applications ADD COLUMN notes TEXT;
+
+      CREATE INDEX IF NOT EXISTS idx_applications_applied_at ON applications (applied_at);
+      CREATE INDEX IF NOT EXISTS idx_applications_status ON applications (status);
+      CREATE INDEX IF NOT EXISTS idx_applications_source ON applications (source);
+
+      CREATE VIRTUAL TABLE applications_fts USING fts5(
+        company,
+        role,
+        notes,
+        content = 'applications',
+        content_rowid = 'id',
+        tokenize = 'unicode61 remove_diacritics 2'
+      );
+
+      CREATE TRIGGER applications_fts_insert AFTER INSERT ON applications BEGIN
+        INSERT INTO applications_fts (rowid, company, role, notes)
+        VALUES (new.id, new.company, new.role, new.notes);
+      END;
+
+      CREATE TRIGGER applications_fts_delete AFTER DELETE ON applications BEGIN
+        INSERT INTO applications_fts (applications_fts, rowid, company, role, notes)
+        VALUES ('delete', old.id, old.company, old.role, old.notes);
+      END;
+
+      CREATE TRIGGER applications_fts_update AFTER UPDATE ON applications BEGIN
+        INSERT INTO applications_fts (applications_fts, rowid, company, role, notes)
+        VALUES ('delete', old.id, old.company, old.role, old.notes);
+        INSERT INTO applications_fts (rowid, company, role, notes)
+        VALUES (new.id, new.company, new.role, new.notes);
+      END;
+
+      INSERT INTO applications_fts (applications_fts) VALUES ('rebuild');
+    `);
+  }
+};
@@ -0,0 +1,24 @@
+/**
+ * Migration 004: workflow_runs table
+ * Run history for scheduled and manually triggered workflows
+ */
+module.exports = {
+  description: 'Create workflow_runs table',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE workflow_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        workflow TEXT NOT NULL,
+        trigger TEXT NOT NULL,
+        scheduled_for TEXT,
+        started_at TEXT NOT NULL,
+        finished_at TEXT,
+        status TEXT NOT NULL DEFAULT 'running',
+        result TEXT,
+        error TEXT
+      );
+      CREATE INDEX idx_workflow_runs_workflow ON workflow_runs (workflow, started_at);
+    `);
+  }
+};
@@ -0,0 +1,38 @@
+/**
+ * Migration 005: event_outbox and dead_letters tables
+ * Events are written to the outbox in the same transaction as the data
+ * change and delivered by the outbox dispatcher; events that keep failing
+ * are copied to dead_letters for inspection
+ */
+module.exports = {
+  description: 'Create event_outbox and dead_letters tables',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE event_outbox (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event_name TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TEXT NOT NULL,
+        last_error TEXT,
+        created_at TEXT NOT NULL,
+        delivered_at TEXT
+      );
+      CREATE INDEX idx_event_outbox_due ON event_outbox (status, next_attempt_at);
+
+      CREATE TABLE dead_letters (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event_id INTEGER NOT NULL REFERENCES event_outbox(id) ON DELETE CASCADE,
+        event_name TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        attempts INTEGER NOT NULL,
+        last_error TEXT,
+        created_at TEXT NOT NULL,
+        failed_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_dead_letters_failed ON dead_letters (failed_at);
+    `);
+  }
+};
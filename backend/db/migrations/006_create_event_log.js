@@ -0,0 +1,36 @@
+/**
+ * Migration 006: event_log table
+ * Append-only record of every event emitted on the event bus, used by
+ * GET /api/events and for replaying events into workflows. Outbox events
+ * carry the correlation ID of the request that queued them.
+ */
+module.exports = {
+  description: 'Create event_log table and add correlation IDs to the outbox',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE event_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event_name TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        correlation_id TEXT NOT NULL,
+        emitted_at TEXT NOT NULL,
+        outbox_event_id INTEGER UNIQUE
+      );
+      CREATE INDEX idx_event_log_name ON event_log (event_name, emitted_at);
+      CREATE INDEX idx_event_log_emitted ON event_log (emitted_at);
+      CREATE INDEX idx_event_log_correlation ON event_log (correlation_id);
+
+      CREATE TRIGGER event_log_no_update BEFORE UPDATE ON event_log
+      BEGIN
+        SELECT RAISE(ABORT, 'event_log is append-only');
+      END;
+      CREATE TRIGGER event_log_no_delete BEFORE DELETE ON event_log
+      BEGIN
+        SELECT RAISE(ABORT, 'event_log is append-only');
+      END;
+
+      ALTER TABLE event_outbox ADD COLUMN correlation_id TEXT;
+    `);
+  }
+};
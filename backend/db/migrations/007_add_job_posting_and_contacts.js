@@ -0,0 +1,28 @@
+/**
+ * Migration 007: job posting columns and contacts table
+ * Applications keep the posting URL and description; contacts are the
+ * recruiters, interviewers and referrers related to an application
+ */
+module.exports = {
+  description: 'Add job_url/job_description columns and contacts table',
+
+  up(db) {
+    db.exec(`
+      ALTER TABLE applications ADD COLUMN job_url TEXT;
+      ALTER TABLE applications ADD COLUMN job_description TEXT;
+
+      CREATE TABLE contacts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        application_id INTEGER NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        title TEXT,
+        email TEXT,
+        phone TEXT,
+        linkedin_url TEXT,
+        notes TEXT,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_contacts_application ON contacts (application_id);
+    `);
+  }
+};
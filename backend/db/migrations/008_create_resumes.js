@@ -0,0 +1,82 @@
+/**
+ * Migration 008: resume library
+ * Resume versions become rows in a resumes table (with the uploaded PDF
+ * stored as a BLOB), and applications.resume_version references
+ * resumes(version). Versions already used by applications are added as
+ * placeholders without a file.
+ *
+ * SQLite cannot add a foreign key to an existing table, so applications is
+ * rebuilt. Dropping the old table with foreign keys enabled would cascade
+ * into status_history and contacts, hence disableForeignKeys.
+ */
+module.exports = {
+  description: 'Create resumes table and reference it from applications',
+  disableForeignKeys: true,
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE resumes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        version TEXT NOT NULL UNIQUE,
+        label TEXT,
+        notes TEXT,
+        filename TEXT,
+        content_type TEXT,
+        size_bytes INTEGER,
+        file BLOB,
+        created_at TEXT NOT NULL,
+        archived_at TEXT
+      );
+
+      INSERT INTO resumes (version, created_at)
+      SELECT resume_version, MIN(applied_at)
+      FROM applications
+      WHERE resume_version IS NOT NULL AND resume_version <> ''
+      GROUP BY resume_version;
+
+      CREATE TABLE applications_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        company TEXT NOT NULL,
+        role TEXT NOT NULL,
+        status TEXT DEFAULT 'Applied',
+        source TEXT,
+        resume_version TEXT REFERENCES resumes(version) ON UPDATE CASCADE,
+        applied_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        notes TEXT,
+        job_url TEXT,
+        job_description TEXT
+      );
+
+      INSERT INTO applications_new
+        (id, company, role, status, source, resume_version, applied_at, notes, job_url, job_description)
+      SELECT
+        id, company, role, status, source, NULLIF(resume_version, ''), applied_at, notes, job_url, job_description
+      FROM applications;
+
+      DROP TABLE applications;
+      ALTER TABLE applications_new RENAME TO applications;
+
+      CREATE INDEX idx_applications_applied_at ON applications (applied_at);
+      CREATE INDEX idx_applications_status ON applications (status);
+      CREATE INDEX idx_applications_source ON applications (source);
+      CREATE INDEX idx_applications_resume_version ON applications (resume_version);
+
+      CREATE TRIGGER applications_fts_insert AFTER INSERT ON applications BEGIN
+        INSERT INTO applications_fts (rowid, company, role, notes)
+        VALUES (new.id, new.company, new.role, new.notes);
+      END;
+
+      CREATE TRIGGER applications_fts_delete AFTER DELETE ON applications BEGIN
+        INSERT INTO applications_fts (applications_fts, rowid, company, role, notes)
+        VALUES ('delete', old.id, old.company, old.role, old.notes);
+      END;
+
+      CREATE TRIGGER applications_fts_update AFTER UPDATE ON applications BEGIN
+        INSERT INTO applications_fts (applications_fts, rowid, company, role, notes)
+        VALUES ('delete', old.id, old.company, old.role, old.notes);
+        INSERT INTO applications_fts (rowid, company, role, notes)
+        VALUES (new.id, new.company, new.role, new.notes);
+      END;
+    `);
+  }
+};
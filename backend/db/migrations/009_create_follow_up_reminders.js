@@ -0,0 +1,28 @@
+/**
+ * Migration 009: follow-up reminders
+ * The daily follow-up workflow records a reminder when an application has
+ * been waiting in Applied or Interview too long. stale_since is the last
+ * status change, so an application gets at most one reminder per wait;
+ * the user can snooze or dismiss it, and a status change resolves it.
+ */
+module.exports = {
+  description: 'Create follow_up_reminders table',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE follow_up_reminders (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        application_id INTEGER NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+        status TEXT NOT NULL,
+        stale_since TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        snoozed_until TEXT,
+        dismissed_at TEXT,
+        resolved_at TEXT,
+        notified_at TEXT,
+        UNIQUE (application_id, stale_since)
+      );
+      CREATE INDEX idx_follow_up_reminders_open ON follow_up_reminders (dismissed_at, resolved_at);
+    `);
+  }
+};
@@ -0,0 +1,14 @@
+/**
+ * Migration 010: who made each status change
+ * 'user' for changes through the API, 'system' for changes made by
+ * workflows (e.g. the ghost check moving silent applications to Ghosted)
+ */
+module.exports = {
+  description: 'Add changed_by column to status_history',
+
+  up(db) {
+    db.exec(`
+      ALTER TABLE status_history ADD COLUMN changed_by TEXT NOT NULL DEFAULT 'user';
+    `);
+  }
+};
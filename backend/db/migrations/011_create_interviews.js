@@ -0,0 +1,32 @@
+/**
+ * Migration 011: interviews table
+ * One row per interview round of an application. interviewers is a JSON
+ * array of names; reminded_at is set once the reminder email went out and
+ * cleared again when the interview is moved to another time.
+ */
+module.exports = {
+  description: 'Create interviews table',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE interviews (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        application_id INTEGER NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+        round_name TEXT NOT NULL,
+        type TEXT NOT NULL DEFAULT 'video',
+        starts_at TEXT NOT NULL,
+        ends_at TEXT,
+        location TEXT,
+        meeting_url TEXT,
+        interviewers TEXT NOT NULL DEFAULT '[]',
+        outcome TEXT NOT NULL DEFAULT 'pending',
+        notes TEXT,
+        reminded_at TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_interviews_application ON interviews (application_id, starts_at);
+      CREATE INDEX idx_interviews_starts_at ON interviews (starts_at);
+    `);
+  }
+};
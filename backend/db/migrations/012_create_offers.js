@@ -0,0 +1,33 @@
+/**
+ * Migration 012: offers table
+ * Compensation details of offers received for an application. Amounts are
+ * whole units of currency; equity_value is the total grant value, vesting
+ * over vesting_years. deadline_warned_at is set once the deadline warning
+ * went out and cleared when the deadline moves.
+ */
+module.exports = {
+  description: 'Create offers table',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE offers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        application_id INTEGER NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+        base_salary INTEGER NOT NULL,
+        bonus INTEGER NOT NULL DEFAULT 0,
+        equity_value INTEGER NOT NULL DEFAULT 0,
+        vesting_years INTEGER NOT NULL DEFAULT 4,
+        currency TEXT NOT NULL DEFAULT 'USD',
+        benefits_notes TEXT,
+        start_date TEXT,
+        decision_deadline TEXT,
+        decision TEXT NOT NULL DEFAULT 'pending',
+        deadline_warned_at TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_offers_application ON offers (application_id);
+      CREATE INDEX idx_offers_deadline ON offers (decision_deadline);
+    `);
+  }
+};
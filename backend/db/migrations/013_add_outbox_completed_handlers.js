@@ -0,0 +1,14 @@
+/**
+ * Migration 013: handlers that already received an outbox event
+ * A JSON array of subscription names; retries skip them so only the
+ * handlers that failed run again
+ */
+module.exports = {
+  description: 'Add completed_handlers column to event_outbox',
+
+  up(db) {
+    db.exec(`
+      ALTER TABLE event_outbox ADD COLUMN completed_handlers TEXT NOT NULL DEFAULT '[]';
+    `);
+  }
+};
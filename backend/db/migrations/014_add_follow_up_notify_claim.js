@@ -0,0 +1,15 @@
+/**
+ * Migration 014: claim on follow-up reminders while their digest is sent
+ * notified_at is only set once the digest went out; until then the
+ * reminders are claimed so an overlapping check does not send them too.
+ * A claim that outlives a crashed run simply expires.
+ */
+module.exports = {
+  description: 'Add notify_claimed_until column to follow_up_reminders',
+
+  up(db) {
+    db.exec(`
+      ALTER TABLE follow_up_reminders ADD COLUMN notify_claimed_until TEXT;
+    `);
+  }
+};
@@ -0,0 +1,14 @@
+/**
+ * Migration 015: claim on interviews while their reminder is sent
+ * reminded_at is only set once the reminder went out. Rescheduling drops
+ * the claim, so a reminder sent for the old time does not count.
+ */
+module.exports = {
+  description: 'Add reminder_claimed_until column to interviews',
+
+  up(db) {
+    db.exec(`
+      ALTER TABLE interviews ADD COLUMN reminder_claimed_until TEXT;
+    `);
+  }
+};
@@ -0,0 +1,14 @@
+/**
+ * Migration 016: claim on offers while their deadline warning is sent
+ * deadline_warned_at is only set once the warning went out. Moving the
+ * deadline drops the claim, so a warning about the old date does not count.
+ */
+module.exports = {
+  description: 'Add deadline_claimed_until column to offers',
+
+  up(db) {
+    db.exec(`
+      ALTER TABLE offers ADD COLUMN deadline_claimed_until TEXT;
+    `);
+  }
+};
@@ -0,0 +1,21 @@
+/**
+ * Migration 017: scheduled_jobs table
+ * When the scheduler first saw each job. A job that has never run on its
+ * schedule catches up slots missed since then. Jobs that already ran
+ * (e.g. only manually) count as registered at their first run.
+ */
+module.exports = {
+  description: 'Create scheduled_jobs table',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE scheduled_jobs (
+        name TEXT PRIMARY KEY,
+        registered_at TEXT NOT NULL
+      );
+
+      INSERT INTO scheduled_jobs (name, registered_at)
+      SELECT workflow, MIN(started_at) FROM workflow_runs GROUP BY workflow;
+    `);
+  }
+};
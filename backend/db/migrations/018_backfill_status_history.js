@@ -0,0 +1,18 @@
+/**
+ * Migration 018: creation entries for applications without history
+ * Applications created before status_history existed get the same creation
+ * entry new ones get (no old status, current status, at applied_at), so
+ * their timeline is not empty.
+ */
+module.exports = {
+  description: 'Backfill status history for applications without any',
+
+  up(db) {
+    db.exec(`
+      INSERT INTO status_history (application_id, old_status, new_status, changed_at)
+      SELECT a.id, NULL, a.status, a.applied_at
+      FROM applications a
+      WHERE NOT EXISTS (SELECT 1 FROM status_history h WHERE h.application_id = a.id);
+    `);
+  }
+};
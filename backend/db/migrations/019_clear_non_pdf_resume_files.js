@@ -0,0 +1,18 @@
+/**
+ * Migration 019: drop resume files that are not PDFs
+ * An earlier version of migration 008 attached the old sample resumes
+ * (plain text saved as .pdf) to versions 1.0 and 2.0. Those versions go
+ * back to being placeholders without a file, like other versions that
+ * predate the resume library, until a real PDF is uploaded for them.
+ */
+module.exports = {
+  description: 'Clear resume files without a PDF signature',
+
+  up(db) {
+    db.exec(`
+      UPDATE resumes
+      SET filename = NULL, content_type = NULL, size_bytes = NULL, file = NULL
+      WHERE file IS NOT NULL AND substr(CAST(file AS TEXT), 1, 5) <> '%PDF-';
+    `);
+  }
+};
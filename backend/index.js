@@ -1,7 +1,21 @@
 const express = require('express');
 const cors = require('cors');
+const { randomUUID } = require('crypto');
 const applicationsRouter = require('./routes/applications');
-const { initializeDatabase } = require('./db/db');
+const statusesRouter = require('./routes/statuses');
+const workflowsRouter = require('./routes/workflows');
+const adminRouter = require('./routes/admin');
+const eventsRouter = require('./routes/events');
+const streamRouter = require('./routes/stream');
+const resumesRouter = require('./routes/resumes');
+const followUpsRouter = require('./routes/followUps');
+const calendarRouter = require('./routes/calendar');
+const offersRouter = require('./routes/offers');
+const schedulerService = require('./services/schedulerService');
+const outboxService = require('./services/outboxService');
+const streamService = require('./services/streamService');
+const { initializeDatabase, closeDatabase } = require('./db/db');
+const { NotFoundError, toErrorResponse } = require('./utils/errors');
 
 // Initialize Express app
 const app = express();
@@ -9,28 +23,77 @@ const PORT = process.env.PORT || 3001;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '5mb' })); // Large enough for bulk imports
 
-// Initialize database connection
+// Tag each request with a correlation ID; events it causes carry the same ID
+app.use((req, res, next) => {
+  req.correlationId = (req.get('X-Correlation-Id') || '').slice(0, 200) || randomUUID();
+  res.set('X-Correlation-Id', req.correlationId);
+  next();
+});
+
+// Initialize the shared database connection (DB_PATH overrides the file)
 initializeDatabase();
 
 // Routes
 app.use('/api/applications', applicationsRouter);
+app.use('/api/statuses', statusesRouter);
+app.use('/api/workflows', workflowsRouter);
+app.use('/api/admin', adminRouter);
+app.use('/api/events', eventsRouter);
+app.use('/api/stream', streamRouter);
+app.use('/api/resumes', resumesRouter);
+app.use('/api/follow-ups', followUpsRouter);
+app.use('/api/calendar.ics', calendarRouter);
+app.use('/api/offers', offersRouter);
 
 // Basic health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({ status: 'healthy', timestamp: new Date() });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Backend server running on port ${PORT}`);
+// Unknown routes get the same error envelope as everything else
+app.use((req, res, next) => {
+  next(new NotFoundError(`Route not found: ${req.method} ${req.path}`));
 });
 
-// Error handling middleware
+// Error handling middleware - renders { error: { code, message, fields } }
 app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ error: 'Something went wrong!' });
+  const { status, body } = toErrorResponse(err);
+  if (status >= 500) {
+    console.error(err.stack);
+  }
+  res.status(status).json(body);
 });
 
+// Start server when run directly; tests can require the app without listening
+if (require.main === module) {
+  const server = app.listen(PORT, () => {
+    console.log(`Backend server running on port ${PORT}`);
+  });
+
+  // Scheduled workflows (weekly summary, ...) run only in the server process
+  if (process.env.SCHEDULER_ENABLED !== 'false') {
+    schedulerService.start();
+  }
+
+  // Queued events are delivered by the outbox dispatcher
+  if (process.env.OUTBOX_DISPATCHER_ENABLED !== 'false') {
+    outboxService.start();
+  }
+
+  // Close the database connection on shutdown
+  const shutdown = () => {
+    schedulerService.stop();
+    outboxService.stop();
+    streamService.closeAll();
+    server.close(() => {
+      closeDatabase();
+      process.exit(0);
+    });
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
 module.exports = app;
\ No newline at end of file
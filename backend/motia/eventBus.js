@@ -1,48 +1,237 @@
 /**
  * Simple Event Bus for Motia Workflow Integration
  * Uses basic event dispatching pattern without external dependencies
+ *
+ * Any number of handlers can subscribe to an event name or a wildcard
+ * pattern ("*" matches any run of characters, e.g. "application*" or
+ * "application.*"). Handlers run one at a time, highest priority first,
+ * then in subscription order, and receive
+ * (payload, { eventName, eventId, correlationId }).
+ *
+ * When an event recorder is set, every emitted event is appended to the
+ * event log before its handlers run.
  */
 
-// Workflow functions (imported below)
+const { randomUUID } = require('crypto');
+
+// Workflow functions registered by event name (imported by workflows.js)
 let workflows = {};
 
+// Active subscriptions: { id, pattern, matcher, handler, priority, once, workflow, name }
+let subscriptions = [];
+let nextSubscriptionId = 1;
+
+// Appends emitted events to the event log; returns the log entry ID
+let recordEvent = null;
+
+/**
+ * Compile a subscription pattern into a matcher function
+ * @param {string} pattern - Event name or wildcard pattern
+ * @returns {Function} (eventName) => boolean
+ */
+function compilePattern(pattern) {
+  if (!pattern.includes('*')) {
+    return eventName => eventName === pattern;
+  }
+
+  const escaped = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  const regex = new RegExp(`^${escaped}$`);
+  return eventName => regex.test(eventName);
+}
+
+/**
+ * Add a subscription
+ * @param {string} pattern - Event name or wildcard pattern
+ * @param {Function} handler - Handler function
+ * @param {Object} options - { priority, once, workflow, name }
+ * @returns {Function} Unsubscribe function
+ */
+function subscribe(pattern, handler, options = {}) {
+  if (typeof handler !== 'function') {
+    throw new TypeError(`Handler for ${pattern} must be a function`);
+  }
+
+  const subscription = {
+    id: nextSubscriptionId++,
+    pattern,
+    matcher: compilePattern(pattern),
+    handler,
+    priority: options.priority || 0,
+    once: Boolean(options.once),
+    workflow: Boolean(options.workflow),
+    name: options.name || handler.name || `handler#${nextSubscriptionId - 1}`
+  };
+  subscriptions.push(subscription);
+
+  return () => {
+    subscriptions = subscriptions.filter(sub => sub !== subscription);
+  };
+}
+
+/**
+ * Get subscriptions matching an event, highest priority first
+ * @param {string} eventName - Event name
+ * @returns {Array<Object>} Matching subscriptions
+ */
+function getMatchingSubscriptions(eventName) {
+  return subscriptions
+    .filter(sub => sub.matcher(eventName))
+    .sort((a, b) => b.priority - a.priority || a.id - b.id);
+}
+
+/**
+ * Check whether a handler result can be spread into the emit result
+ * @param {*} value - Handler result
+ * @returns {boolean} True for non-array objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
 // Event bus implementation
 const eventBus = {
   /**
-   * Register workflow functions
+   * Register workflow functions, one per event name
+   * Re-registering a workflow replaces only that workflow; other
+   * subscribers to the same event are kept
    * @param {Object} workflowFunctions - Object containing workflow functions
    */
   registerWorkflows: (workflowFunctions) => {
-    workflows = workflowFunctions;
+    for (const [eventName, workflow] of Object.entries(workflowFunctions)) {
+      subscriptions = subscriptions.filter(sub => !(sub.workflow && sub.pattern === eventName));
+      subscribe(eventName, workflow, { name: eventName, workflow: true });
+    }
+    workflows = { ...workflows, ...workflowFunctions };
     console.log('✅ Motia Event Bus initialized with workflows');
   },
 
   /**
-   * Emit an event and execute the corresponding workflow
+   * Set the function that appends emitted events to the event log
+   * @param {Function|null} recorder - ({ eventName, payload, correlationId, outboxEventId }) => eventId
+   */
+  setEventRecorder: (recorder) => {
+    recordEvent = recorder;
+  },
+
+  /**
+   * Subscribe a handler to an event name or wildcard pattern
+   * @param {string} pattern - Event name or pattern such as "application*"
+   * @param {Function} handler - Called with (payload, { eventName, eventId, correlationId })
+   * @param {Object} [options]
+   * @param {number} [options.priority=0] - Higher priorities run first
+   * @param {string} [options.name] - Name used in aggregated results
+   * @returns {Function} Unsubscribe function
+   */
+  on: (pattern, handler, options = {}) => subscribe(pattern, handler, { ...options, once: false }),
+
+  /**
+   * Subscribe a handler that is removed after its first call
+   * @param {string} pattern - Event name or wildcard pattern
+   * @param {Function} handler - Called with (payload, { eventName, eventId, correlationId })
+   * @param {Object} [options] - Same as on()
+   * @returns {Function} Unsubscribe function
+   */
+  once: (pattern, handler, options = {}) => subscribe(pattern, handler, { ...options, once: true }),
+
+  /**
+   * Remove a handler subscribed with on() or once()
+   * @param {string} pattern - Pattern used when subscribing
+   * @param {Function} handler - Handler to remove
+   * @returns {boolean} True if a subscription was removed
+   */
+  off: (pattern, handler) => {
+    const before = subscriptions.length;
+    subscriptions = subscriptions.filter(sub => !(sub.pattern === pattern && sub.handler === handler));
+    return subscriptions.length < before;
+  },
+
+  /**
+   * Check whether any handler would receive an event
+   * @param {string} eventName - Event name
+   * @returns {boolean} True if at least one subscription matches
+   */
+  hasSubscribers: (eventName) => getMatchingSubscriptions(eventName).length > 0,
+
+  /**
+   * Emit an event and run every matching handler
+   * The returned object keeps the original shape - the registered workflow's
+   * result spread over { success } - and adds `results` with one entry per handler
    * @param {string} eventName - Name of the event to emit
    * @param {Object} payload - Data payload for the workflow
-   * @returns {Promise<Object>} Result of the workflow execution
-   */
-  emitEvent: async (eventName, payload) => {
-    try {
-      // Check if workflow exists for this event
-      if (!workflows[eventName]) {
-        console.warn(`⚠️ No workflow registered for event: ${eventName}`);
-        return { success: false, error: `No workflow for event: ${eventName}` };
+   * @param {Object} [options]
+   * @param {string} [options.correlationId] - Ties the event to the request or run that caused it
+   * @param {number} [options.outboxEventId] - Outbox row being delivered; retries reuse one log entry
+   * @param {string[]} [options.skipHandlers] - Names of handlers that already received the event
+   * @returns {Promise<Object>} Aggregated result of the handlers
+   */
+  emitEvent: async (eventName, payload, options = {}) => {
+    const correlationId = options.correlationId || randomUUID();
+    let eventId = null;
+
+    if (recordEvent) {
+      try {
+        eventId = recordEvent({ eventName, payload, correlationId, outboxEventId: options.outboxEventId });
+      } catch (error) {
+        console.error(`❌ Error recording event ${eventName}:`, error);
+        return { success: false, error: `Could not record event: ${error.message}` };
+      }
+    }
+
+    const skipHandlers = options.skipHandlers || [];
+    const matching = getMatchingSubscriptions(eventName)
+      .filter(sub => !skipHandlers.includes(sub.name));
+
+    // Check if any workflow or handler exists for this event
+    if (matching.length === 0) {
+      if (skipHandlers.length > 0) {
+        return { success: true, eventId, correlationId, results: [] };
       }
+      console.warn(`⚠️ No workflow registered for event: ${eventName}`);
+      return { success: false, error: `No workflow for event: ${eventName}` };
+    }
+
+    console.log(`📡 Event emitted: ${eventName}${skipHandlers.length > 0 ? ` (skipping ${skipHandlers.join(', ')})` : ''}`);
+    console.log(`📦 Payload:`, payload);
+
+    // once() handlers are removed before running so they never fire twice
+    subscriptions = subscriptions.filter(sub => !(sub.once && matching.includes(sub)));
 
-      console.log(`📡 Event emitted: ${eventName}`);
-      console.log(`📦 Payload:`, payload);
+    const results = [];
+    for (const sub of matching) {
+      try {
+        const result = await sub.handler(payload, { eventName, eventId, correlationId });
+        // Workflows report their own failures as { success: false, error }
+        if (result && result.success === false) {
+          results.push({ handler: sub.name, success: false, error: result.error, result });
+        } else {
+          results.push({ handler: sub.name, success: true, result });
+        }
+      } catch (error) {
+        console.error(`❌ Error in workflow ${eventName} (${sub.name}):`, error);
+        results.push({ handler: sub.name, success: false, error: error.message });
+      }
+    }
 
-      // Execute the corresponding workflow
-      const result = await workflows[eventName](payload);
+    // The workflow registered for this event (or the first handler) provides the top-level result
+    const primaryIndex = Math.max(0, matching.findIndex(sub => sub.workflow && sub.pattern === eventName));
+    const primary = results[primaryIndex];
+    const failed = results.filter(result => !result.success);
 
+    if (failed.length === 0) {
       console.log(`✅ Workflow completed: ${eventName}`);
-      return { success: true, ...result };
-    } catch (error) {
-      console.error(`❌ Error in workflow ${eventName}:`, error);
-      return { success: false, error: error.message };
     }
+
+    return {
+      ...(isPlainObject(primary.result) ? primary.result : {}),
+      success: failed.length === 0,
+      ...(failed.length > 0 ? { error: failed[0].error } : {}),
+      eventId,
+      correlationId,
+      results
+    };
   },
 
   /**
@@ -53,4 +242,4 @@ const eventBus = {
 };
 
 // Export the event bus
-module.exports = eventBus;
\ No newline at end of file
+module.exports = eventBus;
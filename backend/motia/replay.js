@@ -0,0 +1,145 @@
+/**
+ * Event replay
+ * Re-dispatches logged events to one workflow, e.g. to rebuild analytics
+ * after fixing a workflow bug. Replays call the workflow directly with
+ * email disabled and meta.replay set, so workflows only read and report:
+ * scheduled checks list what they would remind about or ghost instead of
+ * recording, claiming or marking anything, and statusUpdated leaves
+ * follow-up reminders alone. Replayed events are not logged or queued
+ * again, and other event bus subscribers are not triggered.
+ *
+ * CLI: node motia/replay.js <workflow> [--name a,b] [--from ISO] [--to ISO]
+ *                                      [--from-id N] [--to-id N] [--limit N]
+ */
+
+const repository = require('../db/db');
+const insightService = require('../services/insightService');
+const emailService = require('../services/emailService');
+const followUpService = require('../services/followUpService');
+const ghostService = require('../services/ghostService');
+const interviewService = require('../services/interviewService');
+const offerService = require('../services/offerService');
+const { createWorkflows } = require('./workflows');
+const schemas = require('../validation/schemas');
+const { validateObject } = require('../validation/validate');
+const { BadRequestError } = require('../utils/errors');
+
+// Same interface as emailService, but every send is only logged
+const disabledEmailService = Object.fromEntries(
+  Object.keys(emailService).map(name => [
+    name,
+    name === 'isEmailConfigured'
+      ? () => false
+      : async () => ({ success: false, logged: true, message: 'Email disabled during replay' })
+  ])
+);
+
+// Events raised by replayed workflows are dropped instead of queued
+const disabledOutboxService = {
+  enqueue: () => null,
+  wake: () => {}
+};
+
+/**
+ * Replay logged events into a workflow
+ * @param {Object} options
+ * @param {string} options.workflow - Workflow name (see motia/workflows.js)
+ * @param {string[]} [options.name] - Event names to replay (defaults to the workflow's own event)
+ * @param {string} [options.from] - Earliest emission time (ISO 8601)
+ * @param {string} [options.to] - Latest emission time (ISO 8601)
+ * @param {number} [options.fromId] - First event log ID
+ * @param {number} [options.toId] - Last event log ID
+ * @param {number} [options.limit=500] - Maximum events to replay
+ * @returns {Promise<Object>} { workflow, replayed, succeeded, failed, results }
+ */
+async function replayEvents(options) {
+  const { workflow, name, from, to, fromId, toId, limit = 500 } = options;
+  const workflows = createWorkflows({
+    repository,
+    insightService,
+    emailService: disabledEmailService,
+    followUpService,
+    ghostService,
+    interviewService,
+    offerService,
+    outboxService: disabledOutboxService
+  });
+
+  if (!workflows[workflow]) {
+    throw new BadRequestError(`Unknown workflow: ${workflow}`, {
+      workflow: `must be one of: ${Object.keys(workflows).join(', ')}`
+    });
+  }
+
+  const names = name && name.length > 0 ? name : [workflow];
+  const events = repository.queryEventLog({ names, from, to, fromId, toId }, limit);
+  console.log(`🔁 Replaying ${events.length} event(s) into ${workflow} (email disabled)`);
+
+  const results = [];
+  for (const event of events) {
+    try {
+      const result = await workflows[workflow](event.payload, {
+        eventName: event.event_name,
+        eventId: event.id,
+        correlationId: event.correlation_id,
+        replay: true
+      });
+      results.push({ eventId: event.id, eventName: event.event_name, success: result?.success !== false, result });
+    } catch (error) {
+      results.push({ eventId: event.id, eventName: event.event_name, success: false, error: error.message });
+    }
+  }
+
+  const succeeded = results.filter(result => result.success).length;
+  return {
+    workflow,
+    replayed: results.length,
+    succeeded,
+    failed: results.length - succeeded,
+    results
+  };
+}
+
+// Parse "<workflow> --flag value" arguments into replay options
+function parseArgs(args) {
+  const [workflow, ...rest] = args;
+  const options = { workflow };
+  const flags = { '--name': 'name', '--from': 'from', '--to': 'to', '--from-id': 'fromId', '--to-id': 'toId', '--limit': 'limit' };
+
+  for (let i = 0; i < rest.length; i += 2) {
+    const key = flags[rest[i]];
+    if (!key) {
+      throw new BadRequestError(`Unknown option: ${rest[i]}`);
+    }
+    options[key] = rest[i + 1];
+  }
+  return options;
+}
+
+if (require.main === module) {
+  (async () => {
+    try {
+      const { value, fields } = validateObject(schemas.replayEvents, parseArgs(process.argv.slice(2)));
+      if (Object.keys(fields).length > 0) {
+        throw new BadRequestError('Invalid replay options', fields);
+      }
+
+      const summary = await replayEvents(value);
+      summary.results.forEach(result => {
+        console.log(`${result.success ? '✅' : '❌'} #${result.eventId} ${result.eventName}${result.error ? `: ${result.error}` : ''}`);
+      });
+      console.log(`Replayed ${summary.replayed} event(s): ${summary.succeeded} succeeded, ${summary.failed} failed`);
+      process.exitCode = summary.failed > 0 ? 1 : 0;
+    } catch (error) {
+      console.error(`Replay failed: ${error.message}`, error.fields || '');
+      process.exitCode = 1;
+    } finally {
+      repository.closeDatabase();
+    }
+  })();
+}
+
+module.exports = {
+  replayEvents,
+  disabledEmailService
+};
@@ -4,171 +4,625 @@
  * No external dependencies, no class constructors
  */
 
-const Database = require('better-sqlite3');
-const path = require('path');
+const repository = require('../db/db');
+const insightService = require('../services/insightService');
 const emailService = require('../services/emailService');
+const followUpService = require('../services/followUpService');
+const ghostService = require('../services/ghostService');
+const interviewService = require('../services/interviewService');
+const offerService = require('../services/offerService');
+const outboxService = require('../services/outboxService');
 const eventBus = require('./eventBus');
 
-// Database connection for workflows
-const dbPath = path.join(__dirname, '../db/applications.db');
-const db = new Database(dbPath);
+// The weekly summary covers this many days up to the run
+const SUMMARY_PERIOD_DAYS = 7;
 
-// Initialize event bus with workflows
-eventBus.registerWorkflows({
-  applicationCreated,
-  statusUpdated,
-  weeklySummary
-});
-
-console.log('✅ Motia workflows registered with event bus');
+// How long rows stay claimed while their emails are sent; a run that
+// crashes before confirming them lets the next run pick them up after this
+const SEND_LEASE_MS = 15 * 60 * 1000;
 
 /**
- * Application Created Workflow
- * Triggered when a new job application is created
- * @param {Object} payload - Application data
- * @param {string} payload.company - Company name
- * @param {string} payload.role - Job role
- * @param {string} payload.status - Application status
- * @param {string} payload.source - Application source
- * @param {string} payload.resume_version - Resume version
- * @param {string} payload.applied_at - Application date
- * @returns {Promise<Object>} Workflow result
+ * Check that every recipient got an email
+ * A send that was only logged because SMTP is not configured counts as
+ * delivered, otherwise nothing would ever be marked as sent without SMTP
+ * @param {Array<Object>} emailResults - Results from emailService
+ * @returns {boolean} True if no send failed
  */
-async function applicationCreated(payload) {
-  try {
-    console.log('=== APPLICATION CREATED WORKFLOW ===');
-    console.log(`📝 New application created at: ${new Date().toISOString()}`);
-    console.log(`🏢 Company: ${payload.company}`);
-    console.log(`👔 Role: ${payload.role}`);
-    console.log(`📅 Applied: ${payload.applied_at}`);
-    console.log(`🔖 Status: ${payload.status}`);
-    console.log(`📄 Source: ${payload.source}`);
-    console.log(`📄 Resume Version: ${payload.resume_version}`);
-    console.log('===================================\n');
-
-    return {
-      workflow: 'applicationCreated',
-      timestamp: new Date().toISOString(),
-      applicationId: payload.id,
-      success: true
-    };
-  } catch (error) {
-    console.error('Error in applicationCreated workflow:', error);
-    throw error;
-  }
+function allDelivered(emailResults) {
+  return emailResults.every(result => result.success || result.logged);
 }
 
 /**
- * Status Updated Workflow
- * Triggered when an application status changes
- * @param {Object} payload - Status update data
- * @param {number} payload.applicationId - Application ID
- * @param {string} payload.oldStatus - Previous status
- * @param {string} payload.newStatus - New status
- * @returns {Promise<Object>} Workflow result
+ * Create workflow functions bound to their dependencies
+ * @param {Object} deps
+ * @param {Object} deps.repository - Application repository (see db/db.js)
+ * @param {Object} deps.insightService - Insight service instance
+ * @param {Object} deps.emailService - Email service module
+ * @param {Object} deps.followUpService - Follow-up reminder service
+ * @param {Object} deps.ghostService - Ghost check service
+ * @param {Object} deps.interviewService - Interview scheduling service
+ * @param {Object} deps.offerService - Offer tracking service
+ * @param {Object} deps.outboxService - Outbox for events raised by workflows
+ * @returns {Object} Workflow functions keyed by event name; each takes
+ *   (payload, meta) and writes nothing when meta.replay is set (see motia/replay.js)
  */
-async function statusUpdated(payload) {
-  try {
-    console.log('=== STATUS UPDATED WORKFLOW ===');
-
-    // Get application details from database
-    const stmt = db.prepare('SELECT * FROM applications WHERE id = ?');
-    const application = stmt.get(payload.applicationId);
+function createWorkflows({
+  repository,
+  insightService,
+  emailService,
+  followUpService,
+  ghostService,
+  interviewService,
+  offerService,
+  outboxService
+}) {
+  /**
+   * Application Created Workflow
+   * Triggered when a new job application is created
+   * @param {Object} payload - Application data
+   * @param {string} payload.company - Company name
+   * @param {string} payload.role - Job role
+   * @param {string} payload.status - Application status
+   * @param {string} payload.source - Application source
+   * @param {string} payload.resume_version - Resume version
+   * @param {string} payload.applied_at - Application date
+   * @returns {Promise<Object>} Workflow result
+   */
+  async function applicationCreated(payload) {
+    try {
+      console.log('=== APPLICATION CREATED WORKFLOW ===');
+      console.log(`📝 New application created at: ${new Date().toISOString()}`);
+      console.log(`🏢 Company: ${payload.company}`);
+      console.log(`👔 Role: ${payload.role}`);
+      console.log(`📅 Applied: ${payload.applied_at}`);
+      console.log(`🔖 Status: ${payload.status}`);
+      console.log(`📄 Source: ${payload.source}`);
+      console.log(`📄 Resume Version: ${payload.resume_version}`);
+      console.log('===================================\n');
 
-    if (!application) {
-      throw new Error(`Application with ID ${payload.applicationId} not found`);
+      return {
+        workflow: 'applicationCreated',
+        timestamp: new Date().toISOString(),
+        applicationId: payload.id,
+        success: true
+      };
+    } catch (error) {
+      console.error('Error in applicationCreated workflow:', error);
+      throw error;
     }
+  }
+
+  /**
+   * Status Updated Workflow
+   * Triggered when an application status changes
+   * @param {Object} payload - Status update data
+   * @param {number} payload.applicationId - Application ID
+   * @param {string} payload.oldStatus - Previous status
+   * @param {string} payload.newStatus - New status
+   * @param {string} [payload.changedBy] - 'system' when a workflow made the change
+   * @param {Object} [meta] - Event metadata; replays leave reminders untouched
+   * @returns {Promise<Object>} Workflow result
+   */
+  async function statusUpdated(payload, meta = {}) {
+    try {
+      console.log('=== STATUS UPDATED WORKFLOW ===');
+
+      // Get application details from the repository
+      const application = repository.getApplicationById(payload.applicationId);
 
-    const appliedDate = new Date(application.applied_at);
-    const currentDate = new Date();
-    const responseTimeDays = Math.floor((currentDate - appliedDate) / (1000 * 60 * 60 * 24));
-
-    console.log(`🔄 Application ID: ${payload.applicationId}`);
-    console.log(`🏢 Company: ${application.company}`);
-    console.log(`👔 Role: ${application.role}`);
-    console.log(`📅 Applied: ${application.applied_at}`);
-    console.log(`⏱️  Response Time: ${responseTimeDays} days`);
-    console.log(`🔖 Status Change: ${payload.oldStatus} → ${payload.newStatus}`);
-    console.log('================================\n');
-
-    return {
-      workflow: 'statusUpdated',
-      applicationId: payload.applicationId,
-      oldStatus: payload.oldStatus,
-      newStatus: payload.newStatus,
-      responseTimeDays,
-      company: application.company,
-      role: application.role,
-      success: true
-    };
-  } catch (error) {
-    console.error('Error in statusUpdated workflow:', error);
-    throw error;
+      // Deleted before the event was delivered: nothing left to update
+      if (!application) {
+        console.log(`⏭️  Application ${payload.applicationId} no longer exists, skipping`);
+        console.log('================================\n');
+        return {
+          workflow: 'statusUpdated',
+          applicationId: payload.applicationId,
+          skipped: true,
+          success: true
+        };
+      }
+
+      // Get the recorded transitions so timings use real change timestamps
+      const history = repository.getStatusHistory(payload.applicationId);
+
+      const msPerDay = 1000 * 60 * 60 * 24;
+      const transitionIndex = history.findLastIndex(entry =>
+        entry.old_status === payload.oldStatus && entry.new_status === payload.newStatus
+      );
+      const transition = transitionIndex >= 0 ? history[transitionIndex] : null;
+      const previousEntry = transitionIndex > 0 ? history[transitionIndex - 1] : null;
+
+      const appliedDate = new Date(application.applied_at);
+      const changedDate = transition ? new Date(transition.changed_at) : new Date();
+      const responseTimeDays = Math.floor((changedDate - appliedDate) / msPerDay);
+      const daysInPreviousStatus = previousEntry
+        ? Math.floor((changedDate - new Date(previousEntry.changed_at)) / msPerDay)
+        : null;
+
+      console.log(`🔄 Application ID: ${payload.applicationId}`);
+      console.log(`🏢 Company: ${application.company}`);
+      console.log(`👔 Role: ${application.role}`);
+      console.log(`📅 Applied: ${application.applied_at}`);
+      console.log(`⏱️  Response Time: ${responseTimeDays} days`);
+      if (daysInPreviousStatus !== null) {
+        console.log(`⏳ Time in ${payload.oldStatus}: ${daysInPreviousStatus} days`);
+      }
+      console.log(`🔖 Status Change: ${payload.oldStatus} → ${payload.newStatus}${payload.changedBy === 'system' ? ' (system)' : ''}`);
+      console.log(`📜 Transitions recorded: ${history.length}`);
+
+      // The application moved on, so waiting-for-a-reply reminders no longer apply
+      const remindersResolved = meta.replay ? 0 : followUpService.resolveForApplication(payload.applicationId);
+      if (remindersResolved > 0) {
+        console.log(`🔕 Resolved ${remindersResolved} follow-up reminder(s)`);
+      }
+      console.log('================================\n');
+
+      return {
+        workflow: 'statusUpdated',
+        applicationId: payload.applicationId,
+        oldStatus: payload.oldStatus,
+        newStatus: payload.newStatus,
+        responseTimeDays,
+        daysInPreviousStatus,
+        changedAt: transition ? transition.changed_at : null,
+        transitionCount: history.length,
+        remindersResolved,
+        company: application.company,
+        role: application.role,
+        success: true
+      };
+    } catch (error) {
+      console.error('Error in statusUpdated workflow:', error);
+      throw error;
+    }
   }
-}
 
-/**
- * Weekly Summary Workflow
- * Generates comprehensive statistics and insights
- * @param {Object} payload - Summary parameters
- * @param {string} [payload.toEmail] - Optional email recipient
- * @returns {Promise<Object>} Workflow result
- */
-async function weeklySummary(payload) {
-  try {
-    console.log('=== WEEKLY SUMMARY WORKFLOW ===');
-    console.log(`📊 Generating weekly summary at: ${new Date().toISOString()}`);
-
-    // Generate comprehensive insights using the insight service
-    const insightService = require('../services/insightService');
-    const insights = insightService.getComprehensiveInsights();
-
-    // Log the summary to console
-    console.log('\n📋 Weekly Summary Report:');
-    console.log(insights.comprehensiveSummary);
-    console.log('===================================\n');
-
-    // Send email if configured and recipient provided
-    if (payload?.toEmail) {
-      const emailResult = await emailService.sendWeeklySummaryEmail(payload.toEmail, insights);
-
-      if (emailResult.success) {
-        console.log(`📧 Weekly summary email sent successfully to ${payload.toEmail}`);
-      } else if (emailResult.logged) {
-        console.log('ℹ️ Email not configured, summary logged to console instead');
-      } else {
-        console.log(`⚠️ Failed to send email: ${emailResult.message}`);
+  /**
+   * Weekly Summary Workflow
+   * Generates statistics and insights for the last week, compared with the week before
+   * @param {Object} payload - Summary parameters
+   * @param {string} [payload.toEmail] - Optional email recipient
+   * @param {string[]} [payload.recipients] - Optional list of email recipients
+   * @param {string} [payload.from] - Period start (ISO); defaults to a week before `to`
+   * @param {string} [payload.to] - Period end (ISO); defaults to now
+   * @returns {Promise<Object>} Workflow result
+   */
+  async function weeklySummary(payload) {
+    try {
+      const to = payload?.to ? new Date(payload.to) : new Date();
+      const from = payload?.from
+        ? new Date(payload.from)
+        : new Date(to.getTime() - SUMMARY_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+      const period = { from: from.toISOString(), to: to.toISOString() };
+
+      console.log('=== WEEKLY SUMMARY WORKFLOW ===');
+      console.log(`📊 Generating weekly summary for ${period.from} to ${period.to}`);
+
+      // Generate insights for the period using the insight service
+      const insights = insightService.getComprehensiveInsights({ ...period, interval: 'week' });
+
+      // Log the summary to console
+      console.log('\n📋 Weekly Summary Report:');
+      console.log(insights.comprehensiveSummary);
+      console.log('===================================\n');
+
+      // Send email if configured and recipients provided
+      const recipients = [...new Set([payload?.toEmail, ...(payload?.recipients || [])].filter(Boolean))];
+      if (recipients.length > 0) {
+        const emailResults = [];
+
+        for (const toEmail of recipients) {
+          const emailResult = await emailService.sendWeeklySummaryEmail(toEmail, insights);
+
+          if (emailResult.success) {
+            console.log(`📧 Weekly summary email sent successfully to ${toEmail}`);
+          } else if (emailResult.logged) {
+            console.log('ℹ️ Email not configured, summary logged to console instead');
+          } else {
+            console.log(`⚠️ Failed to send email to ${toEmail}: ${emailResult.message}`);
+          }
+          emailResults.push({ toEmail, ...emailResult });
+        }
+
+        return {
+          workflow: 'weeklySummary',
+          timestamp: new Date().toISOString(),
+          period,
+          insightsGenerated: true,
+          emailSent: emailResults.some(result => result.success),
+          emailResult: emailResults[0],
+          emailResults,
+          success: true
+        };
       }
 
+      // If no email provided, just return the insights
       return {
         workflow: 'weeklySummary',
         timestamp: new Date().toISOString(),
-        insightsGenerated: true,
-        emailSent: emailResult.success,
-        emailResult: emailResult,
+        period,
+        insights: insights,
+        emailSent: false,
+        message: 'Weekly summary generated (no email sent)',
+        success: true
+      };
+    } catch (error) {
+      console.error('Error in weeklySummary workflow:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Follow-Up Check Workflow
+   * Runs daily: records reminders for applications waiting too long in
+   * Applied or Interview, queues a followUpDue event and sends one digest
+   * with every reminder that has not been sent yet
+   * @param {Object} payload - Check parameters
+   * @param {string[]} [payload.recipients] - Optional list of email recipients
+   * @param {Object} [meta] - Event metadata; replays only report what is due
+   * @returns {Promise<Object>} Workflow result
+   */
+  async function followUpCheck(payload, meta = {}) {
+    try {
+      console.log('=== FOLLOW-UP CHECK WORKFLOW ===');
+      const now = new Date();
+
+      // A replay must not record, claim or mark reminders, or the real digest would skip them
+      if (meta.replay) {
+        const stale = followUpService.findStaleApplications(now);
+        const due = followUpService.getRemindersToNotify(now);
+        console.log(`⏰ Replay: ${stale.length} application(s) waiting, ${due.length} reminder(s) due (nothing recorded)`);
+        console.log('================================\n');
+        return {
+          workflow: 'followUpCheck',
+          timestamp: now.toISOString(),
+          replay: true,
+          staleApplications: stale.length,
+          remindersCreated: 0,
+          remindersDue: due.length,
+          emailSent: false,
+          emailResults: [],
+          success: true
+        };
+      }
+
+      // Reminders, the event and the claim commit together; the reminders
+      // count as notified only once the digest is sent
+      const { created, due } = repository.runInTransaction(() => {
+        const result = followUpService.checkFollowUps(now);
+        if (result.due.length > 0) {
+          outboxService.enqueue('followUpDue', {
+            count: result.due.length,
+            reminders: result.due.map(reminder => ({
+              id: reminder.id,
+              applicationId: reminder.application_id,
+              company: reminder.company,
+              role: reminder.role,
+              status: reminder.status,
+              staleSince: reminder.stale_since,
+              daysWaiting: reminder.days_waiting
+            }))
+          }, { correlationId: meta.correlationId });
+          followUpService.claimForNotification(
+            result.due.map(reminder => reminder.id),
+            new Date(now.getTime() + SEND_LEASE_MS)
+          );
+        }
+        return result;
+      });
+      if (due.length > 0) outboxService.wake();
+
+      console.log(`⏰ ${created} new follow-up reminder(s), ${due.length} to send`);
+      due.forEach(reminder => {
+        console.log(`- ${reminder.company} (${reminder.role}): ${reminder.days_waiting} days in ${reminder.status}`);
+      });
+      console.log('================================\n');
+
+      const recipients = [...new Set(payload?.recipients || [])];
+      const emailResults = [];
+      if (due.length > 0) {
+        for (const toEmail of recipients) {
+          const emailResult = await emailService.sendFollowUpDigestEmail(toEmail, due);
+          if (emailResult.success) {
+            console.log(`📧 Follow-up digest sent to ${toEmail}`);
+          } else if (!emailResult.logged) {
+            console.log(`⚠️ Failed to send follow-up digest to ${toEmail}: ${emailResult.message}`);
+          }
+          emailResults.push({ toEmail, ...emailResult });
+        }
+
+        const ids = due.map(reminder => reminder.id);
+        if (allDelivered(emailResults)) {
+          followUpService.markNotified(ids, new Date());
+        } else {
+          followUpService.releaseNotification(ids);
+          console.log(`↩️ ${ids.length} follow-up reminder(s) kept for the next check`);
+        }
+      }
+
+      return {
+        workflow: 'followUpCheck',
+        timestamp: now.toISOString(),
+        remindersCreated: created,
+        remindersDue: due.length,
+        emailSent: emailResults.some(result => result.success),
+        emailResults,
+        success: true
+      };
+    } catch (error) {
+      console.error('Error in followUpCheck workflow:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Ghost Check Workflow
+   * Runs daily: moves applications that went too long without a status
+   * change (per source, see config/ghosting.js) to Ghosted and queues a
+   * statusUpdated event for each, marked as a system change
+   * @param {Object} payload - Check parameters (none used)
+   * @param {Object} [meta] - Event metadata; replays only report the candidates
+   * @returns {Promise<Object>} Workflow result
+   */
+  async function ghostCheck(payload, meta = {}) {
+    try {
+      console.log('=== GHOST CHECK WORKFLOW ===');
+      const now = new Date();
+
+      // A replay cannot queue statusUpdated events, so it must not change statuses either
+      if (meta.replay) {
+        const candidates = ghostService.findSilentApplications(now);
+        console.log(`👻 Replay: ${candidates.length} application(s) would move to Ghosted (nothing changed)`);
+        console.log('============================\n');
+        return {
+          workflow: 'ghostCheck',
+          timestamp: now.toISOString(),
+          replay: true,
+          ghosted: [],
+          candidates: candidates.map(application => ({
+            applicationId: application.id,
+            company: application.company,
+            oldStatus: application.status,
+            daysSilent: application.days_silent
+          })),
+          success: true
+        };
+      }
+
+      const ghosted = repository.runInTransaction(() => {
+        const changes = ghostService.ghostSilentApplications(now);
+        changes.forEach(({ application, oldStatus }) => {
+          outboxService.enqueue('statusUpdated', {
+            applicationId: application.id,
+            oldStatus,
+            newStatus: application.status,
+            changedBy: 'system'
+          }, { correlationId: meta.correlationId });
+        });
+        return changes;
+      });
+      if (ghosted.length > 0) outboxService.wake();
+
+      console.log(`👻 ${ghosted.length} application(s) moved to Ghosted`);
+      ghosted.forEach(({ application, oldStatus, daysSilent, thresholdDays }) => {
+        console.log(`- ${application.company} (${application.role}): ${daysSilent} days in ${oldStatus}, limit ${thresholdDays}`);
+      });
+      console.log('============================\n');
+
+      return {
+        workflow: 'ghostCheck',
+        timestamp: now.toISOString(),
+        ghosted: ghosted.map(({ application, oldStatus, daysSilent }) => ({
+          applicationId: application.id,
+          company: application.company,
+          oldStatus,
+          daysSilent
+        })),
+        success: true
+      };
+    } catch (error) {
+      console.error('Error in ghostCheck workflow:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Interview Reminders Workflow
+   * Runs every few minutes: emails a reminder for each pending interview
+   * starting within the reminder window (see config/interviews.js). Each
+   * interview is reminded of once, unless it is rescheduled.
+   * @param {Object} payload - Check parameters
+   * @param {string[]} [payload.recipients] - Optional list of email recipients
+   * @param {Object} [meta] - Event metadata; replays only report what is due
+   * @returns {Promise<Object>} Workflow result
+   */
+  async function interviewReminders(payload, meta = {}) {
+    try {
+      const now = new Date();
+
+      // A replay sends nothing, so claiming or marking would swallow the real reminders
+      if (meta.replay) {
+        const due = interviewService.getDueReminders(now);
+        console.log(`📅 Replay: ${due.length} interview reminder(s) due (nothing marked)`);
+        return {
+          workflow: 'interviewReminders',
+          timestamp: now.toISOString(),
+          replay: true,
+          reminded: 0,
+          dueInterviewIds: due.map(interview => interview.id),
+          emailSent: false,
+          success: true
+        };
+      }
+
+      // Claim before sending so an overlapping run cannot send the same reminder
+      const interviews = repository.runInTransaction(() => {
+        const due = interviewService.getDueReminders(now);
+        interviewService.claimReminders(due.map(interview => interview.id), new Date(now.getTime() + SEND_LEASE_MS));
+        return due;
+      });
+      if (interviews.length === 0) {
+        return { workflow: 'interviewReminders', timestamp: now.toISOString(), reminded: 0, emailSent: false, success: true };
+      }
+
+      console.log('=== INTERVIEW REMINDERS WORKFLOW ===');
+      const recipients = [...new Set(payload?.recipients || [])];
+      const emailResults = [];
+      const reminded = [];
+      const failed = [];
+      for (const interview of interviews) {
+        console.log(`📅 ${interview.company} (${interview.round_name}) at ${interview.starts_at}`);
+        const interviewResults = [];
+        for (const toEmail of recipients) {
+          const emailResult = await emailService.sendInterviewReminderEmail(toEmail, interview);
+          if (!emailResult.success && !emailResult.logged) {
+            console.log(`⚠️ Failed to send interview reminder to ${toEmail}: ${emailResult.message}`);
+          }
+          interviewResults.push({ toEmail, interviewId: interview.id, ...emailResult });
+        }
+        (allDelivered(interviewResults) ? reminded : failed).push(interview.id);
+        emailResults.push(...interviewResults);
+      }
+
+      // Only delivered reminders count; failed ones are retried by the next check
+      interviewService.markReminded(reminded, new Date());
+      interviewService.releaseReminders(failed);
+      if (failed.length > 0) {
+        console.log(`↩️ ${failed.length} interview reminder(s) kept for the next check`);
+      }
+      console.log('====================================\n');
+
+      return {
+        workflow: 'interviewReminders',
+        timestamp: now.toISOString(),
+        reminded: reminded.length,
+        interviewIds: reminded,
+        failedInterviewIds: failed,
+        emailSent: emailResults.some(result => result.success),
+        emailResults,
         success: true
       };
+    } catch (error) {
+      console.error('Error in interviewReminders workflow:', error);
+      throw error;
     }
+  }
+
+  /**
+   * Offer Deadlines Workflow
+   * Runs daily: emails one warning listing the pending offers whose decision
+   * deadline is within the warning window (see config/offers.js). Each
+   * offer is warned about once, unless its deadline moves.
+   * @param {Object} payload - Check parameters
+   * @param {string[]} [payload.recipients] - Optional list of email recipients
+   * @param {Object} [meta] - Event metadata; replays only report what is due
+   * @returns {Promise<Object>} Workflow result
+   */
+  async function offerDeadlines(payload, meta = {}) {
+    try {
+      console.log('=== OFFER DEADLINES WORKFLOW ===');
+      const now = new Date();
+
+      // A replay sends nothing, so claiming or marking would swallow the real warning
+      if (meta.replay) {
+        const due = offerService.getDeadlineWarnings(now);
+        console.log(`⏳ Replay: ${due.length} offer deadline(s) approaching (nothing marked)`);
+        console.log('================================\n');
+        return {
+          workflow: 'offerDeadlines',
+          timestamp: now.toISOString(),
+          replay: true,
+          warned: 0,
+          dueOfferIds: due.map(offer => offer.id),
+          emailSent: false,
+          success: true
+        };
+      }
+
+      // Claim before sending so an overlapping run cannot send the same warning
+      const offers = repository.runInTransaction(() => {
+        const due = offerService.getDeadlineWarnings(now);
+        offerService.claimDeadlineWarnings(due.map(offer => offer.id), new Date(now.getTime() + SEND_LEASE_MS));
+        return due;
+      });
+
+      console.log(`⏳ ${offers.length} offer deadline(s) approaching`);
+      offers.forEach(offer => {
+        console.log(`- ${offer.company} (${offer.role}): ${offer.days_to_deadline} day(s) left`);
+      });
+      console.log('================================\n');
+
+      const recipients = [...new Set(payload?.recipients || [])];
+      const emailResults = [];
+      if (offers.length > 0) {
+        for (const toEmail of recipients) {
+          const emailResult = await emailService.sendOfferDeadlineEmail(toEmail, offers);
+          if (!emailResult.success && !emailResult.logged) {
+            console.log(`⚠️ Failed to send offer deadline warning to ${toEmail}: ${emailResult.message}`);
+          }
+          emailResults.push({ toEmail, ...emailResult });
+        }
+      }
+
+      // The offers count as warned only once the warning reached everyone
+      const ids = offers.map(offer => offer.id);
+      const delivered = allDelivered(emailResults);
+      if (delivered) {
+        offerService.markDeadlineWarned(ids, new Date());
+      } else {
+        offerService.releaseDeadlineWarnings(ids);
+        console.log(`↩️ ${ids.length} offer deadline warning(s) kept for the next check`);
+      }
 
-    // If no email provided, just return the insights
-    return {
-      workflow: 'weeklySummary',
-      timestamp: new Date().toISOString(),
-      insights: insights,
-      emailSent: false,
-      message: 'Weekly summary generated (no email sent)',
-      success: true
-    };
-  } catch (error) {
-    console.error('Error in weeklySummary workflow:', error);
-    throw error;
+      return {
+        workflow: 'offerDeadlines',
+        timestamp: now.toISOString(),
+        warned: delivered ? ids.length : 0,
+        offerIds: delivered ? ids : [],
+        emailSent: emailResults.some(result => result.success),
+        emailResults,
+        success: true
+      };
+    } catch (error) {
+      console.error('Error in offerDeadlines workflow:', error);
+      throw error;
+    }
   }
+
+  return {
+    applicationCreated,
+    statusUpdated,
+    weeklySummary,
+    followUpCheck,
+    ghostCheck,
+    interviewReminders,
+    offerDeadlines
+  };
 }
 
+// Default workflows use the shared repository connection
+const workflows = createWorkflows({
+  repository,
+  insightService,
+  emailService,
+  followUpService,
+  ghostService,
+  interviewService,
+  offerService,
+  outboxService
+});
+
+// Initialize event bus with workflows
+eventBus.registerWorkflows(workflows);
+
+// Append every emitted event to the event log (GET /api/events, replay)
+eventBus.setEventRecorder(record => repository.appendEventLog(record));
+
+console.log('✅ Motia workflows registered with event bus');
+
 // Export workflow functions for direct use if needed
 module.exports = {
-  applicationCreated,
-  statusUpdated,
-  weeklySummary,
+  ...workflows,
+  createWorkflows,
   eventBus // Export event bus for external use
-};
\ No newline at end of file
+};
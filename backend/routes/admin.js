@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router();
+const outboxService = require('../services/outboxService');
+const { validate } = require('../validation/validate');
+const schemas = require('../validation/schemas');
+
+// GET outbox event counts by status and the next scheduled retry
+router.get('/outbox', (req, res, next) => {
+  try {
+    res.json(outboxService.getStatus());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET dead-lettered events, most recent failure first
+router.get('/dead-letters', validate({ query: schemas.deadLettersQuery }), (req, res, next) => {
+  try {
+    res.json({ deadLetters: outboxService.getDeadLetters(req.validated.query.limit) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET a single dead-lettered event with its payload and last error
+router.get('/dead-letters/:id', validate({ params: schemas.idParams }), (req, res, next) => {
+  try {
+    res.json(outboxService.getDeadLetter(req.validated.params.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST send a dead-lettered event back to the outbox for redelivery
+router.post('/dead-letters/:id/retry', validate({ params: schemas.idParams }), (req, res, next) => {
+  try {
+    res.status(202).json(outboxService.retryDeadLetter(req.validated.params.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE discard a dead-lettered event
+router.delete('/dead-letters/:id', validate({ params: schemas.idParams }), (req, res, next) => {
+  try {
+    outboxService.discardDeadLetter(req.validated.params.id);
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
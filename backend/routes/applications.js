@@ -1,156 +1,542 @@
 const express = require('express');
 const router = express.Router();
 const {
-  getAllApplications,
+  queryApplications,
   getApplicationById,
   createApplication,
   updateApplication,
   updateApplicationStatus,
-  deleteApplication
+  deleteApplication,
+  getStatusHistory,
+  getContacts,
+  createContact,
+  updateContact,
+  deleteContact,
+  getInterviews,
+  getOffers,
+  runInTransaction
 } = require('../db/db');
-const { eventBus } = require('../motia/workflows');
+// Loading the workflows registers them on the event bus the outbox delivers to
+require('../motia/workflows');
+const outboxService = require('../services/outboxService');
 const insightService = require('../services/insightService');
+const importExportService = require('../services/importExportService');
+const resumeService = require('../services/resumeService');
+const matchService = require('../services/matchService');
+const ghostService = require('../services/ghostService');
+const interviewService = require('../services/interviewService');
+const offerService = require('../services/offerService');
+const { validate, validateObject } = require('../validation/validate');
+const schemas = require('../validation/schemas');
+const { BadRequestError, ValidationError, NotFoundError } = require('../utils/errors');
 
-// No need for EventEmitter - using Motia event bus instead
+// Events are written to the outbox with the change and delivered to the Motia
+// event bus in the background (see services/outboxService.js)
+// Errors are passed to next() and rendered by the error middleware in index.js
 
-// GET all applications
-router.get('/', (req, res) => {
+// GET applications with filters, search, sorting and pagination
+// e.g. /api/applications?status=Applied,Interview&q=backend&sort=company&order=asc&limit=20
+// Without limit, offset or cursor the response stays a bare array of every match
+router.get('/', validate({ query: schemas.listApplications }), (req, res, next) => {
   try {
-    const applications = getAllApplications();
-    res.json(applications);
+    const { sort, order, limit, offset, cursor, ...filters } = req.validated.query;
+    const paginated = [limit, offset, cursor].some(value => value !== undefined);
+    if (!paginated) {
+      return res.json(queryApplications(filters, { sort, order, limit: null }).data);
+    }
+
+    const result = queryApplications(filters, { sort, order, limit, offset, cursor });
+    res.json(result);
   } catch (error) {
-    console.error('Error fetching applications:', error);
-    res.status(500).json({ error: 'Failed to fetch applications' });
+    next(error);
   }
 });
 
-// GET comprehensive insights
-router.get('/insights', (req, res) => {
+// GET comprehensive insights, optionally for applications submitted in [from, to)
+// e.g. /api/applications/insights?from=2025-01-01&to=2025-04-01&interval=month
+router.get('/insights', validate({ query: schemas.insightsQuery }), (req, res, next) => {
   try {
-    const insights = insightService.getComprehensiveInsights();
+    const { from, to } = req.validated.query;
+    if (from && to && from >= to) {
+      throw new BadRequestError('Invalid request query string', { to: 'must be after from' });
+    }
+
+    const insights = insightService.getComprehensiveInsights(req.validated.query);
     res.json(insights);
   } catch (error) {
-    console.error('Error generating insights:', error);
-    res.status(500).json({ error: 'Failed to generate insights' });
+    next(error);
+  }
+});
+
+// GET export all applications as CSV or JSON
+router.get('/export', validate({ query: schemas.exportApplications }), (req, res, next) => {
+  try {
+    const { contentType, filename, body } = importExportService.exportApplications(req.validated.query.format || 'json');
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(body);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Validate JSON import options, reusing the query-string schema
+function validateImportBody(body) {
+  if (!body || typeof body !== 'object' || body.data === undefined) {
+    throw new BadRequestError('Import body must include data (CSV text or a list of rows)');
+  }
+
+  const { value, fields } = validateObject(schemas.importOptions, body);
+  if (Object.keys(fields).length > 0) {
+    throw new BadRequestError('Invalid import options', fields);
+  }
+  return value;
+}
+
+// POST import applications
+// Either a text/csv body (options in the query string, e.g. ?dryRun=true&mapping[company]=Company Name)
+// or JSON: { data: csvText | rows[], mapping, dryRun, suppressEvents }
+router.post('/import', express.text({ type: 'text/csv', limit: '5mb' }), validate({ query: schemas.importOptions }), async (req, res, next) => {
+  try {
+    const isCsvBody = typeof req.body === 'string';
+    const options = isCsvBody ? req.validated.query : validateImportBody(req.body);
+    const data = isCsvBody ? req.body : req.body.data;
+    const mapping = (isCsvBody ? req.query.mapping : req.body.mapping) || {};
+
+    // CSV text is parsed into rows keyed by its header line
+    const rows = typeof data === 'string' ? importExportService.parseCsv(data) : data;
+
+    const report = await importExportService.importApplications(rows, {
+      mapping,
+      dryRun: options.dryRun,
+      suppressEvents: options.suppressEvents,
+      correlationId: req.correlationId
+    });
+
+    res.status(report.dryRun || report.created === 0 ? 200 : 201).json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reject resume versions that were never uploaded or are archived
+function assertResumeVersion(version) {
+  const message = resumeService.checkAssignableVersion(version);
+  if (message) {
+    throw new ValidationError('Request body failed validation', { resume_version: message });
+  }
+}
+
+// Shape a status_history row for API responses
+function toTransition(entry) {
+  return {
+    id: entry.id,
+    fromStatus: entry.old_status,
+    toStatus: entry.new_status,
+    changedAt: entry.changed_at,
+    changedBy: entry.changed_by
+  };
+}
+
+// Look up an application or throw a 404
+function findApplication(id) {
+  const application = getApplicationById(id);
+  if (!application) {
+    throw new NotFoundError('Application not found');
+  }
+  return application;
+}
+
+// GET single application by ID, with its status timeline, contacts, interviews and offers
+router.get('/:id', validate({ params: schemas.idParams }), (req, res, next) => {
+  try {
+    const { id } = req.validated.params;
+    const application = findApplication(id);
+    res.json({
+      ...application,
+      history: getStatusHistory(id).map(toTransition),
+      contacts: getContacts(id),
+      interviews: getInterviews(id),
+      offers: getOffers(id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET status history (timeline) for an application
+router.get('/:id/history', validate({ params: schemas.idParams }), (req, res, next) => {
+  try {
+    const { id } = req.validated.params;
+    const application = findApplication(id);
+
+    const history = getStatusHistory(id);
+    res.json({
+      applicationId: id,
+      currentStatus: application.status,
+      transitions: history.map(toTransition)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET how well the application's resume matches its job description
+router.get('/:id/match', validate({ params: schemas.idParams }), (req, res, next) => {
+  try {
+    res.json(matchService.getMatch(req.validated.params.id));
+  } catch (error) {
+    next(error);
   }
 });
 
-// GET single application by ID
-router.get('/:id', (req, res) => {
+// GET contacts related to an application
+router.get('/:id/contacts', validate({ params: schemas.idParams }), (req, res, next) => {
   try {
-    const application = getApplicationById(parseInt(req.params.id));
-    if (!application) {
-      return res.status(404).json({ error: 'Application not found' });
+    const { id } = req.validated.params;
+    findApplication(id);
+    res.json({ contacts: getContacts(id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST add a contact to an application
+router.post('/:id/contacts', validate({ params: schemas.idParams, body: schemas.createContact }), (req, res, next) => {
+  try {
+    const { id } = req.validated.params;
+    findApplication(id);
+    res.status(201).json(createContact(id, req.body));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT update a contact; null or '' clears optional fields
+router.put('/:id/contacts/:contactId', validate({ params: schemas.contactParams, body: schemas.updateContact }), (req, res, next) => {
+  try {
+    const { id, contactId } = req.validated.params;
+    const contact = updateContact(id, contactId, req.body);
+    if (!contact) {
+      throw new NotFoundError('Contact not found');
     }
-    res.json(application);
+    res.json(contact);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE a contact
+router.delete('/:id/contacts/:contactId', validate({ params: schemas.contactParams }), (req, res, next) => {
+  try {
+    const { id, contactId } = req.validated.params;
+    if (!deleteContact(id, contactId)) {
+      throw new NotFoundError('Contact not found');
+    }
+    res.status(204).end();
   } catch (error) {
-    console.error('Error fetching application:', error);
-    res.status(500).json({ error: 'Failed to fetch application' });
+    next(error);
+  }
+});
+
+// GET interviews of an application, earliest first
+router.get('/:id/interviews', validate({ params: schemas.idParams }), (req, res, next) => {
+  try {
+    res.json({ interviews: interviewService.listInterviews(req.validated.params.id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST schedule an interview
+router.post('/:id/interviews', validate({ params: schemas.idParams, body: schemas.createInterview }), (req, res, next) => {
+  try {
+    res.status(201).json(interviewService.createInterview(req.validated.params.id, req.body));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET a single interview
+router.get('/:id/interviews/:interviewId', validate({ params: schemas.interviewParams }), (req, res, next) => {
+  try {
+    const { id, interviewId } = req.validated.params;
+    res.json(interviewService.getInterview(id, interviewId));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT update an interview, e.g. to reschedule it or record the outcome
+router.put('/:id/interviews/:interviewId', validate({ params: schemas.interviewParams, body: schemas.updateInterview }), (req, res, next) => {
+  try {
+    const { id, interviewId } = req.validated.params;
+    res.json(interviewService.updateInterview(id, interviewId, req.body));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE an interview
+router.delete('/:id/interviews/:interviewId', validate({ params: schemas.interviewParams }), (req, res, next) => {
+  try {
+    const { id, interviewId } = req.validated.params;
+    interviewService.deleteInterview(id, interviewId);
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET the application's interviews as an .ics file to import into a calendar
+router.get('/:id/calendar.ics', validate({ params: schemas.idParams }), (req, res, next) => {
+  try {
+    const { id } = req.validated.params;
+    const calendar = interviewService.buildCalendar(id);
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="application-${id}-interviews.ics"`);
+    res.send(calendar);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET offers received for an application
+router.get('/:id/offers', validate({ params: schemas.idParams }), (req, res, next) => {
+  try {
+    res.json({ offers: offerService.listOffers(req.validated.params.id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST record an offer
+router.post('/:id/offers', validate({ params: schemas.idParams, body: schemas.createOffer }), (req, res, next) => {
+  try {
+    res.status(201).json(offerService.createOffer(req.validated.params.id, req.body));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET a single offer
+router.get('/:id/offers/:offerId', validate({ params: schemas.offerParams }), (req, res, next) => {
+  try {
+    const { id, offerId } = req.validated.params;
+    res.json(offerService.getOffer(id, offerId));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT update an offer, e.g. after negotiating or to record the decision
+router.put('/:id/offers/:offerId', validate({ params: schemas.offerParams, body: schemas.updateOffer }), (req, res, next) => {
+  try {
+    const { id, offerId } = req.validated.params;
+    res.json(offerService.updateOffer(id, offerId, req.body));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE an offer
+router.delete('/:id/offers/:offerId', validate({ params: schemas.offerParams }), (req, res, next) => {
+  try {
+    const { id, offerId } = req.validated.params;
+    offerService.deleteOffer(id, offerId);
+    res.status(204).end();
+  } catch (error) {
+    next(error);
   }
 });
 
 // POST create new application
-router.post('/', async (req, res) => {
+router.post('/', validate({ body: schemas.createApplication }), (req, res, next) => {
   try {
-    // Map request body to database schema
+    if (req.body.resume_version) {
+      assertResumeVersion(req.body.resume_version);
+    }
+
+    // Map validated body to database schema; without a resume version the
+    // newest active resume is used
     const applicationData = {
       company: req.body.company,
-      role: req.body.position || req.body.role, // Support both position and role
+      role: req.body.role,
       status: req.body.status || 'Applied',
       source: req.body.source || 'Direct',
-      resume_version: req.body.resume_version || '1.0',
-      applied_at: req.body.applied_at || new Date().toISOString()
+      resume_version: req.body.resume_version,
+      applied_at: req.body.applied_at || new Date().toISOString(),
+      notes: req.body.notes,
+      job_url: req.body.job_url,
+      job_description: req.body.job_description
     };
 
-    const newApplication = createApplication(applicationData);
-
-    // Emit application_created event using Motia event bus
-    await eventBus.emitEvent('applicationCreated', newApplication);
-    console.log(`Event emitted: applicationCreated for ${newApplication.company}`);
+    // Store the application and its applicationCreated event atomically
+    const newApplication = runInTransaction(() => {
+      const application = createApplication(applicationData);
+      outboxService.enqueue('applicationCreated', application, { correlationId: req.correlationId });
+      return application;
+    });
+    matchService.invalidateIdf();
+    outboxService.wake();
+    console.log(`Event queued: applicationCreated for ${newApplication.company}`);
 
     res.status(201).json(newApplication);
   } catch (error) {
-    console.error('Error creating application:', error);
-    res.status(500).json({ error: 'Failed to create application' });
+    next(error);
   }
 });
 
 // PATCH update application status
-router.patch('/:id/status', async (req, res) => {
+router.patch('/:id/status', validate({ params: schemas.idParams, body: schemas.updateStatus }), (req, res, next) => {
   try {
-    const id = parseInt(req.params.id);
+    const { id } = req.validated.params;
     const oldApplication = getApplicationById(id);
 
     if (!oldApplication) {
-      return res.status(404).json({ error: 'Application not found' });
+      throw new NotFoundError('Application not found');
     }
 
-    const updatedApplication = updateApplicationStatus(id, req.body.status);
+    // Nothing changes, so no event is queued and no workflow runs
+    if (oldApplication.status === req.body.status) {
+      return res.json(oldApplication);
+    }
 
-    // Emit statusUpdated event using Motia event bus
-    await eventBus.emitEvent('statusUpdated', {
-      applicationId: updatedApplication.id,
-      oldStatus: oldApplication.status,
-      newStatus: req.body.status
+    // Store the status change and its statusUpdated event atomically
+    const updatedApplication = runInTransaction(() => {
+      const application = updateApplicationStatus(id, req.body.status, { force: req.body.force });
+      outboxService.enqueue('statusUpdated', {
+        applicationId: application.id,
+        oldStatus: oldApplication.status,
+        newStatus: req.body.status
+      }, { correlationId: req.correlationId });
+      return application;
     });
-    console.log(`Event emitted: statusUpdated for application ${updatedApplication.id} from ${oldApplication.status} to ${req.body.status}`);
+    outboxService.wake();
+    console.log(`Event queued: statusUpdated for application ${updatedApplication.id} from ${oldApplication.status} to ${req.body.status}`);
 
     res.json(updatedApplication);
   } catch (error) {
-    console.error('Error updating application status:', error);
-    res.status(500).json({ error: 'Failed to update application status' });
+    next(error);
+  }
+});
+
+// POST undo ghosting: back to the status before Ghosted
+router.post('/:id/unghost', validate({ params: schemas.idParams }), (req, res, next) => {
+  try {
+    const { id } = req.validated.params;
+
+    const { application, oldStatus, newStatus } = runInTransaction(() => {
+      const change = ghostService.unghost(id);
+      outboxService.enqueue('statusUpdated', {
+        applicationId: change.application.id,
+        oldStatus: change.oldStatus,
+        newStatus: change.newStatus
+      }, { correlationId: req.correlationId });
+      return change;
+    });
+    outboxService.wake();
+    console.log(`Event queued: statusUpdated for application ${application.id} from ${oldStatus} to ${newStatus}`);
+
+    res.json(application);
+  } catch (error) {
+    next(error);
   }
 });
 
 // PUT update application
-router.put('/:id', (req, res) => {
+router.put('/:id', validate({ params: schemas.idParams, body: schemas.updateApplication }), (req, res, next) => {
   try {
-    const id = parseInt(req.params.id);
+    const { id } = req.validated.params;
     const existingApplication = getApplicationById(id);
 
     if (!existingApplication) {
-      return res.status(404).json({ error: 'Application not found' });
+      throw new NotFoundError('Application not found');
     }
 
-    // Map request body to database schema
+    // Keeping an archived version is fine; switching to one is not
+    if (req.body.resume_version && req.body.resume_version !== existingApplication.resume_version) {
+      assertResumeVersion(req.body.resume_version);
+    }
+
+    // Map validated body to database schema
     const applicationData = {
       company: req.body.company || existingApplication.company,
-      role: req.body.position || req.body.role || existingApplication.role,
+      role: req.body.role || existingApplication.role,
       status: req.body.status || existingApplication.status,
       source: req.body.source || existingApplication.source,
       resume_version: req.body.resume_version || existingApplication.resume_version,
-      applied_at: req.body.applied_at || existingApplication.applied_at
+      applied_at: req.body.applied_at || existingApplication.applied_at,
+      // undefined keeps the stored text, null (sent as null or '') clears it
+      notes: req.body.notes,
+      job_url: req.body.job_url,
+      job_description: req.body.job_description
     };
 
-    const updatedApplication = updateApplication(id, applicationData);
+    // Queue applicationUpdated, plus statusUpdated (as PATCH does) when the status changed
+    const updatedApplication = runInTransaction(() => {
+      const application = updateApplication(id, applicationData, { force: req.body.force });
+      outboxService.enqueue('applicationUpdated', {
+        applicationId: application.id,
+        application
+      }, { correlationId: req.correlationId });
+      if (existingApplication.status !== application.status) {
+        outboxService.enqueue('statusUpdated', {
+          applicationId: application.id,
+          oldStatus: existingApplication.status,
+          newStatus: application.status
+        }, { correlationId: req.correlationId });
+      }
+      return application;
+    });
+    if (req.body.job_description !== undefined) {
+      matchService.invalidateIdf();
+    }
+    outboxService.wake();
+
+    if (existingApplication.status !== updatedApplication.status) {
+      console.log(`Event queued: statusUpdated for application ${updatedApplication.id} from ${existingApplication.status} to ${updatedApplication.status}`);
+    }
+
     res.json(updatedApplication);
   } catch (error) {
-    console.error('Error updating application:', error);
-    res.status(500).json({ error: 'Failed to update application' });
+    next(error);
   }
 });
 
 // DELETE application
-router.delete('/:id', (req, res) => {
+router.delete('/:id', validate({ params: schemas.idParams }), (req, res, next) => {
   try {
-    const id = parseInt(req.params.id);
+    const { id } = req.validated.params;
     const existingApplication = getApplicationById(id);
 
     if (!existingApplication) {
-      return res.status(404).json({ error: 'Application not found' });
+      throw new NotFoundError('Application not found');
     }
 
-    const success = deleteApplication(id);
+    // Delete the application and queue its applicationDeleted event atomically
+    const success = runInTransaction(() => {
+      const deleted = deleteApplication(id);
+      if (deleted) {
+        outboxService.enqueue('applicationDeleted', {
+          applicationId: id,
+          status: existingApplication.status,
+          company: existingApplication.company,
+          role: existingApplication.role
+        }, { correlationId: req.correlationId });
+      }
+      return deleted;
+    });
 
-    if (success) {
-      res.status(204).end();
-    } else {
-      res.status(404).json({ error: 'Application not found' });
+    if (!success) {
+      throw new NotFoundError('Application not found');
     }
+    matchService.invalidateIdf();
+    outboxService.wake();
+    res.status(204).end();
   } catch (error) {
-    console.error('Error deleting application:', error);
-    res.status(500).json({ error: 'Failed to delete application' });
+    next(error);
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const interviewService = require('../services/interviewService');
+
+// GET every interview as an iCalendar feed; subscribe to the URL in a
+// calendar app to keep it in sync (per application: /api/applications/:id/calendar.ics)
+router.get('/', (req, res, next) => {
+  try {
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.send(interviewService.buildCalendar());
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const { queryEventLog } = require('../db/db');
+const { replayEvents } = require('../motia/replay');
+const { validate } = require('../validation/validate');
+const schemas = require('../validation/schemas');
+
+// GET logged events in emission order
+// e.g. /api/events?name=statusUpdated&from=2024-01-01&limit=100&after=250
+router.get('/', validate({ query: schemas.listEvents }), (req, res, next) => {
+  try {
+    const { name, from, to, correlationId, after, limit = 100 } = req.validated.query;
+
+    // Fetch one extra row to know whether another page exists
+    const rows = queryEventLog({ names: name, from, to, correlationId, afterId: after }, limit + 1);
+    const events = rows.slice(0, limit).map(row => ({
+      id: row.id,
+      name: row.event_name,
+      payload: row.payload,
+      timestamp: row.emitted_at,
+      correlationId: row.correlation_id
+    }));
+
+    res.json({
+      events,
+      nextCursor: rows.length > limit ? events[events.length - 1].id : null
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST replay logged events into one workflow with email disabled
+// Body: { workflow, name?, from?, to?, fromId?, toId?, limit? }
+router.post('/replay', validate({ body: schemas.replayEvents }), async (req, res, next) => {
+  try {
+    res.json(await replayEvents(req.body));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const followUpService = require('../services/followUpService');
+const { validate } = require('../validation/validate');
+const schemas = require('../validation/schemas');
+
+// Reminders are created by the daily followUpCheck workflow (see motia/workflows.js)
+
+// GET follow-up reminders, oldest wait first (?state=due by default)
+router.get('/', validate({ query: schemas.listFollowUps }), (req, res, next) => {
+  try {
+    res.json({ reminders: followUpService.listReminders(req.validated.query.state) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET a single reminder
+router.get('/:id', validate({ params: schemas.idParams }), (req, res, next) => {
+  try {
+    res.json(followUpService.getReminder(req.validated.params.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST snooze a reminder, e.g. { "days": 7 } or { "until": "2025-06-01" }
+router.post('/:id/snooze', validate({ params: schemas.idParams, body: schemas.snoozeFollowUp }), (req, res, next) => {
+  try {
+    res.json(followUpService.snoozeReminder(req.validated.params.id, req.body));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST dismiss a reminder for good
+router.post('/:id/dismiss', validate({ params: schemas.idParams }), (req, res, next) => {
+  try {
+    res.json(followUpService.dismissReminder(req.validated.params.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const offerService = require('../services/offerService');
+const { validate } = require('../validation/validate');
+const schemas = require('../validation/schemas');
+
+// Offers are recorded per application (/api/applications/:id/offers)
+
+// GET pending offers ranked by yearly total compensation (?includeDecided=true
+// to include accepted and declined ones)
+router.get('/comparison', validate({ query: schemas.compareOffers }), (req, res, next) => {
+  try {
+    res.json(offerService.compareOffers({ includeDecided: req.validated.query.includeDecided }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
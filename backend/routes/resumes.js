@@ -0,0 +1,88 @@
+const express = require('express');
+const router = express.Router();
+const resumeService = require('../services/resumeService');
+const { validate } = require('../validation/validate');
+const schemas = require('../validation/schemas');
+
+// Uploaded PDFs are stored in SQLite, so keep them reasonably small
+const MAX_UPLOAD_SIZE = '10mb';
+
+// Content-Disposition with an ASCII filename for old clients and the
+// UTF-8 name as filename* (RFC 5987); header values must be latin1
+function contentDisposition(type, filename) {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(filename)
+    .replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+// GET resume versions, newest first (?includeArchived=true for all)
+router.get('/', validate({ query: schemas.listResumes }), (req, res, next) => {
+  try {
+    res.json({ resumes: resumeService.listResumes(req.validated.query) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST upload a PDF as a new resume version, metadata in the query string
+// e.g. curl -X POST "/api/resumes?version=3.0&label=Backend" -H "Content-Type: application/pdf" --data-binary @resume.pdf
+router.post('/', express.raw({ type: 'application/pdf', limit: MAX_UPLOAD_SIZE }), validate({ query: schemas.uploadResume }), (req, res, next) => {
+  try {
+    const { resume, created } = resumeService.uploadResume(req.body, req.validated.query);
+    res.status(created ? 201 : 200).json(resume);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET resume metadata
+router.get('/:id', validate({ params: schemas.idParams }), (req, res, next) => {
+  try {
+    res.json(resumeService.getResume(req.validated.params.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET the resume PDF (?download=true to save instead of viewing in the browser)
+router.get('/:id/file', validate({ params: schemas.idParams }), (req, res, next) => {
+  try {
+    const { filename, content_type, file } = resumeService.getResumeFile(req.validated.params.id);
+    const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+    res.set('Content-Type', content_type);
+    res.set('Content-Disposition', contentDisposition(disposition, filename));
+    res.send(file);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH resume label and notes
+router.patch('/:id', validate({ params: schemas.idParams, body: schemas.updateResume }), (req, res, next) => {
+  try {
+    res.json(resumeService.updateResume(req.validated.params.id, req.body));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST archive a resume version; applications using it keep their reference
+router.post('/:id/archive', validate({ params: schemas.idParams }), (req, res, next) => {
+  try {
+    res.json(resumeService.archiveResume(req.validated.params.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST restore an archived resume version
+router.post('/:id/restore', validate({ params: schemas.idParams }), (req, res, next) => {
+  try {
+    res.json(resumeService.restoreResume(req.validated.params.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
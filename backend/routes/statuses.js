@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getStatusWorkflow,
+  isTerminalStatus,
+  getAllowedTransitions
+} = require('../config/statusWorkflow');
+
+// GET status workflow: states, allowed transitions and terminal states
+router.get('/', (req, res, next) => {
+  try {
+    const workflow = getStatusWorkflow();
+    res.json({
+      ...workflow,
+      statuses: workflow.states.map(status => ({
+        name: status,
+        terminal: isTerminalStatus(status),
+        allowedTransitions: getAllowedTransitions(status)
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
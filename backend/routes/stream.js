@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const streamService = require('../services/streamService');
+const { validate } = require('../validation/validate');
+const schemas = require('../validation/schemas');
+
+// GET Server-Sent Events stream of application changes
+// Resume with the Last-Event-ID header (sent by EventSource on reconnect) or ?lastEventId=
+router.get('/', validate({ query: schemas.streamQuery }), (req, res, next) => {
+  try {
+    const header = parseInt(req.get('Last-Event-ID'), 10);
+    const lastEventId = Number.isInteger(header) && header > 0 ? header : req.validated.query.lastEventId;
+    streamService.connect(req, res, lastEventId);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
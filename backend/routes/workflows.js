@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const schedulerService = require('../services/schedulerService');
+const { validate } = require('../validation/validate');
+const schemas = require('../validation/schemas');
+
+// GET scheduled workflows with their cron expression, next and last run
+router.get('/', (req, res, next) => {
+  try {
+    res.json({ workflows: schedulerService.getJobs() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET run history for a workflow, newest first
+router.get('/:name/runs', validate({ params: schemas.workflowParams, query: schemas.workflowRunsQuery }), (req, res, next) => {
+  try {
+    const { name } = req.validated.params;
+    res.json({ workflow: name, runs: schedulerService.getRuns(name, req.validated.query.limit) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST trigger a workflow now, e.g. /api/workflows/weeklySummary/run
+// Optional body: { recipients: ['me@example.com'] } overrides configured recipients
+// and weeklySummary accepts { from, to } to summarize another period
+router.post('/:name/run', validate({ params: schemas.workflowParams, body: schemas.runWorkflow }), async (req, res, next) => {
+  try {
+    const { name } = req.validated.params;
+    const run = await schedulerService.runJob(name, { trigger: 'manual', payload: req.body });
+    res.status(run.status === 'succeeded' ? 200 : 500).json({ workflow: name, ...run });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -31,7 +31,7 @@ function createTransporter() {
     return null;
   }
 
-  return nodemailer.createTransporter({
+  return nodemailer.createTransport({
     service: emailConfig.service,
     host: emailConfig.host,
     port: emailConfig.port,
@@ -181,6 +181,298 @@ function generateHtmlEmail(insights) {
   `;
 }
 
+/**
+ * Send the daily digest of applications that need a follow-up
+ * @param {string} toEmail - Recipient email address
+ * @param {Array<Object>} reminders - Due reminders (see services/followUpService.js)
+ * @returns {Promise<Object>} Result of email sending
+ */
+async function sendFollowUpDigestEmail(toEmail, reminders) {
+  const lines = reminders.map(reminder =>
+    `- ${reminder.company} (${reminder.role}): ${reminder.days_waiting} days in ${reminder.status}`
+  );
+  const text = `⏰ ${reminders.length} application(s) may need a follow-up:\n\n${lines.join('\n')}`;
+
+  try {
+    if (!isEmailConfigured()) {
+      console.log('📧 Email not configured. Logging follow-up digest instead:');
+      console.log(text);
+      return {
+        success: false,
+        message: 'Email not configured',
+        logged: true
+      };
+    }
+
+    const transporter = createTransporter();
+    if (!transporter) {
+      throw new Error('Failed to create email transporter');
+    }
+
+    const info = await transporter.sendMail({
+      from: `"AI Job Tracker" <${emailConfig.from}>`,
+      to: toEmail,
+      subject: `⏰ ${reminders.length} application(s) to follow up on - ${new Date().toLocaleDateString()}`,
+      html: generateFollowUpHtmlEmail(reminders),
+      text
+    });
+
+    console.log(`📧 Follow-up digest sent to ${toEmail}`);
+    console.log(`Message ID: ${info.messageId}`);
+
+    return {
+      success: true,
+      messageId: info.messageId,
+      message: 'Follow-up digest sent successfully'
+    };
+  } catch (error) {
+    console.error('Error sending follow-up digest email:', error);
+    return {
+      success: false,
+      message: 'Failed to send follow-up digest email',
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Generate HTML email content for the follow-up digest
+ * @param {Array<Object>} reminders - Due reminders
+ * @returns {string} HTML email content
+ */
+function generateFollowUpHtmlEmail(reminders) {
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background-color: #4F46E5; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+    .content { background-color: #f8f9fa; padding: 20px; border-radius: 0 0 8px 8px; }
+    .reminder { background-color: #fff3e0; padding: 10px; border-left: 4px solid #FF9800; margin-bottom: 10px; }
+    .footer { margin-top: 30px; font-size: 12px; color: #666; text-align: center; }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <h1>⏰ Time to Follow Up</h1>
+    <p>${reminders.length} application(s) are waiting for a reply</p>
+  </div>
+
+  <div class="content">
+    ${reminders.map(reminder => `
+    <div class="reminder">
+      <strong>${reminder.company}</strong> - ${reminder.role}<br>
+      ${reminder.days_waiting} days in ${reminder.status} since ${new Date(reminder.stale_since).toLocaleDateString()}
+    </div>`).join('')}
+
+    <div class="footer">
+      <p>Snooze or dismiss reminders from your AI Job Application Tracker dashboard.</p>
+    </div>
+  </div>
+</body>
+</html>
+  `;
+}
+
+/**
+ * Send a reminder for an upcoming interview
+ * @param {string} toEmail - Recipient email address
+ * @param {Object} interview - Interview with company and role (see services/interviewService.js)
+ * @returns {Promise<Object>} Result of email sending
+ */
+async function sendInterviewReminderEmail(toEmail, interview) {
+  const when = new Date(interview.starts_at).toLocaleString();
+  const where = interview.meeting_url || interview.location;
+  const text = [
+    `📅 ${interview.round_name} with ${interview.company} (${interview.role})`,
+    `When: ${when}`,
+    where && `Where: ${where}`,
+    interview.interviewers.length > 0 && `Interviewers: ${interview.interviewers.join(', ')}`,
+    interview.notes && `Notes: ${interview.notes}`
+  ].filter(Boolean).join('\n');
+
+  try {
+    if (!isEmailConfigured()) {
+      console.log('📧 Email not configured. Logging interview reminder instead:');
+      console.log(text);
+      return {
+        success: false,
+        message: 'Email not configured',
+        logged: true
+      };
+    }
+
+    const transporter = createTransporter();
+    if (!transporter) {
+      throw new Error('Failed to create email transporter');
+    }
+
+    const info = await transporter.sendMail({
+      from: `"AI Job Tracker" <${emailConfig.from}>`,
+      to: toEmail,
+      subject: `📅 Interview reminder: ${interview.company} - ${interview.round_name} on ${when}`,
+      html: generateInterviewReminderHtmlEmail(interview),
+      text
+    });
+
+    console.log(`📧 Interview reminder sent to ${toEmail}`);
+    console.log(`Message ID: ${info.messageId}`);
+
+    return {
+      success: true,
+      messageId: info.messageId,
+      message: 'Interview reminder sent successfully'
+    };
+  } catch (error) {
+    console.error('Error sending interview reminder email:', error);
+    return {
+      success: false,
+      message: 'Failed to send interview reminder email',
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Generate HTML email content for an interview reminder
+ * @param {Object} interview - Upcoming interview
+ * @returns {string} HTML email content
+ */
+function generateInterviewReminderHtmlEmail(interview) {
+  const where = interview.meeting_url
+    ? `<a href="${interview.meeting_url}">${interview.meeting_url}</a>`
+    : interview.location;
+
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background-color: #4F46E5; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+    .content { background-color: #f8f9fa; padding: 20px; border-radius: 0 0 8px 8px; }
+    .detail { background-color: #e8f5e9; padding: 10px; border-left: 4px solid #4CAF50; margin-bottom: 10px; }
+    .footer { margin-top: 30px; font-size: 12px; color: #666; text-align: center; }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <h1>📅 Upcoming Interview</h1>
+    <p>${interview.company} - ${interview.role}</p>
+  </div>
+
+  <div class="content">
+    <div class="detail"><strong>${interview.round_name}</strong> (${interview.type})</div>
+    <div class="detail"><strong>When:</strong> ${new Date(interview.starts_at).toLocaleString()}</div>
+    ${where ? `<div class="detail"><strong>Where:</strong> ${where}</div>` : ''}
+    ${interview.interviewers.length > 0 ? `<div class="detail"><strong>Interviewers:</strong> ${interview.interviewers.join(', ')}</div>` : ''}
+    ${interview.notes ? `<div class="detail"><strong>Notes:</strong> ${interview.notes}</div>` : ''}
+
+    <div class="footer">
+      <p>Good luck! Sent by your AI Job Application Tracker.</p>
+    </div>
+  </div>
+</body>
+</html>
+  `;
+}
+
+/**
+ * Warn about offers whose decision deadline is approaching
+ * @param {string} toEmail - Recipient email address
+ * @param {Array<Object>} offers - Offers with company, role and days_to_deadline (see services/offerService.js)
+ * @returns {Promise<Object>} Result of email sending
+ */
+async function sendOfferDeadlineEmail(toEmail, offers) {
+  const lines = offers.map(offer =>
+    `- ${offer.company} (${offer.role}): decide by ${new Date(offer.decision_deadline).toLocaleDateString()} (${offer.days_to_deadline} day(s) left)`
+  );
+  const text = `⏳ ${offers.length} offer(s) need a decision soon:\n\n${lines.join('\n')}`;
+
+  try {
+    if (!isEmailConfigured()) {
+      console.log('📧 Email not configured. Logging offer deadline warning instead:');
+      console.log(text);
+      return {
+        success: false,
+        message: 'Email not configured',
+        logged: true
+      };
+    }
+
+    const transporter = createTransporter();
+    if (!transporter) {
+      throw new Error('Failed to create email transporter');
+    }
+
+    const info = await transporter.sendMail({
+      from: `"AI Job Tracker" <${emailConfig.from}>`,
+      to: toEmail,
+      subject: `⏳ Offer deadline approaching: ${offers.map(offer => offer.company).join(', ')}`,
+      html: generateOfferDeadlineHtmlEmail(offers),
+      text
+    });
+
+    console.log(`📧 Offer deadline warning sent to ${toEmail}`);
+    console.log(`Message ID: ${info.messageId}`);
+
+    return {
+      success: true,
+      messageId: info.messageId,
+      message: 'Offer deadline warning sent successfully'
+    };
+  } catch (error) {
+    console.error('Error sending offer deadline email:', error);
+    return {
+      success: false,
+      message: 'Failed to send offer deadline email',
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Generate HTML email content for the offer deadline warning
+ * @param {Array<Object>} offers - Offers with an approaching deadline
+ * @returns {string} HTML email content
+ */
+function generateOfferDeadlineHtmlEmail(offers) {
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background-color: #4F46E5; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+    .content { background-color: #f8f9fa; padding: 20px; border-radius: 0 0 8px 8px; }
+    .offer { background-color: #fff3e0; padding: 10px; border-left: 4px solid #FF9800; margin-bottom: 10px; }
+    .footer { margin-top: 30px; font-size: 12px; color: #666; text-align: center; }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <h1>⏳ Offer Deadline Approaching</h1>
+    <p>${offers.length} offer(s) need your decision soon</p>
+  </div>
+
+  <div class="content">
+    ${offers.map(offer => `
+    <div class="offer">
+      <strong>${offer.company}</strong> - ${offer.role}<br>
+      Decide by ${new Date(offer.decision_deadline).toLocaleDateString()} (${offer.days_to_deadline} day(s) left)<br>
+      Base ${offer.base_salary.toLocaleString('en-US')} ${offer.currency}${offer.bonus > 0 ? `, bonus ${offer.bonus.toLocaleString('en-US')}` : ''}${offer.equity_value > 0 ? `, equity ${offer.equity_value.toLocaleString('en-US')} over ${offer.vesting_years} years` : ''}
+    </div>`).join('')}
+
+    <div class="footer">
+      <p>Compare your offers on the AI Job Application Tracker dashboard.</p>
+    </div>
+  </div>
+</body>
+</html>
+  `;
+}
+
 /**
  * Generate weekly summary and send email
  * @param {string} toEmail - Recipient email address
@@ -243,6 +535,9 @@ async function testEmailConfiguration() {
 module.exports = {
   sendWeeklySummary,
   sendWeeklySummaryEmail,
+  sendFollowUpDigestEmail,
+  sendInterviewReminderEmail,
+  sendOfferDeadlineEmail,
   testEmailConfiguration,
   isEmailConfigured
 };
\ No newline at end of file
@@ -0,0 +1,174 @@
+const repository = require('../db/db');
+const followUpConfig = require('../config/followUps');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+class FollowUpService {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.repository - Application repository (see db/db.js)
+   * @param {Object} [deps.config] - Thresholds and snooze length (see config/followUps.js)
+   */
+  constructor({ repository, config = followUpConfig }) {
+    this.repository = repository;
+    this.config = config;
+  }
+
+  /**
+   * Find applications waiting longer than their status's threshold
+   * Read-only: used by checkFollowUps and by workflow replays.
+   * @param {Date} [now] - Time of the check
+   * @returns {Array<Object>} Applications with stale_since
+   */
+  findStaleApplications(now = new Date()) {
+    const cutoffs = Object.fromEntries(
+      Object.entries(this.config.thresholdDays).map(([status, days]) => [
+        status,
+        new Date(now.getTime() - days * MS_PER_DAY).toISOString()
+      ])
+    );
+    return this.repository.getStaleApplications(cutoffs);
+  }
+
+  /**
+   * List due reminders not yet sent in a digest (and not claimed by a running check)
+   * @param {Date} [now] - Time of the check
+   * @returns {Array<Object>} Reminders with company, role and days_waiting
+   */
+  getRemindersToNotify(now = new Date()) {
+    return this.repository.getFollowUpsToNotify(now.toISOString()).map(reminder => this._withDaysWaiting(reminder, now));
+  }
+
+  /**
+   * Record reminders for applications waiting too long and collect the ones to send
+   * Each wait (status since its last change) gets one reminder; existing
+   * reminders are left alone, so running this twice a day is harmless.
+   * @param {Date} [now] - Time of the check
+   * @returns {{created: number, due: Array<Object>}} New reminder count, and
+   *   due reminders not yet sent in a digest
+   */
+  checkFollowUps(now = new Date()) {
+    let created = 0;
+    this.findStaleApplications(now).forEach(application => {
+      const isNew = this.repository.createFollowUpReminder({
+        application_id: application.id,
+        status: application.status,
+        stale_since: application.stale_since
+      });
+      if (isNew) created++;
+    });
+
+    return {
+      created,
+      due: this.getRemindersToNotify(now)
+    };
+  }
+
+  /**
+   * Claim reminders while their digest is sent, so an overlapping check skips them
+   * @param {number[]} ids - Reminder IDs
+   * @param {Date} until - When the claim lapses if the digest is never confirmed
+   */
+  claimForNotification(ids, until) {
+    this.repository.claimFollowUpsToNotify(ids, until.toISOString());
+  }
+
+  /**
+   * Give claimed reminders back after a failed digest; the next check sends them
+   * @param {number[]} ids - Reminder IDs
+   */
+  releaseNotification(ids) {
+    this.repository.releaseFollowUpsToNotify(ids);
+  }
+
+  /**
+   * Mark reminders as sent in a digest
+   * @param {number[]} ids - Reminder IDs
+   * @param {Date} [now] - Time of sending
+   */
+  markNotified(ids, now = new Date()) {
+    this.repository.markFollowUpsNotified(ids, now.toISOString());
+  }
+
+  /**
+   * List reminders in a state
+   * @param {string} [state='due'] - due, snoozed, open, dismissed, resolved or all
+   * @returns {Array<Object>} Reminders with company, role and days_waiting
+   */
+  listReminders(state = 'due') {
+    const now = new Date();
+    return this.repository.getFollowUpReminders(state, now.toISOString())
+      .map(reminder => this._withDaysWaiting(reminder, now));
+  }
+
+  /**
+   * Get a reminder or throw a 404
+   * @param {number} id - Reminder ID
+   * @returns {Object} Reminder
+   */
+  getReminder(id) {
+    const reminder = this.repository.getFollowUpReminderById(id);
+    if (!reminder) {
+      throw new NotFoundError(`Follow-up reminder with ID ${id} not found`);
+    }
+    return this._withDaysWaiting(reminder, new Date());
+  }
+
+  /**
+   * Hide a reminder until a date; it is sent again in the next digest after that
+   * @param {number} id - Reminder ID
+   * @param {Object} [options]
+   * @param {string} [options.until] - ISO date to snooze until
+   * @param {number} [options.days] - Days to snooze for (default config.snoozeDays)
+   * @returns {Object} Updated reminder
+   */
+  snoozeReminder(id, { until, days } = {}) {
+    this._assertOpen(this.getReminder(id));
+
+    const now = new Date();
+    const snoozedUntil = until || new Date(now.getTime() + (days || this.config.snoozeDays) * MS_PER_DAY).toISOString();
+    if (snoozedUntil <= now.toISOString()) {
+      throw new ValidationError('Request body failed validation', { until: 'must be in the future' });
+    }
+
+    return this._withDaysWaiting(this.repository.snoozeFollowUpReminder(id, snoozedUntil), now);
+  }
+
+  /**
+   * Dismiss a reminder for good; the application gets a new one only after
+   * its status changes and it stalls again
+   * @param {number} id - Reminder ID
+   * @returns {Object} Updated reminder
+   */
+  dismissReminder(id) {
+    this._assertOpen(this.getReminder(id));
+    return this._withDaysWaiting(this.repository.dismissFollowUpReminder(id), new Date());
+  }
+
+  /**
+   * Resolve an application's open reminders after its status changed
+   * @param {number} applicationId - Application ID
+   * @returns {number} Reminders resolved
+   */
+  resolveForApplication(applicationId) {
+    return this.repository.resolveFollowUpReminders(applicationId);
+  }
+
+  _assertOpen(reminder) {
+    if (reminder.dismissed_at || reminder.resolved_at) {
+      throw new ConflictError(`Follow-up reminder ${reminder.id} is already ${reminder.dismissed_at ? 'dismissed' : 'resolved'}`);
+    }
+  }
+
+  _withDaysWaiting(reminder, now) {
+    return {
+      ...reminder,
+      days_waiting: Math.floor((now - new Date(reminder.stale_since)) / MS_PER_DAY)
+    };
+  }
+}
+
+// Export singleton instance backed by the shared repository
+module.exports = new FollowUpService({ repository });
+module.exports.FollowUpService = FollowUpService;
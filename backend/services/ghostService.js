@@ -0,0 +1,101 @@
+const repository = require('../db/db');
+const ghostingConfig = require('../config/ghosting');
+const statusWorkflow = require('../config/statusWorkflow');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+
+const GHOSTED_STATUS = 'Ghosted';
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+class GhostService {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.repository - Application repository (see db/db.js)
+   * @param {Object} [deps.config] - Silence thresholds (see config/ghosting.js)
+   * @param {Object} [deps.workflow] - Status workflow (see config/statusWorkflow.js)
+   */
+  constructor({ repository, config = ghostingConfig, workflow = statusWorkflow }) {
+    this.repository = repository;
+    this.config = config;
+    this.workflow = workflow;
+  }
+
+  /**
+   * Days without a status change before an application from a source is ghosted
+   * @param {string} source - Application source
+   * @returns {number} Threshold in days
+   */
+  getThresholdDays(source) {
+    return this.config.daysBySource[source] || this.config.defaultDays;
+  }
+
+  /**
+   * Find applications that have been silent longer than their source's threshold
+   * Only statuses the status workflow lets move to Ghosted are checked, so a
+   * custom workflow without Ghosted never ghosts anything. Applications with
+   * an upcoming interview are still in progress and never silent.
+   * @param {Date} [now] - Time of the check
+   * @returns {Array<Object>} Applications with last_changed_at, days_silent and threshold_days
+   */
+  findSilentApplications(now = new Date()) {
+    if (!this.workflow.isValidStatus(GHOSTED_STATUS)) return [];
+
+    const statuses = this.workflow.getStatusWorkflow().states
+      .filter(status => this.workflow.getAllowedTransitions(status).includes(GHOSTED_STATUS));
+
+    return this.repository.getApplicationsLastChanged(statuses, now.toISOString())
+      .filter(application => !application.next_interview_at)
+      .map(application => ({
+        ...application,
+        days_silent: Math.floor((now - new Date(application.last_changed_at)) / MS_PER_DAY),
+        threshold_days: this.getThresholdDays(application.source)
+      }))
+      .filter(application => application.days_silent >= application.threshold_days);
+  }
+
+  /**
+   * Move every silent application to Ghosted, recorded as a system change
+   * Call inside a transaction together with queueing the statusUpdated events.
+   * @param {Date} [now] - Time of the check
+   * @returns {Array<Object>} { application, oldStatus, daysSilent, thresholdDays } per ghosted application
+   */
+  ghostSilentApplications(now = new Date()) {
+    return this.findSilentApplications(now).map(silent => ({
+      application: this.repository.updateApplicationStatus(silent.id, GHOSTED_STATUS, { changedBy: 'system' }),
+      oldStatus: silent.status,
+      daysSilent: silent.days_silent,
+      thresholdDays: silent.threshold_days
+    }));
+  }
+
+  /**
+   * Undo ghosting: return a Ghosted application to the status it had before
+   * The change is recorded as the user's and restarts the silence clock.
+   * @param {number} id - Application ID
+   * @returns {Object} { application, oldStatus, newStatus }
+   */
+  unghost(id) {
+    const application = this.repository.getApplicationById(id);
+    if (!application) {
+      throw new NotFoundError('Application not found');
+    }
+    if (application.status !== GHOSTED_STATUS) {
+      throw new ConflictError(`Application ${id} is not ${GHOSTED_STATUS} (status: ${application.status})`);
+    }
+
+    // Applications created as Ghosted go back to the initial status
+    const ghosting = this.repository.getStatusHistory(id)
+      .findLast(entry => entry.new_status === GHOSTED_STATUS);
+    const previousStatus = ghosting?.old_status || this.workflow.getStatusWorkflow().initial;
+
+    return {
+      application: this.repository.updateApplicationStatus(id, previousStatus, { force: true }),
+      oldStatus: GHOSTED_STATUS,
+      newStatus: previousStatus
+    };
+  }
+}
+
+// Export singleton instance backed by the shared repository
+module.exports = new GhostService({ repository });
+module.exports.GhostService = GhostService;
+module.exports.GHOSTED_STATUS = GHOSTED_STATUS;
@@ -0,0 +1,282 @@
+const repository = require('../db/db');
+const outboxService = require('./outboxService');
+const resumeService = require('./resumeService');
+const matchService = require('./matchService');
+const schemas = require('../validation/schemas');
+const { validateObject } = require('../validation/validate');
+const { BadRequestError } = require('../utils/errors');
+
+// Columns written by exports, in order
+const EXPORT_COLUMNS = [
+  'id', 'company', 'role', 'status', 'source', 'resume_version', 'applied_at', 'notes', 'job_url', 'job_description'
+];
+
+// Fields an import row can be mapped onto
+const IMPORT_FIELDS = Object.keys(schemas.createApplication);
+
+/**
+ * Escape a single CSV value (RFC 4180)
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize rows to CSV with a header line
+ * @param {Array<Object>} rows - Rows to write
+ * @param {string[]} columns - Column order
+ * @returns {string} CSV text
+ */
+function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCsvValue(row[column])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse CSV text into objects keyed by the header line
+ * Handles quoted fields, escaped quotes, embedded newlines, CRLF and a BOM
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} Parsed rows
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new BadRequestError('CSV has an unterminated quoted field');
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Skip blank lines, then key every record by the header
+  const nonEmpty = records.filter(values => values.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+
+  const header = nonEmpty[0].map(name => name.trim());
+  return nonEmpty.slice(1).map(values =>
+    Object.fromEntries(header.map((name, index) => [name, values[index] ?? '']))
+  );
+}
+
+/**
+ * Export every application
+ * @param {string} [format='json'] - 'csv' or 'json'
+ * @returns {Object} { contentType, filename, body }
+ */
+function exportApplications(format = 'json') {
+  const applications = repository.getAllApplications();
+  const date = new Date().toISOString().slice(0, 10);
+
+  if (format === 'csv') {
+    return {
+      contentType: 'text/csv; charset=utf-8',
+      filename: `applications-${date}.csv`,
+      body: toCsv(applications, EXPORT_COLUMNS)
+    };
+  }
+
+  return {
+    contentType: 'application/json; charset=utf-8',
+    filename: `applications-${date}.json`,
+    body: JSON.stringify(applications.map(app =>
+      Object.fromEntries(EXPORT_COLUMNS.map(column => [column, app[column]]))
+    ), null, 2)
+  };
+}
+
+/**
+ * Build a field -> source column mapping for import rows
+ * Explicit mappings win; remaining fields match columns case-insensitively
+ * (so "Company" or "resume version" map without configuration)
+ * @param {Object} mapping - { field: sourceColumn }
+ * @param {string[]} columns - Columns present in the input
+ * @returns {Object} Complete mapping
+ */
+function resolveMapping(mapping, columns) {
+  const unknownFields = Object.keys(mapping).filter(field => !IMPORT_FIELDS.includes(field) && field !== 'position');
+  if (unknownFields.length > 0) {
+    throw new BadRequestError('Invalid column mapping', {
+      mapping: `unknown fields: ${unknownFields.join(', ')} (allowed: ${IMPORT_FIELDS.join(', ')})`
+    });
+  }
+
+  const normalize = name => name.toLowerCase().replace(/[\s_-]+/g, '');
+  const resolved = { ...mapping };
+
+  [...IMPORT_FIELDS, 'position'].forEach(field => {
+    if (resolved[field]) return;
+    const column = columns.find(name => normalize(name) === normalize(field));
+    if (column) resolved[field] = column;
+  });
+
+  return resolved;
+}
+
+/**
+ * Import applications from parsed rows
+ * Each row is validated like POST /api/applications. Rows duplicating an
+ * existing application (or an earlier row) on company + role + applied_at
+ * are skipped. Valid rows are created in one transaction, together with
+ * their queued applicationCreated events.
+ * @param {Array<Object>} rows - Input rows
+ * @param {Object} [options]
+ * @param {Object} [options.mapping] - { field: sourceColumn }
+ * @param {boolean} [options.dryRun=false] - Report without writing
+ * @param {boolean} [options.suppressEvents=false] - Skip applicationCreated events
+ * @param {string} [options.correlationId] - Correlation ID for the queued events
+ * @returns {Promise<Object>} Import report with a result per row
+ */
+async function importApplications(rows, options = {}) {
+  const { mapping = {}, dryRun = false, suppressEvents = false, correlationId } = options;
+
+  if (!Array.isArray(rows)) {
+    throw new BadRequestError('Import data must be a list of rows');
+  }
+  if (mapping === null || typeof mapping !== 'object' || Array.isArray(mapping) ||
+      Object.values(mapping).some(column => typeof column !== 'string')) {
+    throw new BadRequestError('Invalid column mapping', { mapping: 'must map field names to column names' });
+  }
+
+  const columns = [...new Set(rows.flatMap(row => (row && typeof row === 'object' ? Object.keys(row) : [])))];
+  const fieldMapping = resolveMapping(mapping, columns);
+  const seen = new Set();
+  const results = [];
+  const toCreate = [];
+
+  rows.forEach((row, index) => {
+    const result = { row: index + 1 };
+    results.push(result);
+
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      result.status = 'error';
+      result.errors = { row: 'must be an object' };
+      return;
+    }
+
+    // JSON rows may carry numbers (e.g. resume_version 2.0); validate them as text
+    const mapped = Object.fromEntries(
+      Object.entries(fieldMapping).map(([field, column]) => [
+        field,
+        typeof row[column] === 'number' ? String(row[column]) : row[column]
+      ])
+    );
+    const { value, fields } = validateObject(schemas.createApplication, mapped);
+
+    if (Object.keys(fields).length > 0) {
+      result.status = 'error';
+      result.errors = fields;
+      return;
+    }
+
+    const resumeError = value.resume_version && resumeService.checkAssignableVersion(value.resume_version);
+    if (resumeError) {
+      result.status = 'error';
+      result.errors = { resume_version: resumeError };
+      return;
+    }
+
+    // Rows without a resume version get the newest active resume on creation
+    const applicationData = {
+      ...value,
+      status: value.status || 'Applied',
+      source: value.source || 'Direct',
+      applied_at: value.applied_at || new Date().toISOString()
+    };
+
+    const key = [applicationData.company, applicationData.role, applicationData.applied_at]
+      .map(part => part.toLowerCase())
+      .join('|');
+    const existing = repository.findDuplicateApplication(
+      applicationData.company, applicationData.role, applicationData.applied_at
+    );
+
+    if (existing || seen.has(key)) {
+      result.status = 'duplicate';
+      result.duplicateOf = existing ? existing.id : null;
+      return;
+    }
+
+    seen.add(key);
+    result.status = dryRun ? 'valid' : 'created';
+    result.data = applicationData;
+    toCreate.push(result);
+  });
+
+  if (!dryRun && toCreate.length > 0) {
+    repository.runInTransaction(() => {
+      toCreate.forEach(result => {
+        const application = repository.createApplication(result.data);
+        result.id = application.id;
+        result.data = application;
+        if (!suppressEvents) {
+          outboxService.enqueue('applicationCreated', application, { correlationId });
+        }
+      });
+    });
+    matchService.invalidateIdf();
+
+    if (!suppressEvents) {
+      outboxService.wake();
+    }
+  }
+
+  const count = status => results.filter(result => result.status === status).length;
+  return {
+    dryRun,
+    total: rows.length,
+    created: dryRun ? 0 : toCreate.length,
+    valid: toCreate.length,
+    duplicates: count('duplicate'),
+    errors: count('error'),
+    eventsEmitted: !dryRun && !suppressEvents ? toCreate.length : 0,
+    rows: results
+  };
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  toCsv,
+  parseCsv,
+  exportApplications,
+  importApplications
+};
@@ -1,60 +1,78 @@
-const Database = require('better-sqlite3');
-const path = require('path');
-
-// Database connection
-const dbPath = path.join(__dirname, '../db/applications.db');
-const db = new Database(dbPath);
+const repository = require('../db/db');
+const stats = require('../utils/stats');
+const { startOfPeriod, addPeriods } = require('../utils/periods');
+const insightsConfig = require('../config/insights');
+const matchService = require('./matchService');
+
+// Trailing periods averaged by the rolling rejection rate
+const ROLLING_PERIODS = 4;
+
+// Match score bands for the interview rate breakdown
+const MATCH_SCORE_BANDS = [
+  { label: '0-25', min: 0, max: 25 },
+  { label: '25-50', min: 25, max: 50 },
+  { label: '50-75', min: 50, max: 75 },
+  { label: '75-100', min: 75, max: Infinity }
+];
 
 class InsightService {
   /**
-   * Calculate rejection rate by source
+   * @param {Object} repository - Application repository (see db/db.js)
+   * @param {Object} [config] - Resume comparison settings (see config/insights.js)
+   * @param {Object} [matcher] - Resume match scorer (see services/matchService.js)
+   */
+  constructor(repository, config = insightsConfig, matcher = matchService) {
+    this.repository = repository;
+    this.config = config;
+    this.matchService = matcher;
+  }
+
+  /**
+   * Calculate rejection and ghost rates by source
+   * Ghosted applications never got an answer, so they are counted apart
+   * from explicit rejections.
+   * @param {Object} [window] - Optional { from, to } range of applied_at (ISO strings)
    * @returns {Object} Insights about rejection rates by source
    */
-  getRejectionRateBySource() {
+  getRejectionRateBySource(window = {}) {
     try {
-      // Get all applications grouped by source and status
-      const stmt = db.prepare(`
-        SELECT
-          source,
-          status,
-          COUNT(*) as count
-        FROM applications
-        GROUP BY source, status
-        ORDER BY source, status
-      `);
-
-      const results = stmt.all();
+      // Get applications grouped by source and status
+      const results = this.repository.countApplicationsByStatus('source', window);
 
       // Organize data by source
       const sourceData = {};
       results.forEach(row => {
-        if (!sourceData[row.source]) {
-          sourceData[row.source] = {
+        const source = row.group_key;
+        if (!sourceData[source]) {
+          sourceData[source] = {
             total: 0,
             rejected: 0,
+            ghosted: 0,
             applied: 0,
             interview: 0,
             offer: 0
           };
         }
-        sourceData[row.source].total += row.count;
-        sourceData[row.source][row.status.toLowerCase()] = row.count;
+        sourceData[source].total += row.count;
+        sourceData[source][row.status.toLowerCase()] = row.count;
       });
 
       // Generate insights
       const insights = [];
 
       for (const [source, data] of Object.entries(sourceData)) {
-        const rejectionRate = data.total > 0
-          ? Math.round((data.rejected / data.total) * 100)
-          : 0;
+        const rate = count => (data.total > 0 ? Math.round((count / data.total) * 100) : 0);
+        const rejectionRate = rate(data.rejected);
 
         insights.push({
           source,
           totalApplications: data.total,
           rejectionRate,
           rejectionCount: data.rejected,
-          successRate: 100 - rejectionRate
+          ghostRate: rate(data.ghosted),
+          ghostCount: data.ghosted,
+          // Ghosted applications never got an answer, so they are no success either
+          successRate: rate(data.total - data.rejected - data.ghosted)
         });
       }
 
@@ -64,10 +82,10 @@ class InsightService {
         { rejectionRate: 0 }
       );
 
-      // Find source with lowest rejection rate (best performing)
-      const lowestRejection = insights.reduce((min, insight) =>
-        insight.rejectionRate < min.rejectionRate ? insight : min,
-        { rejectionRate: 100 }
+      // Find source with highest success rate (best performing)
+      const bestSource = insights.reduce((best, insight) =>
+        insight.successRate > best.successRate ? insight : best,
+        { successRate: -1 }
       );
 
       return {
@@ -77,9 +95,11 @@ class InsightService {
           totalApplications: insight.totalApplications,
           rejectionRate: `${insight.rejectionRate}%`,
           rejectionCount: insight.rejectionCount,
+          ghostRate: `${insight.ghostRate}%`,
+          ghostCount: insight.ghostCount,
           successRate: `${insight.successRate}%`
         })),
-        summary: this._generateRejectionRateSummary(insights, highestRejection, lowestRejection)
+        summary: this._generateRejectionRateSummary(insights, highestRejection, bestSource)
       };
     } catch (error) {
       console.error('Error calculating rejection rate by source:', error);
@@ -90,7 +110,7 @@ class InsightService {
   /**
    * Generate plain English summary for rejection rates
    */
-  _generateRejectionRateSummary(insights, highestRejection, lowestRejection) {
+  _generateRejectionRateSummary(insights, highestRejection, bestSource) {
     const summary = [];
 
     summary.push(`📊 **Rejection Rate Analysis** (Based on ${insights.reduce((sum, i) => sum + i.totalApplications, 0)} total applications)`);
@@ -100,97 +120,129 @@ class InsightService {
       return summary.join('\n');
     }
 
-    summary.push(`\n🎯 **Best Performing Source**: ${lowestRejection.source} with only ${lowestRejection.rejectionRate}% rejection rate`);
+    summary.push(`\n🎯 **Best Performing Source**: ${bestSource.source} with a ${bestSource.successRate}% success rate (${bestSource.rejectionRate}% rejected, ${bestSource.ghostRate}% ghosted)`);
     summary.push(`🚨 **Highest Rejection Source**: ${highestRejection.source} with ${highestRejection.rejectionRate}% rejection rate`);
 
     if (highestRejection.rejectionRate > 50) {
       summary.push(`\n⚠️ **Recommendation**: Consider improving your approach for ${highestRejection.source} applications.`);
     }
 
-    if (lowestRejection.successRate > 70) {
-      summary.push(`✅ **Success Pattern**: Your strategy for ${lowestRejection.source} is working well - keep it up!`);
+    if (bestSource.successRate > 70) {
+      summary.push(`✅ **Success Pattern**: Your strategy for ${bestSource.source} is working well - keep it up!`);
+    }
+
+    const mostGhosted = insights.reduce((max, insight) => (insight.ghostRate > max.ghostRate ? insight : max), insights[0]);
+    if (mostGhosted.ghostRate > 0) {
+      summary.push(`👻 **Most Ghosted Source**: ${mostGhosted.source} - ${mostGhosted.ghostRate}% of applications never got an answer`);
     }
 
     summary.push('\n📋 **Detailed Breakdown**:');
     insights.forEach(insight => {
-      summary.push(`- ${insight.source}: ${insight.rejectionRate} rejection rate (${insight.rejectionCount} rejections out of ${insight.totalApplications} applications)`);
+      summary.push(`- ${insight.source}: ${insight.rejectionRate}% rejection rate (${insight.rejectionCount} rejections out of ${insight.totalApplications} applications), ${insight.ghostRate}% ghosted (${insight.ghostCount})`);
     });
 
     return summary.join('\n');
   }
 
   /**
-   * Find best performing resume version
+   * Compare resume versions by success (interview or offer) rate
+   * Each rate comes with a 95% Wilson interval. A version is only recommended
+   * once it and its rivals have at least minSampleSize applications and it
+   * beats every rival in a two-proportion z-test at significanceLevel.
+   * @param {Object} [window] - Optional { from, to } range of applied_at (ISO strings)
    * @returns {Object} Insights about resume version performance
    */
-  getBestPerformingResumeVersion() {
+  getBestPerformingResumeVersion(window = {}) {
     try {
-      // Get all applications grouped by resume version and status
-      const stmt = db.prepare(`
-        SELECT
-          resume_version,
-          status,
-          COUNT(*) as count
-        FROM applications
-        GROUP BY resume_version, status
-        ORDER BY resume_version, status
-      `);
-
-      const results = stmt.all();
+      const { minSampleSize, significanceLevel } = this.config;
+
+      // Get applications grouped by resume version and status; applications
+      // without a resume have nothing to compare
+      const results = this.repository.countApplicationsByStatus('resume_version', window)
+        .filter(row => row.group_key !== null);
 
       // Organize data by resume version
       const versionData = {};
       results.forEach(row => {
-        if (!versionData[row.resume_version]) {
-          versionData[row.resume_version] = {
+        const version = row.group_key;
+        if (!versionData[version]) {
+          versionData[version] = {
             total: 0,
             rejected: 0,
+            ghosted: 0,
             interview: 0,
             offer: 0,
             applied: 0
           };
         }
-        versionData[row.resume_version].total += row.count;
-        versionData[row.resume_version][row.status.toLowerCase()] = row.count;
+        versionData[version].total += row.count;
+        versionData[version][row.status.toLowerCase()] = row.count;
       });
 
       // Calculate performance metrics for each version
-      const versionInsights = [];
-
-      for (const [version, data] of Object.entries(versionData)) {
-        const rejectionRate = data.total > 0
-          ? Math.round((data.rejected / data.total) * 100)
-          : 0;
+      const toPercent = count => (count === null ? null : Math.round(count * 100));
+      const toPercentInterval = (successes, total) => {
+        const interval = stats.wilsonInterval(successes, total);
+        return interval && {
+          lower: stats.round(interval.lower * 100),
+          upper: stats.round(interval.upper * 100)
+        };
+      };
 
-        const successRate = data.total > 0
-          ? Math.round(((data.interview + data.offer) / data.total) * 100)
-          : 0;
+      const versionInsights = Object.entries(versionData).map(([version, data]) => {
+        const successes = data.interview + data.offer;
+        const rate = count => (data.total > 0 ? toPercent(count / data.total) : 0);
 
-        versionInsights.push({
+        return {
           version,
           totalApplications: data.total,
-          rejectionRate,
-          successRate,
-          interviewRate: data.total > 0 ? Math.round((data.interview / data.total) * 100) : 0,
-          offerRate: data.total > 0 ? Math.round((data.offer / data.total) * 100) : 0
-        });
-      }
+          successes,
+          rejectionRate: rate(data.rejected),
+          ghostRate: rate(data.ghosted),
+          successRate: rate(successes),
+          interviewRate: rate(data.interview),
+          offerRate: rate(data.offer),
+          confidenceIntervals: {
+            successRate: toPercentInterval(successes, data.total),
+            interviewRate: toPercentInterval(data.interview, data.total),
+            offerRate: toPercentInterval(data.offer, data.total)
+          },
+          sufficientSample: data.total >= minSampleSize
+        };
+      });
 
-      // Find best and worst performing versions
-      const bestVersion = versionInsights.reduce((best, version) =>
-        version.successRate > best.successRate ? version : best,
-        { successRate: 0 }
-      );
+      // Test the leading version against every other version with enough data
+      const eligible = versionInsights
+        .filter(version => version.sufficientSample)
+        .sort((a, b) => b.successes / b.totalApplications - a.successes / a.totalApplications);
+      const [leader, ...rivals] = eligible;
 
-      const worstVersion = versionInsights.reduce((worst, version) =>
-        version.successRate < worst.successRate ? version : worst,
-        { successRate: 100 }
-      );
+      const comparisons = rivals.map(rival => {
+        const test = stats.twoProportionZTest(
+          leader.successes, leader.totalApplications,
+          rival.successes, rival.totalApplications
+        );
+        return {
+          version: leader.version,
+          against: rival.version,
+          difference: leader.successRate - rival.successRate,
+          pValue: stats.round(test.pValue, 3),
+          significant: test.pValue < significanceLevel
+        };
+      });
+
+      const recommendation = comparisons.length > 0 && comparisons.every(comparison => comparison.significant)
+        ? { version: leader.version, successRate: leader.successRate }
+        : null;
 
       return {
         success: true,
         versions: versionInsights,
-        summary: this._generateResumeVersionSummary(versionInsights, bestVersion, worstVersion)
+        minSampleSize,
+        significanceLevel,
+        comparisons,
+        recommendation,
+        summary: this._generateResumeVersionSummary(versionInsights, comparisons, recommendation)
       };
     } catch (error) {
       console.error('Error calculating best performing resume version:', error);
@@ -201,7 +253,8 @@ class InsightService {
   /**
    * Generate plain English summary for resume versions
    */
-  _generateResumeVersionSummary(versionInsights, bestVersion, worstVersion) {
+  _generateResumeVersionSummary(versionInsights, comparisons, recommendation) {
+    const { minSampleSize, significanceLevel } = this.config;
     const summary = [];
 
     summary.push(`📄 **Resume Version Performance Analysis**`);
@@ -211,84 +264,92 @@ class InsightService {
       return summary.join('\n');
     }
 
-    summary.push(`\n🏆 **Best Performing Version**: Resume ${bestVersion.version}`);
-    summary.push(`   - Success Rate: ${bestVersion.successRate}%`);
-    summary.push(`   - Interview Rate: ${bestVersion.interviewRate}%`);
-    summary.push(`   - Offer Rate: ${bestVersion.offerRate}%`);
-    summary.push(`   - Total Applications: ${bestVersion.totalApplications}`);
+    const formatInterval = interval => (interval ? `95% CI ${interval.lower}-${interval.upper}%` : 'no data');
 
-    summary.push(`\n👎 **Lowest Performing Version**: Resume ${worstVersion.version}`);
-    summary.push(`   - Success Rate: ${worstVersion.successRate}%`);
-    summary.push(`   - Interview Rate: ${worstVersion.interviewRate}%`);
-    summary.push(`   - Offer Rate: ${worstVersion.offerRate}%`);
-    summary.push(`   - Total Applications: ${worstVersion.totalApplications}`);
+    summary.push('\n📊 **All Resume Versions**:');
+    versionInsights.forEach(version => {
+      const { successRate, interviewRate, offerRate } = version.confidenceIntervals;
+      summary.push(`- Resume ${version.version}: ${version.successRate}% success rate (${formatInterval(successRate)}, ${version.totalApplications} applications)`);
+      summary.push(`   - Interviews: ${version.interviewRate}% (${formatInterval(interviewRate)}), Offers: ${version.offerRate}% (${formatInterval(offerRate)})`);
+      summary.push(`   - Rejected: ${version.rejectionRate}%, Ghosted: ${version.ghostRate}%`);
+    });
 
-    if (bestVersion.successRate > worstVersion.successRate + 20) {
-      summary.push(`\n💡 **Recommendation**: Consider using Resume ${bestVersion.version} as your primary template.`);
-    }
+    const undersampled = versionInsights.filter(version => !version.sufficientSample);
 
-    if (worstVersion.rejectionRate > 60) {
-      summary.push(`⚠️ **Warning**: Resume ${worstVersion.version} has a high rejection rate - consider revising it.`);
+    if (recommendation) {
+      const pValues = comparisons.map(comparison => `p = ${comparison.pValue} vs Resume ${comparison.against}`).join(', ');
+      summary.push(`\n💡 **Recommendation**: Resume ${recommendation.version} performs significantly better (${pValues}). Consider using it as your primary template.`);
+    } else if (comparisons.length === 0) {
+      summary.push(`\n⚖️ **Not enough data to decide**: versions are only compared once at least two have ${minSampleSize} or more applications.`);
+      if (undersampled.length > 0) {
+        summary.push(`   - Too few applications so far: ${undersampled.map(version => `Resume ${version.version} (${version.totalApplications})`).join(', ')}`);
+      }
+    } else {
+      const inconclusive = comparisons.filter(comparison => !comparison.significant);
+      summary.push(`\n⚖️ **No clear winner yet**: Resume ${comparisons[0].version} leads, but the difference is not significant at p < ${significanceLevel} ` +
+        `(${inconclusive.map(comparison => `p = ${comparison.pValue} vs Resume ${comparison.against}`).join(', ')}). Keep collecting applications.`);
     }
 
-    summary.push('\n📊 **All Resume Versions**:');
-    versionInsights.forEach(version => {
-      summary.push(`- Resume ${version.version}: ${version.successRate}% success rate (${version.interviewRate}% interviews, ${version.offerRate}% offers)`);
-    });
+    versionInsights
+      .filter(version => version.sufficientSample && version.rejectionRate > 60)
+      .forEach(version => {
+        summary.push(`⚠️ **Warning**: Resume ${version.version} has a high rejection rate - consider revising it.`);
+      });
 
     return summary.join('\n');
   }
 
   /**
-   * Calculate average response time for different status transitions
+   * Calculate response times from recorded status transitions
+   * Response time is measured from applied_at to the first transition into each status
+   * @param {Object} [window] - Optional { from, to } range of applied_at (ISO strings)
    * @returns {Object} Insights about response times
    */
-  getAverageResponseTime() {
+  getAverageResponseTime(window = {}) {
     try {
-      const currentDate = new Date();
-
-      // Get all applications with their dates
-      const stmt = db.prepare(`
-        SELECT
-          id,
-          company,
-          role,
-          status,
-          applied_at,
-          (julianday('now') - julianday(applied_at)) as days_since_applied
-        FROM applications
-        WHERE status IN ('Interview', 'Offer', 'Rejected')
-        ORDER BY applied_at
-      `);
-
-      const applications = stmt.all();
-
-      if (applications.length === 0) {
+      // First recorded transition into each response status, per application
+      const responses = this.repository.getFirstTransitions(['Interview', 'Offer', 'Rejected'], window);
+
+      if (responses.length === 0) {
         return {
           success: true,
-          summary: "📊 **Response Time Analysis**: No completed applications (Interview/Offer/Rejected) found in the database."
+          averages: {},
+          medians: {},
+          distribution: {},
+          histogram: [],
+          transitions: [],
+          summary: "📊 **Response Time Analysis**: No recorded status transitions into Interview/Offer/Rejected found in the database."
         };
       }
 
-      // Group by status and calculate averages
+      // Group by status
       const statusGroups = {
         Interview: [],
         Offer: [],
         Rejected: []
       };
 
-      applications.forEach(app => {
-        if (statusGroups[app.status]) {
-          statusGroups[app.status].push(app.days_since_applied);
-        }
+      responses.forEach(response => {
+        statusGroups[response.status].push(Math.max(0, response.days_to_response));
       });
 
-      // Calculate averages
+      // Calculate averages, medians and percentile distribution
       const averages = {};
+      const medians = {};
+      const distribution = {};
       for (const [status, days] of Object.entries(statusGroups)) {
         if (days.length > 0) {
-          const avg = days.reduce((sum, day) => sum + day, 0) / days.length;
-          averages[status] = Math.round(avg);
+          averages[status] = stats.round(stats.mean(days));
+          medians[status] = stats.round(stats.median(days));
+          distribution[status] = {
+            count: days.length,
+            min: stats.round(Math.min(...days)),
+            p25: stats.round(stats.percentile(days, 25)),
+            p50: stats.round(stats.percentile(days, 50)),
+            p75: stats.round(stats.percentile(days, 75)),
+            p90: stats.round(stats.percentile(days, 90)),
+            max: stats.round(Math.max(...days))
+          };
         }
       }
 
@@ -307,7 +368,11 @@ class InsightService {
       return {
         success: true,
         averages,
-        summary: this._generateResponseTimeSummary(averages, fastestResponse, slowestResponse, applications)
+        medians,
+        distribution,
+        histogram: this._buildResponseTimeHistogram(statusGroups),
+        transitions: this._getTransitionDurations(window),
+        summary: this._generateResponseTimeSummary(averages, fastestResponse, slowestResponse, responses, medians)
       };
     } catch (error) {
       console.error('Error calculating average response time:', error);
@@ -315,13 +380,75 @@ class InsightService {
     }
   }
 
+  /**
+   * Calculate time spent before each kind of transition (e.g. Applied→Interview)
+   * Duration is measured from the previous recorded transition, or from
+   * applied_at when the application has no earlier history entry
+   * @param {Object} [window] - Optional { from, to } range of applied_at
+   * @returns {Array} Average and median days per transition
+   */
+  _getTransitionDurations(window = {}) {
+    const rows = this.repository.getAllStatusHistory(window);
+
+    const durations = {};
+    let previous = null;
+
+    rows.forEach(row => {
+      const isSameApplication = previous && previous.application_id === row.application_id;
+
+      if (row.old_status !== null) {
+        const startedAt = isSameApplication ? previous.changed_at : row.applied_at;
+        const days = (new Date(row.changed_at) - new Date(startedAt)) / (1000 * 60 * 60 * 24);
+        const key = `${row.old_status}→${row.new_status}`;
+
+        if (!durations[key]) {
+          durations[key] = { from: row.old_status, to: row.new_status, days: [] };
+        }
+        durations[key].days.push(Math.max(0, days));
+      }
+
+      previous = row;
+    });
+
+    return Object.entries(durations).map(([transition, data]) => ({
+      transition,
+      from: data.from,
+      to: data.to,
+      count: data.days.length,
+      averageDays: stats.round(stats.mean(data.days)),
+      medianDays: stats.round(stats.median(data.days))
+    }));
+  }
+
+  /**
+   * Bucket response times per status for histogram display
+   * @param {Object} statusGroups - Days to response keyed by status
+   * @returns {Array} Histogram buckets with a count per status
+   */
+  _buildResponseTimeHistogram(statusGroups) {
+    const buckets = [
+      { label: '0-7 days', min: 0, max: 7 },
+      { label: '7-14 days', min: 7, max: 14 },
+      { label: '14-30 days', min: 14, max: 30 },
+      { label: '30+ days', min: 30, max: Infinity }
+    ];
+
+    return buckets.map(bucket => {
+      const counts = {};
+      for (const [status, days] of Object.entries(statusGroups)) {
+        counts[status] = days.filter(day => day >= bucket.min && day < bucket.max).length;
+      }
+      return { bucket: bucket.label, ...counts };
+    });
+  }
+
   /**
    * Generate plain English summary for response times
    */
-  _generateResponseTimeSummary(averages, fastestResponse, slowestResponse, applications) {
+  _generateResponseTimeSummary(averages, fastestResponse, slowestResponse, responses, medians = {}) {
     const summary = [];
 
-    summary.push(`⏱️ **Response Time Analysis** (Based on ${applications.length} completed applications)`);
+    summary.push(`⏱️ **Response Time Analysis** (Based on ${responses.length} recorded responses)`);
 
     if (Object.keys(averages).length === 0) {
       summary.push("No response time data available for analysis.");
@@ -332,14 +459,14 @@ class InsightService {
     summary.push(`🐢 **Slowest Response**: ${slowestResponse.status} in ${slowestResponse.avg} days on average`);
 
     summary.push('\n📊 **Average Response Times**:');
-    if (averages.Interview) {
-      summary.push(`- Interview: ${averages.Interview} days from application`);
+    if (averages.Interview !== undefined) {
+      summary.push(`- Interview: ${averages.Interview} days from application (median ${medians.Interview})`);
     }
-    if (averages.Offer) {
-      summary.push(`- Offer: ${averages.Offer} days from application`);
+    if (averages.Offer !== undefined) {
+      summary.push(`- Offer: ${averages.Offer} days from application (median ${medians.Offer})`);
     }
-    if (averages.Rejected) {
-      summary.push(`- Rejection: ${averages.Rejected} days from application`);
+    if (averages.Rejected !== undefined) {
+      summary.push(`- Rejection: ${averages.Rejected} days from application (median ${medians.Rejected})`);
     }
 
     // Provide insights based on response times
@@ -362,39 +489,370 @@ class InsightService {
     return summary.join('\n');
   }
 
+  /**
+   * Count how many applications made it to each stage of the hiring funnel
+   * An application counts for a stage if it reached that stage or a later one,
+   * so rejections after an interview still count as interviews
+   * @param {Object} [window] - Optional { from, to } range of applied_at (ISO strings)
+   * @returns {Object} Funnel stages with counts and conversion rates
+   */
+  getApplicationFunnel(window = {}) {
+    try {
+      const applied = this.repository.countApplicationsByStatus('source', window)
+        .reduce((sum, row) => sum + row.count, 0);
+      const [interview, offer] = this.repository.countApplicationsReaching([
+        ['Interview', 'Offer'],
+        ['Offer']
+      ], window);
+
+      const stages = [
+        { stage: 'Applied', count: applied },
+        { stage: 'Interview', count: interview },
+        { stage: 'Offer', count: offer }
+      ].map((stage, index, all) => ({
+        ...stage,
+        // Share of all applications, and of the previous stage
+        rate: applied > 0 ? Math.round((stage.count / applied) * 100) : 0,
+        conversionRate: index === 0
+          ? 100
+          : all[index - 1].count > 0 ? Math.round((stage.count / all[index - 1].count) * 100) : 0
+      }));
+
+      return { success: true, stages };
+    } catch (error) {
+      console.error('Error calculating application funnel:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether resume match scores go together with getting interviews
+   * Reports the point-biserial correlation between score and reaching
+   * Interview or Offer, average scores of both groups and the interview
+   * rate per score band. The correlation is only interpreted once
+   * minSampleSize applications are scored.
+   * @param {Object} [window] - Optional { from, to } range of applied_at (ISO strings)
+   * @returns {Object} Match score correlation insights
+   */
+  getMatchScoreCorrelation(window = {}) {
+    try {
+      const { minSampleSize, significanceLevel } = this.config;
+      const scores = this.matchService.getMatchScores(window);
+
+      const correlation = stats.pearsonCorrelation(
+        scores.map(({ score }) => score),
+        scores.map(({ reachedInterview }) => (reachedInterview ? 1 : 0))
+      );
+      const pValue = correlation === null ? null : stats.correlationPValue(correlation, scores.length);
+      const sufficientSample = scores.length >= minSampleSize;
+
+      const averageScore = group => stats.round(stats.mean(group.map(({ score }) => score)));
+      const interviewed = scores.filter(({ reachedInterview }) => reachedInterview);
+      const notInterviewed = scores.filter(({ reachedInterview }) => !reachedInterview);
+
+      const bands = MATCH_SCORE_BANDS.map(band => {
+        const inBand = scores.filter(({ score }) => score >= band.min && score < band.max);
+        const interviews = inBand.filter(({ reachedInterview }) => reachedInterview).length;
+        return {
+          band: band.label,
+          count: inBand.length,
+          interviews,
+          interviewRate: inBand.length > 0 ? Math.round((interviews / inBand.length) * 100) : 0
+        };
+      });
+
+      const result = {
+        scoredApplications: scores.length,
+        correlation: correlation === null ? null : stats.round(correlation, 3),
+        pValue: pValue === null ? null : stats.round(pValue, 3),
+        significant: sufficientSample && pValue !== null && pValue < significanceLevel,
+        sufficientSample,
+        averageScores: {
+          interviewed: averageScore(interviewed),
+          notInterviewed: averageScore(notInterviewed)
+        },
+        bands
+      };
+
+      return {
+        success: true,
+        ...result,
+        summary: this._generateMatchScoreSummary(result)
+      };
+    } catch (error) {
+      console.error('Error calculating match score correlation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate plain English summary for match score correlation
+   */
+  _generateMatchScoreSummary({ scoredApplications, correlation, significant, sufficientSample, averageScores }) {
+    const summary = [];
+
+    summary.push(`🎯 **Resume Match Analysis** (Based on ${scoredApplications} scored applications)`);
+
+    if (scoredApplications === 0) {
+      summary.push('No applications can be scored yet - add job descriptions and upload resume PDFs.');
+      return summary.join('\n');
+    }
+
+    if (averageScores.interviewed !== null) {
+      summary.push(`\n📈 Applications that reached an interview scored ${averageScores.interviewed} on average.`);
+    }
+    if (averageScores.notInterviewed !== null) {
+      summary.push(`📉 Applications without an interview scored ${averageScores.notInterviewed} on average.`);
+    }
+
+    if (!sufficientSample) {
+      summary.push(`\nℹ️ At least ${this.config.minSampleSize} scored applications are needed before drawing conclusions.`);
+    } else if (correlation === null) {
+      summary.push('\nℹ️ Outcomes or scores do not vary yet, so there is no correlation to measure.');
+    } else if (significant && correlation > 0) {
+      summary.push(`\n✅ Higher match scores go together with interviews (correlation ${correlation}). Tailoring your resume to the posting pays off.`);
+    } else if (significant) {
+      summary.push(`\n⚠️ Higher match scores go together with fewer interviews (correlation ${correlation}).`);
+    } else {
+      summary.push(`\nℹ️ No significant link between match score and interviews yet (correlation ${correlation}).`);
+    }
+
+    return summary.join('\n');
+  }
+
+  /**
+   * Build per-period trend series: applications submitted, first interviews,
+   * offers and rejections recorded, and a rolling rejection rate
+   * Buckets are whole calendar weeks or months covering the range; the last
+   * one ends at `to` (or now)
+   * @param {Object} [options]
+   * @param {string} [options.from] - Range start (ISO); defaults to the first application
+   * @param {string} [options.to] - Range end (ISO, exclusive); defaults to now
+   * @param {string} [options.interval='week'] - week or month
+   * @returns {Object} Trend series
+   */
+  getTrends({ from, to, interval = 'week' } = {}) {
+    try {
+      const end = to ? new Date(to) : new Date();
+      let start = from ? new Date(from) : null;
+      if (!start) {
+        const [first] = this.repository.getApplicationDates({ to: end.toISOString() });
+        start = first ? new Date(first.applied_at) : end;
+      }
+
+      const buckets = [];
+      for (let bucketStart = startOfPeriod(start, interval); bucketStart < end; bucketStart = addPeriods(bucketStart, interval, 1)) {
+        const bucketEnd = addPeriods(bucketStart, interval, 1);
+        buckets.push({ start: bucketStart.toISOString(), end: (bucketEnd < end ? bucketEnd : end).toISOString() });
+      }
+
+      if (buckets.length === 0) {
+        return { success: true, interval, rollingPeriods: ROLLING_PERIODS, series: [] };
+      }
+
+      // The rolling rate of the first bucket looks back over earlier periods
+      const rollingStart = addPeriods(new Date(buckets[0].start), interval, -(ROLLING_PERIODS - 1)).toISOString();
+      const applications = this.repository.getApplicationDates({ from: rollingStart, to: end.toISOString() });
+      const transitions = this.repository.getTransitionsBetween(['Interview', 'Offer', 'Rejected'], {
+        from: buckets[0].start,
+        to: end.toISOString()
+      });
+
+      const inRange = (value, rangeStart, rangeEnd) => value >= rangeStart && value < rangeEnd;
+
+      const series = buckets.map((bucket, index) => {
+        const countTransitions = status => transitions
+          .filter(row => row.status === status && inRange(row.changed_at, bucket.start, bucket.end))
+          .length;
+
+        const rollingFrom = index >= ROLLING_PERIODS - 1
+          ? buckets[index - ROLLING_PERIODS + 1].start
+          : addPeriods(new Date(bucket.start), interval, -(ROLLING_PERIODS - 1)).toISOString();
+        const rolling = applications.filter(app => inRange(app.applied_at, rollingFrom, bucket.end));
+        const rejected = rolling.filter(app => app.status === 'Rejected').length;
+
+        return {
+          periodStart: bucket.start,
+          periodEnd: bucket.end,
+          applications: applications.filter(app => inRange(app.applied_at, bucket.start, bucket.end)).length,
+          interviews: countTransitions('Interview'),
+          offers: countTransitions('Offer'),
+          rejections: countTransitions('Rejected'),
+          rollingRejectionRate: rolling.length > 0 ? Math.round((rejected / rolling.length) * 100) : null
+        };
+      });
+
+      return { success: true, interval, rollingPeriods: ROLLING_PERIODS, series };
+    } catch (error) {
+      console.error('Error calculating insight trends:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Compare a period with the one before it
+   * With `from`, the period is [from, to) and is compared with the same length
+   * of time just before it; otherwise the last week or month up to `to` (or
+   * now) is compared with the week or month before that
+   * @param {Object} [options]
+   * @param {string} [options.from] - Period start (ISO)
+   * @param {string} [options.to] - Period end (ISO, exclusive); defaults to now
+   * @param {string} [options.interval='week'] - week or month
+   * @returns {Object} Metrics for both periods and the change between them
+   */
+  getPeriodComparison({ from, to, interval = 'week' } = {}) {
+    try {
+      const end = to ? new Date(to) : new Date();
+      let start;
+      let previousStart;
+      let label;
+
+      if (from) {
+        start = new Date(from);
+        previousStart = new Date(start.getTime() - (end - start));
+        label = `the previous ${Math.round((end - start) / (1000 * 60 * 60 * 24))} days`;
+      } else {
+        start = addPeriods(end, interval, -1);
+        previousStart = addPeriods(end, interval, -2);
+        label = `last ${interval}`;
+      }
+
+      const current = this._getPeriodMetrics({ from: start.toISOString(), to: end.toISOString() });
+      const previous = this._getPeriodMetrics({ from: previousStart.toISOString(), to: start.toISOString() });
+
+      // Counts change by percent, rates by percentage points
+      const percentChange = (now, before) => (before > 0 ? Math.round(((now - before) / before) * 100) : null);
+      const pointChange = (now, before) => (now === null || before === null ? null : now - before);
+
+      const changes = {
+        applications: percentChange(current.applications, previous.applications),
+        interviewRate: pointChange(current.interviewRate, previous.interviewRate),
+        offerRate: pointChange(current.offerRate, previous.offerRate),
+        rejectionRate: pointChange(current.rejectionRate, previous.rejectionRate)
+      };
+
+      return {
+        success: true,
+        label,
+        current,
+        previous,
+        changes,
+        summary: this._generateComparisonSummary(label, current, previous, changes)
+      };
+    } catch (error) {
+      console.error('Error comparing insight periods:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Application count and stage rates for applications submitted in a window
+   */
+  _getPeriodMetrics(window) {
+    const rows = this.repository.countApplicationsByStatus('source', window);
+    const applications = rows.reduce((sum, row) => sum + row.count, 0);
+    const rejected = rows
+      .filter(row => row.status === 'Rejected')
+      .reduce((sum, row) => sum + row.count, 0);
+    const [interviews, offers] = this.repository.countApplicationsReaching([
+      ['Interview', 'Offer'],
+      ['Offer']
+    ], window);
+
+    const rate = count => (applications > 0 ? Math.round((count / applications) * 100) : null);
+
+    return {
+      from: window.from,
+      to: window.to,
+      applications,
+      interviewRate: rate(interviews),
+      offerRate: rate(offers),
+      rejectionRate: rate(rejected)
+    };
+  }
+
+  /**
+   * Generate plain English summary for a period comparison
+   */
+  _generateComparisonSummary(label, current, previous, changes) {
+    const summary = [];
+
+    summary.push(`📅 **Compared with ${label}**`);
+
+    if (current.applications === 0 && previous.applications === 0) {
+      summary.push('No applications in either period.');
+      return summary.join('\n');
+    }
+
+    const describe = (change, unit) => {
+      if (change === null) return '';
+      if (change === 0) return ' (no change)';
+      return ` (${change > 0 ? 'up' : 'down'} ${Math.abs(change)}${unit})`;
+    };
+    const formatRate = rate => (rate === null ? 'n/a' : `${rate}%`);
+
+    summary.push(`- Applications: ${current.applications} vs ${previous.applications}${describe(changes.applications, '%')}`);
+    summary.push(`- Interview rate: ${formatRate(current.interviewRate)} vs ${formatRate(previous.interviewRate)}${describe(changes.interviewRate, ' pts')}`);
+    summary.push(`- Offer rate: ${formatRate(current.offerRate)} vs ${formatRate(previous.offerRate)}${describe(changes.offerRate, ' pts')}`);
+    summary.push(`- Rejection rate: ${formatRate(current.rejectionRate)} vs ${formatRate(previous.rejectionRate)}${describe(changes.rejectionRate, ' pts')}`);
+
+    return summary.join('\n');
+  }
+
   /**
    * Get comprehensive insights combining all analyses
+   * Analyses cover applications submitted in [from, to); trends and the
+   * period comparison use the same range
+   * @param {Object} [options]
+   * @param {string} [options.from] - Range start (ISO)
+   * @param {string} [options.to] - Range end (ISO, exclusive)
+   * @param {string} [options.interval='week'] - Trend bucket size: week or month
    * @returns {Object} Complete insights report
    */
-  getComprehensiveInsights() {
+  getComprehensiveInsights(options = {}) {
     try {
-      const rejectionInsights = this.getRejectionRateBySource();
-      const resumeInsights = this.getBestPerformingResumeVersion();
-      const responseTimeInsights = this.getAverageResponseTime();
+      const { from, to, interval = 'week' } = options;
+      const window = { from, to };
+      const rejectionInsights = this.getRejectionRateBySource(window);
+      const resumeInsights = this.getBestPerformingResumeVersion(window);
+      const responseTimeInsights = this.getAverageResponseTime(window);
+      const funnel = this.getApplicationFunnel(window);
+      const matchScore = this.getMatchScoreCorrelation(window);
+      const trends = this.getTrends({ from, to, interval });
+      const comparison = this.getPeriodComparison({ from, to, interval });
 
       const comprehensiveSummary = [];
 
       comprehensiveSummary.push('📊 **COMPREHENSIVE JOB APPLICATION INSIGHTS**');
       comprehensiveSummary.push('============================================\n');
 
+      if (from || to) {
+        const formatDate = value => new Date(value).toISOString().slice(0, 10);
+        comprehensiveSummary.push(`🗓️ **Period**: ${from ? formatDate(from) : 'first application'} to ${to ? formatDate(to) : 'now'}\n`);
+      }
+
       comprehensiveSummary.push('🔍 **Key Findings**:\n');
 
       // Add rejection rate insights
       if (rejectionInsights.insights && rejectionInsights.insights.length > 0) {
+        // Rates are formatted as "80%" here, so compare them as numbers
         const bestSource = rejectionInsights.insights.reduce((best, insight) =>
-          insight.successRate > best.successRate ? insight : best,
-          { successRate: '0%' }
+          parseInt(insight.successRate, 10) > parseInt(best.successRate, 10) ? insight : best
         );
         comprehensiveSummary.push(`✅ Your best application source is ${bestSource.source} with ${bestSource.successRate} success rate.`);
       }
 
-      // Add resume insights
-      if (resumeInsights.versions && resumeInsights.versions.length > 0) {
-        const bestResume = resumeInsights.versions.reduce((best, version) =>
-          version.successRate > best.successRate ? version : best,
-          { successRate: 0 }
-        );
+      // Add resume insights; only name a winner once the comparison is significant
+      if (resumeInsights.recommendation) {
+        const bestResume = resumeInsights.recommendation;
         comprehensiveSummary.push(`📄 Your best performing resume is version ${bestResume.version} with ${bestResume.successRate}% success rate.`);
+      } else if (resumeInsights.versions && resumeInsights.versions.length > 0) {
+        comprehensiveSummary.push('📄 No resume version is a clear winner yet - there is not enough data for a significant difference.');
+      }
+
+      // Add match score insights once there is enough data to interpret them
+      if (matchScore.significant && matchScore.correlation > 0) {
+        comprehensiveSummary.push(`🎯 Applications whose resume matches the posting better get more interviews (correlation ${matchScore.correlation}).`);
       }
 
       // Add response time insights
@@ -408,6 +866,8 @@ class InsightService {
         }
       }
 
+      comprehensiveSummary.push('\n' + comparison.summary);
+
       comprehensiveSummary.push('\n💡 **Recommendations**:\n');
 
       // Generate recommendations based on data
@@ -415,7 +875,7 @@ class InsightService {
         comprehensiveSummary.push('🚨 Consider improving your application strategy for sources with high rejection rates.');
       }
 
-      if (resumeInsights.versions && resumeInsights.versions.some(v => v.successRate < 30)) {
+      if (resumeInsights.versions && resumeInsights.versions.some(v => v.sufficientSample && v.successRate < 30)) {
         comprehensiveSummary.push('📝 Review and update low-performing resume versions.');
       }
 
@@ -427,14 +887,20 @@ class InsightService {
       comprehensiveSummary.push('\n' + rejectionInsights.summary);
       comprehensiveSummary.push('\n' + resumeInsights.summary);
       comprehensiveSummary.push('\n' + responseTimeInsights.summary);
+      comprehensiveSummary.push('\n' + matchScore.summary);
 
       return {
         success: true,
         comprehensiveSummary: comprehensiveSummary.join('\n'),
+        period: { from: from || null, to: to || null, interval },
         detailedInsights: {
+          funnel,
+          trends,
+          comparison,
           rejectionRate: rejectionInsights,
           resumePerformance: resumeInsights,
-          responseTime: responseTimeInsights
+          responseTime: responseTimeInsights,
+          matchScore
         }
       };
     } catch (error) {
@@ -444,5 +910,6 @@ class InsightService {
   }
 }
 
-// Export singleton instance
-module.exports = new InsightService();
\ No newline at end of file
+// Export singleton instance backed by the shared repository
+module.exports = new InsightService(repository);
+module.exports.InsightService = InsightService;
\ No newline at end of file
@@ -0,0 +1,177 @@
+const repository = require('../db/db');
+const interviewConfig = require('../config/interviews');
+const { buildCalendar } = require('../utils/icalendar');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+class InterviewService {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.repository - Application repository (see db/db.js)
+   * @param {Object} [deps.config] - Reminder and duration settings (see config/interviews.js)
+   */
+  constructor({ repository, config = interviewConfig }) {
+    this.repository = repository;
+    this.config = config;
+  }
+
+  /**
+   * List an application's interviews, earliest first
+   * @param {number} applicationId - Application ID
+   * @returns {Array<Object>} Interviews
+   */
+  listInterviews(applicationId) {
+    this._findApplication(applicationId);
+    return this.repository.getInterviews(applicationId);
+  }
+
+  /**
+   * Get an interview or throw a 404
+   * @param {number} applicationId - Application ID
+   * @param {number} interviewId - Interview ID
+   * @returns {Object} Interview
+   */
+  getInterview(applicationId, interviewId) {
+    const interview = this.repository.getInterviewById(applicationId, interviewId);
+    if (!interview) {
+      throw new NotFoundError('Interview not found');
+    }
+    return interview;
+  }
+
+  /**
+   * Schedule an interview for an application
+   * @param {number} applicationId - Application ID
+   * @param {Object} data - Validated interview fields
+   * @returns {Object} Created interview
+   */
+  createInterview(applicationId, data) {
+    this._findApplication(applicationId);
+    this._assertTimes(data.starts_at, data.ends_at);
+    return this.repository.createInterview(applicationId, data);
+  }
+
+  /**
+   * Update an interview; moving it to a new time re-arms its reminder
+   * @param {number} applicationId - Application ID
+   * @param {number} interviewId - Interview ID
+   * @param {Object} data - Validated interview fields (undefined keeps, null clears)
+   * @returns {Object} Updated interview
+   */
+  updateInterview(applicationId, interviewId, data) {
+    const existing = this.getInterview(applicationId, interviewId);
+    this._assertTimes(
+      data.starts_at || existing.starts_at,
+      data.ends_at !== undefined ? data.ends_at : existing.ends_at
+    );
+    return this.repository.updateInterview(applicationId, interviewId, data);
+  }
+
+  /**
+   * Delete an interview or throw a 404
+   * @param {number} applicationId - Application ID
+   * @param {number} interviewId - Interview ID
+   */
+  deleteInterview(applicationId, interviewId) {
+    if (!this.repository.deleteInterview(applicationId, interviewId)) {
+      throw new NotFoundError('Interview not found');
+    }
+  }
+
+  /**
+   * Pending interviews starting within reminderHours that have not been reminded of
+   * @param {Date} [now] - Time of the check
+   * @returns {Array<Object>} Interviews to remind about
+   */
+  getDueReminders(now = new Date()) {
+    const until = new Date(now.getTime() + this.config.reminderHours * MS_PER_HOUR);
+    return this.repository.getInterviewsToRemind(now.toISOString(), until.toISOString());
+  }
+
+  /**
+   * Claim interviews while their reminder is sent, so an overlapping check skips them
+   * @param {number[]} ids - Interview IDs
+   * @param {Date} until - When the claim lapses if the send is never confirmed
+   */
+  claimReminders(ids, until) {
+    this.repository.claimInterviewReminders(ids, until.toISOString());
+  }
+
+  /**
+   * Give claimed interviews back after a failed send; the next check retries them
+   * @param {number[]} ids - Interview IDs
+   */
+  releaseReminders(ids) {
+    this.repository.releaseInterviewReminders(ids);
+  }
+
+  /**
+   * Mark claimed interviews as reminded so later checks skip them
+   * @param {number[]} ids - Interview IDs
+   * @param {Date} [now] - Time of sending
+   */
+  markReminded(ids, now = new Date()) {
+    this.repository.markInterviewsReminded(ids, now.toISOString());
+  }
+
+  /**
+   * Build an iCalendar feed of interviews
+   * @param {number} [applicationId] - Only this application's interviews (404 if unknown)
+   * @returns {string} iCalendar text
+   */
+  buildCalendar(applicationId) {
+    let name = 'Job interviews';
+    if (applicationId !== undefined) {
+      const application = this._findApplication(applicationId);
+      name = `Interviews - ${application.company}`;
+    }
+
+    return buildCalendar({
+      name,
+      events: this.repository.getInterviews(applicationId).map(interview => this._toCalendarEvent(interview))
+    });
+  }
+
+  _toCalendarEvent(interview) {
+    const end = interview.ends_at ||
+      new Date(new Date(interview.starts_at).getTime() + this.config.defaultDurationMinutes * 60 * 1000).toISOString();
+    const description = [
+      `${interview.role} at ${interview.company}`,
+      `Type: ${interview.type}`,
+      interview.interviewers.length > 0 && `Interviewers: ${interview.interviewers.join(', ')}`,
+      interview.outcome !== 'pending' && `Outcome: ${interview.outcome}`,
+      interview.notes
+    ].filter(Boolean).join('\n');
+
+    return {
+      uid: `interview-${interview.id}@ai-job-tracker`,
+      start: interview.starts_at,
+      end,
+      summary: `${interview.company}: ${interview.round_name}`,
+      description,
+      location: interview.location || interview.meeting_url,
+      url: interview.meeting_url,
+      status: interview.outcome === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+      updatedAt: interview.updated_at
+    };
+  }
+
+  _findApplication(applicationId) {
+    const application = this.repository.getApplicationById(applicationId);
+    if (!application) {
+      throw new NotFoundError('Application not found');
+    }
+    return application;
+  }
+
+  _assertTimes(startsAt, endsAt) {
+    if (endsAt && endsAt <= startsAt) {
+      throw new ValidationError('Request body failed validation', { ends_at: 'must be after starts_at' });
+    }
+  }
+}
+
+// Export singleton instance backed by the shared repository
+module.exports = new InterviewService({ repository });
+module.exports.InterviewService = InterviewService;
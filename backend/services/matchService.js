@@ -0,0 +1,216 @@
+const repository = require('../db/db');
+const { extractPdfText } = require('../utils/pdfText');
+const { tokenize, createSkillMatcher, countTerms, inverseDocumentFrequencies } = require('../utils/keywords');
+const { NotFoundError } = require('../utils/errors');
+
+// Skills count double in the score: they are what postings actually require
+const SKILL_WEIGHT = 2;
+// Matched and missing keywords reported per application
+const KEYWORD_LIMIT = 10;
+
+// Why an application could not be scored
+const UNSCORED_REASONS = {
+  noJobDescription: 'The application has no job description',
+  noResume: 'The application has no resume version',
+  noResumeFile: 'No PDF has been uploaded for this resume version',
+  noResumeText: 'No text could be extracted from the resume PDF'
+};
+
+class MatchService {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.repository - Application repository (see db/db.js)
+   * @param {Array} [deps.skills] - Skill dictionary (see config/skills.js)
+   */
+  constructor({ repository, skills }) {
+    this.repository = repository;
+    this.skillMatcher = createSkillMatcher(skills);
+    // Uploaded resume files never change, so their text is extracted once per resume ID
+    this.resumeTextCache = new Map();
+    // Term weights over all job descriptions; rebuilt after applications are written
+    this.idf = null;
+  }
+
+  /**
+   * Drop the cached term weights
+   * Call after creating, updating, deleting or importing applications, since
+   * any of them can change the set of job descriptions
+   */
+  invalidateIdf() {
+    this.idf = null;
+  }
+
+  /**
+   * Score how well an application's resume covers its job description
+   * The score is the share of the posting's TF-IDF weight (skills and other
+   * keywords) that also appears in the resume, from 0 to 100. Term weights
+   * come from all stored job descriptions, so words every posting uses
+   * count less than the ones specific to this role.
+   * @param {number} applicationId - Application ID
+   * @returns {Object} Score with matched and missing skills and keywords;
+   *   score is null (with a reason) when the application cannot be scored
+   */
+  getMatch(applicationId) {
+    const application = this.repository.getApplicationById(applicationId);
+    if (!application) {
+      throw new NotFoundError(`Application with ID ${applicationId} not found`);
+    }
+
+    const result = {
+      applicationId: application.id,
+      resumeVersion: application.resume_version,
+      score: null,
+      reason: null,
+      skills: { matched: [], missing: [] },
+      keywords: { matched: [], missing: [] }
+    };
+
+    const unscored = this._checkScorable(application);
+    if (unscored) {
+      return { ...result, reason: unscored };
+    }
+
+    const idf = this._getIdf();
+    const resumeTerms = this._getResumeTerms(application.resume_version);
+    const match = this._scoreTerms(this._extractTerms(application.job_description), resumeTerms, idf);
+
+    return { ...result, ...match };
+  }
+
+  /**
+   * Score every application that has a job description and a resume with text
+   * @param {Object} [window] - Optional { from, to } range of applied_at (ISO strings)
+   * @returns {Array<Object>} { applicationId, resumeVersion, status, reachedInterview, score }
+   */
+  getMatchScores(window = {}) {
+    const idf = this._getIdf();
+
+    return this.repository.getMatchCandidates(window)
+      .filter(application => !this._checkScorable(application))
+      .map(application => {
+        const { score } = this._scoreTerms(
+          this._extractTerms(application.job_description),
+          this._getResumeTerms(application.resume_version),
+          idf
+        );
+        return {
+          applicationId: application.id,
+          resumeVersion: application.resume_version,
+          status: application.status,
+          reachedInterview: application.reached_interview,
+          score
+        };
+      });
+  }
+
+  /**
+   * Get the reason an application cannot be scored, or null if it can
+   */
+  _checkScorable(application) {
+    if (!application.job_description || !application.job_description.trim()) {
+      return UNSCORED_REASONS.noJobDescription;
+    }
+    if (!application.resume_version) {
+      return UNSCORED_REASONS.noResume;
+    }
+
+    const resume = this.repository.getResumeByVersion(application.resume_version);
+    if (!resume || !resume.has_file) {
+      return UNSCORED_REASONS.noResumeFile;
+    }
+    if (!this._getResumeText(resume.id)) {
+      return UNSCORED_REASONS.noResumeText;
+    }
+    return null;
+  }
+
+  /**
+   * Extract (and cache) the text of a resume's PDF
+   * @param {number} resumeId - Resume ID
+   * @returns {string} Text; empty when the PDF has none or cannot be read
+   */
+  _getResumeText(resumeId) {
+    if (!this.resumeTextCache.has(resumeId)) {
+      const stored = this.repository.getResumeFile(resumeId);
+      let text = '';
+      try {
+        text = stored ? extractPdfText(stored.file) : '';
+      } catch (error) {
+        console.warn(`⚠️ Could not extract text from resume ${resumeId}:`, error.message);
+      }
+      this.resumeTextCache.set(resumeId, text);
+    }
+    return this.resumeTextCache.get(resumeId);
+  }
+
+  _getResumeTerms(version) {
+    const resume = this.repository.getResumeByVersion(version);
+    return this._extractTerms(this._getResumeText(resume.id));
+  }
+
+  /**
+   * Split a text into skill mentions and counts of the remaining keywords
+   */
+  _extractTerms(text) {
+    const { skills, remainder } = this.skillMatcher.extractSkills(text);
+    return { skills, keywords: countTerms(tokenize(remainder)) };
+  }
+
+  _getIdf() {
+    if (!this.idf) {
+      this.idf = this._buildIdf();
+    }
+    return this.idf;
+  }
+
+  /**
+   * Inverse document frequencies over all job descriptions
+   * Skills and keywords share one vocabulary; skill names are prefixed so
+   * they cannot collide with keywords
+   */
+  _buildIdf() {
+    const documents = this.repository.getJobDescriptions().map(({ job_description: text }) => {
+      const { skills, keywords } = this._extractTerms(text);
+      return [...[...skills.keys()].map(name => `skill:${name}`), ...keywords.keys()];
+    });
+    const idf = inverseDocumentFrequencies(documents);
+
+    return {
+      skill: name => idf(`skill:${name}`),
+      keyword: term => idf(term)
+    };
+  }
+
+  /**
+   * Weigh the posting's terms by TF-IDF and measure how much of that weight the resume covers
+   * Term frequency is sublinear (1 + ln count) so one repeated word cannot dominate
+   */
+  _scoreTerms(posting, resume, idf) {
+    const weigh = (counts, termIdf, multiplier = 1) => [...counts.entries()]
+      .map(([term, count]) => ({ term, weight: (1 + Math.log(count)) * termIdf(term) * multiplier }))
+      .sort((a, b) => b.weight - a.weight);
+
+    const skills = weigh(posting.skills, idf.skill, SKILL_WEIGHT);
+    const keywords = weigh(posting.keywords, idf.keyword);
+
+    const totalWeight = [...skills, ...keywords].reduce((sum, { weight }) => sum + weight, 0);
+    const matchedWeight = skills.filter(({ term }) => resume.skills.has(term))
+      .concat(keywords.filter(({ term }) => resume.keywords.has(term)))
+      .reduce((sum, { weight }) => sum + weight, 0);
+
+    const partition = (terms, counts, limit = Infinity) => ({
+      matched: terms.filter(({ term }) => counts.has(term)).slice(0, limit).map(({ term }) => term),
+      missing: terms.filter(({ term }) => !counts.has(term)).slice(0, limit).map(({ term }) => term)
+    });
+
+    return {
+      score: totalWeight > 0 ? Math.round((matchedWeight / totalWeight) * 100) : 0,
+      skills: partition(skills, resume.skills),
+      keywords: partition(keywords, resume.keywords, KEYWORD_LIMIT)
+    };
+  }
+}
+
+// Export singleton instance backed by the shared repository
+module.exports = new MatchService({ repository });
+module.exports.MatchService = MatchService;
@@ -0,0 +1,259 @@
+const repository = require('../db/db');
+const offerConfig = require('../config/offers');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+// Offers can only be recorded for applications in this status
+const OFFER_STATUS = 'Offer';
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+class OfferService {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.repository - Application repository (see db/db.js)
+   * @param {Object} [deps.config] - Currency and deadline settings (see config/offers.js)
+   */
+  constructor({ repository, config = offerConfig }) {
+    this.repository = repository;
+    this.config = config;
+  }
+
+  /**
+   * List an application's offers, oldest first
+   * @param {number} applicationId - Application ID
+   * @returns {Array<Object>} Offers
+   */
+  listOffers(applicationId) {
+    this._findApplication(applicationId);
+    return this.repository.getOffers(applicationId);
+  }
+
+  /**
+   * Get an offer or throw a 404
+   * @param {number} applicationId - Application ID
+   * @param {number} offerId - Offer ID
+   * @returns {Object} Offer
+   */
+  getOffer(applicationId, offerId) {
+    const offer = this.repository.getOfferById(applicationId, offerId);
+    if (!offer) {
+      throw new NotFoundError('Offer not found');
+    }
+    return offer;
+  }
+
+  /**
+   * Record an offer for an application in Offer status (409 otherwise)
+   * @param {number} applicationId - Application ID
+   * @param {Object} data - Validated offer fields
+   * @returns {Object} Created offer
+   */
+  createOffer(applicationId, data) {
+    const application = this._findApplication(applicationId);
+    if (application.status !== OFFER_STATUS) {
+      throw new ConflictError(`Application ${applicationId} is not in ${OFFER_STATUS} status (status: ${application.status})`);
+    }
+    return this.repository.createOffer(applicationId, this._normalizeCurrency(data));
+  }
+
+  /**
+   * Update an offer; moving the deadline re-arms its warning
+   * @param {number} applicationId - Application ID
+   * @param {number} offerId - Offer ID
+   * @param {Object} data - Validated offer fields (undefined keeps, null clears)
+   * @returns {Object} Updated offer
+   */
+  updateOffer(applicationId, offerId, data) {
+    this.getOffer(applicationId, offerId);
+    return this.repository.updateOffer(applicationId, offerId, this._normalizeCurrency(data));
+  }
+
+  /**
+   * Delete an offer or throw a 404
+   * @param {number} applicationId - Application ID
+   * @param {number} offerId - Offer ID
+   */
+  deleteOffer(applicationId, offerId) {
+    if (!this.repository.deleteOffer(applicationId, offerId)) {
+      throw new NotFoundError('Offer not found');
+    }
+  }
+
+  /**
+   * Rank offers by yearly total compensation in the base currency
+   * Total compensation is base salary + bonus + equity value / vesting years.
+   * Offers in a currency without an exchange rate are returned unranked.
+   * @param {Object} [options]
+   * @param {boolean} [options.includeDecided=false] - Include accepted and declined offers
+   * @param {Date} [options.now] - Reference time for days to deadline
+   * @returns {Object} { baseCurrency, offers, unranked, best, summary }
+   */
+  compareOffers({ includeDecided = false, now = new Date() } = {}) {
+    const { baseCurrency } = this.config;
+    const offers = this.repository.getOffers()
+      .filter(offer => includeDecided || this._isOpen(offer))
+      .map(offer => this._toComparison(offer, now));
+
+    const ranked = offers
+      .filter(offer => offer.normalized)
+      .sort((a, b) => b.normalized.total - a.normalized.total || b.normalized.base - a.normalized.base)
+      .map((offer, index, list) => ({
+        ...offer,
+        rank: index + 1,
+        differenceFromBest: offer.normalized.total - list[0].normalized.total
+      }));
+    const unranked = offers
+      .filter(offer => !offer.normalized)
+      .map(offer => ({ ...offer, reason: `No exchange rate from ${offer.currency} to ${baseCurrency}` }));
+
+    return {
+      baseCurrency,
+      offers: ranked,
+      unranked,
+      best: ranked[0] || null,
+      summary: this._generateComparisonSummary(ranked, unranked)
+    };
+  }
+
+  /**
+   * Open offers whose deadline is within deadlineWarningDays and that have not been warned about
+   * @param {Date} [now] - Time of the check
+   * @returns {Array<Object>} Offers with days_to_deadline
+   */
+  getDeadlineWarnings(now = new Date()) {
+    const until = new Date(now.getTime() + this.config.deadlineWarningDays * MS_PER_DAY);
+    return this.repository.getOffersWithDeadlineBetween(now.toISOString(), until.toISOString())
+      .filter(offer => this._isOpen(offer))
+      .map(offer => ({ ...offer, days_to_deadline: this._daysUntil(offer.decision_deadline, now) }));
+  }
+
+  /**
+   * Claim offers while their deadline warning is sent, so an overlapping check skips them
+   * @param {number[]} ids - Offer IDs
+   * @param {Date} until - When the claim lapses if the send is never confirmed
+   */
+  claimDeadlineWarnings(ids, until) {
+    this.repository.claimOfferDeadlines(ids, until.toISOString());
+  }
+
+  /**
+   * Give claimed offers back after a failed warning; the next check retries them
+   * @param {number[]} ids - Offer IDs
+   */
+  releaseDeadlineWarnings(ids) {
+    this.repository.releaseOfferDeadlines(ids);
+  }
+
+  /**
+   * Mark claimed offers as warned so later checks skip them
+   * @param {number[]} ids - Offer IDs
+   * @param {Date} [now] - Time of sending
+   */
+  markDeadlineWarned(ids, now = new Date()) {
+    this.repository.markOfferDeadlinesWarned(ids, now.toISOString());
+  }
+
+  _toComparison(offer, now) {
+    const equityPerYear = Math.round(offer.equity_value / offer.vesting_years);
+    const rate = offer.currency === this.config.baseCurrency ? 1 : this.config.exchangeRates[offer.currency];
+    const convert = amount => Math.round(amount * rate);
+
+    return {
+      offerId: offer.id,
+      applicationId: offer.application_id,
+      company: offer.company,
+      role: offer.role,
+      decision: offer.decision,
+      currency: offer.currency,
+      baseSalary: offer.base_salary,
+      bonus: offer.bonus,
+      equityValue: offer.equity_value,
+      vestingYears: offer.vesting_years,
+      equityPerYear,
+      totalCompensation: offer.base_salary + offer.bonus + equityPerYear,
+      normalized: rate
+        ? {
+          base: convert(offer.base_salary),
+          bonus: convert(offer.bonus),
+          equityPerYear: convert(equityPerYear),
+          total: convert(offer.base_salary + offer.bonus + equityPerYear)
+        }
+        : null,
+      benefitsNotes: offer.benefits_notes,
+      startDate: offer.start_date,
+      decisionDeadline: offer.decision_deadline,
+      daysToDeadline: offer.decision_deadline ? this._daysUntil(offer.decision_deadline, now) : null
+    };
+  }
+
+  /**
+   * Generate plain English summary for the offer comparison
+   */
+  _generateComparisonSummary(ranked, unranked) {
+    const { baseCurrency } = this.config;
+    const format = amount => `${amount.toLocaleString('en-US')} ${baseCurrency}`;
+    const summary = [];
+
+    summary.push(`💼 **Offer Comparison** (${ranked.length + unranked.length} offer(s), yearly total compensation in ${baseCurrency})`);
+
+    if (ranked.length === 0) {
+      summary.push(unranked.length > 0
+        ? 'No offer can be ranked yet: add exchange rates for their currencies.'
+        : 'No offers to compare yet.');
+      return summary.join('\n');
+    }
+
+    const [best, ...rest] = ranked;
+    summary.push(`\n🏆 **Best Offer**: ${best.company} (${best.role}) at ${format(best.normalized.total)} per year`);
+    rest.forEach(offer => {
+      summary.push(`- #${offer.rank} ${offer.company}: ${format(offer.normalized.total)} (${format(-offer.differenceFromBest)} less)`);
+    });
+
+    if (best.normalized.equityPerYear > best.normalized.total / 3) {
+      summary.push(`\n⚠️ **Note**: Over a third of ${best.company}'s total is equity - its real value depends on the company's performance.`);
+    }
+
+    ranked
+      .filter(offer => offer.daysToDeadline !== null && offer.daysToDeadline >= 0 && offer.daysToDeadline <= this.config.deadlineWarningDays)
+      .forEach(offer => {
+        summary.push(`⏳ **Deadline soon**: ${offer.company} expects an answer in ${offer.daysToDeadline} day(s).`);
+      });
+
+    if (unranked.length > 0) {
+      summary.push(`\nℹ️ Not ranked (no exchange rate): ${unranked.map(offer => `${offer.company} (${offer.currency})`).join(', ')}`);
+    }
+
+    return summary.join('\n');
+  }
+
+  _daysUntil(date, now) {
+    return Math.ceil((new Date(date) - now) / MS_PER_DAY);
+  }
+
+  // Pending offers stop counting once the application leaves Offer (e.g. Rejected, Withdrawn)
+  _isOpen(offer) {
+    return offer.decision === 'pending' && offer.status === OFFER_STATUS;
+  }
+
+  _findApplication(applicationId) {
+    const application = this.repository.getApplicationById(applicationId);
+    if (!application) {
+      throw new NotFoundError('Application not found');
+    }
+    return application;
+  }
+
+  // Currency codes are stored upper case, e.g. "eur" -> "EUR"
+  _normalizeCurrency(data) {
+    if (data.currency === undefined) return data;
+
+    const currency = data.currency.toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currency)) {
+      throw new ValidationError('Request body failed validation', { currency: 'must be a three-letter ISO 4217 code' });
+    }
+    return { ...data, currency };
+  }
+}
+
+// Export singleton instance backed by the shared repository
+module.exports = new OfferService({ repository });
+module.exports.OfferService = OfferService;
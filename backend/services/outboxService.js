@@ -0,0 +1,238 @@
+const repository = require('../db/db');
+const eventBus = require('../motia/eventBus');
+const outboxConfig = require('../config/outbox');
+const { NotFoundError } = require('../utils/errors');
+
+class OutboxService {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.repository - Application repository (see db/db.js)
+   * @param {Object} deps.eventBus - Motia event bus
+   * @param {Object} deps.config - Retry and polling settings (see config/outbox.js)
+   */
+  constructor({ repository, eventBus, config }) {
+    this.repository = repository;
+    this.eventBus = eventBus;
+    this.config = config;
+    this.timer = null;
+    this.started = false;
+    this.dispatching = null;
+    this.wakeRequested = false;
+  }
+
+  /**
+   * Persist an event in the outbox
+   * Call inside repository.runInTransaction together with the data change
+   * so the event is stored if and only if the change commits
+   * @param {string} eventName - Event name
+   * @param {Object} payload - Event payload
+   * @param {Object} [options]
+   * @param {string} [options.correlationId] - Request or run that caused the event
+   * @returns {number} Outbox event ID
+   */
+  enqueue(eventName, payload, options = {}) {
+    return this.repository.enqueueEvent(eventName, payload, options.correlationId);
+  }
+
+  /**
+   * Start dispatching pending events in the background
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+    this._schedule(0);
+    console.log('📮 Outbox dispatcher started');
+  }
+
+  /**
+   * Stop the background dispatcher
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.started = false;
+  }
+
+  /**
+   * Ask the running dispatcher to look for new events now
+   * Routes call this after committing a change so events go out without
+   * waiting for the next poll
+   */
+  wake() {
+    if (!this.started) return;
+    if (this.dispatching) {
+      this.wakeRequested = true;
+      return;
+    }
+    this._schedule(0);
+  }
+
+  /**
+   * Deliver every due event once
+   * Events are delivered at least once: a handler that fails gets the event
+   * again on the next attempt; handlers that succeeded are not called again
+   * @returns {Promise<Object>} { delivered, retried, deadLettered }
+   */
+  async dispatchPending() {
+    if (this.dispatching) {
+      this.wakeRequested = true;
+      return this.dispatching;
+    }
+
+    this.dispatching = (async () => {
+      const summary = { delivered: 0, retried: 0, deadLettered: 0 };
+      let events;
+
+      do {
+        this.wakeRequested = false;
+        events = this.repository.getDueEvents(this.config.batchSize);
+        for (const event of events) {
+          summary[await this._deliver(event)]++;
+        }
+      } while (events.length > 0 || this.wakeRequested);
+
+      return summary;
+    })();
+
+    try {
+      return await this.dispatching;
+    } finally {
+      this.dispatching = null;
+    }
+  }
+
+  /**
+   * Summarize the outbox
+   * @returns {Object} { counts, nextAttemptAt }
+   */
+  getStatus() {
+    return {
+      counts: this.repository.countEventsByStatus(),
+      nextAttemptAt: this.repository.getNextEventAttemptAt()
+    };
+  }
+
+  /**
+   * List dead-lettered events
+   * @param {number} [limit=50] - Maximum events to return
+   * @returns {Array<Object>} Dead letters, most recent failure first
+   */
+  getDeadLetters(limit = 50) {
+    return this.repository.getDeadLetters(limit);
+  }
+
+  /**
+   * Get one dead-lettered event or throw a 404
+   * @param {number} id - Dead letter ID
+   * @returns {Object} Dead letter
+   */
+  getDeadLetter(id) {
+    const deadLetter = this.repository.getDeadLetterById(id);
+    if (!deadLetter) {
+      throw new NotFoundError('Dead letter not found');
+    }
+    return deadLetter;
+  }
+
+  /**
+   * Return a dead-lettered event to the outbox for another round of attempts
+   * @param {number} id - Dead letter ID
+   * @returns {Object} { eventId }
+   */
+  retryDeadLetter(id) {
+    const eventId = this.repository.retryDeadLetter(id);
+    if (!eventId) {
+      throw new NotFoundError('Dead letter not found');
+    }
+    this.wake();
+    return { eventId };
+  }
+
+  /**
+   * Drop a dead-lettered event for good
+   * @param {number} id - Dead letter ID
+   */
+  discardDeadLetter(id) {
+    if (!this.repository.discardDeadLetter(id)) {
+      throw new NotFoundError('Dead letter not found');
+    }
+  }
+
+  /**
+   * Emit one outbox event and record the outcome
+   * @returns {Promise<string>} delivered, retried or deadLettered
+   */
+  async _deliver(event) {
+    const completedHandlers = [...event.completed_handlers];
+    let errorMessage;
+    try {
+      const result = await this.eventBus.emitEvent(event.event_name, event.payload, {
+        correlationId: event.correlation_id,
+        outboxEventId: event.id,
+        skipHandlers: event.completed_handlers
+      });
+      if (result.success) {
+        this.repository.markEventDelivered(event.id);
+        return 'delivered';
+      }
+      errorMessage = result.error;
+      (result.results || [])
+        .filter(handlerResult => handlerResult.success)
+        .forEach(handlerResult => completedHandlers.push(handlerResult.handler));
+    } catch (error) {
+      errorMessage = error.message;
+    }
+
+    const attempts = event.attempts + 1;
+    if (attempts >= this.config.maxAttempts) {
+      this.repository.moveEventToDeadLetter(event.id, errorMessage, completedHandlers);
+      console.error(`💀 Event ${event.event_name} #${event.id} dead-lettered after ${attempts} attempts: ${errorMessage}`);
+      return 'deadLettered';
+    }
+
+    const delay = this._backoff(attempts);
+    this.repository.markEventFailed(event.id, errorMessage, new Date(Date.now() + delay), completedHandlers);
+    console.warn(`⚠️ Event ${event.event_name} #${event.id} failed (attempt ${attempts}), retrying in ${delay}ms: ${errorMessage}`);
+    return 'retried';
+  }
+
+  /**
+   * Exponential backoff delay after a number of failed attempts
+   */
+  _backoff(attempts) {
+    return Math.min(this.config.maxDelayMs, this.config.baseDelayMs * 2 ** (attempts - 1));
+  }
+
+  /**
+   * Run a dispatch after a delay, then re-arm for the next retry or poll
+   */
+  _schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(async () => {
+      try {
+        await this.dispatchPending();
+      } catch (error) {
+        console.error('Error dispatching outbox events:', error);
+      }
+      if (this.started) {
+        this._schedule(this._nextDelay());
+      }
+    }, delay);
+
+    // The dispatcher should not keep the process alive on its own
+    this.timer.unref();
+  }
+
+  /**
+   * Time until the earliest retry, capped by the poll interval
+   */
+  _nextDelay() {
+    const nextAttemptAt = this.repository.getNextEventAttemptAt();
+    const untilNext = nextAttemptAt ? new Date(nextAttemptAt).getTime() - Date.now() : Infinity;
+    return Math.max(0, Math.min(untilNext, this.config.pollIntervalMs));
+  }
+}
+
+// Export singleton instance wired to the shared repository and event bus
+module.exports = new OutboxService({ repository, eventBus, config: outboxConfig });
+module.exports.OutboxService = OutboxService;
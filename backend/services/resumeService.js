@@ -0,0 +1,159 @@
+const repository = require('../db/db');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+// Every PDF starts with this signature
+const PDF_SIGNATURE = '%PDF-';
+
+class ResumeService {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.repository - Application repository (see db/db.js)
+   */
+  constructor({ repository }) {
+    this.repository = repository;
+  }
+
+  /**
+   * List resume versions, newest first
+   * @param {Object} [options]
+   * @param {boolean} [options.includeArchived=false] - Include archived versions
+   * @returns {Array<Object>} Resume metadata with application counts
+   */
+  listResumes(options = {}) {
+    return this.repository.getResumes(options);
+  }
+
+  /**
+   * Get a resume version or throw a 404
+   * @param {number} id - Resume ID
+   * @returns {Object} Resume metadata
+   */
+  getResume(id) {
+    const resume = this.repository.getResumeById(id);
+    if (!resume) {
+      throw new NotFoundError(`Resume with ID ${id} not found`);
+    }
+    return resume;
+  }
+
+  /**
+   * Store an uploaded PDF as a new resume version
+   * Versions created without a file (e.g. by migration 008 for versions
+   * already used by applications) take the upload instead of conflicting.
+   * @param {Buffer} file - PDF contents
+   * @param {Object} [metadata]
+   * @param {string} [metadata.version] - Version string; defaults to the next whole number
+   * @param {string} [metadata.label] - Short description
+   * @param {string} [metadata.notes] - Free-text notes
+   * @param {string} [metadata.filename] - Original file name
+   * @returns {{resume: Object, created: boolean}} The resume and whether a new version was created
+   */
+  uploadResume(file, metadata = {}) {
+    if (!Buffer.isBuffer(file) || file.length === 0) {
+      throw new ValidationError('Resume upload failed validation', { file: 'is required (send the PDF as application/pdf)' });
+    }
+    if (file.subarray(0, PDF_SIGNATURE.length).toString('latin1') !== PDF_SIGNATURE) {
+      throw new ValidationError('Resume upload failed validation', { file: 'must be a PDF' });
+    }
+
+    const version = metadata.version || this._nextVersion();
+    const fileData = {
+      filename: metadata.filename || `resume-${version}.pdf`,
+      content_type: 'application/pdf',
+      file
+    };
+
+    return this.repository.runInTransaction(() => {
+      const existing = this.repository.getResumeByVersion(version);
+      if (existing && existing.has_file) {
+        throw new ConflictError(`Resume version ${version} already has a file; upload it as a new version`);
+      }
+
+      if (existing) {
+        this.repository.updateResume(existing.id, { label: metadata.label, notes: metadata.notes });
+        return { resume: this.repository.attachResumeFile(existing.id, fileData), created: false };
+      }
+
+      const resume = this.repository.createResume({
+        version,
+        label: metadata.label,
+        notes: metadata.notes,
+        ...fileData
+      });
+      return { resume, created: true };
+    });
+  }
+
+  /**
+   * Get the stored PDF of a resume version
+   * @param {number} id - Resume ID
+   * @returns {Object} { filename, content_type, file }
+   */
+  getResumeFile(id) {
+    this.getResume(id);
+    const file = this.repository.getResumeFile(id);
+    if (!file) {
+      throw new NotFoundError(`Resume with ID ${id} has no uploaded file`);
+    }
+    return file;
+  }
+
+  /**
+   * Update a resume's label and notes
+   * @param {number} id - Resume ID
+   * @param {Object} changes - { label, notes }; null clears a field
+   * @returns {Object} Updated resume
+   */
+  updateResume(id, changes) {
+    this.getResume(id);
+    return this.repository.updateResume(id, changes);
+  }
+
+  /**
+   * Archive a resume version so it is no longer offered for new applications
+   * Applications that already use it keep their reference
+   * @param {number} id - Resume ID
+   * @returns {Object} Updated resume
+   */
+  archiveResume(id) {
+    this.getResume(id);
+    return this.repository.setResumeArchived(id, true);
+  }
+
+  /**
+   * Bring an archived resume version back
+   * @param {number} id - Resume ID
+   * @returns {Object} Updated resume
+   */
+  restoreResume(id) {
+    this.getResume(id);
+    return this.repository.setResumeArchived(id, false);
+  }
+
+  /**
+   * Check that a version can be assigned to an application
+   * @param {string} version - Version string
+   * @returns {string|null} Field error message, or null when the version is usable
+   */
+  checkAssignableVersion(version) {
+    const resume = this.repository.getResumeByVersion(version);
+    if (!resume) return 'must be an uploaded resume version';
+    if (resume.archived_at) return 'is archived';
+    return null;
+  }
+
+  /**
+   * Next whole-number version after the highest numeric one, e.g. 3.0 after 2.1
+   */
+  _nextVersion() {
+    const highest = this.repository.getResumes({ includeArchived: true })
+      .map(resume => parseFloat(resume.version))
+      .filter(Number.isFinite)
+      .reduce((max, value) => Math.max(max, Math.floor(value)), 0);
+    return `${highest + 1}.0`;
+  }
+}
+
+// Export singleton instance backed by the shared repository
+module.exports = new ResumeService({ repository });
+module.exports.ResumeService = ResumeService;
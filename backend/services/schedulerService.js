@@ -0,0 +1,184 @@
+const repository = require('../db/db');
+const eventBus = require('../motia/eventBus');
+const jobs = require('../config/schedules');
+const { parseCron, nextRun, previousRun } = require('../utils/cron');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+
+// setTimeout cannot wait longer than ~24.8 days; longer waits are chained
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+class SchedulerService {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.repository - Application repository (see db/db.js)
+   * @param {Object} deps.eventBus - Motia event bus
+   * @param {Array<Object>} deps.jobs - Job definitions (see config/schedules.js)
+   */
+  constructor({ repository, eventBus, jobs }) {
+    this.repository = repository;
+    this.eventBus = eventBus;
+    this.jobs = new Map(jobs.map(job => [job.name, { ...job, parsedCron: parseCron(job.cron) }]));
+    this.timers = new Map();
+    this.running = new Set();
+    this.started = false;
+  }
+
+  /**
+   * Start timers for every job and catch up runs missed while stopped
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    for (const job of this.jobs.values()) {
+      this._catchUp(job).catch(error => {
+        console.error(`Error catching up scheduled job ${job.name}:`, error);
+      });
+      this._scheduleNext(job);
+    }
+
+    console.log(`⏰ Scheduler started with ${this.jobs.size} job(s)`);
+  }
+
+  /**
+   * Stop all pending timers
+   */
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    this.started = false;
+  }
+
+  /**
+   * Describe registered jobs with their next and last runs
+   * @returns {Array<Object>} Job descriptions
+   */
+  getJobs() {
+    return [...this.jobs.values()].map(job => ({
+      name: job.name,
+      event: job.event,
+      cron: job.cron,
+      nextRunAt: this.started ? nextRun(job.parsedCron).toISOString() : null,
+      running: this.running.has(job.name),
+      lastRun: this.repository.getWorkflowRuns(job.name, 1)[0] || null
+    }));
+  }
+
+  /**
+   * Get run history for a job
+   * @param {string} name - Job name
+   * @param {number} [limit=20] - Maximum runs to return
+   * @returns {Array<Object>} Runs, newest first
+   */
+  getRuns(name, limit = 20) {
+    this._getJob(name);
+    return this.repository.getWorkflowRuns(name, limit);
+  }
+
+  /**
+   * Run a job now and record the run
+   * @param {string} name - Job name
+   * @param {Object} [options]
+   * @param {string} [options.trigger='manual'] - manual, schedule or catch-up
+   * @param {Date} [options.scheduledFor] - Scheduled slot this run covers
+   * @param {Object} [options.payload] - Overrides merged into the job payload
+   * @returns {Promise<Object>} { runId, status, result }
+   */
+  async runJob(name, options = {}) {
+    const { trigger = 'manual', scheduledFor = null, payload = {} } = options;
+    const job = this._getJob(name);
+
+    if (this.running.has(name)) {
+      throw new ConflictError(`Workflow ${name} is already running`);
+    }
+
+    this.running.add(name);
+    const runId = this.repository.startWorkflowRun(name, trigger, scheduledFor && scheduledFor.toISOString());
+
+    try {
+      console.log(`⏰ Running ${name} (${trigger})`);
+      const result = await this.eventBus.emitEvent(job.event, { ...job.payload(), ...payload }, {
+        correlationId: `workflow-run:${runId}`
+      });
+      const status = result.success ? 'succeeded' : 'failed';
+
+      // Full insight reports are large; the run history keeps the outcome only
+      const { insights, results = [], ...storedResult } = result;
+      storedResult.handlers = results.map(({ handler, success, error }) => ({ handler, success, error }));
+      this.repository.finishWorkflowRun(runId, status, storedResult, result.success ? null : result.error);
+
+      return { runId, status, result };
+    } catch (error) {
+      this.repository.finishWorkflowRun(runId, 'failed', null, error.message);
+      throw error;
+    } finally {
+      this.running.delete(name);
+    }
+  }
+
+  /**
+   * Look up a job or throw a 404
+   */
+  _getJob(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new NotFoundError(`No scheduled workflow named ${name}`);
+    }
+    return job;
+  }
+
+  /**
+   * Arm a timer for the job's next occurrence
+   */
+  _scheduleNext(job) {
+    const next = nextRun(job.parsedCron);
+    if (!next) {
+      console.warn(`⚠️ Cron expression "${job.cron}" for ${job.name} never matches`);
+      return;
+    }
+
+    const delay = next.getTime() - Date.now();
+    const timer = setTimeout(async () => {
+      if (delay > MAX_TIMEOUT_MS) {
+        this._scheduleNext(job);
+        return;
+      }
+
+      try {
+        await this.runJob(job.name, { trigger: 'schedule', scheduledFor: next });
+      } catch (error) {
+        console.error(`Error running scheduled job ${job.name}:`, error);
+      }
+      if (this.started) {
+        this._scheduleNext(job);
+      }
+    }, Math.min(delay, MAX_TIMEOUT_MS));
+
+    // Timers should not keep the process alive on their own
+    timer.unref();
+    this.timers.set(job.name, timer);
+  }
+
+  /**
+   * Run a job once if its latest scheduled slot passed while the server was down
+   * Jobs that never ran on schedule catch up slots since they were first
+   * registered, so nothing runs on the very first start
+   */
+  async _catchUp(job) {
+    const registeredAt = this.repository.registerScheduledJob(job.name, new Date().toISOString());
+    const lastRun = this.repository.getLastScheduledRun(job.name);
+    const coveredUntil = new Date(lastRun ? lastRun.scheduled_for : registeredAt);
+    const missedSlot = previousRun(job.parsedCron);
+
+    if (!missedSlot || missedSlot <= coveredUntil) {
+      return;
+    }
+
+    console.log(`⏰ Catching up missed ${job.name} run scheduled for ${missedSlot.toISOString()}`);
+    await this.runJob(job.name, { trigger: 'catch-up', scheduledFor: missedSlot });
+  }
+}
+
+// Export singleton instance wired to the shared repository and event bus
+module.exports = new SchedulerService({ repository, eventBus, jobs });
+module.exports.SchedulerService = SchedulerService;
@@ -0,0 +1,147 @@
+const repository = require('../db/db');
+const eventBus = require('../motia/eventBus');
+
+// Events relayed to dashboard clients
+const STREAM_EVENTS = ['applicationCreated', 'statusUpdated', 'applicationUpdated', 'applicationDeleted', 'followUpDue'];
+
+// Comment lines keep idle connections open through proxies
+const HEARTBEAT_MS = 25000;
+
+// Clients that missed more events than this are told to reload instead
+const MAX_BACKLOG = 500;
+
+class StreamService {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.repository - Application repository (see db/db.js)
+   * @param {Object} deps.eventBus - Motia event bus
+   */
+  constructor({ repository, eventBus }) {
+    this.repository = repository;
+    this.clients = new Set();
+    this.heartbeat = null;
+
+    // Relay after the workflows have run for the same event
+    STREAM_EVENTS.forEach(eventName => {
+      eventBus.on(eventName, (payload, meta) => this.broadcast(meta.eventId, eventName, payload), {
+        name: 'stream',
+        priority: -10
+      });
+    });
+  }
+
+  /**
+   * Open an event stream on a response
+   * Events after lastEventId (from the Last-Event-ID header or query string)
+   * are sent from the event log before live events
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {number} [lastEventId] - Last event log ID the client received
+   */
+  connect(req, res, lastEventId) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    // Backlog and registration happen in one tick so no event is missed or sent twice
+    if (lastEventId) {
+      const backlog = this.repository.queryEventLog({ names: STREAM_EVENTS, afterId: lastEventId }, MAX_BACKLOG + 1);
+      if (backlog.length > MAX_BACKLOG) {
+        this._write(res, backlog[backlog.length - 1].id, 'resync', { reason: 'Too many missed events' });
+      } else {
+        backlog.forEach(event => {
+          this._write(res, event.id, event.event_name, this._toMessage(event.event_name, event.payload));
+        });
+      }
+    }
+
+    this.clients.add(res);
+    this._startHeartbeat();
+
+    req.on('close', () => {
+      this.clients.delete(res);
+      if (this.clients.size === 0) this._stopHeartbeat();
+    });
+  }
+
+  /**
+   * Send an event to every connected client
+   * @param {number|null} eventId - Event log ID used as the SSE id
+   * @param {string} eventName - Event name
+   * @param {Object} payload - Event payload
+   * @returns {Object} { clients } - Number of clients notified
+   */
+  broadcast(eventId, eventName, payload) {
+    const message = this._toMessage(eventName, payload);
+    this.clients.forEach(res => this._write(res, eventId, eventName, message));
+    return { clients: this.clients.size };
+  }
+
+  /**
+   * End every open stream (used on shutdown so the server can close)
+   */
+  closeAll() {
+    this.clients.forEach(res => res.end());
+    this.clients.clear();
+    this._stopHeartbeat();
+  }
+
+  /**
+   * Give every relayed application event the same shape: { applicationId, application, ... }
+   * statusUpdated carries only IDs, so the current application is attached;
+   * followUpDue is relayed as is
+   */
+  _toMessage(eventName, payload) {
+    switch (eventName) {
+      case 'applicationCreated':
+        return { applicationId: payload.id, application: payload };
+      case 'statusUpdated':
+        return {
+          applicationId: payload.applicationId,
+          oldStatus: payload.oldStatus,
+          newStatus: payload.newStatus,
+          application: this.repository.getApplicationById(payload.applicationId) || null
+        };
+      default:
+        return payload;
+    }
+  }
+
+  /**
+   * Write one SSE frame
+   */
+  _write(res, eventId, eventName, data) {
+    if (eventId) res.write(`id: ${eventId}\n`);
+    res.write(`event: ${eventName}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * Ping clients periodically while any are connected
+   */
+  _startHeartbeat() {
+    if (this.heartbeat) return;
+    this.heartbeat = setInterval(() => {
+      this.clients.forEach(res => res.write(': ping\n\n'));
+    }, HEARTBEAT_MS);
+    this.heartbeat.unref();
+  }
+
+  /**
+   * Stop pinging once the last client disconnects
+   */
+  _stopHeartbeat() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+  }
+}
+
+// Export singleton instance wired to the shared repository and event bus
+module.exports = new StreamService({ repository, eventBus });
+module.exports.StreamService = StreamService;
+module.exports.STREAM_EVENTS = STREAM_EVENTS;
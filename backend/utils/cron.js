@@ -0,0 +1,157 @@
+/**
+ * Minimal cron expression support for the built-in scheduler
+ *
+ * Five fields: minute hour day-of-month month day-of-week, evaluated in the
+ * server's local time. Each field accepts *, numbers, ranges (1-5), lists
+ * (1,3,5) and steps (*\/15, 0-30/10). Day-of-week 0 and 7 are Sunday.
+ * As in standard cron, when both day fields are restricted a date matches
+ * if either of them does.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+// Upper bound on search steps so an impossible expression (e.g. 31 February) cannot loop forever
+const MAX_ITERATIONS = 100000;
+
+/**
+ * Parse one cron field into the set of values it allows
+ * @param {string} text - Field text
+ * @param {Object} field - Field bounds
+ * @returns {Set<number>} Allowed values
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  text.split(',').forEach(part => {
+    const match = part.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron ${field.name} field: "${text}"`);
+    }
+
+    const [, start, end, step] = match;
+    const from = start === '*' ? field.min : parseInt(start, 10);
+    const to = start === '*' ? field.max : end !== undefined ? parseInt(end, 10) : step ? field.max : from;
+    const increment = step ? parseInt(step, 10) : 1;
+
+    if (from < field.min || to > field.max || from > to || increment < 1) {
+      throw new Error(`Cron ${field.name} field out of range: "${text}"`);
+    }
+    for (let value = from; value <= to; value += increment) {
+      values.add(value);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression
+ * @param {string} expression - Cron expression, e.g. "0 9 * * 1"
+ * @returns {Object} Parsed expression
+ */
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields: "${expression}"`);
+  }
+
+  const parsed = { expression };
+  FIELDS.forEach((field, index) => {
+    parsed[field.name] = parseField(parts[index], field);
+  });
+
+  // 7 is an alias for Sunday
+  if (parsed.dayOfWeek.has(7)) parsed.dayOfWeek.add(0);
+  parsed.dayOfMonthRestricted = parts[2] !== '*';
+  parsed.dayOfWeekRestricted = parts[4] !== '*';
+
+  return parsed;
+}
+
+/**
+ * Check whether a date's day matches the day-of-month/day-of-week fields
+ * @param {Object} cron - Parsed expression
+ * @param {Date} date - Date to check
+ * @returns {boolean} True if the day matches
+ */
+function matchesDay(cron, date) {
+  const domMatch = cron.dayOfMonth.has(date.getDate());
+  const dowMatch = cron.dayOfWeek.has(date.getDay());
+
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+}
+
+/**
+ * Find the next time strictly after a date that matches the expression
+ * @param {Object|string} cron - Parsed or raw expression
+ * @param {Date} [after] - Start point (defaults to now)
+ * @returns {Date|null} Next matching time
+ */
+function nextRun(cron, after = new Date()) {
+  const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    if (!parsed.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!matchesDay(parsed, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!parsed.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!parsed.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the latest time at or before a date that matches the expression
+ * @param {Object|string} cron - Parsed or raw expression
+ * @param {Date} [before] - End point (defaults to now)
+ * @returns {Date|null} Previous matching time
+ */
+function previousRun(cron, before = new Date()) {
+  const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+  const date = new Date(before.getTime());
+  date.setSeconds(0, 0);
+
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    if (!parsed.month.has(date.getMonth() + 1)) {
+      // Last minute of the previous month
+      date.setDate(0);
+      date.setHours(23, 59, 0, 0);
+    } else if (!matchesDay(parsed, date)) {
+      date.setDate(date.getDate() - 1);
+      date.setHours(23, 59, 0, 0);
+    } else if (!parsed.hour.has(date.getHours())) {
+      date.setHours(date.getHours() - 1, 59, 0, 0);
+    } else if (!parsed.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() - 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  nextRun,
+  previousRun
+};
@@ -0,0 +1,104 @@
+/**
+ * API error types
+ * Every error response uses the envelope { error: { code, message, fields } }
+ * where fields maps input names to messages (only present for input errors).
+ */
+
+class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} code - Machine-readable error code
+   * @param {string} message - Human-readable message
+   * @param {Object} [fields] - Per-field messages
+   */
+  constructor(status, code, message, fields) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.fields = fields;
+  }
+}
+
+// Malformed request: bad path parameter, query string or body shape
+class BadRequestError extends ApiError {
+  constructor(message, fields) {
+    super(400, 'BAD_REQUEST', message, fields);
+  }
+}
+
+// Well-formed request whose content fails validation
+class ValidationError extends ApiError {
+  constructor(message, fields) {
+    super(422, 'VALIDATION_FAILED', message, fields);
+  }
+}
+
+class NotFoundError extends ApiError {
+  constructor(message = 'Resource not found') {
+    super(404, 'NOT_FOUND', message);
+  }
+}
+
+// Request conflicts with the current state (e.g. a job that is already running)
+class ConflictError extends ApiError {
+  constructor(message) {
+    super(409, 'CONFLICT', message);
+  }
+}
+
+// Status change not allowed by the status workflow (see config/statusWorkflow.js)
+class InvalidTransitionError extends ApiError {
+  constructor(message, fromStatus, toStatus) {
+    super(409, 'INVALID_STATUS_TRANSITION', message, {
+      status: `transition from "${fromStatus}" to "${toStatus}" is not allowed`
+    });
+    this.fromStatus = fromStatus;
+    this.toStatus = toStatus;
+  }
+}
+
+/**
+ * Build the JSON error envelope for an error
+ * @param {Error} error - Any error
+ * @returns {Object} { status, body } ready to send
+ */
+function toErrorResponse(error) {
+  if (error instanceof ApiError) {
+    const body = { error: { code: error.code, message: error.message } };
+    if (error.fields) {
+      body.error.fields = error.fields;
+    }
+    return { status: error.status, body };
+  }
+
+  // express.json() body parse failures
+  if (error.type === 'entity.parse.failed') {
+    return {
+      status: 400,
+      body: { error: { code: 'INVALID_JSON', message: 'Request body is not valid JSON' } }
+    };
+  }
+
+  if (error.type === 'entity.too.large') {
+    return {
+      status: 413,
+      body: { error: { code: 'PAYLOAD_TOO_LARGE', message: 'Request body is too large' } }
+    };
+  }
+
+  return {
+    status: 500,
+    body: { error: { code: 'INTERNAL_ERROR', message: 'Something went wrong!' } }
+  };
+}
+
+module.exports = {
+  ApiError,
+  BadRequestError,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  InvalidTransitionError,
+  toErrorResponse
+};
@@ -0,0 +1,129 @@
+/**
+ * Keyword and skill extraction for resume matching
+ * Texts are reduced to lower-case terms without stop words, plus the
+ * canonical names of the skills they mention (see config/skills.js).
+ */
+const defaultSkills = require('../config/skills');
+
+// Common English words and job-posting boilerplate that say nothing about the role
+const STOP_WORDS = new Set(`
+  a about above across after again against all also am an and any are as at be because been before being
+  below between both but by can could did do does doing down during each either else etc every few for
+  from further had has have having he her here hers him his how i if in into is it its itself just least
+  less like may me might more most must my no nor not now of off on once only or other our ours out over
+  own per same she should so some such than that the their theirs them then there these they this those
+  through to too under until up upon us very via was we were what when where whether which while who whom
+  why will with within without would yet you your yours
+  ability able across apply applicant applicants benefit benefits candidate candidates company day days
+  description equal employer excellent experience experienced familiarity familiar good great help ideal
+  including job join knowledge looking new nice opportunity plus position preferred prior proven required
+  requirement requirements responsibilities responsible role skill skills strong team teams understanding
+  well work working year years
+`.trim().split(/\s+/));
+
+// Characters that can be part of a term, so "c++", "c#", "node.js" and "ci/cd" survive tokenizing
+const TERM_CHARACTERS = 'a-z0-9+#./';
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Reduce a word to a crude singular form so "services" matches "service"
+ */
+function stem(word) {
+  if (!/^[a-z]+$/.test(word)) return word;
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 3 && word.endsWith('s') && !/(ss|us|ysis)$/.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Split text into lower-case keyword terms
+ * @param {string} text - Any text
+ * @returns {string[]} Terms in order, stop words and numbers removed
+ */
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .split(new RegExp(`[^${TERM_CHARACTERS}]+`))
+    // Drop sentence punctuation and separators around words
+    .map(token => token.replace(/^[./]+|[./]+$/g, ''))
+    .filter(token => token.length >= 2 && !/^[\d.,/+]+$/.test(token) && !STOP_WORDS.has(token))
+    .map(stem);
+}
+
+/**
+ * Build a skill matcher for a skill dictionary
+ * @param {Array<{name: string, aliases: string[]}>} [skills] - Skill dictionary
+ * @returns {{extractSkills: Function}}
+ */
+function createSkillMatcher(skills = defaultSkills) {
+  const patterns = skills.map(skill => ({
+    name: skill.name,
+    // Whole-word match; a trailing period is allowed so "...and React." still counts
+    pattern: new RegExp(
+      `(^|[^${TERM_CHARACTERS}])(${skill.aliases.map(escapeRegExp).join('|')})(?=$|[^a-z0-9+#./]|\\.(?![a-z0-9]))`,
+      'g'
+    )
+  }));
+
+  return {
+    /**
+     * Find the skills mentioned in a text
+     * @param {string} text - Any text
+     * @returns {{skills: Map<string, number>, remainder: string}} Mentions keyed by
+     *   skill name, and the lower-cased text with those mentions removed so
+     *   they are not counted again as keywords
+     */
+    extractSkills(text) {
+      let remainder = (text || '').toLowerCase();
+      const skills = new Map();
+      patterns.forEach(({ name, pattern }) => {
+        let mentions = 0;
+        remainder = remainder.replace(pattern, (match, before) => {
+          mentions++;
+          return `${before} `;
+        });
+        if (mentions > 0) skills.set(name, mentions);
+      });
+      return { skills, remainder };
+    }
+  };
+}
+
+/**
+ * Count how often each term occurs
+ * @param {string[]} terms - Terms
+ * @returns {Map<string, number>} Counts keyed by term
+ */
+function countTerms(terms) {
+  const counts = new Map();
+  terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+  return counts;
+}
+
+/**
+ * Calculate smoothed inverse document frequencies over a corpus
+ * idf = ln((1 + N) / (1 + df)) + 1, so a term found in every document still
+ * has weight 1 and unseen terms get the highest weight
+ * @param {Array<Iterable<string>>} documents - Distinct terms of each document
+ * @returns {Function} term => idf
+ */
+function inverseDocumentFrequencies(documents) {
+  const documentFrequency = new Map();
+  documents.forEach(terms => {
+    new Set(terms).forEach(term => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+  });
+
+  const total = documents.length;
+  return term => Math.log((1 + total) / (1 + (documentFrequency.get(term) || 0))) + 1;
+}
+
+module.exports = {
+  STOP_WORDS,
+  tokenize,
+  createSkillMatcher,
+  countTerms,
+  inverseDocumentFrequencies
+};
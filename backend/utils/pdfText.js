@@ -0,0 +1,249 @@
+/**
+ * Minimal PDF text extraction for resume matching
+ *
+ * Reads the page content streams (uncompressed or FlateDecode) and collects
+ * the strings shown by the text operators Tj, TJ, ' and ". This covers PDFs
+ * exported by word processors and most resume builders; text drawn with
+ * embedded fonts that use a custom encoding comes out garbled or empty, and
+ * scanned resumes have no text at all.
+ */
+const zlib = require('zlib');
+
+// Kerning adjustments in a TJ array larger than this (in thousandths of an em)
+// are gaps between words rather than between letters
+const WORD_GAP = 200;
+
+const ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+
+/**
+ * Read a literal string starting at an opening parenthesis
+ * @param {string} content - Content stream (latin1)
+ * @param {number} start - Index of the opening parenthesis
+ * @returns {{value: string, end: number}} Decoded bytes and the index after the string
+ */
+function readLiteralString(content, start) {
+  let value = '';
+  let depth = 1;
+  let i = start + 1;
+
+  while (i < content.length && depth > 0) {
+    const ch = content[i];
+    if (ch === '\\') {
+      const next = content[i + 1];
+      if (ESCAPES[next]) {
+        value += ESCAPES[next];
+        i += 2;
+      } else if (/[0-7]/.test(next)) {
+        const octal = content.slice(i + 1, i + 4).match(/^[0-7]{1,3}/)[0];
+        value += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        i += 1 + octal.length;
+      } else if (next === '\r' || next === '\n') {
+        // Line continuation
+        i += content[i + 1] === '\r' && content[i + 2] === '\n' ? 3 : 2;
+      } else {
+        value += next || '';
+        i += 2;
+      }
+      continue;
+    }
+    if (ch === '(') depth++;
+    if (ch === ')') depth--;
+    if (depth > 0) value += ch;
+    i++;
+  }
+
+  return { value, end: i };
+}
+
+/**
+ * Read a hex string starting at an opening angle bracket
+ * @param {string} content - Content stream (latin1)
+ * @param {number} start - Index of the opening bracket
+ * @returns {{value: string, end: number}} Decoded bytes and the index after the string
+ */
+function readHexString(content, start) {
+  const close = content.indexOf('>', start);
+  const end = close === -1 ? content.length : close;
+  let hex = content.slice(start + 1, end).replace(/[^0-9a-fA-F]/g, '');
+  if (hex.length % 2 === 1) hex += '0';
+  return { value: Buffer.from(hex, 'hex').toString('latin1'), end: end + 1 };
+}
+
+/**
+ * Turn the raw bytes of a PDF string into text
+ * Strings with a byte order mark, or that look like two-byte characters,
+ * are read as UTF-16BE; everything else as single-byte latin1.
+ */
+function decodePdfString(bytes) {
+  const buffer = Buffer.from(bytes, 'latin1');
+  const looksUtf16 = buffer.length >= 2 && buffer.length % 2 === 0 &&
+    (bytes.startsWith('þÿ') || buffer.every((byte, index) => index % 2 === 1 || byte === 0));
+
+  if (!looksUtf16) return bytes;
+
+  let text = '';
+  for (let i = bytes.startsWith('þÿ') ? 2 : 0; i + 1 < buffer.length; i += 2) {
+    text += String.fromCharCode(buffer.readUInt16BE(i));
+  }
+  return text;
+}
+
+/**
+ * Collect the text shown by one content stream
+ * @param {string} content - Decoded content stream (latin1)
+ * @returns {string} Text, with line breaks where the stream moves to a new line
+ */
+function extractStreamText(content) {
+  let text = '';
+  let operands = [];
+  const arrays = [];
+  let i = 0;
+
+  const push = (operand) => {
+    (arrays.length > 0 ? arrays[arrays.length - 1] : operands).push(operand);
+  };
+
+  while (i < content.length) {
+    const ch = content[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '%') {
+      const lineEnd = content.slice(i).search(/[\r\n]/);
+      i = lineEnd === -1 ? content.length : i + lineEnd;
+    } else if (ch === '(') {
+      const { value, end } = readLiteralString(content, i);
+      push({ string: decodePdfString(value) });
+      i = end;
+    } else if (ch === '<' && content[i + 1] !== '<') {
+      const { value, end } = readHexString(content, i);
+      push({ string: decodePdfString(value) });
+      i = end;
+    } else if (ch === '<' || ch === '>') {
+      // Dictionary delimiters (e.g. marked-content properties)
+      i += content[i + 1] === ch ? 2 : 1;
+    } else if (ch === '[') {
+      arrays.push([]);
+      i++;
+    } else if (ch === ']') {
+      const array = arrays.pop() || [];
+      push(array);
+      i++;
+    } else if (/[-+.\d]/.test(ch)) {
+      const number = content.slice(i).match(/^[-+]?\d*\.?\d*/)[0] || ch;
+      push(parseFloat(number) || 0);
+      i += number.length;
+    } else if (ch === '/') {
+      const name = content.slice(i + 1).match(/^[^\s/[\]()<>{}%]*/)[0];
+      push({ name });
+      i += 1 + name.length;
+    } else {
+      const operator = content.slice(i).match(/^[^\s/[\]()<>{}%]+/)?.[0] || ch;
+      i += operator.length;
+
+      const last = operands[operands.length - 1];
+      switch (operator) {
+        case 'Tj':
+          if (last?.string) text += last.string;
+          break;
+        case "'":
+        case '"':
+          if (last?.string) text += '\n' + last.string;
+          break;
+        case 'TJ':
+          if (Array.isArray(last)) {
+            last.forEach(item => {
+              if (item?.string) text += item.string;
+              else if (typeof item === 'number' && item < -WORD_GAP) text += ' ';
+            });
+          }
+          break;
+        case 'Td':
+        case 'TD':
+          // A vertical move starts a new line; a horizontal one separates words
+          text += operands[1] ? '\n' : ' ';
+          break;
+        case 'T*':
+        case 'ET':
+          text += '\n';
+          break;
+        case 'Tm':
+          text += ' ';
+          break;
+        case 'ID': {
+          // Inline image data runs until EI and is not text
+          const imageEnd = content.slice(i).search(/\sEI(\s|$)/);
+          i = imageEnd === -1 ? content.length : i + imageEnd + 3;
+          break;
+        }
+        default:
+          break;
+      }
+      operands = [];
+      arrays.length = 0;
+    }
+  }
+
+  return text;
+}
+
+/**
+ * Decode every stream in a PDF that looks like page content
+ * @param {Buffer} buffer - PDF file
+ * @returns {string[]} Decoded content streams (latin1)
+ */
+function readContentStreams(buffer) {
+  const source = buffer.toString('latin1');
+  const streams = [];
+  const streamPattern = />>\s*stream\r?\n/g;
+  let match;
+
+  while ((match = streamPattern.exec(source)) !== null) {
+    const dataStart = match.index + match[0].length;
+    const dataEnd = source.indexOf('endstream', dataStart);
+    if (dataEnd === -1) break;
+
+    const dictionaryStart = source.lastIndexOf('obj', match.index);
+    const dictionary = source.slice(dictionaryStart === -1 ? 0 : dictionaryStart, match.index);
+    let data = buffer.subarray(dataStart, dataEnd);
+    streamPattern.lastIndex = dataEnd;
+
+    if (/\/Subtype\s*\/Image|\/Type\s*\/(XRef|XObject)/.test(dictionary)) continue;
+
+    if (/\/FlateDecode/.test(dictionary)) {
+      try {
+        data = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+      } catch (error) {
+        continue;
+      }
+    } else if (/\/Filter/.test(dictionary)) {
+      // Other filters (LZW, DCT, ...) are not used for text content
+      continue;
+    }
+
+    const content = data.toString('latin1');
+    if (/\bBT\b/.test(content) && /\bET\b/.test(content)) {
+      streams.push(content);
+    }
+  }
+
+  return streams;
+}
+
+/**
+ * Extract the plain text of a PDF
+ * @param {Buffer} buffer - PDF file
+ * @returns {string} Text with whitespace collapsed (empty if none was found)
+ */
+function extractPdfText(buffer) {
+  return readContentStreams(buffer)
+    .map(extractStreamText)
+    .join('\n')
+    .replace(/[ \t\f\r]+/g, ' ')
+    .replace(/ ?\n[\s]*/g, '\n')
+    .trim();
+}
+
+module.exports = {
+  extractPdfText
+};
@@ -0,0 +1,47 @@
+/**
+ * Calendar period helpers for time-windowed insights
+ * Weeks start on Monday; all boundaries are in UTC.
+ */
+
+const INTERVALS = ['week', 'month'];
+
+/**
+ * Get the start of the week or month containing a date
+ * @param {Date} date - Any date
+ * @param {string} interval - week or month
+ * @returns {Date} Period start at 00:00 UTC
+ */
+function startOfPeriod(date, interval) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+  if (interval === 'month') {
+    start.setUTCDate(1);
+  } else {
+    // getUTCDay() is 0 for Sunday; step back to Monday
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  }
+  return start;
+}
+
+/**
+ * Move a date by a number of weeks or months
+ * @param {Date} date - Starting date
+ * @param {string} interval - week or month
+ * @param {number} count - Periods to add (negative to go back)
+ * @returns {Date} New date
+ */
+function addPeriods(date, interval, count) {
+  const result = new Date(date);
+  if (interval === 'month') {
+    result.setUTCMonth(result.getUTCMonth() + count);
+  } else {
+    result.setUTCDate(result.getUTCDate() + count * 7);
+  }
+  return result;
+}
+
+module.exports = {
+  INTERVALS,
+  startOfPeriod,
+  addPeriods
+};
@@ -0,0 +1,163 @@
+/**
+ * Small statistics helpers shared by the insight services
+ */
+
+/**
+ * Calculate the arithmetic mean
+ * @param {number[]} values - Numeric samples
+ * @returns {number|null} Mean, or null for an empty sample
+ */
+function mean(values) {
+  if (values.length === 0) return null;
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Calculate a percentile using linear interpolation between closest ranks
+ * @param {number[]} values - Numeric samples
+ * @param {number} p - Percentile between 0 and 100
+ * @returns {number|null} Percentile value, or null for an empty sample
+ */
+function percentile(values, p) {
+  if (values.length === 0) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Calculate the median
+ * @param {number[]} values - Numeric samples
+ * @returns {number|null} Median, or null for an empty sample
+ */
+function median(values) {
+  return percentile(values, 50);
+}
+
+/**
+ * Round to a fixed number of decimals, passing null through
+ * @param {number|null} value - Value to round
+ * @param {number} [decimals=1] - Decimal places
+ * @returns {number|null} Rounded value
+ */
+function round(value, decimals = 1) {
+  if (value === null || value === undefined) return null;
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+// z-score for a two-sided 95% confidence interval
+const Z_95 = 1.959964;
+
+/**
+ * Wilson score interval for a binomial proportion
+ * Unlike the normal approximation it stays within [0, 1] and behaves
+ * sensibly for small samples and proportions near 0 or 1
+ * @param {number} successes - Number of successes
+ * @param {number} trials - Number of trials
+ * @param {number} [z=Z_95] - z-score for the confidence level
+ * @returns {{lower: number, upper: number}|null} Interval as proportions, or null without trials
+ */
+function wilsonInterval(successes, trials, z = Z_95) {
+  if (trials === 0) return null;
+
+  const p = successes / trials;
+  const z2 = z * z;
+  const denominator = 1 + z2 / trials;
+  const centre = (p + z2 / (2 * trials)) / denominator;
+  const margin = (z * Math.sqrt((p * (1 - p)) / trials + z2 / (4 * trials * trials))) / denominator;
+
+  return {
+    lower: Math.max(0, centre - margin),
+    upper: Math.min(1, centre + margin)
+  };
+}
+
+/**
+ * Standard normal cumulative distribution function
+ * Uses the Abramowitz and Stegun 7.1.26 approximation of erf (error below 1.5e-7)
+ * @param {number} x - Value
+ * @returns {number} P(Z <= x)
+ */
+function normalCdf(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(x * x) / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Two-sided two-proportion z-test with a pooled standard error
+ * @param {number} successesA - Successes in sample A
+ * @param {number} trialsA - Size of sample A
+ * @param {number} successesB - Successes in sample B
+ * @param {number} trialsB - Size of sample B
+ * @returns {{z: number, pValue: number}|null} Test result, or null if a sample is empty
+ */
+function twoProportionZTest(successesA, trialsA, successesB, trialsB) {
+  if (trialsA === 0 || trialsB === 0) return null;
+
+  const pooled = (successesA + successesB) / (trialsA + trialsB);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / trialsA + 1 / trialsB));
+  // Identical all-or-nothing samples have no variance and no difference
+  if (standardError === 0) return { z: 0, pValue: 1 };
+
+  const z = (successesA / trialsA - successesB / trialsB) / standardError;
+  return { z, pValue: 2 * (1 - normalCdf(Math.abs(z))) };
+}
+
+/**
+ * Pearson correlation coefficient
+ * With a 0/1 variable this is the point-biserial correlation
+ * @param {number[]} xs - First variable
+ * @param {number[]} ys - Second variable, same length
+ * @returns {number|null} Coefficient between -1 and 1, or null if either variable is constant
+ */
+function pearsonCorrelation(xs, ys) {
+  if (xs.length < 2 || xs.length !== ys.length) return null;
+
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  xs.forEach((x, i) => {
+    covariance += (x - meanX) * (ys[i] - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  });
+
+  if (varianceX === 0 || varianceY === 0) return null;
+  return covariance / Math.sqrt(varianceX * varianceY);
+}
+
+/**
+ * Two-sided p-value for a correlation coefficient being non-zero
+ * Uses the Fisher transformation, which is approximately normal
+ * @param {number} r - Correlation coefficient
+ * @param {number} n - Sample size
+ * @returns {number|null} p-value, or null for fewer than 4 samples
+ */
+function correlationPValue(r, n) {
+  if (n < 4) return null;
+  // Clamp so a perfect correlation does not produce an infinite z
+  const clamped = Math.max(-0.999999, Math.min(0.999999, r));
+  const z = Math.atanh(clamped) * Math.sqrt(n - 3);
+  return 2 * (1 - normalCdf(Math.abs(z)));
+}
+
+module.exports = {
+  mean,
+  median,
+  percentile,
+  round,
+  wilsonInterval,
+  normalCdf,
+  twoProportionZTest,
+  pearsonCorrelation,
+  correlationPValue
+};
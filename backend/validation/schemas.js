@@ -0,0 +1,275 @@
+/**
+ * Request schemas for the applications API (see validate.js for rule format)
+ */
+
+const { getStatusWorkflow } = require('../config/statusWorkflow');
+
+const STATUSES = getStatusWorkflow().states;
+
+const idParams = {
+  id: { type: 'integer', required: true, min: 1 }
+};
+
+const SORTABLE_FIELDS = ['applied_at', 'company', 'role', 'status', 'source', 'resume_version', 'id'];
+
+// Query string for GET /api/applications
+const listApplications = {
+  status: { type: 'list', enum: STATUSES },
+  source: { type: 'list' },
+  resume_version: { type: 'list' },
+  from: { type: 'date' },
+  to: { type: 'date' },
+  q: { type: 'string', maxLength: 200 },
+  sort: { type: 'string', enum: SORTABLE_FIELDS },
+  order: { type: 'string', enum: ['asc', 'desc'] },
+  limit: { type: 'integer', min: 1, max: 200 },
+  offset: { type: 'integer', min: 0 },
+  cursor: { type: 'string', maxLength: 500 }
+};
+
+const createApplication = {
+  company: { type: 'string', required: true, maxLength: 200 },
+  role: { type: 'string', required: true, maxLength: 200, alias: 'position' },
+  status: { type: 'string', enum: STATUSES },
+  source: { type: 'string', maxLength: 100 },
+  resume_version: { type: 'string', maxLength: 50 },
+  applied_at: { type: 'date' },
+  notes: { type: 'string', maxLength: 5000 },
+  job_url: { type: 'url', maxLength: 2000 },
+  job_description: { type: 'string', maxLength: 20000 }
+};
+
+// Free-text fields that PUT can clear with null or ''
+const CLEARABLE_FIELDS = ['notes', 'job_url', 'job_description'];
+
+// Same fields as create, all optional; missing ones keep their current value.
+// force skips the status workflow transition check.
+const updateApplication = {
+  ...Object.fromEntries(
+    Object.entries(createApplication).map(([name, rule]) => [
+      name,
+      { ...rule, required: false, nullable: CLEARABLE_FIELDS.includes(name) }
+    ])
+  ),
+  force: { type: 'boolean' }
+};
+
+const updateStatus = {
+  status: { type: 'string', required: true, enum: STATUSES },
+  force: { type: 'boolean' }
+};
+
+const contactParams = {
+  id: { type: 'integer', required: true, min: 1 },
+  contactId: { type: 'integer', required: true, min: 1 }
+};
+
+const createContact = {
+  name: { type: 'string', required: true, maxLength: 200 },
+  title: { type: 'string', maxLength: 200 },
+  email: { type: 'email', maxLength: 320 },
+  phone: { type: 'string', maxLength: 50 },
+  linkedin_url: { type: 'url', maxLength: 2000 },
+  notes: { type: 'string', maxLength: 2000 }
+};
+
+// Contact fields are optional on update; everything but the name can be cleared
+const updateContact = Object.fromEntries(
+  Object.entries(createContact).map(([name, rule]) => [
+    name,
+    { ...rule, required: false, nullable: name !== 'name' }
+  ])
+);
+
+const interviewParams = {
+  id: { type: 'integer', required: true, min: 1 },
+  interviewId: { type: 'integer', required: true, min: 1 }
+};
+
+const INTERVIEW_TYPES = ['phone', 'video', 'onsite', 'technical', 'behavioral', 'other'];
+const INTERVIEW_OUTCOMES = ['pending', 'passed', 'failed', 'cancelled'];
+
+const createInterview = {
+  round_name: { type: 'string', required: true, maxLength: 200 },
+  type: { type: 'string', enum: INTERVIEW_TYPES },
+  starts_at: { type: 'date', required: true },
+  ends_at: { type: 'date' },
+  location: { type: 'string', maxLength: 500 },
+  meeting_url: { type: 'url', maxLength: 2000 },
+  interviewers: { type: 'list' },
+  outcome: { type: 'string', enum: INTERVIEW_OUTCOMES },
+  notes: { type: 'string', maxLength: 5000 }
+};
+
+// Interview fields are optional on update; the optional ones can be cleared
+const updateInterview = Object.fromEntries(
+  Object.entries(createInterview).map(([name, rule]) => [
+    name,
+    { ...rule, required: false, nullable: ['ends_at', 'location', 'meeting_url', 'interviewers', 'notes'].includes(name) }
+  ])
+);
+
+const offerParams = {
+  id: { type: 'integer', required: true, min: 1 },
+  offerId: { type: 'integer', required: true, min: 1 }
+};
+
+const OFFER_DECISIONS = ['pending', 'accepted', 'declined'];
+
+// Amounts are yearly, in whole units of currency; equity_value is the total
+// grant, vesting over vesting_years
+const createOffer = {
+  base_salary: { type: 'integer', required: true, min: 0 },
+  bonus: { type: 'integer', min: 0 },
+  equity_value: { type: 'integer', min: 0 },
+  vesting_years: { type: 'integer', min: 1, max: 10 },
+  currency: { type: 'string', maxLength: 3 },
+  benefits_notes: { type: 'string', maxLength: 5000 },
+  start_date: { type: 'date' },
+  decision_deadline: { type: 'date' },
+  decision: { type: 'string', enum: OFFER_DECISIONS }
+};
+
+// Offer fields are optional on update; notes and dates can be cleared
+const updateOffer = Object.fromEntries(
+  Object.entries(createOffer).map(([name, rule]) => [
+    name,
+    { ...rule, required: false, nullable: ['benefits_notes', 'start_date', 'decision_deadline'].includes(name) }
+  ])
+);
+
+// Query string for GET /api/offers/comparison
+const compareOffers = {
+  includeDecided: { type: 'boolean' }
+};
+
+// Query string for GET /api/applications/export
+const exportApplications = {
+  format: { type: 'string', enum: ['csv', 'json'] }
+};
+
+// Options for POST /api/applications/import (body fields or query string)
+const importOptions = {
+  dryRun: { type: 'boolean' },
+  suppressEvents: { type: 'boolean' }
+};
+
+const workflowParams = {
+  name: { type: 'string', required: true, maxLength: 100 }
+};
+
+const workflowRunsQuery = {
+  limit: { type: 'integer', min: 1, max: 200 }
+};
+
+// Query string for GET /api/applications/insights
+const insightsQuery = {
+  from: { type: 'date' },
+  to: { type: 'date' },
+  interval: { type: 'string', enum: ['week', 'month'] }
+};
+
+// Body for POST /api/workflows/:name/run
+const runWorkflow = {
+  recipients: { type: 'list' },
+  from: { type: 'date' },
+  to: { type: 'date' }
+};
+
+// Query string for GET /api/admin/dead-letters
+const deadLettersQuery = {
+  limit: { type: 'integer', min: 1, max: 200 }
+};
+
+// Query string for GET /api/events
+const listEvents = {
+  name: { type: 'list' },
+  from: { type: 'date' },
+  to: { type: 'date' },
+  correlationId: { type: 'string', maxLength: 200 },
+  after: { type: 'integer', min: 0 },
+  limit: { type: 'integer', min: 1, max: 500 }
+};
+
+// Body for POST /api/events/replay and options of motia/replay.js
+const replayEvents = {
+  workflow: { type: 'string', required: true, maxLength: 100 },
+  name: { type: 'list' },
+  from: { type: 'date' },
+  to: { type: 'date' },
+  fromId: { type: 'integer', min: 1 },
+  toId: { type: 'integer', min: 1 },
+  limit: { type: 'integer', min: 1, max: 1000 }
+};
+
+// Query string for GET /api/resumes
+const listResumes = {
+  includeArchived: { type: 'boolean' }
+};
+
+// Query string for POST /api/resumes (the body is the PDF itself)
+const uploadResume = {
+  version: { type: 'string', maxLength: 50 },
+  label: { type: 'string', maxLength: 200 },
+  notes: { type: 'string', maxLength: 2000 },
+  filename: { type: 'string', maxLength: 255 }
+};
+
+// Body for PATCH /api/resumes/:id
+const updateResume = {
+  label: { type: 'string', maxLength: 200, nullable: true },
+  notes: { type: 'string', maxLength: 2000, nullable: true }
+};
+
+// Query string for GET /api/follow-ups
+const listFollowUps = {
+  state: { type: 'string', enum: ['due', 'snoozed', 'open', 'dismissed', 'resolved', 'all'] }
+};
+
+// Body for POST /api/follow-ups/:id/snooze; without either field the default snooze applies
+const snoozeFollowUp = {
+  until: { type: 'date' },
+  days: { type: 'integer', min: 1, max: 365 }
+};
+
+// Query string for GET /api/stream (Last-Event-ID header takes precedence)
+const streamQuery = {
+  lastEventId: { type: 'integer', min: 0 }
+};
+
+module.exports = {
+  STATUSES,
+  idParams,
+  listApplications,
+  createApplication,
+  updateApplication,
+  updateStatus,
+  contactParams,
+  createContact,
+  updateContact,
+  INTERVIEW_TYPES,
+  INTERVIEW_OUTCOMES,
+  interviewParams,
+  createInterview,
+  updateInterview,
+  OFFER_DECISIONS,
+  offerParams,
+  createOffer,
+  updateOffer,
+  compareOffers,
+  exportApplications,
+  importOptions,
+  insightsQuery,
+  workflowParams,
+  workflowRunsQuery,
+  runWorkflow,
+  deadLettersQuery,
+  listEvents,
+  replayEvents,
+  streamQuery,
+  listResumes,
+  uploadResume,
+  updateResume,
+  listFollowUps,
+  snoozeFollowUp
+};
@@ -0,0 +1,168 @@
+/**
+ * Minimal schema validation for request params, query strings and bodies
+ *
+ * A schema maps field names to rules:
+ *   { type: 'string' | 'url' | 'email' | 'integer' | 'boolean' | 'date' | 'list',
+ *     required, nullable, enum, maxLength, min, max, alias }
+ * `alias` names an alternative input key (e.g. position for role).
+ * `nullable` turns an explicit null or empty string into null, so optional
+ * text can be cleared; without it such values count as missing.
+ * `list` accepts comma-separated strings or arrays; `enum` applies per item.
+ * Unknown fields are dropped from the validated value.
+ */
+
+const { BadRequestError, ValidationError } = require('../utils/errors');
+
+/**
+ * Validate and normalize a single value against a rule
+ * @param {*} value - Raw input value
+ * @param {Object} rule - Field rule
+ * @returns {Object} { value } on success or { error } with a message
+ */
+function checkField(value, rule) {
+  switch (rule.type) {
+    case 'string': {
+      if (typeof value !== 'string') return { error: 'must be a string' };
+      const trimmed = value.trim();
+      if (rule.required && trimmed === '') return { error: 'must not be empty' };
+      if (rule.maxLength && trimmed.length > rule.maxLength) {
+        return { error: `must be at most ${rule.maxLength} characters` };
+      }
+      if (rule.enum && !rule.enum.includes(trimmed)) {
+        return { error: `must be one of: ${rule.enum.join(', ')}` };
+      }
+      return { value: trimmed };
+    }
+    case 'url': {
+      const result = checkField(value, { ...rule, type: 'string' });
+      if (result.error) return result;
+      let url;
+      try {
+        url = new URL(result.value);
+      } catch (error) {
+        return { error: 'must be a valid URL' };
+      }
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        return { error: 'must be an http or https URL' };
+      }
+      return result;
+    }
+    case 'email': {
+      const result = checkField(value, { ...rule, type: 'string' });
+      if (result.error) return result;
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(result.value)) {
+        return { error: 'must be a valid email address' };
+      }
+      return result;
+    }
+    case 'integer': {
+      // Path and query values arrive as strings
+      const number = typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+      if (!Number.isInteger(number)) return { error: 'must be an integer' };
+      if (rule.min !== undefined && number < rule.min) return { error: `must be at least ${rule.min}` };
+      if (rule.max !== undefined && number > rule.max) return { error: `must be at most ${rule.max}` };
+      return { value: number };
+    }
+    case 'boolean': {
+      if (typeof value === 'boolean') return { value };
+      if (value === 'true' || value === '1') return { value: true };
+      if (value === 'false' || value === '0') return { value: false };
+      return { error: 'must be a boolean' };
+    }
+    case 'date': {
+      if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+        return { error: 'must be an ISO 8601 date' };
+      }
+      return { value: new Date(value).toISOString() };
+    }
+    case 'list': {
+      const items = (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => String(item).trim())
+        .filter(item => item !== '');
+      const invalid = rule.enum ? items.filter(item => !rule.enum.includes(item)) : [];
+      if (invalid.length > 0) {
+        return { error: `contains unknown values: ${invalid.join(', ')} (allowed: ${rule.enum.join(', ')})` };
+      }
+      return { value: items };
+    }
+    default:
+      throw new Error(`Unknown validation type: ${rule.type}`);
+  }
+}
+
+/**
+ * Validate an input object against a schema
+ * @param {Object} schema - Field rules keyed by field name
+ * @param {Object} input - Raw input
+ * @returns {Object} { value, fields } where fields holds per-field messages
+ */
+function validateObject(schema, input) {
+  const value = {};
+  const fields = {};
+
+  for (const [name, rule] of Object.entries(schema)) {
+    let raw = input[name];
+    if ((raw === undefined || raw === null || raw === '') && rule.alias) {
+      raw = input[rule.alias];
+    }
+
+    if (raw === undefined || raw === null || raw === '') {
+      if (rule.required) {
+        fields[name] = 'is required';
+      } else if (rule.nullable && raw !== undefined) {
+        value[name] = null;
+      }
+      continue;
+    }
+
+    const result = checkField(raw, rule);
+    if (result.error) {
+      fields[name] = result.error;
+    } else {
+      value[name] = result.value;
+    }
+  }
+
+  return { value, fields };
+}
+
+/**
+ * Express middleware validating req.params, req.query and req.body
+ * Invalid params or query strings produce a 400, invalid bodies a 422.
+ * Validated params and query values are exposed on req.validated; the
+ * validated body replaces req.body.
+ * @param {Object} schemas - { params, query, body } schemas (all optional)
+ * @returns {Function} Express middleware
+ */
+function validate(schemas) {
+  return (req, res, next) => {
+    for (const part of ['params', 'query']) {
+      if (!schemas[part]) continue;
+
+      const { value, fields } = validateObject(schemas[part], req[part] || {});
+      if (Object.keys(fields).length > 0) {
+        return next(new BadRequestError(`Invalid request ${part === 'params' ? 'path parameters' : 'query string'}`, fields));
+      }
+      req.validated = { ...req.validated, [part]: value };
+    }
+
+    if (schemas.body) {
+      if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+        return next(new BadRequestError('Request body must be a JSON object'));
+      }
+
+      const { value, fields } = validateObject(schemas.body, req.body);
+      if (Object.keys(fields).length > 0) {
+        return next(new ValidationError('Request body failed validation', fields));
+      }
+      req.body = value;
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  validate,
+  validateObject
+};
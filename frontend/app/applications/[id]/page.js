@@ -0,0 +1,193 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import ApplicationDetail from '../../../components/ApplicationDetail';
+import { toApiError } from '../../../lib/api';
+
+const API_URL = 'http://localhost:3001/api';
+
+const pageStyle = {
+  background: 'radial-gradient(1200px 600px at 50% -200px, #3b82f6 0%, transparent 60%), linear-gradient(180deg, #020617 0%, #020617 100%)',
+  fontFamily: 'Inter, system-ui, -apple-system, BlinkMacSystemFont, sans-serif',
+  color: '#e5e7eb',
+  padding: '48px',
+  minHeight: '100vh'
+};
+
+// Send a JSON request and return the parsed body, throwing API errors with their fields
+async function requestJson(url, method, body, fallbackMessage) {
+  const response = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    throw await toApiError(response, fallbackMessage);
+  }
+  return response.status === 204 ? null : response.json();
+}
+
+export default function ApplicationPage({ params }) {
+  const { id } = params;
+  const [application, setApplication] = useState(null);
+  const [statusWorkflow, setStatusWorkflow] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // The detail response includes the status timeline and contacts
+  const fetchApplication = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_URL}/applications/${id}`);
+      if (!response.ok) {
+        throw await toApiError(response, 'Failed to fetch application');
+      }
+      setApplication(await response.json());
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching application:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    fetchApplication();
+  }, [fetchApplication]);
+
+  // Fetch the status workflow so the status menu only offers legal next states
+  useEffect(() => {
+    fetch(`${API_URL}/statuses`)
+      .then(response => (response.ok ? response.json() : null))
+      .then(setStatusWorkflow)
+      .catch(err => console.error('Error fetching statuses:', err));
+  }, []);
+
+  // Save application fields, then reload so the timeline reflects status changes
+  const handleSave = async (data) => {
+    await requestJson(`${API_URL}/applications/${id}`, 'PUT', data, 'Failed to update application');
+    await fetchApplication();
+  };
+
+  const handleStatusChange = async (status) => {
+    await requestJson(`${API_URL}/applications/${id}/status`, 'PATCH', { status }, 'Failed to update status');
+    await fetchApplication();
+  };
+
+  // Undo ghosting: the application returns to the status it had before
+  const handleUnghost = async () => {
+    await requestJson(`${API_URL}/applications/${id}/unghost`, 'POST', undefined, 'Failed to undo ghosting');
+    await fetchApplication();
+  };
+
+  // Keep interviews in start time order after adding or rescheduling one
+  const byStartTime = (a, b) => a.starts_at.localeCompare(b.starts_at) || a.id - b.id;
+
+  const handleAddInterview = async (data) => {
+    const interview = await requestJson(`${API_URL}/applications/${id}/interviews`, 'POST', data, 'Failed to add interview');
+    setApplication(current => ({ ...current, interviews: [...current.interviews, interview].sort(byStartTime) }));
+  };
+
+  const handleUpdateInterview = async (interviewId, data) => {
+    const interview = await requestJson(`${API_URL}/applications/${id}/interviews/${interviewId}`, 'PUT', data, 'Failed to update interview');
+    setApplication(current => ({
+      ...current,
+      interviews: current.interviews.map(existing => (existing.id === interviewId ? interview : existing)).sort(byStartTime)
+    }));
+  };
+
+  const handleDeleteInterview = async (interviewId) => {
+    await requestJson(`${API_URL}/applications/${id}/interviews/${interviewId}`, 'DELETE', undefined, 'Failed to delete interview');
+    setApplication(current => ({
+      ...current,
+      interviews: current.interviews.filter(interview => interview.id !== interviewId)
+    }));
+  };
+
+  const handleAddOffer = async (data) => {
+    const offer = await requestJson(`${API_URL}/applications/${id}/offers`, 'POST', data, 'Failed to add offer');
+    setApplication(current => ({ ...current, offers: [...current.offers, offer] }));
+  };
+
+  const handleUpdateOffer = async (offerId, data) => {
+    const offer = await requestJson(`${API_URL}/applications/${id}/offers/${offerId}`, 'PUT', data, 'Failed to update offer');
+    setApplication(current => ({
+      ...current,
+      offers: current.offers.map(existing => (existing.id === offerId ? offer : existing))
+    }));
+  };
+
+  const handleDeleteOffer = async (offerId) => {
+    await requestJson(`${API_URL}/applications/${id}/offers/${offerId}`, 'DELETE', undefined, 'Failed to delete offer');
+    setApplication(current => ({
+      ...current,
+      offers: current.offers.filter(offer => offer.id !== offerId)
+    }));
+  };
+
+  const handleAddContact = async (data) => {
+    const contact = await requestJson(`${API_URL}/applications/${id}/contacts`, 'POST', data, 'Failed to add contact');
+    setApplication(current => ({ ...current, contacts: [...current.contacts, contact] }));
+  };
+
+  const handleUpdateContact = async (contactId, data) => {
+    const contact = await requestJson(`${API_URL}/applications/${id}/contacts/${contactId}`, 'PUT', data, 'Failed to update contact');
+    setApplication(current => ({
+      ...current,
+      contacts: current.contacts.map(existing => (existing.id === contactId ? contact : existing))
+    }));
+  };
+
+  const handleDeleteContact = async (contactId) => {
+    await requestJson(`${API_URL}/applications/${id}/contacts/${contactId}`, 'DELETE', undefined, 'Failed to delete contact');
+    setApplication(current => ({
+      ...current,
+      contacts: current.contacts.filter(contact => contact.id !== contactId)
+    }));
+  };
+
+  return (
+    <div style={pageStyle}>
+      <div style={{ maxWidth: '1100px', margin: '0 auto' }}>
+        <Link href="/" style={{ color: '#9ca3af', fontSize: '14px', textDecoration: 'none' }}>
+          ← All applications
+        </Link>
+
+        {loading ? (
+          <p style={{ fontSize: '16px', color: '#9ca3af', marginTop: '24px' }}>
+            Loading application...
+          </p>
+        ) : error ? (
+          <div style={{
+            background: 'rgba(15, 23, 42, 0.7)',
+            borderRadius: '16px',
+            padding: '24px',
+            marginTop: '32px',
+            border: '1px solid rgba(148, 163, 184, 0.1)'
+          }}>
+            <p style={{ color: '#f8fafc' }}>Error: {error}</p>
+          </div>
+        ) : (
+          <ApplicationDetail
+            application={application}
+            statusWorkflow={statusWorkflow}
+            onSave={handleSave}
+            onStatusChange={handleStatusChange}
+            onUnghost={handleUnghost}
+            onAddInterview={handleAddInterview}
+            onUpdateInterview={handleUpdateInterview}
+            onDeleteInterview={handleDeleteInterview}
+            onAddOffer={handleAddOffer}
+            onUpdateOffer={handleUpdateOffer}
+            onDeleteOffer={handleDeleteOffer}
+            onAddContact={handleAddContact}
+            onUpdateContact={handleUpdateContact}
+            onDeleteContact={handleDeleteContact}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,23 +1,53 @@
 'use client';
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import Dashboard from '../components/Dashboard';
+import { toApiError } from '../lib/api';
+
+const PAGE_SIZE = 50;
+const STREAM_URL = 'http://localhost:3001/api/stream';
+const STREAM_EVENTS = ['applicationCreated', 'statusUpdated', 'applicationUpdated', 'applicationDeleted', 'followUpDue'];
+const MAX_RECONNECT_DELAY = 30000;
+// Delivery is at least once, so remember this many recent event IDs to skip repeats
+const MAX_SEEN_EVENTS = 500;
+
+// Build the list URL for the current filters and optional page cursor
+function buildApplicationsUrl(filters, cursor) {
+  const params = new URLSearchParams({ limit: String(PAGE_SIZE) });
+  if (filters.q) params.set('q', filters.q);
+  if (filters.status) params.set('status', filters.status);
+  if (cursor) params.set('cursor', cursor);
+  return `http://localhost:3001/api/applications?${params.toString()}`;
+}
 
 export default function Home() {
   const [applications, setApplications] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [statusCounts, setStatusCounts] = useState(null);
+  const [filters, setFilters] = useState({ q: '', status: '' });
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  // Bumped when follow-up reminders may have changed (new ones, or a status change resolving some)
+  const [followUpsKey, setFollowUpsKey] = useState(0);
+
+  // The stream handlers are attached once, so they read filters through a ref
+  const filtersRef = useRef(filters);
+  filtersRef.current = filters;
 
-  // Fetch applications from backend API
+  // Fetch the first page whenever filters change (search input is debounced)
   useEffect(() => {
     const fetchApplications = async () => {
       try {
-        const response = await fetch('http://localhost:3001/api/applications');
+        const response = await fetch(buildApplicationsUrl(filters));
         if (!response.ok) {
           throw new Error('Failed to fetch applications');
         }
-        const data = await response.json();
-        setApplications(data);
+        const result = await response.json();
+        setApplications(result.data);
+        setPagination(result.pagination);
+        setStatusCounts(result.statusCounts);
       } catch (err) {
         console.error('Error fetching applications:', err);
         setError(err.message);
@@ -26,9 +56,140 @@ export default function Home() {
       }
     };
 
-    fetchApplications();
+    const timer = setTimeout(fetchApplications, filters.q ? 300 : 0);
+    return () => clearTimeout(timer);
+  }, [filters, reloadKey]);
+
+  // Patch local state from a live event instead of refetching
+  // Counts and totals are only adjusted here, so local edits are not counted twice
+  const applyStreamEvent = (eventName, data) => {
+    if (eventName === 'followUpDue' || eventName === 'statusUpdated') {
+      setFollowUpsKey(key => key + 1);
+    }
+    if (eventName === 'followUpDue') return;
+
+    const { q, status } = filtersRef.current;
+    const { applicationId, application } = data;
+    const inView = appStatus => !status || appStatus === status;
+
+    const adjustCount = (countStatus, delta) => {
+      setStatusCounts(current => current && {
+        ...current,
+        [countStatus]: Math.max(0, (current[countStatus] || 0) + delta)
+      });
+    };
+    const adjustTotal = delta => {
+      setPagination(current => current && { ...current, total: Math.max(0, current.total + delta) });
+    };
+
+    if (eventName === 'applicationCreated') {
+      // Search results depend on the server's full-text index, so new rows wait for the next search
+      if (q) return;
+      setApplications(current =>
+        current.some(app => app.id === applicationId) || !inView(application.status)
+          ? current
+          : [application, ...current]
+      );
+      adjustCount(application.status, 1);
+      if (inView(application.status)) adjustTotal(1);
+    } else if (eventName === 'statusUpdated' || eventName === 'applicationUpdated') {
+      // The application may have been deleted since (e.g. when resuming a stream)
+      if (application) {
+        setApplications(current => current.flatMap(app => {
+          if (app.id !== applicationId) return [app];
+          return inView(application.status) ? [application] : [];
+        }));
+      }
+      if (eventName === 'statusUpdated' && !q) {
+        adjustCount(data.oldStatus, -1);
+        adjustCount(data.newStatus, 1);
+        if (status) adjustTotal((data.newStatus === status ? 1 : 0) - (data.oldStatus === status ? 1 : 0));
+      }
+    } else if (eventName === 'applicationDeleted') {
+      setApplications(current => current.filter(app => app.id !== applicationId));
+      if (!q) {
+        adjustCount(data.status, -1);
+        if (inView(data.status)) adjustTotal(-1);
+      }
+    }
+  };
+
+  // Subscribe to live changes made in other tabs or through the API
+  // EventSource reconnects by itself and resumes with Last-Event-ID; when the
+  // browser gives up (e.g. the server was down) we reconnect with backoff
+  useEffect(() => {
+    let source;
+    let retryTimer;
+    let retryDelay = 1000;
+    let lastEventId = null;
+    const seenEventIds = new Set();
+
+    // True the first time an event ID is seen; the oldest IDs are forgotten
+    const isNewEvent = (eventId) => {
+      if (!eventId) return true;
+      if (seenEventIds.has(eventId)) return false;
+      seenEventIds.add(eventId);
+      if (seenEventIds.size > MAX_SEEN_EVENTS) {
+        seenEventIds.delete(seenEventIds.values().next().value);
+      }
+      return true;
+    };
+
+    const connect = () => {
+      source = new EventSource(lastEventId ? `${STREAM_URL}?lastEventId=${lastEventId}` : STREAM_URL);
+
+      source.onopen = () => {
+        retryDelay = 1000;
+      };
+      source.onerror = () => {
+        if (source.readyState === EventSource.CLOSED) {
+          retryTimer = setTimeout(connect, retryDelay);
+          retryDelay = Math.min(retryDelay * 2, MAX_RECONNECT_DELAY);
+        }
+      };
+
+      STREAM_EVENTS.forEach(eventName => {
+        source.addEventListener(eventName, event => {
+          if (!isNewEvent(event.lastEventId)) return;
+          if (event.lastEventId) lastEventId = event.lastEventId;
+          applyStreamEvent(eventName, JSON.parse(event.data));
+        });
+      });
+
+      // Too many missed events to replay: reload the list instead
+      source.addEventListener('resync', event => {
+        if (event.lastEventId) lastEventId = event.lastEventId;
+        setReloadKey(key => key + 1);
+      });
+    };
+
+    connect();
+    return () => {
+      clearTimeout(retryTimer);
+      source.close();
+    };
   }, []);
 
+  // Append the next page using the cursor from the last response
+  const handleLoadMore = async () => {
+    if (!pagination?.nextCursor || loadingMore) return;
+
+    setLoadingMore(true);
+    try {
+      const response = await fetch(buildApplicationsUrl(filters, pagination.nextCursor));
+      if (!response.ok) {
+        throw new Error('Failed to fetch more applications');
+      }
+      const result = await response.json();
+      setApplications(current => [...current, ...result.data]);
+      setPagination(result.pagination);
+    } catch (err) {
+      console.error('Error fetching more applications:', err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
   // Handle updating application status
   const handleUpdateStatus = async (id, newStatus) => {
     try {
@@ -41,11 +202,11 @@ export default function Home() {
       });
 
       if (!response.ok) {
-        throw new Error('Failed to update status');
+        throw await toApiError(response, 'Failed to update status');
       }
 
       const updatedApplication = await response.json();
-      setApplications(applications.map(app =>
+      setApplications(current => current.map(app =>
         app.id === id ? updatedApplication : app
       ));
       return updatedApplication;
@@ -55,6 +216,102 @@ export default function Home() {
     }
   };
 
+  // Create an application, showing it immediately and removing it again if the API rejects it
+  const handleCreateApplication = async (data) => {
+    const tempId = `pending-${Date.now()}`;
+    const placeholder = {
+      status: 'Applied',
+      source: 'Direct',
+      resume_version: null,
+      applied_at: new Date().toISOString(),
+      ...data,
+      id: tempId,
+      pending: true
+    };
+    setApplications(current => [placeholder, ...current]);
+
+    try {
+      const response = await fetch('http://localhost:3001/api/applications', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(data),
+      });
+
+      if (!response.ok) {
+        throw await toApiError(response, 'Failed to create application');
+      }
+
+      // The live stream may already have added the new row; keep a single copy
+      const created = await response.json();
+      setApplications(current => current
+        .filter(app => app.id !== created.id)
+        .map(app => (app.id === tempId ? created : app)));
+      return created;
+    } catch (err) {
+      console.error('Error creating application:', err);
+      setApplications(current => current.filter(app => app.id !== tempId));
+      throw err;
+    }
+  };
+
+  // Save edits immediately and restore the previous values if the API rejects them
+  const handleEditApplication = async (id, data) => {
+    const previous = applications.find(app => app.id === id);
+    setApplications(current => current.map(app =>
+      app.id === id ? { ...app, ...data, pending: true } : app
+    ));
+
+    try {
+      const response = await fetch(`http://localhost:3001/api/applications/${id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(data),
+      });
+
+      if (!response.ok) {
+        throw await toApiError(response, 'Failed to update application');
+      }
+
+      const updatedApplication = await response.json();
+      setApplications(current => current.map(app =>
+        app.id === id ? updatedApplication : app
+      ));
+      return updatedApplication;
+    } catch (err) {
+      console.error('Error updating application:', err);
+      setApplications(current => current.map(app =>
+        app.id === id && previous ? previous : app
+      ));
+      throw err;
+    }
+  };
+
+  // Remove the card immediately and put it back in place if the delete fails
+  const handleDeleteApplication = async (id) => {
+    const index = applications.findIndex(app => app.id === id);
+    const previous = applications[index];
+    setApplications(current => current.filter(app => app.id !== id));
+
+    try {
+      const response = await fetch(`http://localhost:3001/api/applications/${id}`, {
+        method: 'DELETE',
+      });
+
+      // 404 means it is already gone (e.g. deleted in another tab)
+      if (!response.ok && response.status !== 404) {
+        throw await toApiError(response, 'Failed to delete application');
+      }
+    } catch (err) {
+      console.error('Error deleting application:', err);
+      if (previous) {
+        setApplications(current => current.some(app => app.id === id)
+          ? current
+          : [...current.slice(0, index), previous, ...current.slice(index)]);
+      }
+      throw err;
+    }
+  };
+
   if (loading) {
     return (
       <div style={{
@@ -146,7 +403,21 @@ export default function Home() {
       padding: '48px',
       minHeight: '100vh'
     }}>
-      <Dashboard applications={applications} onUpdateStatus={handleUpdateStatus} />
+      <Dashboard
+        applications={applications}
+        onUpdateStatus={handleUpdateStatus}
+        onCreateApplication={handleCreateApplication}
+        onEditApplication={handleEditApplication}
+        onDeleteApplication={handleDeleteApplication}
+        statusCounts={statusCounts}
+        totalCount={pagination?.total}
+        hasMore={Boolean(pagination?.hasMore)}
+        loadingMore={loadingMore}
+        onLoadMore={handleLoadMore}
+        filters={filters}
+        onFiltersChange={setFilters}
+        followUpsKey={followUpsKey}
+      />
     </div>
   );
 }
\ No newline at end of file
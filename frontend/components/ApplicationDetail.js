@@ -0,0 +1,828 @@
+'use client';
+
+import { useState } from 'react';
+import ApplicationForm from './ApplicationForm';
+import { getResumeUrl, useResumes } from '../lib/resumes';
+
+const STATUS_COLORS = {
+  Applied: '#38bdf8',
+  Interview: '#facc15',
+  Offer: '#22c55e',
+  Rejected: '#ef4444',
+  Withdrawn: '#64748b',
+  Ghosted: '#a78bfa'
+};
+
+const CONTACT_FIELDS = [
+  { name: 'name', label: 'Name *' },
+  { name: 'title', label: 'Title', clearable: true },
+  { name: 'email', label: 'Email', type: 'email', clearable: true },
+  { name: 'phone', label: 'Phone', clearable: true },
+  { name: 'linkedin_url', label: 'LinkedIn URL', type: 'url', clearable: true },
+  { name: 'notes', label: 'Notes', multiline: true, clearable: true }
+];
+
+const INTERVIEW_FIELDS = [
+  { name: 'round_name', label: 'Round *' },
+  { name: 'type', label: 'Type', options: ['phone', 'video', 'onsite', 'technical', 'behavioral', 'other'] },
+  { name: 'starts_at', label: 'Starts *', type: 'datetime-local' },
+  { name: 'ends_at', label: 'Ends', type: 'datetime-local', clearable: true },
+  { name: 'location', label: 'Location', clearable: true },
+  { name: 'meeting_url', label: 'Meeting link', type: 'url', clearable: true },
+  { name: 'interviewers', label: 'Interviewers (comma-separated)', clearable: true },
+  { name: 'outcome', label: 'Outcome', options: ['pending', 'passed', 'failed', 'cancelled'] },
+  { name: 'notes', label: 'Notes', multiline: true, clearable: true }
+];
+
+const OUTCOME_COLORS = {
+  pending: '#9ca3af',
+  passed: '#22c55e',
+  failed: '#ef4444',
+  cancelled: '#64748b'
+};
+
+const OFFER_FIELDS = [
+  { name: 'base_salary', label: 'Base salary *', type: 'number' },
+  { name: 'bonus', label: 'Yearly bonus', type: 'number' },
+  { name: 'equity_value', label: 'Equity (total grant value)', type: 'number' },
+  { name: 'vesting_years', label: 'Vesting years', type: 'number' },
+  { name: 'currency', label: 'Currency' },
+  { name: 'start_date', label: 'Start date', type: 'date', clearable: true },
+  { name: 'decision_deadline', label: 'Decision deadline', type: 'date', clearable: true },
+  { name: 'decision', label: 'Decision', options: ['pending', 'accepted', 'declined'] },
+  { name: 'benefits_notes', label: 'Benefits', multiline: true, clearable: true }
+];
+
+const DECISION_COLORS = {
+  pending: '#facc15',
+  accepted: '#22c55e',
+  declined: '#64748b'
+};
+
+const API_URL = 'http://localhost:3001/api';
+
+const panelStyle = {
+  background: 'rgba(15, 23, 42, 0.7)',
+  borderRadius: '16px',
+  padding: '24px',
+  marginBottom: '24px',
+  border: '1px solid rgba(148, 163, 184, 0.1)'
+};
+
+const sectionTitleStyle = {
+  fontSize: '18px',
+  fontWeight: '600',
+  color: '#f8fafc',
+  margin: 0
+};
+
+const mutedStyle = { fontSize: '14px', color: '#9ca3af' };
+
+const labelStyle = {
+  display: 'block',
+  fontSize: '13px',
+  color: '#9ca3af',
+  marginBottom: '6px'
+};
+
+const inputStyle = (hasError) => ({
+  width: '100%',
+  boxSizing: 'border-box',
+  background: 'rgba(2, 6, 23, 0.8)',
+  color: '#e5e7eb',
+  borderRadius: '8px',
+  padding: '8px 12px',
+  border: `1px solid ${hasError ? '#ef4444' : 'rgba(148, 163, 184, 0.25)'}`,
+  outline: 'none',
+  fontFamily: 'inherit'
+});
+
+const buttonStyle = (primary) => ({
+  padding: '6px 14px',
+  background: primary ? '#2563eb' : '#020617',
+  color: '#e5e7eb',
+  borderRadius: '999px',
+  border: `1px solid ${primary ? '#2563eb' : 'rgba(148, 163, 184, 0.25)'}`,
+  fontSize: '13px',
+  cursor: 'pointer'
+});
+
+const errorBoxStyle = {
+  color: '#fca5a5',
+  background: 'rgba(239, 68, 68, 0.1)',
+  border: '1px solid rgba(239, 68, 68, 0.3)',
+  borderRadius: '8px',
+  padding: '8px 12px',
+  marginBottom: '16px',
+  fontSize: '13px'
+};
+
+// Build the request body from edited values: only changed fields are sent,
+// and emptying a clearable field sends '' so the API clears it
+function changedFields(fields, values, initialValues) {
+  const payload = {};
+  fields.forEach(({ name, clearable }) => {
+    const value = values[name].trim();
+    if (value === initialValues[name]) return;
+    if (value === '' && !clearable) return;
+    payload[name] = value;
+  });
+  return payload;
+}
+
+// ISO timestamp -> value for a datetime-local input, in the browser's time zone
+function toLocalInput(iso) {
+  if (!iso) return '';
+  const date = new Date(iso);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+// Editor values for an interview (a blank one when adding)
+function interviewValues(interview = {}) {
+  return {
+    round_name: interview.round_name || '',
+    type: interview.type || 'video',
+    starts_at: toLocalInput(interview.starts_at),
+    ends_at: toLocalInput(interview.ends_at),
+    location: interview.location || '',
+    meeting_url: interview.meeting_url || '',
+    interviewers: (interview.interviewers || []).join(', '),
+    outcome: interview.outcome || 'pending',
+    notes: interview.notes || ''
+  };
+}
+
+// datetime-local values carry no time zone, so send them as UTC ISO strings
+function toInterviewPayload(payload) {
+  const result = { ...payload };
+  ['starts_at', 'ends_at'].forEach(name => {
+    if (result[name]) result[name] = new Date(result[name]).toISOString();
+  });
+  return result;
+}
+
+// Editor values for an offer (a blank one when adding); dates are whole days
+function offerValues(offer = {}) {
+  const text = value => (value === null || value === undefined ? '' : String(value));
+  return {
+    base_salary: text(offer.base_salary),
+    bonus: text(offer.bonus),
+    equity_value: text(offer.equity_value),
+    vesting_years: text(offer.vesting_years ?? 4),
+    currency: offer.currency || 'USD',
+    start_date: (offer.start_date || '').slice(0, 10),
+    decision_deadline: (offer.decision_deadline || '').slice(0, 10),
+    decision: offer.decision || 'pending',
+    benefits_notes: offer.benefits_notes || ''
+  };
+}
+
+function formatAmount(amount, currency) {
+  return `${amount.toLocaleString('en-US')} ${currency}`;
+}
+
+function Section({ title, actions, children }) {
+  return (
+    <section style={panelStyle}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+        <h2 style={sectionTitleStyle}>{title}</h2>
+        {actions}
+      </div>
+      {children}
+    </section>
+  );
+}
+
+/**
+ * Inline editor for a set of fields. onSave receives the changed fields and
+ * should throw an Error with optional `fields` when the server rejects them.
+ */
+function FieldsEditor({ idPrefix, fields, initialValues, onSave, onCancel, submitLabel = 'Save' }) {
+  const [values, setValues] = useState(initialValues);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [formError, setFormError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const payload = changedFields(fields, values, initialValues);
+    if (Object.keys(payload).length === 0) {
+      onCancel();
+      return;
+    }
+
+    setSubmitting(true);
+    setFormError(null);
+    try {
+      await onSave(payload);
+    } catch (err) {
+      setFieldErrors(err.fields || {});
+      setFormError(err.message);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} noValidate>
+      {formError && <div style={errorBoxStyle}>{formError}</div>}
+
+      <div style={{ display: 'grid', gap: '12px' }}>
+        {fields.map(({ name, label, type = 'text', multiline, options }) => {
+          const id = `${idPrefix}-${name}`;
+          const props = {
+            id,
+            value: values[name],
+            onChange: (e) => {
+              setValues({ ...values, [name]: e.target.value });
+              setFieldErrors({ ...fieldErrors, [name]: undefined });
+            },
+            style: inputStyle(Boolean(fieldErrors[name]))
+          };
+          return (
+            <div key={name}>
+              <label htmlFor={id} style={labelStyle}>{label}</label>
+              {options ? (
+                <select {...props}>
+                  {options.map(option => <option key={option} value={option}>{option}</option>)}
+                </select>
+              ) : multiline ? <textarea rows={6} {...props} /> : <input type={type} {...props} />}
+              {fieldErrors[name] && (
+                <div style={{ fontSize: '12px', color: '#ef4444', marginTop: '4px' }}>
+                  {label.replace(' *', '')} {fieldErrors[name]}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <div style={{ display: 'flex', gap: '12px', justifyContent: 'flex-end', marginTop: '16px' }}>
+        <button type="button" onClick={onCancel} disabled={submitting} style={buttonStyle(false)}>
+          Cancel
+        </button>
+        <button type="submit" disabled={submitting} style={buttonStyle(true)}>
+          {submitting ? 'Saving...' : submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// A section whose fields switch between a read-only view and an inline editor
+function EditableSection({ title, sectionKey, fields, application, onSave, children }) {
+  const [editing, setEditing] = useState(false);
+  const initialValues = Object.fromEntries(fields.map(({ name }) => [name, application[name] || '']));
+
+  return (
+    <Section
+      title={title}
+      actions={!editing && (
+        <button onClick={() => setEditing(true)} style={buttonStyle(false)}>Edit</button>
+      )}
+    >
+      {editing ? (
+        <FieldsEditor
+          idPrefix={sectionKey}
+          fields={fields}
+          initialValues={initialValues}
+          onSave={async (payload) => {
+            await onSave(payload);
+            setEditing(false);
+          }}
+          onCancel={() => setEditing(false)}
+        />
+      ) : children}
+    </Section>
+  );
+}
+
+function ContactCard({ contact, onUpdate, onDelete }) {
+  const [editing, setEditing] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (editing) {
+    return (
+      <div style={{ background: 'rgba(2, 6, 23, 0.6)', borderRadius: '12px', padding: '16px', marginBottom: '12px' }}>
+        <FieldsEditor
+          idPrefix={`contact-${contact.id}`}
+          fields={CONTACT_FIELDS}
+          initialValues={Object.fromEntries(CONTACT_FIELDS.map(({ name }) => [name, contact[name] || '']))}
+          onSave={async (payload) => {
+            await onUpdate(contact.id, payload);
+            setEditing(false);
+          }}
+          onCancel={() => setEditing(false)}
+        />
+      </div>
+    );
+  }
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Remove ${contact.name} from this application?`)) return;
+    try {
+      await onDelete(contact.id);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div style={{
+      background: 'rgba(2, 6, 23, 0.6)',
+      borderRadius: '12px',
+      padding: '16px',
+      marginBottom: '12px',
+      display: 'flex',
+      justifyContent: 'space-between',
+      gap: '16px'
+    }}>
+      <div>
+        <div style={{ fontSize: '15px', fontWeight: '600', color: '#f8fafc' }}>{contact.name}</div>
+        {contact.title && <div style={{ fontSize: '13px', color: '#cbd5f5', marginTop: '2px' }}>{contact.title}</div>}
+        <div style={{ ...mutedStyle, fontSize: '13px', marginTop: '6px', display: 'flex', gap: '12px', flexWrap: 'wrap' }}>
+          {contact.email && <a href={`mailto:${contact.email}`} style={{ color: '#38bdf8' }}>{contact.email}</a>}
+          {contact.phone && <span>{contact.phone}</span>}
+          {contact.linkedin_url && (
+            <a href={contact.linkedin_url} target="_blank" rel="noopener noreferrer" style={{ color: '#38bdf8' }}>
+              LinkedIn
+            </a>
+          )}
+        </div>
+        {contact.notes && (
+          <div style={{ fontSize: '13px', color: '#e5e7eb', marginTop: '8px', whiteSpace: 'pre-wrap' }}>{contact.notes}</div>
+        )}
+        {error && <div style={{ fontSize: '12px', color: '#ef4444', marginTop: '6px' }}>{error}</div>}
+      </div>
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'flex-start' }}>
+        <button onClick={() => setEditing(true)} style={buttonStyle(false)}>Edit</button>
+        <button onClick={handleDelete} style={{ ...buttonStyle(false), color: '#fca5a5' }}>Delete</button>
+      </div>
+    </div>
+  );
+}
+
+function InterviewCard({ interview, onUpdate, onDelete }) {
+  const [editing, setEditing] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (editing) {
+    return (
+      <div style={{ background: 'rgba(2, 6, 23, 0.6)', borderRadius: '12px', padding: '16px', marginBottom: '12px' }}>
+        <FieldsEditor
+          idPrefix={`interview-${interview.id}`}
+          fields={INTERVIEW_FIELDS}
+          initialValues={interviewValues(interview)}
+          onSave={async (payload) => {
+            await onUpdate(interview.id, toInterviewPayload(payload));
+            setEditing(false);
+          }}
+          onCancel={() => setEditing(false)}
+        />
+      </div>
+    );
+  }
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the ${interview.round_name} interview?`)) return;
+    try {
+      await onDelete(interview.id);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const start = new Date(interview.starts_at);
+  return (
+    <div style={{
+      background: 'rgba(2, 6, 23, 0.6)',
+      borderRadius: '12px',
+      padding: '16px',
+      marginBottom: '12px',
+      display: 'flex',
+      justifyContent: 'space-between',
+      gap: '16px'
+    }}>
+      <div>
+        <div style={{ fontSize: '15px', fontWeight: '600', color: '#f8fafc' }}>
+          {interview.round_name}
+          <span style={{ fontSize: '12px', fontWeight: '400', color: OUTCOME_COLORS[interview.outcome], marginLeft: '10px' }}>
+            {interview.outcome}
+          </span>
+        </div>
+        <div style={{ fontSize: '13px', color: '#cbd5f5', marginTop: '2px' }}>
+          📅 {start.toLocaleString()}
+          {interview.ends_at && ` – ${new Date(interview.ends_at).toLocaleTimeString()}`}
+          {` · ${interview.type}`}
+        </div>
+        <div style={{ ...mutedStyle, fontSize: '13px', marginTop: '6px', display: 'flex', gap: '12px', flexWrap: 'wrap' }}>
+          {interview.location && <span>📍 {interview.location}</span>}
+          {interview.meeting_url && (
+            <a href={interview.meeting_url} target="_blank" rel="noopener noreferrer" style={{ color: '#38bdf8' }}>
+              Join meeting
+            </a>
+          )}
+          {interview.interviewers.length > 0 && <span>👥 {interview.interviewers.join(', ')}</span>}
+        </div>
+        {interview.notes && (
+          <div style={{ fontSize: '13px', color: '#e5e7eb', marginTop: '8px', whiteSpace: 'pre-wrap' }}>{interview.notes}</div>
+        )}
+        {error && <div style={{ fontSize: '12px', color: '#ef4444', marginTop: '6px' }}>{error}</div>}
+      </div>
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'flex-start' }}>
+        <button onClick={() => setEditing(true)} style={buttonStyle(false)}>Edit</button>
+        <button onClick={handleDelete} style={{ ...buttonStyle(false), color: '#fca5a5' }}>Delete</button>
+      </div>
+    </div>
+  );
+}
+
+function OfferCard({ offer, onUpdate, onDelete }) {
+  const [editing, setEditing] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (editing) {
+    return (
+      <div style={{ background: 'rgba(2, 6, 23, 0.6)', borderRadius: '12px', padding: '16px', marginBottom: '12px' }}>
+        <FieldsEditor
+          idPrefix={`offer-${offer.id}`}
+          fields={OFFER_FIELDS}
+          initialValues={offerValues(offer)}
+          onSave={async (payload) => {
+            await onUpdate(offer.id, payload);
+            setEditing(false);
+          }}
+          onCancel={() => setEditing(false)}
+        />
+      </div>
+    );
+  }
+
+  const handleDelete = async () => {
+    if (!window.confirm('Delete this offer?')) return;
+    try {
+      await onDelete(offer.id);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const equityPerYear = Math.round(offer.equity_value / offer.vesting_years);
+  const total = offer.base_salary + offer.bonus + equityPerYear;
+  // Stored as midnight UTC, so show the date in UTC
+  const formatDate = date => new Date(date).toLocaleDateString(undefined, { timeZone: 'UTC' });
+
+  return (
+    <div style={{
+      background: 'rgba(2, 6, 23, 0.6)',
+      borderRadius: '12px',
+      padding: '16px',
+      marginBottom: '12px',
+      display: 'flex',
+      justifyContent: 'space-between',
+      gap: '16px'
+    }}>
+      <div>
+        <div style={{ fontSize: '15px', fontWeight: '600', color: '#f8fafc' }}>
+          {formatAmount(total, offer.currency)} per year
+          <span style={{ fontSize: '12px', fontWeight: '400', color: DECISION_COLORS[offer.decision], marginLeft: '10px' }}>
+            {offer.decision}
+          </span>
+        </div>
+        <div style={{ fontSize: '13px', color: '#cbd5f5', marginTop: '2px' }}>
+          Base {formatAmount(offer.base_salary, offer.currency)}
+          {offer.bonus > 0 && ` · Bonus ${formatAmount(offer.bonus, offer.currency)}`}
+          {offer.equity_value > 0 && ` · Equity ${formatAmount(offer.equity_value, offer.currency)} over ${offer.vesting_years} years`}
+        </div>
+        <div style={{ ...mutedStyle, fontSize: '13px', marginTop: '6px', display: 'flex', gap: '12px', flexWrap: 'wrap' }}>
+          {offer.start_date && <span>🚀 Starts {formatDate(offer.start_date)}</span>}
+          {offer.decision_deadline && <span>⏳ Decide by {formatDate(offer.decision_deadline)}</span>}
+        </div>
+        {offer.benefits_notes && (
+          <div style={{ fontSize: '13px', color: '#e5e7eb', marginTop: '8px', whiteSpace: 'pre-wrap' }}>{offer.benefits_notes}</div>
+        )}
+        {error && <div style={{ fontSize: '12px', color: '#ef4444', marginTop: '6px' }}>{error}</div>}
+      </div>
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'flex-start' }}>
+        <button onClick={() => setEditing(true)} style={buttonStyle(false)}>Edit</button>
+        <button onClick={handleDelete} style={{ ...buttonStyle(false), color: '#fca5a5' }}>Delete</button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Full view of one application: overview, status timeline, interviews,
+ * offers, notes, job posting, resume and contacts, each editable in place.
+ */
+export default function ApplicationDetail({
+  application,
+  statusWorkflow,
+  onSave,
+  onStatusChange,
+  onUnghost,
+  onAddInterview,
+  onUpdateInterview,
+  onDeleteInterview,
+  onAddOffer,
+  onUpdateOffer,
+  onDeleteOffer,
+  onAddContact,
+  onUpdateContact,
+  onDeleteContact
+}) {
+  const [editingOverview, setEditingOverview] = useState(false);
+  const [addingContact, setAddingContact] = useState(false);
+  const [addingInterview, setAddingInterview] = useState(false);
+  const [addingOffer, setAddingOffer] = useState(false);
+  const [statusError, setStatusError] = useState(null);
+
+  const accent = STATUS_COLORS[application.status] || '#64748b';
+  const nextStatuses = statusWorkflow?.transitions[application.status] || [];
+  const { resumes, resumesByVersion } = useResumes();
+  const resume = resumesByVersion[application.resume_version];
+  const resumeUrl = getResumeUrl(resume);
+
+  const handleStatusChange = async (e) => {
+    const status = e.target.value;
+    if (status === application.status) return;
+    setStatusError(null);
+    try {
+      await onStatusChange(status);
+    } catch (err) {
+      setStatusError(err.message);
+    }
+  };
+
+  const handleUnghost = async () => {
+    setStatusError(null);
+    try {
+      await onUnghost();
+    } catch (err) {
+      setStatusError(err.message);
+    }
+  };
+
+  return (
+    <div>
+      {/* Header */}
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-end', gap: '24px', margin: '24px 0 32px' }}>
+        <div>
+          <h1 style={{ fontSize: '36px', fontWeight: '700', color: '#f8fafc', margin: 0 }}>{application.company}</h1>
+          <p style={{ fontSize: '18px', color: '#cbd5f5', margin: '8px 0 0' }}>{application.role}</p>
+        </div>
+        <div style={{ textAlign: 'right' }}>
+          <select
+            value={application.status}
+            onChange={handleStatusChange}
+            disabled={nextStatuses.length === 0}
+            aria-label="Status"
+            style={{
+              background: '#020617',
+              color: '#e5e7eb',
+              borderRadius: '999px',
+              padding: '8px 14px',
+              border: `1px solid ${accent}`
+            }}
+          >
+            {[application.status, ...nextStatuses].map(status => (
+              <option key={status} value={status}>{status}</option>
+            ))}
+          </select>
+          {application.status === 'Ghosted' && (
+            <button onClick={handleUnghost} style={{ ...buttonStyle(false), marginLeft: '8px' }}>
+              They replied - undo
+            </button>
+          )}
+          {statusError && <div style={{ fontSize: '12px', color: '#ef4444', marginTop: '6px' }}>{statusError}</div>}
+        </div>
+      </div>
+
+      {/* Overview */}
+      {editingOverview ? (
+        <ApplicationForm
+          application={application}
+          resumes={resumes}
+          onSubmit={async (data) => {
+            await onSave(data);
+            setEditingOverview(false);
+          }}
+          onCancel={() => setEditingOverview(false)}
+        />
+      ) : (
+        <Section
+          title="Overview"
+          actions={<button onClick={() => setEditingOverview(true)} style={buttonStyle(false)}>Edit</button>}
+        >
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '16px', ...mutedStyle }}>
+            <div>📅 Applied {new Date(application.applied_at).toLocaleDateString()}</div>
+            <div>🔗 {application.source}</div>
+          </div>
+        </Section>
+      )}
+
+      {/* Status timeline */}
+      <Section title="Status timeline">
+        {application.history.length === 0 ? (
+          <p style={mutedStyle}>No status changes yet.</p>
+        ) : (
+          <ol style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+            {application.history.map(entry => (
+              <li key={entry.id} style={{
+                borderLeft: `3px solid ${STATUS_COLORS[entry.toStatus] || '#64748b'}`,
+                padding: '4px 0 12px 16px',
+                fontSize: '14px'
+              }}>
+                <div style={{ color: '#f8fafc' }}>
+                  {entry.fromStatus ? `${entry.fromStatus} → ${entry.toStatus}` : entry.toStatus}
+                </div>
+                <div style={{ ...mutedStyle, fontSize: '12px', marginTop: '2px' }}>
+                  {new Date(entry.changedAt).toLocaleString()}
+                  {entry.changedBy === 'system' && ' · automatic'}
+                </div>
+              </li>
+            ))}
+          </ol>
+        )}
+      </Section>
+
+      {/* Interviews */}
+      <Section
+        title="Interviews"
+        actions={
+          <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+            {application.interviews.length > 0 && (
+              <a href={`${API_URL}/applications/${application.id}/calendar.ics`} style={{ color: '#38bdf8', fontSize: '13px' }}>
+                Add to calendar (.ics)
+              </a>
+            )}
+            {!addingInterview && (
+              <button onClick={() => setAddingInterview(true)} style={buttonStyle(true)}>+ Add interview</button>
+            )}
+          </div>
+        }
+      >
+        {addingInterview && (
+          <div style={{ background: 'rgba(2, 6, 23, 0.6)', borderRadius: '12px', padding: '16px', marginBottom: '12px' }}>
+            <FieldsEditor
+              idPrefix="interview-new"
+              fields={INTERVIEW_FIELDS}
+              initialValues={interviewValues()}
+              submitLabel="Add interview"
+              onSave={async (payload) => {
+                await onAddInterview(toInterviewPayload(payload));
+                setAddingInterview(false);
+              }}
+              onCancel={() => setAddingInterview(false)}
+            />
+          </div>
+        )}
+        {application.interviews.length === 0 && !addingInterview && (
+          <p style={mutedStyle}>No interviews scheduled.</p>
+        )}
+        {application.interviews.map(interview => (
+          <InterviewCard
+            key={interview.id}
+            interview={interview}
+            onUpdate={onUpdateInterview}
+            onDelete={onDeleteInterview}
+          />
+        ))}
+      </Section>
+
+      {/* Offers (shown once there is one or the application reached Offer) */}
+      {(application.offers.length > 0 || application.status === 'Offer') && (
+        <Section
+          title="Offers"
+          actions={!addingOffer && application.status === 'Offer' && (
+            <button onClick={() => setAddingOffer(true)} style={buttonStyle(true)}>+ Add offer</button>
+          )}
+        >
+          {addingOffer && (
+            <div style={{ background: 'rgba(2, 6, 23, 0.6)', borderRadius: '12px', padding: '16px', marginBottom: '12px' }}>
+              <FieldsEditor
+                idPrefix="offer-new"
+                fields={OFFER_FIELDS}
+                initialValues={offerValues()}
+                submitLabel="Add offer"
+                onSave={async (payload) => {
+                  await onAddOffer(payload);
+                  setAddingOffer(false);
+                }}
+                onCancel={() => setAddingOffer(false)}
+              />
+            </div>
+          )}
+          {application.offers.length === 0 && !addingOffer && (
+            <p style={mutedStyle}>No offer details recorded yet.</p>
+          )}
+          {application.offers.map(offer => (
+            <OfferCard
+              key={offer.id}
+              offer={offer}
+              onUpdate={onUpdateOffer}
+              onDelete={onDeleteOffer}
+            />
+          ))}
+        </Section>
+      )}
+
+      <EditableSection
+        title="Notes"
+        sectionKey="notes"
+        fields={[{ name: 'notes', label: 'Notes', multiline: true, clearable: true }]}
+        application={application}
+        onSave={onSave}
+      >
+        {application.notes ? (
+          <p style={{ fontSize: '14px', color: '#e5e7eb', whiteSpace: 'pre-wrap', margin: 0 }}>{application.notes}</p>
+        ) : (
+          <p style={mutedStyle}>No notes yet.</p>
+        )}
+      </EditableSection>
+
+      <EditableSection
+        title="Job posting"
+        sectionKey="job"
+        fields={[
+          { name: 'job_url', label: 'Posting URL', type: 'url', clearable: true },
+          { name: 'job_description', label: 'Description', multiline: true, clearable: true }
+        ]}
+        application={application}
+        onSave={onSave}
+      >
+        {application.job_url ? (
+          <a href={application.job_url} target="_blank" rel="noopener noreferrer" style={{ color: '#38bdf8', fontSize: '14px', wordBreak: 'break-all' }}>
+            {application.job_url}
+          </a>
+        ) : (
+          <p style={mutedStyle}>No posting link.</p>
+        )}
+        {application.job_description && (
+          <p style={{ fontSize: '14px', color: '#e5e7eb', whiteSpace: 'pre-wrap', marginTop: '16px', marginBottom: 0 }}>
+            {application.job_description}
+          </p>
+        )}
+      </EditableSection>
+
+      {/* Resume (the version is changed from the overview form) */}
+      <Section title="Resume">
+        {application.resume_version ? (
+          <div style={{ display: 'flex', alignItems: 'center', gap: '16px', fontSize: '14px' }}>
+            <span style={{ color: '#e5e7eb' }}>
+              📄 Version {application.resume_version}{resume?.label ? ` — ${resume.label}` : ''}
+            </span>
+            {resumeUrl ? (
+              <a href={resumeUrl} target="_blank" rel="noopener noreferrer" style={{ color: '#38bdf8' }}>
+                View Resume
+              </a>
+            ) : (
+              <span style={mutedStyle}>No PDF uploaded for this version</span>
+            )}
+          </div>
+        ) : (
+          <p style={mutedStyle}>No resume version recorded.</p>
+        )}
+        {resume?.notes && (
+          <p style={{ fontSize: '13px', color: '#9ca3af', whiteSpace: 'pre-wrap', marginTop: '12px', marginBottom: 0 }}>
+            {resume.notes}
+          </p>
+        )}
+      </Section>
+
+      {/* Contacts */}
+      <Section
+        title="Contacts"
+        actions={!addingContact && (
+          <button onClick={() => setAddingContact(true)} style={buttonStyle(true)}>+ Add contact</button>
+        )}
+      >
+        {addingContact && (
+          <div style={{ background: 'rgba(2, 6, 23, 0.6)', borderRadius: '12px', padding: '16px', marginBottom: '12px' }}>
+            <FieldsEditor
+              idPrefix="contact-new"
+              fields={CONTACT_FIELDS}
+              initialValues={Object.fromEntries(CONTACT_FIELDS.map(({ name }) => [name, '']))}
+              submitLabel="Add contact"
+              onSave={async (payload) => {
+                await onAddContact(payload);
+                setAddingContact(false);
+              }}
+              onCancel={() => setAddingContact(false)}
+            />
+          </div>
+        )}
+        {application.contacts.length === 0 && !addingContact && (
+          <p style={mutedStyle}>No contacts yet.</p>
+        )}
+        {application.contacts.map(contact => (
+          <ContactCard
+            key={contact.id}
+            contact={contact}
+            onUpdate={onUpdateContact}
+            onDelete={onDeleteContact}
+          />
+        ))}
+      </Section>
+    </div>
+  );
+}
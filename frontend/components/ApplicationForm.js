@@ -0,0 +1,215 @@
+'use client';
+
+import { useState } from 'react';
+
+// Same limits as the backend's createApplication schema
+const FIELD_LIMITS = {
+  company: 200,
+  role: 200,
+  source: 100,
+  resume_version: 50
+};
+
+// Turn a stored ISO timestamp into the value of a date input
+function toDateInput(value) {
+  return value ? value.slice(0, 10) : '';
+}
+
+// Check the form the way the API will, so most mistakes never leave the browser
+function validateForm(values) {
+  const errors = {};
+
+  if (!values.company.trim()) errors.company = 'is required';
+  if (!values.role.trim()) errors.role = 'is required';
+
+  Object.entries(FIELD_LIMITS).forEach(([field, maxLength]) => {
+    if (!errors[field] && values[field].trim().length > maxLength) {
+      errors[field] = `must be at most ${maxLength} characters`;
+    }
+  });
+
+  if (values.applied_at && Number.isNaN(Date.parse(values.applied_at))) {
+    errors.applied_at = 'must be a valid date';
+  }
+
+  return errors;
+}
+
+const labelStyle = {
+  display: 'block',
+  fontSize: '13px',
+  color: '#9ca3af',
+  marginBottom: '6px'
+};
+
+const inputStyle = (hasError) => ({
+  width: '100%',
+  boxSizing: 'border-box',
+  background: 'rgba(2, 6, 23, 0.8)',
+  color: '#e5e7eb',
+  borderRadius: '8px',
+  padding: '8px 12px',
+  border: `1px solid ${hasError ? '#ef4444' : 'rgba(148, 163, 184, 0.25)'}`,
+  outline: 'none'
+});
+
+const buttonStyle = (primary) => ({
+  padding: '8px 16px',
+  background: primary ? '#2563eb' : '#020617',
+  color: '#e5e7eb',
+  borderRadius: '999px',
+  border: `1px solid ${primary ? '#2563eb' : 'rgba(148, 163, 184, 0.25)'}`,
+  cursor: 'pointer'
+});
+
+/**
+ * Create/edit form for an application
+ * onSubmit receives only the fields to send; it should throw an Error with
+ * optional `fields` ({ field: message }) when the server rejects the request.
+ * With `resumes` (from the resume library) the version is picked from the
+ * active versions instead of typed; leaving it empty lets the API default to
+ * the newest one.
+ */
+export default function ApplicationForm({ application, resumes, onSubmit, onCancel }) {
+  const isEdit = Boolean(application);
+  const initialValues = {
+    company: application?.company || '',
+    role: application?.role || '',
+    source: application?.source || '',
+    resume_version: application?.resume_version || '',
+    applied_at: toDateInput(application?.applied_at)
+  };
+
+  const [values, setValues] = useState(initialValues);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [formError, setFormError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleChange = (field) => (e) => {
+    setValues({ ...values, [field]: e.target.value });
+    setFieldErrors({ ...fieldErrors, [field]: undefined });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const errors = validateForm(values);
+    setFieldErrors(errors);
+    setFormError(null);
+    if (Object.keys(errors).length > 0) return;
+
+    // Send trimmed, non-empty values; edits only send what changed so an
+    // untouched applied date keeps its original time of day
+    const payload = {};
+    Object.entries(values).forEach(([field, value]) => {
+      const trimmed = value.trim();
+      if (trimmed === '' || (isEdit && trimmed === initialValues[field])) return;
+      payload[field] = trimmed;
+    });
+
+    setSubmitting(true);
+    try {
+      await onSubmit(payload);
+    } catch (err) {
+      setFieldErrors(err.fields || {});
+      setFormError(err.message);
+      setSubmitting(false);
+    }
+  };
+
+  const renderField = (field, label, props = {}) => (
+    <div>
+      <label htmlFor={`application-${field}`} style={labelStyle}>{label}</label>
+      <input
+        id={`application-${field}`}
+        value={values[field]}
+        onChange={handleChange(field)}
+        style={inputStyle(Boolean(fieldErrors[field]))}
+        {...props}
+      />
+      {fieldErrors[field] && (
+        <div style={{ fontSize: '12px', color: '#ef4444', marginTop: '4px' }}>
+          {label.replace(' *', '')} {fieldErrors[field]}
+        </div>
+      )}
+    </div>
+  );
+
+  // Archived versions are not offered, except the one the application already uses
+  const renderResumeSelect = () => {
+    const options = resumes.filter(resume => !resume.archived_at || resume.version === initialValues.resume_version);
+    return (
+      <div>
+        <label htmlFor="application-resume_version" style={labelStyle}>Resume version</label>
+        <select
+          id="application-resume_version"
+          value={values.resume_version}
+          onChange={handleChange('resume_version')}
+          style={inputStyle(Boolean(fieldErrors.resume_version))}
+        >
+          {!isEdit && <option value="">Latest</option>}
+          {isEdit && !initialValues.resume_version && <option value="">None</option>}
+          {options.map(resume => (
+            <option key={resume.id} value={resume.version}>
+              {resume.version}{resume.label ? ` — ${resume.label}` : ''}{resume.archived_at ? ' (archived)' : ''}
+            </option>
+          ))}
+        </select>
+        {fieldErrors.resume_version && (
+          <div style={{ fontSize: '12px', color: '#ef4444', marginTop: '4px' }}>
+            Resume version {fieldErrors.resume_version}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      noValidate
+      style={{
+        background: 'rgba(2, 6, 23, 0.6)',
+        borderRadius: '14px',
+        padding: '20px',
+        marginBottom: '16px',
+        border: '1px solid rgba(56, 189, 248, 0.3)'
+      }}
+    >
+      <div style={{ fontSize: '16px', fontWeight: '600', color: '#f8fafc', marginBottom: '16px' }}>
+        {isEdit ? `Edit ${application.company}` : 'New application'}
+      </div>
+
+      {formError && (
+        <div style={{
+          color: '#fca5a5',
+          background: 'rgba(239, 68, 68, 0.1)',
+          border: '1px solid rgba(239, 68, 68, 0.3)',
+          borderRadius: '8px',
+          padding: '8px 12px',
+          marginBottom: '16px',
+          fontSize: '13px'
+        }}>
+          {formError}
+        </div>
+      )}
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '16px' }}>
+        {renderField('company', 'Company *', { autoFocus: true })}
+        {renderField('role', 'Role *')}
+        {renderField('source', 'Source', { placeholder: 'Direct' })}
+        {resumes ? renderResumeSelect() : renderField('resume_version', 'Resume version', { placeholder: '1.0' })}
+        {renderField('applied_at', 'Applied date', { type: 'date' })}
+      </div>
+
+      <div style={{ display: 'flex', gap: '12px', justifyContent: 'flex-end', marginTop: '20px' }}>
+        <button type="button" onClick={onCancel} disabled={submitting} style={buttonStyle(false)}>
+          Cancel
+        </button>
+        <button type="submit" disabled={submitting} style={buttonStyle(true)}>
+          {submitting ? 'Saving...' : isEdit ? 'Save changes' : 'Add application'}
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -1,20 +1,84 @@
 'use client';
 
 import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import ApplicationForm from './ApplicationForm';
+import MatchScore from './MatchScore';
+import FollowUpReminders from './FollowUpReminders';
+import KanbanBoard from './KanbanBoard';
+import InsightsCharts from './InsightsCharts';
+import OfferComparison from './OfferComparison';
+import { getResumeUrl, useResumes } from '../lib/resumes';
+import { useFollowUps } from '../lib/followUps';
+import { useOfferComparison } from '../lib/offers';
+
+const DEFAULT_STATUSES = ['Applied', 'Interview', 'Offer', 'Rejected', 'Withdrawn', 'Ghosted'];
+// localStorage key for the list/board choice
+const VIEW_STORAGE_KEY = 'jobTracker.view';
 
 export default function Dashboard({
   applications,
-  onUpdateStatus
+  onUpdateStatus,
+  onCreateApplication,
+  onEditApplication,
+  onDeleteApplication,
+  statusCounts: serverStatusCounts,
+  totalCount,
+  hasMore = false,
+  loadingMore = false,
+  onLoadMore,
+  filters = { q: '', status: '' },
+  onFiltersChange,
+  followUpsKey = 0
 }) {
   const [insights, setInsights] = useState(null);
   const [loadingInsights, setLoadingInsights] = useState(true);
+  const [insightsInterval, setInsightsInterval] = useState('week');
   const [error, setError] = useState(null);
+  const [statusWorkflow, setStatusWorkflow] = useState(null);
+  // 'new' while adding, an application ID while editing, otherwise null
+  const [editingId, setEditingId] = useState(null);
+  const [view, setView] = useState('list');
+  const { resumes, resumesByVersion } = useResumes();
+  const { reminders, snooze, dismiss } = useFollowUps(followUpsKey);
+  const followUpApplicationIds = new Set(reminders.map(reminder => reminder.application_id));
+  const offerComparison = useOfferComparison(applications);
+
+  // Restore the view chosen last time in this browser
+  useEffect(() => {
+    const savedView = window.localStorage.getItem(VIEW_STORAGE_KEY);
+    if (savedView === 'list' || savedView === 'board') {
+      setView(savedView);
+    }
+  }, []);
+
+  const handleViewChange = (nextView) => {
+    setView(nextView);
+    window.localStorage.setItem(VIEW_STORAGE_KEY, nextView);
+  };
+
+  // Fetch the status workflow once so dropdowns only offer legal next states
+  useEffect(() => {
+    const fetchStatusWorkflow = async () => {
+      try {
+        const response = await fetch('http://localhost:3001/api/statuses');
+        if (!response.ok) {
+          throw new Error('Failed to fetch statuses');
+        }
+        setStatusWorkflow(await response.json());
+      } catch (err) {
+        console.error('Error fetching statuses:', err);
+      }
+    };
+
+    fetchStatusWorkflow();
+  }, []);
 
   // Fetch insights from backend
   useEffect(() => {
     const fetchInsights = async () => {
       try {
-        const response = await fetch('http://localhost:3001/api/applications/insights');
+        const response = await fetch(`http://localhost:3001/api/applications/insights?interval=${insightsInterval}`);
         if (!response.ok) {
           throw new Error('Failed to fetch insights');
         }
@@ -29,18 +93,24 @@ export default function Dashboard({
     };
 
     fetchInsights();
-  }, [applications]);
+  }, [applications, insightsInterval]);
 
   // Get status count statistics
+  // Prefer server counts: the list is paginated, so loaded cards are only a subset
   const getStatusCounts = () => {
     const counts = {
       Applied: 0,
       Interview: 0,
       Offer: 0,
       Rejected: 0,
-      Withdrawn: 0
+      Withdrawn: 0,
+      Ghosted: 0
     };
 
+    if (serverStatusCounts) {
+      return { ...counts, ...serverStatusCounts };
+    }
+
     applications.forEach(app => {
       if (counts.hasOwnProperty(app.status)) {
         counts[app.status]++;
@@ -51,7 +121,9 @@ export default function Dashboard({
   };
 
   const statusCounts = getStatusCounts();
-  const totalApplications = applications.length;
+  const totalApplications = serverStatusCounts
+    ? Object.values(serverStatusCounts).reduce((sum, count) => sum + count, 0)
+    : applications.length;
 
   // Get status accent color for left bar
   const getStatusAccentColor = (status) => {
@@ -61,35 +133,71 @@ export default function Dashboard({
       case 'Offer': return '#22c55e';
       case 'Rejected': return '#ef4444';
       case 'Withdrawn': return '#64748b';
+      case 'Ghosted': return '#a78bfa';
       default: return '#64748b';
     }
   };
 
-  // Helper function to map resume version to file URL
-  function getResumeUrl(resumeVersion) {
-    const versionMap = {
-      '1.0': '/resumes/resume_v1.pdf',
-      '2.0': '/resumes/resume_v2.pdf'
-    };
-    return versionMap[resumeVersion] || null;
-  }
+  // Statuses offered for an application: its current status plus legal next states
+  const getStatusOptions = (currentStatus) => {
+    if (!statusWorkflow) {
+      return DEFAULT_STATUSES;
+    }
+    const allowed = statusWorkflow.transitions[currentStatus] || [];
+    return [currentStatus, ...allowed];
+  };
 
-  // Global smooth transitions
-  const globalTransition = 'color 0.2s ease, background 0.2s ease, box-shadow 0.2s ease';
+  // Statuses an application may move to (board drop targets)
+  const getAllowedTransitions = (currentStatus) => getStatusOptions(currentStatus)
+    .filter(status => status !== currentStatus);
+
+  // Update status, surfacing rejected transitions to the user
+  const handleStatusChange = async (id, newStatus) => {
+    try {
+      await onUpdateStatus(id, newStatus);
+    } catch (err) {
+      window.alert(err.message);
+    }
+  };
 
-  // Helper function to clean insights text
-  function formatInsights(text) {
-    if (!text) return '';
+  // Close the form only once the server accepted the change; errors stay inline
+  const handleCreate = async (data) => {
+    await onCreateApplication(data);
+    setEditingId(null);
+  };
 
-    return text
-      // remove markdown bold markers
-      .replace(/\*\*/g, '')
-      // remove long divider lines
-      .replace(/={3,}/g, '')
-      // normalize spacing
-      .replace(/\n{3,}/g, '\n\n')
-      .trim();
-  }
+  const handleEdit = async (id, data) => {
+    if (Object.keys(data).length > 0) {
+      await onEditApplication(id, data);
+    }
+    setEditingId(null);
+  };
+
+  // Ask before deleting; failures are rolled back by the parent
+  const handleDelete = async (app) => {
+    if (!window.confirm(`Delete the application to ${app.company} (${app.role})? This cannot be undone.`)) {
+      return;
+    }
+    try {
+      await onDeleteApplication(app.id);
+    } catch (err) {
+      window.alert(err.message);
+    }
+  };
+
+  // Small outlined button used for card actions
+  const actionButtonStyle = (color = '#9ca3af') => ({
+    fontSize: '12px',
+    padding: '4px 10px',
+    background: 'transparent',
+    color,
+    border: '1px solid rgba(148, 163, 184, 0.3)',
+    borderRadius: '999px',
+    cursor: 'pointer'
+  });
+
+  // Global smooth transitions
+  const globalTransition = 'color 0.2s ease, background 0.2s ease, box-shadow 0.2s ease';
 
   return (
     <div style={{ maxWidth: '1100px', margin: '0 auto' }}>
@@ -306,14 +414,104 @@ export default function Dashboard({
         marginTop: '32px',
         border: '1px solid rgba(148, 163, 184, 0.1)'
       }}>
-        <h2 style={{
-          fontSize: '20px',
-          fontWeight: '600',
-          marginBottom: '16px',
-          color: '#f8fafc'
-        }}>
-          Job Applications
-        </h2>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+          <h2 style={{
+            fontSize: '20px',
+            fontWeight: '600',
+            margin: '0',
+            color: '#f8fafc'
+          }}>
+            Job Applications
+          </h2>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+            <FollowUpReminders reminders={reminders} onSnooze={snooze} onDismiss={dismiss} />
+            {/* List/board switch, remembered per browser */}
+            <div role="group" aria-label="View" style={{
+              display: 'flex',
+              border: '1px solid rgba(148, 163, 184, 0.25)',
+              borderRadius: '999px',
+              overflow: 'hidden'
+            }}>
+              {['list', 'board'].map(option => (
+                <button
+                  key={option}
+                  onClick={() => handleViewChange(option)}
+                  aria-pressed={view === option}
+                  style={{
+                    padding: '6px 14px',
+                    background: view === option ? 'rgba(56, 189, 248, 0.2)' : 'transparent',
+                    color: view === option ? '#f8fafc' : '#9ca3af',
+                    border: 'none',
+                    cursor: 'pointer'
+                  }}
+                >
+                  {option === 'list' ? 'List' : 'Board'}
+                </button>
+              ))}
+            </div>
+            {onCreateApplication && editingId !== 'new' && (
+              <button
+                onClick={() => setEditingId('new')}
+                style={{
+                  padding: '8px 16px',
+                  background: '#2563eb',
+                  color: '#e5e7eb',
+                  borderRadius: '999px',
+                  border: '1px solid #2563eb',
+                  cursor: 'pointer'
+                }}
+              >
+                + Add application
+              </button>
+            )}
+          </div>
+        </div>
+
+        {editingId === 'new' && (
+          <ApplicationForm
+            resumes={resumes}
+            onSubmit={handleCreate}
+            onCancel={() => setEditingId(null)}
+          />
+        )}
+
+        {/* Search and filters */}
+        {onFiltersChange && (
+          <div style={{ display: 'flex', gap: '12px', marginBottom: '16px' }}>
+            <input
+              type="search"
+              value={filters.q}
+              onChange={(e) => onFiltersChange({ ...filters, q: e.target.value })}
+              placeholder="Search company, role or notes..."
+              style={{
+                flex: '1',
+                background: 'rgba(2, 6, 23, 0.8)',
+                color: '#e5e7eb',
+                borderRadius: '999px',
+                padding: '8px 16px',
+                border: '1px solid rgba(148, 163, 184, 0.25)',
+                outline: 'none'
+              }}
+            />
+            <select
+              value={filters.status}
+              onChange={(e) => onFiltersChange({ ...filters, status: e.target.value })}
+              style={{
+                background: 'rgba(2, 6, 23, 0.8)',
+                color: '#e5e7eb',
+                borderRadius: '999px',
+                padding: '6px 12px',
+                border: '1px solid rgba(148, 163, 184, 0.25)',
+                cursor: 'pointer'
+              }}
+            >
+              <option value="">All statuses</option>
+              {(statusWorkflow?.states || Object.keys(statusCounts)).map(status => (
+                <option key={status} value={status}>{status}</option>
+              ))}
+            </select>
+          </div>
+        )}
 
         {applications.length === 0 ? (
           <div style={{ textAlign: 'center', padding: '24px', color: '#9ca3af' }}>
@@ -321,10 +519,28 @@ export default function Dashboard({
           </div>
         ) : (
           <div>
-            {applications.map((app) => (
+            {view === 'board' ? (
+              <KanbanBoard
+                applications={applications}
+                statuses={statusWorkflow?.states || DEFAULT_STATUSES}
+                statusCounts={statusCounts}
+                getAllowedTransitions={getAllowedTransitions}
+                getStatusAccentColor={getStatusAccentColor}
+                onMove={handleStatusChange}
+              />
+            ) : applications.map((app) => editingId === app.id ? (
+              <ApplicationForm
+                key={app.id}
+                application={app}
+                resumes={resumes}
+                onSubmit={(data) => handleEdit(app.id, data)}
+                onCancel={() => setEditingId(null)}
+              />
+            ) : (
               <div
                 key={app.id}
                 style={{
+                  opacity: app.pending ? 0.6 : 1,
                   background: 'rgba(2, 6, 23, 0.6)',
                   borderRadius: '14px',
                   padding: '20px',
@@ -356,17 +572,37 @@ export default function Dashboard({
                 <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', paddingLeft: '12px' }}>
                   <div style={{ flex: '1' }}>
                     <div style={{ fontSize: '18px', fontWeight: '600', color: '#f8fafc' }}>
-                      {app.company}
+                      {app.pending ? app.company : (
+                        <Link href={`/applications/${app.id}`} style={{ color: 'inherit', textDecoration: 'none' }}>
+                          {app.company}
+                        </Link>
+                      )}
                     </div>
                     <div style={{ fontSize: '15px', color: '#cbd5f5', marginTop: '4px' }}>
                       {app.role}
+                      {followUpApplicationIds.has(app.id) && (
+                        <span
+                          title="No reply for a while - time to follow up"
+                          style={{
+                            marginLeft: '8px',
+                            fontSize: '12px',
+                            padding: '2px 8px',
+                            borderRadius: '999px',
+                            background: 'rgba(250, 204, 21, 0.15)',
+                            color: '#facc15'
+                          }}
+                        >
+                          ⏰ Follow up
+                        </span>
+                      )}
                     </div>
                     <div style={{ fontSize: '13px', color: '#9ca3af', marginTop: '8px' }}>
-                      📅 {new Date(app.applied_at).toLocaleDateString()} | 🔗 {app.source} | 📄 Resume v{app.resume_version}
-                      {getResumeUrl(app.resume_version) && (
+                      📅 {new Date(app.applied_at).toLocaleDateString()} | 🔗 {app.source}
+                      {app.resume_version && ` | 📄 Resume v${app.resume_version}`}
+                      {getResumeUrl(resumesByVersion[app.resume_version]) && (
                         <span style={{ marginLeft: '8px' }}>
                           <button
-                            onClick={() => window.open(getResumeUrl(app.resume_version), '_blank')}
+                            onClick={() => window.open(getResumeUrl(resumesByVersion[app.resume_version]), '_blank')}
                             style={{
                               fontSize: '12px',
                               padding: '2px 8px',
@@ -391,11 +627,31 @@ export default function Dashboard({
                         </span>
                       )}
                     </div>
+                    <MatchScore application={app} />
                   </div>
-                  <div>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                    {onEditApplication && (
+                      <button
+                        onClick={() => setEditingId(app.id)}
+                        disabled={app.pending}
+                        style={actionButtonStyle()}
+                      >
+                        Edit
+                      </button>
+                    )}
+                    {onDeleteApplication && (
+                      <button
+                        onClick={() => handleDelete(app)}
+                        disabled={app.pending}
+                        style={actionButtonStyle('#fca5a5')}
+                      >
+                        Delete
+                      </button>
+                    )}
                     <select
                       value={app.status}
-                      onChange={(e) => onUpdateStatus(app.id, e.target.value)}
+                      onChange={(e) => handleStatusChange(app.id, e.target.value)}
+                      disabled={app.pending || getStatusOptions(app.status).length <= 1}
                       style={{
                         background: 'rgba(2, 6, 23, 0.8)',
                         color: '#e5e7eb',
@@ -415,20 +671,42 @@ export default function Dashboard({
                         e.currentTarget.style.boxShadow = '';
                       }}
                     >
-                      <option value="Applied">Applied</option>
-                      <option value="Interview">Interview</option>
-                      <option value="Offer">Offer</option>
-                      <option value="Rejected">Rejected</option>
-                      <option value="Withdrawn">Withdrawn</option>
+                      {getStatusOptions(app.status).map(status => (
+                        <option key={status} value={status}>{status}</option>
+                      ))}
                     </select>
                   </div>
                 </div>
               </div>
             ))}
+
+            {/* Pagination */}
+            <div style={{ textAlign: 'center', fontSize: '13px', color: '#9ca3af' }}>
+              Showing {applications.length}{totalCount !== undefined ? ` of ${totalCount}` : ''} applications
+              {hasMore && onLoadMore && (
+                <button
+                  onClick={onLoadMore}
+                  disabled={loadingMore}
+                  style={{
+                    marginLeft: '12px',
+                    padding: '6px 14px',
+                    background: '#020617',
+                    color: '#e5e7eb',
+                    borderRadius: '999px',
+                    border: '1px solid rgba(148, 163, 184, 0.25)',
+                    cursor: loadingMore ? 'default' : 'pointer'
+                  }}
+                >
+                  {loadingMore ? 'Loading...' : 'Load more'}
+                </button>
+              )}
+            </div>
           </div>
         )}
       </div>
 
+      <OfferComparison comparison={offerComparison} />
+
       {/* Insights Section */}
       <div style={{
         background: 'linear-gradient(135deg, rgba(59,130,246,0.15), rgba(168,85,247,0.15))',
@@ -439,23 +717,47 @@ export default function Dashboard({
         lineHeight: '1.75',
         fontSize: '14px'
       }}>
-        <h2 style={{
-          fontSize: '20px',
-          fontWeight: '600',
-          marginBottom: '16px',
-          color: '#f8fafc'
-        }}>
-          AI-Powered Insights
-        </h2>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+          <h2 style={{
+            fontSize: '20px',
+            fontWeight: '600',
+            margin: '0',
+            color: '#f8fafc'
+          }}>
+            AI-Powered Insights
+          </h2>
+          {/* Trend bucket size; comparisons cover the last week or month */}
+          <div role="group" aria-label="Trend interval" style={{
+            display: 'flex',
+            border: '1px solid rgba(148, 163, 184, 0.25)',
+            borderRadius: '999px',
+            overflow: 'hidden'
+          }}>
+            {['week', 'month'].map(option => (
+              <button
+                key={option}
+                onClick={() => setInsightsInterval(option)}
+                aria-pressed={insightsInterval === option}
+                style={{
+                  padding: '6px 14px',
+                  background: insightsInterval === option ? 'rgba(168, 85, 247, 0.25)' : 'transparent',
+                  color: insightsInterval === option ? '#f8fafc' : '#9ca3af',
+                  border: 'none',
+                  cursor: 'pointer'
+                }}
+              >
+                {option === 'week' ? 'Weekly' : 'Monthly'}
+              </button>
+            ))}
+          </div>
+        </div>
 
         {loadingInsights ? (
           <div style={{ color: '#9ca3af' }}>Loading insights...</div>
         ) : error ? (
           <div style={{ color: '#ef4444' }}>Error: {error}</div>
         ) : insights ? (
-          <pre className="insights-text">
-            {formatInsights(insights.comprehensiveSummary)}
-          </pre>
+          <InsightsCharts detailedInsights={insights.detailedInsights} />
         ) : (
           <div style={{ color: '#9ca3af' }}>No insights available</div>
         )}
@@ -0,0 +1,94 @@
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+
+const STATUS_COLORS = {
+  Applied: '#38bdf8',
+  Interview: '#facc15'
+};
+
+const smallButtonStyle = {
+  fontSize: '12px',
+  padding: '4px 10px',
+  background: 'transparent',
+  color: '#9ca3af',
+  border: '1px solid rgba(148, 163, 184, 0.3)',
+  borderRadius: '999px',
+  cursor: 'pointer'
+};
+
+/**
+ * Badge with the number of applications due a follow-up; opens a list
+ * where each reminder can be snoozed for a few days or dismissed
+ */
+export default function FollowUpReminders({ reminders, onSnooze, onDismiss }) {
+  const [open, setOpen] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (reminders.length === 0) return null;
+
+  const handle = async (action) => {
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <button
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+        style={{
+          padding: '6px 14px',
+          background: 'rgba(250, 204, 21, 0.15)',
+          color: '#facc15',
+          border: '1px solid rgba(250, 204, 21, 0.4)',
+          borderRadius: '999px',
+          cursor: 'pointer'
+        }}
+      >
+        ⏰ {reminders.length} to follow up
+      </button>
+
+      {open && (
+        <div style={{
+          position: 'absolute',
+          right: 0,
+          top: 'calc(100% + 8px)',
+          width: '360px',
+          zIndex: 10,
+          background: 'rgba(2, 6, 23, 0.95)',
+          border: '1px solid rgba(148, 163, 184, 0.25)',
+          borderRadius: '14px',
+          padding: '12px'
+        }}>
+          {error && <div style={{ fontSize: '12px', color: '#ef4444', marginBottom: '8px' }}>{error}</div>}
+          {reminders.map(reminder => (
+            <div key={reminder.id} style={{
+              padding: '10px 4px',
+              borderBottom: '1px solid rgba(148, 163, 184, 0.1)'
+            }}>
+              <Link href={`/applications/${reminder.application_id}`} style={{ color: '#f8fafc', fontWeight: '600', textDecoration: 'none' }}>
+                {reminder.company}
+              </Link>
+              <div style={{ fontSize: '13px', color: '#cbd5f5' }}>{reminder.role}</div>
+              <div style={{ fontSize: '12px', color: '#9ca3af', margin: '4px 0 8px' }}>
+                <span style={{ color: STATUS_COLORS[reminder.status] || '#9ca3af' }}>{reminder.status}</span>
+                {` for ${reminder.days_waiting} days`}
+              </div>
+              <div style={{ display: 'flex', gap: '8px' }}>
+                <button onClick={() => handle(() => onSnooze(reminder.id, 3))} style={smallButtonStyle}>Snooze 3 days</button>
+                <button onClick={() => handle(() => onSnooze(reminder.id, 7))} style={smallButtonStyle}>1 week</button>
+                <button onClick={() => handle(() => onDismiss(reminder.id))} style={smallButtonStyle}>Dismiss</button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,369 @@
+'use client';
+
+const STAGE_COLORS = {
+  Applied: '#38bdf8',
+  Interview: '#facc15',
+  Offer: '#22c55e',
+  Rejected: '#ef4444',
+  Ghosted: '#a78bfa'
+};
+
+const RESPONSE_STATUSES = ['Interview', 'Offer', 'Rejected'];
+
+// Most recent trend periods shown; older ones are still in the API response
+const TREND_PERIODS = 12;
+
+const cardStyle = {
+  background: 'rgba(2, 6, 23, 0.6)',
+  borderRadius: '14px',
+  padding: '20px',
+  border: '1px solid rgba(148, 163, 184, 0.08)'
+};
+
+const chartTitleStyle = {
+  fontSize: '15px',
+  fontWeight: '600',
+  color: '#f8fafc',
+  marginBottom: '16px'
+};
+
+const mutedStyle = { fontSize: '13px', color: '#9ca3af' };
+
+// Rates come back as numbers or as "40%" strings depending on the analysis
+function toPercent(value) {
+  return typeof value === 'number' ? value : parseInt(value, 10) || 0;
+}
+
+function ChartCard({ title, empty, children }) {
+  return (
+    <div style={cardStyle}>
+      <div style={chartTitleStyle}>{title}</div>
+      {empty ? <div style={mutedStyle}>Not enough data yet</div> : children}
+    </div>
+  );
+}
+
+// Horizontal bar with its label on the left and value on the right
+// An optional range ({ lower, upper } in percent) is drawn as a whisker over the bar
+function BarRow({ label, percent, color, value, title, range, faded = false }) {
+  return (
+    <div style={{ display: 'grid', gridTemplateColumns: '96px 1fr 56px', alignItems: 'center', gap: '12px', marginBottom: '10px', opacity: faded ? 0.55 : 1 }} title={title}>
+      <span style={{ fontSize: '13px', color: '#cbd5f5', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+        {label}
+      </span>
+      <div style={{ position: 'relative', background: 'rgba(148, 163, 184, 0.12)', borderRadius: '999px', height: '10px' }}>
+        <div style={{
+          width: `${Math.min(100, Math.max(0, percent))}%`,
+          height: '100%',
+          background: color,
+          borderRadius: '999px',
+          transition: 'width 0.3s ease'
+        }} />
+        {range && (
+          <div style={{
+            position: 'absolute',
+            top: '-3px',
+            left: `${range.lower}%`,
+            width: `${Math.max(0, range.upper - range.lower)}%`,
+            height: '16px',
+            boxSizing: 'border-box',
+            borderLeft: '2px solid #f8fafc',
+            borderRight: '2px solid #f8fafc',
+            background: 'linear-gradient(#f8fafc, #f8fafc) center / 100% 2px no-repeat'
+          }} />
+        )}
+      </div>
+      <span style={{ fontSize: '13px', color: '#f8fafc', textAlign: 'right' }}>{value}</span>
+    </div>
+  );
+}
+
+// Applied → Interview → Offer, each stage centred and sized by its share of applications
+function FunnelChart({ funnel }) {
+  const stages = funnel?.stages || [];
+  const applied = stages[0]?.count || 0;
+
+  return (
+    <ChartCard title="Application funnel" empty={applied === 0}>
+      {stages.map((stage, index) => (
+        <div key={stage.stage} style={{ marginBottom: '8px' }}>
+          <div style={{
+            width: `${Math.max(stage.rate, 8)}%`,
+            margin: '0 auto',
+            background: STAGE_COLORS[stage.stage],
+            color: '#020617',
+            borderRadius: '8px',
+            padding: '8px 0',
+            textAlign: 'center',
+            fontSize: '13px',
+            fontWeight: '600',
+            transition: 'width 0.3s ease'
+          }}>
+            {stage.count}
+          </div>
+          <div style={{ ...mutedStyle, textAlign: 'center', marginTop: '4px' }}>
+            {stage.stage}
+            {index > 0 && ` · ${stage.conversionRate}% of ${stages[index - 1].stage.toLowerCase()}`}
+          </div>
+        </div>
+      ))}
+    </ChartCard>
+  );
+}
+
+// Rejected and ghosted bars per source; ghosted applications never got an answer
+function RejectionBySourceChart({ rejectionRate }) {
+  const sources = rejectionRate?.insights || [];
+
+  return (
+    <ChartCard title="Rejection and ghost rate by source" empty={sources.length === 0}>
+      {sources.map(source => (
+        <div key={source.source} style={{ marginBottom: '6px' }}>
+          <BarRow
+            label={source.source}
+            percent={toPercent(source.rejectionRate)}
+            color={STAGE_COLORS.Rejected}
+            value={source.rejectionRate}
+            title={`${source.rejectionCount} of ${source.totalApplications} applications rejected`}
+          />
+          <BarRow
+            label=""
+            percent={toPercent(source.ghostRate)}
+            color={STAGE_COLORS.Ghosted}
+            value={source.ghostRate}
+            title={`${source.ghostCount} of ${source.totalApplications} applications ghosted`}
+          />
+        </div>
+      ))}
+      <div style={{ display: 'flex', gap: '16px', marginTop: '8px', justifyContent: 'center' }}>
+        {['Rejected', 'Ghosted'].map(status => (
+          <span key={status} style={{ ...mutedStyle, display: 'flex', alignItems: 'center', gap: '6px' }}>
+            <span style={{ width: '10px', height: '10px', borderRadius: '2px', background: STAGE_COLORS[status] }} />
+            {status}
+          </span>
+        ))}
+      </div>
+    </ChartCard>
+  );
+}
+
+// Success rate with its 95% confidence interval; versions below the minimum sample are faded
+function ResumeSuccessChart({ resumePerformance }) {
+  const versions = resumePerformance?.versions || [];
+  const recommendation = resumePerformance?.recommendation;
+
+  return (
+    <ChartCard title="Success rate by resume version" empty={versions.length === 0}>
+      {versions.map(version => {
+        const range = version.confidenceIntervals?.successRate;
+        return (
+          <BarRow
+            key={version.version}
+            label={`Resume ${version.version}`}
+            percent={version.successRate}
+            color={STAGE_COLORS.Offer}
+            value={`${version.successRate}%`}
+            range={range}
+            faded={!version.sufficientSample}
+            title={`${version.interviewRate}% interviews, ${version.offerRate}% offers, ${version.ghostRate}% ghosted from ${version.totalApplications} applications` +
+              (range ? ` (95% CI ${range.lower}-${range.upper}%)` : '')}
+          />
+        );
+      })}
+      <div style={{ ...mutedStyle, marginTop: '12px' }}>
+        {recommendation
+          ? `Resume ${recommendation.version} is significantly better than the other versions.`
+          : resumePerformance?.comparisons?.length > 0
+            ? 'No significant difference between versions yet.'
+            : `Not enough data to decide: versions need ${resumePerformance?.minSampleSize} applications each.`}
+      </div>
+    </ChartCard>
+  );
+}
+
+// Interview rate per resume match score band, with the overall correlation
+function MatchScoreChart({ matchScore }) {
+  const bands = matchScore?.bands || [];
+  const averages = matchScore?.averageScores || {};
+
+  return (
+    <ChartCard title="Interview rate by resume match" empty={!matchScore?.scoredApplications}>
+      {bands.map(band => (
+        <BarRow
+          key={band.band}
+          label={`Score ${band.band}`}
+          percent={band.interviewRate}
+          color={STAGE_COLORS.Interview}
+          value={band.count > 0 ? `${band.interviewRate}%` : '-'}
+          faded={band.count === 0}
+          title={`${band.interviews} of ${band.count} applications reached an interview`}
+        />
+      ))}
+      <div style={{ ...mutedStyle, marginTop: '12px' }}>
+        {averages.interviewed != null && `Average score with an interview: ${averages.interviewed}. `}
+        {averages.notInterviewed != null && `Without: ${averages.notInterviewed}. `}
+        {!matchScore?.sufficientSample
+          ? 'Not enough scored applications to judge the correlation yet.'
+          : matchScore.correlation === null
+            ? 'No variation to correlate yet.'
+            : `Correlation ${matchScore.correlation}${matchScore.significant ? ' (significant)' : ' (not significant)'}.`}
+      </div>
+    </ChartCard>
+  );
+}
+
+// Stacked columns: one per time bucket, split by the status the response moved to
+function ResponseTimeHistogram({ responseTime }) {
+  const buckets = responseTime?.histogram || [];
+  const totals = buckets.map(bucket => RESPONSE_STATUSES.reduce((sum, status) => sum + (bucket[status] || 0), 0));
+  const maxTotal = Math.max(0, ...totals);
+  const chartHeight = 140;
+
+  return (
+    <ChartCard title="Response time" empty={maxTotal === 0}>
+      <div style={{ display: 'flex', alignItems: 'flex-end', gap: '12px', height: `${chartHeight}px` }}>
+        {buckets.map((bucket, index) => (
+          <div
+            key={bucket.bucket}
+            title={RESPONSE_STATUSES.map(status => `${status}: ${bucket[status] || 0}`).join(', ')}
+            style={{ flex: 1, display: 'flex', flexDirection: 'column-reverse', height: '100%' }}
+          >
+            {RESPONSE_STATUSES.map(status => (bucket[status] || 0) > 0 && (
+              <div key={status} style={{
+                height: `${(bucket[status] / maxTotal) * chartHeight}px`,
+                background: STAGE_COLORS[status],
+                borderRadius: '4px',
+                marginTop: '2px'
+              }} />
+            ))}
+            <div style={{ ...mutedStyle, textAlign: 'center', marginBottom: '4px' }}>{totals[index] || ''}</div>
+          </div>
+        ))}
+      </div>
+      <div style={{ display: 'flex', gap: '12px', marginTop: '8px' }}>
+        {buckets.map(bucket => (
+          <div key={bucket.bucket} style={{ ...mutedStyle, flex: 1, textAlign: 'center', fontSize: '12px' }}>
+            {bucket.bucket}
+          </div>
+        ))}
+      </div>
+      <div style={{ display: 'flex', gap: '16px', marginTop: '12px', justifyContent: 'center' }}>
+        {RESPONSE_STATUSES.map(status => (
+          <span key={status} style={{ ...mutedStyle, display: 'flex', alignItems: 'center', gap: '6px' }}>
+            <span style={{ width: '10px', height: '10px', borderRadius: '2px', background: STAGE_COLORS[status] }} />
+            {status}
+          </span>
+        ))}
+      </div>
+    </ChartCard>
+  );
+}
+
+// Applications and interviews per period as paired columns, rolling rejection rate underneath
+function TrendChart({ trends }) {
+  const series = (trends?.series || []).slice(-TREND_PERIODS);
+  const maxCount = Math.max(0, ...series.map(point => Math.max(point.applications, point.interviews)));
+  const chartHeight = 120;
+  const formatPeriod = (value) => new Date(value).toLocaleDateString(undefined, trends.interval === 'month'
+    ? { month: 'short', year: '2-digit', timeZone: 'UTC' }
+    : { month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+  return (
+    <ChartCard title={`Applications and interviews per ${trends?.interval || 'week'}`} empty={maxCount === 0}>
+      <div style={{ display: 'flex', alignItems: 'flex-end', gap: '8px', height: `${chartHeight}px` }}>
+        {series.map(point => (
+          <div
+            key={point.periodStart}
+            title={`${point.applications} applications, ${point.interviews} interviews, ${point.rollingRejectionRate ?? 'n/a'}% rolling rejection rate`}
+            style={{ flex: 1, display: 'flex', alignItems: 'flex-end', gap: '2px', height: '100%' }}
+          >
+            {[['applications', STAGE_COLORS.Applied], ['interviews', STAGE_COLORS.Interview]].map(([key, color]) => (
+              <div key={key} style={{
+                flex: 1,
+                height: `${(point[key] / maxCount) * chartHeight}px`,
+                minHeight: point[key] > 0 ? '2px' : 0,
+                background: color,
+                borderRadius: '3px 3px 0 0'
+              }} />
+            ))}
+          </div>
+        ))}
+      </div>
+      <div style={{ display: 'flex', gap: '8px', marginTop: '6px' }}>
+        {series.map(point => (
+          <div key={point.periodStart} style={{ flex: 1, textAlign: 'center', fontSize: '11px', color: '#9ca3af' }}>
+            <div>{formatPeriod(point.periodStart)}</div>
+            <div style={{ color: STAGE_COLORS.Rejected }}>
+              {point.rollingRejectionRate === null ? '–' : `${point.rollingRejectionRate}%`}
+            </div>
+          </div>
+        ))}
+      </div>
+      <div style={{ display: 'flex', gap: '16px', marginTop: '12px', justifyContent: 'center', flexWrap: 'wrap' }}>
+        {[['Applications', STAGE_COLORS.Applied], ['Interviews', STAGE_COLORS.Interview], [`Rejection rate (rolling ${trends?.rollingPeriods})`, STAGE_COLORS.Rejected]].map(([label, color]) => (
+          <span key={label} style={{ ...mutedStyle, display: 'flex', alignItems: 'center', gap: '6px' }}>
+            <span style={{ width: '10px', height: '10px', borderRadius: '2px', background: color }} />
+            {label}
+          </span>
+        ))}
+      </div>
+    </ChartCard>
+  );
+}
+
+// Current period against the one before; rates change in percentage points
+function ComparisonCard({ comparison }) {
+  const rows = [
+    { key: 'applications', label: 'Applications', format: value => value, unit: '%' },
+    { key: 'interviewRate', label: 'Interview rate', format: value => (value === null ? 'n/a' : `${value}%`), unit: ' pts' },
+    { key: 'offerRate', label: 'Offer rate', format: value => (value === null ? 'n/a' : `${value}%`), unit: ' pts' },
+    // A falling rejection rate is good news
+    { key: 'rejectionRate', label: 'Rejection rate', format: value => (value === null ? 'n/a' : `${value}%`), unit: ' pts', inverted: true }
+  ];
+  const empty = !comparison || (comparison.current.applications === 0 && comparison.previous.applications === 0);
+
+  return (
+    <ChartCard title={`Compared with ${comparison?.label || 'last week'}`} empty={empty}>
+      {!empty && rows.map(({ key, label, format, unit, inverted }) => {
+        const change = comparison.changes[key];
+        const improving = change !== null && change !== 0 && (change > 0) !== Boolean(inverted);
+        return (
+          <div key={key} style={{ display: 'grid', gridTemplateColumns: '1fr auto auto', gap: '12px', alignItems: 'baseline', marginBottom: '10px' }}>
+            <span style={{ fontSize: '13px', color: '#cbd5f5' }}>{label}</span>
+            <span style={{ fontSize: '15px', fontWeight: '600', color: '#f8fafc' }}>
+              {format(comparison.current[key])}
+              <span style={{ ...mutedStyle, fontWeight: '400' }}> vs {format(comparison.previous[key])}</span>
+            </span>
+            <span style={{
+              fontSize: '12px',
+              minWidth: '64px',
+              textAlign: 'right',
+              color: change === null || change === 0 ? '#9ca3af' : improving ? STAGE_COLORS.Offer : STAGE_COLORS.Rejected
+            }}>
+              {change === null ? '–' : change === 0 ? 'no change' : `${change > 0 ? '▲' : '▼'} ${Math.abs(change)}${unit}`}
+            </span>
+          </div>
+        );
+      })}
+    </ChartCard>
+  );
+}
+
+/**
+ * Visual summary of the insights API's `detailedInsights`: trends, period
+ * comparison, funnel, rejection rate per source, resume success rate and
+ * response times.
+ */
+export default function InsightsCharts({ detailedInsights }) {
+  return (
+    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(320px, 1fr))', gap: '16px' }}>
+      <TrendChart trends={detailedInsights.trends} />
+      <ComparisonCard comparison={detailedInsights.comparison} />
+      <FunnelChart funnel={detailedInsights.funnel} />
+      <RejectionBySourceChart rejectionRate={detailedInsights.rejectionRate} />
+      <ResumeSuccessChart resumePerformance={detailedInsights.resumePerformance} />
+      <MatchScoreChart matchScore={detailedInsights.matchScore} />
+      <ResponseTimeHistogram responseTime={detailedInsights.responseTime} />
+    </div>
+  );
+}
@@ -0,0 +1,219 @@
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+
+/**
+ * Board view: one column per status, cards move between columns by
+ * drag-and-drop or keyboard (Space/Enter to pick up, arrows to choose a
+ * column, Space/Enter to drop, Escape to cancel). Only columns the status
+ * workflow allows are valid targets.
+ */
+export default function KanbanBoard({
+  applications,
+  statuses,
+  statusCounts,
+  getAllowedTransitions,
+  getStatusAccentColor,
+  onMove
+}) {
+  const [dragging, setDragging] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  // Keyboard move in progress: { app, targetIndex }
+  const [keyboardMove, setKeyboardMove] = useState(null);
+  const [announcement, setAnnouncement] = useState('');
+
+  const canDrop = (app, status) => Boolean(app) && getAllowedTransitions(app.status).includes(status);
+
+  const moveCard = async (app, status) => {
+    setDragging(null);
+    setDropTarget(null);
+    setKeyboardMove(null);
+    if (!canDrop(app, status)) return;
+
+    setAnnouncement(`Moving ${app.company} to ${status}`);
+    await onMove(app.id, status);
+  };
+
+  // Keyboard targets are the card's own column plus the columns it may move to
+  const keyboardTargets = (app) => [app.status, ...getAllowedTransitions(app.status)]
+    .sort((a, b) => statuses.indexOf(a) - statuses.indexOf(b));
+
+  const handleCardKeyDown = (e, app) => {
+    // Unsaved placeholder cards have no ID to move yet, same as for drag
+    if (app.pending) return;
+
+    if (!keyboardMove || keyboardMove.app.id !== app.id) {
+      if (e.key === ' ' || e.key === 'Enter') {
+        e.preventDefault();
+        const targets = keyboardTargets(app);
+        setKeyboardMove({ app, targetIndex: targets.indexOf(app.status) });
+        setAnnouncement(`Picked up ${app.company}. Use left and right arrows to choose a column, Enter to drop, Escape to cancel.`);
+      }
+      return;
+    }
+
+    const targets = keyboardTargets(app);
+    if (e.key === 'ArrowRight' || e.key === 'ArrowLeft') {
+      e.preventDefault();
+      const step = e.key === 'ArrowRight' ? 1 : -1;
+      const targetIndex = Math.min(targets.length - 1, Math.max(0, keyboardMove.targetIndex + step));
+      setKeyboardMove({ app, targetIndex });
+      setAnnouncement(`Over ${targets[targetIndex]}`);
+    } else if (e.key === ' ' || e.key === 'Enter') {
+      e.preventDefault();
+      const target = targets[keyboardMove.targetIndex];
+      if (target === app.status) {
+        setKeyboardMove(null);
+        setAnnouncement(`${app.company} stays in ${app.status}`);
+      } else {
+        moveCard(app, target);
+      }
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      setKeyboardMove(null);
+      setAnnouncement(`Move cancelled, ${app.company} stays in ${app.status}`);
+    }
+  };
+
+  const keyboardTarget = keyboardMove
+    ? keyboardTargets(keyboardMove.app)[keyboardMove.targetIndex]
+    : null;
+  const movingApp = dragging || keyboardMove?.app || null;
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: '12px', overflowX: 'auto', paddingBottom: '8px' }}>
+        {statuses.map(status => {
+          const cards = applications.filter(app => app.status === status);
+          const allowed = canDrop(movingApp, status);
+          // Empty columns stay narrow unless they can take the card being moved
+          const collapsed = cards.length === 0 && !allowed;
+          const highlighted = dropTarget === status || (keyboardTarget === status && keyboardMove.app.status !== status);
+          const accent = getStatusAccentColor(status);
+
+          return (
+            <div
+              key={status}
+              onDragOver={(e) => {
+                if (!allowed) return;
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+                if (dropTarget !== status) setDropTarget(status);
+              }}
+              onDragLeave={() => {
+                if (dropTarget === status) setDropTarget(null);
+              }}
+              onDrop={(e) => {
+                e.preventDefault();
+                moveCard(dragging, status);
+              }}
+              aria-label={`${status} column, ${statusCounts[status] ?? cards.length} applications`}
+              style={{
+                flex: collapsed ? '0 0 56px' : '1 0 200px',
+                minHeight: '240px',
+                background: highlighted ? 'rgba(56, 189, 248, 0.12)' : 'rgba(2, 6, 23, 0.6)',
+                borderRadius: '14px',
+                padding: collapsed ? '12px 8px' : '12px',
+                border: `1px solid ${allowed ? 'rgba(56, 189, 248, 0.4)' : 'rgba(148, 163, 184, 0.08)'}`,
+                opacity: movingApp && !allowed && movingApp.status !== status ? 0.5 : 1,
+                transition: 'background 0.2s ease, border-color 0.2s ease, opacity 0.2s ease'
+              }}
+            >
+              {/* Column header: collapsed columns show their title vertically */}
+              <div style={{
+                display: 'flex',
+                flexDirection: collapsed ? 'column' : 'row',
+                alignItems: 'center',
+                justifyContent: collapsed ? 'flex-start' : 'space-between',
+                gap: '8px',
+                marginBottom: collapsed ? '0' : '12px',
+                borderTop: `3px solid ${accent}`,
+                paddingTop: '8px'
+              }}>
+                <span style={{
+                  fontSize: '14px',
+                  fontWeight: '600',
+                  color: '#f8fafc',
+                  writingMode: collapsed ? 'vertical-rl' : 'horizontal-tb'
+                }}>
+                  {status}
+                </span>
+                <span style={{
+                  fontSize: '12px',
+                  color: '#9ca3af',
+                  background: 'rgba(148, 163, 184, 0.12)',
+                  borderRadius: '999px',
+                  padding: '2px 8px'
+                }}>
+                  {statusCounts[status] ?? cards.length}
+                </span>
+              </div>
+
+              {cards.map(app => {
+                const isMoving = keyboardMove?.app.id === app.id;
+                return (
+                  <div
+                    key={app.id}
+                    draggable={!app.pending}
+                    tabIndex={app.pending ? undefined : 0}
+                    role={app.pending ? undefined : 'button'}
+                    aria-roledescription={app.pending ? undefined : 'draggable application'}
+                    aria-pressed={app.pending ? undefined : isMoving}
+                    aria-busy={app.pending || undefined}
+                    onDragStart={(e) => {
+                      e.dataTransfer.effectAllowed = 'move';
+                      e.dataTransfer.setData('text/plain', String(app.id));
+                      setDragging(app);
+                    }}
+                    onDragEnd={() => {
+                      setDragging(null);
+                      setDropTarget(null);
+                    }}
+                    onKeyDown={(e) => handleCardKeyDown(e, app)}
+                    onBlur={() => {
+                      if (isMoving) setKeyboardMove(null);
+                    }}
+                    style={{
+                      background: 'rgba(15, 23, 42, 0.9)',
+                      borderRadius: '10px',
+                      padding: '10px 12px',
+                      marginBottom: '8px',
+                      borderLeft: `3px solid ${accent}`,
+                      boxShadow: isMoving ? '0 0 0 2px #38bdf8' : 'none',
+                      cursor: app.pending ? 'default' : 'grab',
+                      opacity: app.pending || dragging?.id === app.id ? 0.5 : 1,
+                      outline: 'none'
+                    }}
+                  >
+                    <div style={{ fontSize: '14px', fontWeight: '600', color: '#f8fafc' }}>
+                      {app.pending ? app.company : (
+                        <Link
+                          href={`/applications/${app.id}`}
+                          draggable={false}
+                          tabIndex={-1}
+                          style={{ color: 'inherit', textDecoration: 'none' }}
+                        >
+                          {app.company}
+                        </Link>
+                      )}
+                    </div>
+                    <div style={{ fontSize: '13px', color: '#cbd5f5', marginTop: '2px' }}>{app.role}</div>
+                    <div style={{ fontSize: '12px', color: '#9ca3af', marginTop: '6px' }}>
+                      📅 {new Date(app.applied_at).toLocaleDateString()} | 🔗 {app.source}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Screen reader updates for keyboard moves */}
+      <div aria-live="assertive" style={{ position: 'absolute', width: '1px', height: '1px', overflow: 'hidden', clip: 'rect(0 0 0 0)' }}>
+        {announcement}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,110 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+
+const API_URL = 'http://localhost:3001/api';
+
+// Green from 70, amber from 40, red below
+function scoreColor(score) {
+  if (score >= 70) return '#22c55e';
+  if (score >= 40) return '#facc15';
+  return '#ef4444';
+}
+
+const chipStyle = (color) => ({
+  display: 'inline-block',
+  fontSize: '12px',
+  padding: '2px 8px',
+  marginRight: '6px',
+  marginBottom: '6px',
+  borderRadius: '999px',
+  border: `1px solid ${color}`,
+  color
+});
+
+/**
+ * Resume-to-posting match score for an application card
+ * Only applications with a job description are scored; clicking the badge
+ * lists the posting's skills and keywords missing from the resume.
+ */
+export default function MatchScore({ application }) {
+  const [match, setMatch] = useState(null);
+  const [expanded, setExpanded] = useState(false);
+  const { id, job_description: jobDescription, resume_version: resumeVersion } = application;
+
+  // Refetch when the posting or the resume changes
+  useEffect(() => {
+    if (!jobDescription || application.pending) {
+      setMatch(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    fetch(`${API_URL}/applications/${id}/match`)
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => { if (!cancelled) setMatch(data); })
+      .catch(err => console.error('Error fetching match score:', err));
+    return () => { cancelled = true; };
+  }, [id, jobDescription, resumeVersion, application.pending]);
+
+  if (!match) return null;
+
+  if (match.score === null) {
+    return (
+      <div style={{ fontSize: '12px', color: '#64748b', marginTop: '8px' }} title={match.reason}>
+        🎯 No match score: {match.reason.toLowerCase()}
+      </div>
+    );
+  }
+
+  const color = scoreColor(match.score);
+  const missing = [...match.skills.missing, ...match.keywords.missing];
+
+  return (
+    <div style={{ marginTop: '8px' }}>
+      <button
+        onClick={() => setExpanded(!expanded)}
+        title="How much of the job description your resume covers"
+        style={{
+          fontSize: '12px',
+          padding: '2px 10px',
+          background: 'transparent',
+          color,
+          border: `1px solid ${color}`,
+          borderRadius: '999px',
+          cursor: 'pointer'
+        }}
+      >
+        🎯 {match.score}% match {expanded ? '▲' : '▼'}
+      </button>
+      {expanded && (
+        <div style={{ marginTop: '8px', fontSize: '13px', color: '#9ca3af' }}>
+          {missing.length === 0 ? (
+            <div>Your resume covers every skill and keyword in the posting.</div>
+          ) : (
+            <>
+              {match.skills.missing.length > 0 && (
+                <div>
+                  <div style={{ marginBottom: '6px' }}>Missing skills</div>
+                  {match.skills.missing.map(skill => <span key={skill} style={chipStyle('#ef4444')}>{skill}</span>)}
+                </div>
+              )}
+              {match.keywords.missing.length > 0 && (
+                <div>
+                  <div style={{ marginBottom: '6px' }}>Missing keywords</div>
+                  {match.keywords.missing.map(keyword => <span key={keyword} style={chipStyle('#94a3b8')}>{keyword}</span>)}
+                </div>
+              )}
+            </>
+          )}
+          {match.skills.matched.length > 0 && (
+            <div>
+              <div style={{ marginBottom: '6px' }}>Matched skills</div>
+              {match.skills.matched.map(skill => <span key={skill} style={chipStyle('#22c55e')}>{skill}</span>)}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,106 @@
+'use client';
+
+import Link from 'next/link';
+
+// Colors of the total compensation parts
+const PART_COLORS = {
+  base: '#22c55e',
+  bonus: '#38bdf8',
+  equityPerYear: '#a78bfa'
+};
+
+const PART_LABELS = {
+  base: 'Base',
+  bonus: 'Bonus',
+  equityPerYear: 'Equity / year'
+};
+
+const mutedStyle = { fontSize: '13px', color: '#9ca3af' };
+
+function formatAmount(amount, currency) {
+  return `${amount.toLocaleString('en-US')} ${currency}`;
+}
+
+/**
+ * Pending offers ranked by yearly total compensation in the base currency,
+ * each drawn as a bar split into base, bonus and yearly equity
+ */
+export default function OfferComparison({ comparison }) {
+  if (!comparison || comparison.offers.length + comparison.unranked.length === 0) return null;
+
+  const { baseCurrency, offers, unranked } = comparison;
+  const bestTotal = offers[0]?.normalized.total || 0;
+
+  return (
+    <div style={{
+      background: 'rgba(15, 23, 42, 0.7)',
+      borderRadius: '16px',
+      padding: '24px',
+      marginTop: '32px',
+      border: '1px solid rgba(34, 197, 94, 0.3)'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+        <h2 style={{ fontSize: '20px', fontWeight: '600', margin: 0, color: '#f8fafc' }}>Offers</h2>
+        <div style={{ display: 'flex', gap: '16px' }}>
+          {Object.keys(PART_COLORS).map(part => (
+            <span key={part} style={{ ...mutedStyle, display: 'flex', alignItems: 'center', gap: '6px' }}>
+              <span style={{ width: '10px', height: '10px', borderRadius: '2px', background: PART_COLORS[part] }} />
+              {PART_LABELS[part]}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      {offers.map(offer => (
+        <div key={offer.offerId} style={{
+          display: 'grid',
+          gridTemplateColumns: '32px 200px 1fr 150px',
+          alignItems: 'center',
+          gap: '16px',
+          padding: '12px 0',
+          borderBottom: '1px solid rgba(148, 163, 184, 0.1)'
+        }}>
+          <span style={{ fontSize: '18px', fontWeight: '700', color: offer.rank === 1 ? '#22c55e' : '#9ca3af' }}>
+            #{offer.rank}
+          </span>
+          <div>
+            <Link href={`/applications/${offer.applicationId}`} style={{ color: '#f8fafc', fontWeight: '600', textDecoration: 'none' }}>
+              {offer.company}
+            </Link>
+            <div style={{ fontSize: '13px', color: '#cbd5f5' }}>{offer.role}</div>
+            {offer.daysToDeadline !== null && offer.daysToDeadline >= 0 && (
+              <div style={{ fontSize: '12px', color: offer.daysToDeadline <= 3 ? '#facc15' : '#9ca3af' }}>
+                ⏳ Decide in {offer.daysToDeadline} day(s)
+              </div>
+            )}
+          </div>
+          <div
+            title={Object.keys(PART_COLORS).map(part => `${PART_LABELS[part]}: ${formatAmount(offer.normalized[part], baseCurrency)}`).join(', ')}
+            style={{ display: 'flex', height: '14px', borderRadius: '999px', overflow: 'hidden', background: 'rgba(148, 163, 184, 0.12)' }}
+          >
+            {Object.keys(PART_COLORS).map(part => (
+              <div key={part} style={{
+                width: `${bestTotal > 0 ? (offer.normalized[part] / bestTotal) * 100 : 0}%`,
+                background: PART_COLORS[part],
+                transition: 'width 0.3s ease'
+              }} />
+            ))}
+          </div>
+          <div style={{ textAlign: 'right' }}>
+            <div style={{ color: '#f8fafc', fontWeight: '600' }}>{formatAmount(offer.normalized.total, baseCurrency)}</div>
+            <div style={mutedStyle}>
+              {offer.differenceFromBest < 0 ? `${formatAmount(offer.differenceFromBest, baseCurrency)}` : 'per year'}
+              {offer.currency !== baseCurrency && ` · ${formatAmount(offer.totalCompensation, offer.currency)}`}
+            </div>
+          </div>
+        </div>
+      ))}
+
+      {unranked.length > 0 && (
+        <div style={{ ...mutedStyle, marginTop: '12px' }}>
+          Not ranked: {unranked.map(offer => `${offer.company} (${offer.reason})`).join(', ')}
+        </div>
+      )}
+    </div>
+  );
+}
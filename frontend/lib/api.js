@@ -0,0 +1,8 @@
+// Build an Error from the API's { error: { code, message, fields } } envelope
+// `fields` carries per-field messages so forms can show them inline
+export async function toApiError(response, fallbackMessage) {
+  const body = await response.json().catch(() => null);
+  const error = new Error(body?.error?.message || fallbackMessage);
+  error.fields = body?.error?.fields;
+  return error;
+}
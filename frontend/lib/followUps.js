@@ -0,0 +1,47 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import { toApiError } from './api';
+
+const API_URL = 'http://localhost:3001/api';
+
+// Load due follow-up reminders, refetching whenever refreshKey changes,
+// and snooze or dismiss them (a handled reminder leaves the list at once)
+export function useFollowUps(refreshKey) {
+  const [reminders, setReminders] = useState([]);
+
+  const refresh = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_URL}/follow-ups`);
+      if (!response.ok) {
+        throw await toApiError(response, 'Failed to load follow-up reminders');
+      }
+      const body = await response.json();
+      setReminders(body.reminders);
+    } catch (err) {
+      console.error('Error fetching follow-up reminders:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh, refreshKey]);
+
+  const act = async (id, action, body) => {
+    const response = await fetch(`${API_URL}/follow-ups/${id}/${action}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body || {})
+    });
+    if (!response.ok) {
+      throw await toApiError(response, `Failed to ${action} reminder`);
+    }
+    setReminders(current => current.filter(reminder => reminder.id !== id));
+  };
+
+  return {
+    reminders,
+    snooze: (id, days) => act(id, 'snooze', days ? { days } : {}),
+    dismiss: id => act(id, 'dismiss')
+  };
+}
@@ -0,0 +1,32 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { toApiError } from './api';
+
+const API_URL = 'http://localhost:3001/api';
+
+// Load the ranked comparison of pending offers, refetching whenever refreshKey changes
+export function useOfferComparison(refreshKey) {
+  const [comparison, setComparison] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchComparison = async () => {
+      try {
+        const response = await fetch(`${API_URL}/offers/comparison`);
+        if (!response.ok) {
+          throw await toApiError(response, 'Failed to load offer comparison');
+        }
+        const body = await response.json();
+        if (!cancelled) setComparison(body);
+      } catch (err) {
+        console.error('Error fetching offer comparison:', err);
+      }
+    };
+
+    fetchComparison();
+    return () => { cancelled = true; };
+  }, [refreshKey]);
+
+  return comparison;
+}
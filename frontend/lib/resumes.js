@@ -0,0 +1,41 @@
+'use client';
+
+import { useEffect, useMemo, useState } from 'react';
+
+const API_URL = 'http://localhost:3001/api';
+
+// Fetch resume versions from the resume library, newest first
+export async function fetchResumes({ includeArchived = false } = {}) {
+  const response = await fetch(`${API_URL}/resumes${includeArchived ? '?includeArchived=true' : ''}`);
+  if (!response.ok) {
+    throw new Error(`Failed to load resumes: ${response.status}`);
+  }
+  const body = await response.json();
+  return body.resumes;
+}
+
+// Load every resume version (archived ones too, since applications can still
+// reference them) and index them by version string
+export function useResumes() {
+  const [resumes, setResumes] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchResumes({ includeArchived: true })
+      .then(data => { if (!cancelled) setResumes(data); })
+      .catch(err => console.error('Error fetching resumes:', err));
+    return () => { cancelled = true; };
+  }, []);
+
+  const resumesByVersion = useMemo(
+    () => Object.fromEntries(resumes.map(resume => [resume.version, resume])),
+    [resumes]
+  );
+
+  return { resumes, resumesByVersion };
+}
+
+// URL of a resume's uploaded PDF, or null when the version has no file yet
+export function getResumeUrl(resume) {
+  return resume?.has_file ? `${API_URL}/resumes/${resume.id}/file` : null;
+}